@@ -0,0 +1,66 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Mail Transport Configuration
+ *
+ * Selected with EMAIL_TRANSPORT:
+ * - service (default): a well-known service such as Gmail (EMAIL_SERVICE + credentials)
+ * - smtp: any SMTP server (EMAIL_HOST/EMAIL_PORT), e.g. a local catcher like Mailpit
+ * - json: nothing is delivered; messages are rendered to JSON and logged
+ *
+ * Only the outbox worker (utils/emailOutbox.js) sends through this transport.
+ */
+const EMAIL_TRANSPORT = (process.env.EMAIL_TRANSPORT || 'service').toLowerCase();
+
+/**
+ * Validates Email Configuration
+ * Only the service transport needs credentials
+ */
+const validateEmailConfig = () => {
+    if (EMAIL_TRANSPORT === 'service' && (!process.env.EMAIL_USER || !process.env.EMAIL_PASSWORD)) {
+        console.warn('⚠️ EMAIL_USER or EMAIL_PASSWORD missing. Email sending will fail.');
+        return false;
+    }
+    return true;
+};
+
+/**
+ * Configure Nodemailer Transporter
+ */
+const createTransporter = () => {
+    if (EMAIL_TRANSPORT === 'json') {
+        return nodemailer.createTransport({ jsonTransport: true });
+    }
+
+    if (EMAIL_TRANSPORT === 'smtp') {
+        return nodemailer.createTransport({
+            host: process.env.EMAIL_HOST || 'localhost',
+            port: parseInt(process.env.EMAIL_PORT) || 1025,
+            secure: process.env.EMAIL_SECURE === 'true',
+            // Local catchers usually accept mail without credentials
+            auth: process.env.EMAIL_USER
+                ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASSWORD }
+                : undefined,
+        });
+    }
+
+    return nodemailer.createTransport({
+        service: process.env.EMAIL_SERVICE || 'gmail',
+        auth: {
+            user: process.env.EMAIL_USER,
+            pass: process.env.EMAIL_PASSWORD,
+        },
+    });
+};
+
+const transporter = createTransporter();
+
+const sender = () =>
+    `"${process.env.MFA_ISSUER || 'CrownHour'}" <${process.env.EMAIL_FROM || process.env.EMAIL_USER || 'noreply@crownhour.com'}>`;
+
+module.exports = {
+    EMAIL_TRANSPORT,
+    transporter,
+    sender,
+    validateEmailConfig,
+};
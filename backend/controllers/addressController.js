@@ -0,0 +1,331 @@
+const User = require('../models/User');
+const { logUserAction } = require('../utils/auditLogger');
+const { normalizeAddress, validateAddress } = require('../utils/addressValidation');
+
+/**
+ * Address Book Controller
+ * Saved shipping and billing addresses for a customer
+ *
+ * Security:
+ * - Routes require authentication and ownership (or admin)
+ * - Mass assignment protection via field allow-list
+ * - Addresses are validated against their country's rules
+ */
+
+// Fields a customer may set on an address
+const ADDRESS_FIELDS = [
+  'label', 'type', 'firstName', 'lastName', 'street', 'street2',
+  'city', 'state', 'postalCode', 'country', 'phone',
+];
+
+const pickAddressFields = (body = {}) => {
+  const data = {};
+  ADDRESS_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  });
+  return data;
+};
+
+/**
+ * Make one address the default of its type
+ * @param {Object} user - User document
+ * @param {Object} address - Address subdocument
+ */
+const makeDefault = (user, address) => {
+  user.addresses.forEach(entry => {
+    if (entry.type === address.type) {
+      entry.isDefault = entry._id.equals(address._id);
+    }
+  });
+};
+
+/**
+ * Keep exactly one default per type while addresses of that type exist
+ * @param {Object} user - User document
+ * @param {String} type - 'shipping' | 'billing'
+ */
+const ensureDefault = (user, type) => {
+  const ofType = user.addresses.filter(entry => entry.type === type);
+  if (ofType.length > 0 && !ofType.some(entry => entry.isDefault)) {
+    ofType[0].isDefault = true;
+  }
+};
+
+/**
+ * Mirror the default shipping address into the legacy `address` field
+ * so clients that still read it stay in sync
+ * @param {Object} user - User document
+ */
+const syncLegacyAddress = (user) => {
+  const defaultShipping = user.addresses.find(entry => entry.type === 'shipping' && entry.isDefault);
+  if (defaultShipping) {
+    const { street, city, state, postalCode, country } = defaultShipping;
+    user.address = { street, city, state, postalCode, country };
+  }
+};
+
+// Reload after saving: phone numbers are encrypted on save and decrypted on load
+const loadAddresses = async (userId) => {
+  const user = await User.findById(userId).select('addresses');
+  return user.addresses;
+};
+
+const validationErrorResponse = (res, errors) => res.status(400).json({
+  success: false,
+  message: errors.join(', '),
+  errors,
+});
+
+const logAddressChange = (req, user, action, addressId) => logUserAction('profile_updated', {
+  userId: req.user._id,
+  email: req.user.email,
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent'),
+  resourceId: user._id,
+  metadata: { action, addressId },
+});
+
+/**
+ * @desc    Get saved addresses
+ * @route   GET /api/users/:id/addresses
+ * @access  Private (own profile or admin)
+ */
+const getAddresses = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('addresses');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { addresses: user.addresses },
+    });
+  } catch (error) {
+    console.error('Get addresses error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get addresses',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Add an address
+ *          The first address of a type becomes its default
+ * @route   POST /api/users/:id/addresses
+ * @access  Private (own profile or admin)
+ */
+const createAddress = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const data = normalizeAddress(pickAddressFields(req.body));
+    if (!['shipping', 'billing'].includes(data.type)) {
+      return validationErrorResponse(res, ['Address type must be shipping or billing']);
+    }
+
+    const { valid, errors } = validateAddress(data, { requirePhone: data.type === 'shipping' });
+    if (!valid) {
+      return validationErrorResponse(res, errors);
+    }
+
+    user.addresses.push(data);
+    const address = user.addresses[user.addresses.length - 1];
+
+    if (req.body.isDefault === true) {
+      makeDefault(user, address);
+    }
+    ensureDefault(user, address.type);
+    syncLegacyAddress(user);
+
+    await user.save();
+
+    await logAddressChange(req, user, 'address_added', address._id);
+
+    const addresses = await loadAddresses(user._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Address saved',
+      data: { address: addresses.id(address._id), addresses },
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, Object.values(error.errors).map(e => e.message));
+    }
+    console.error('Create address error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save address',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Update an address
+ * @route   PUT /api/users/:id/addresses/:addressId
+ * @access  Private (own profile or admin)
+ */
+const updateAddress = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    const address = user?.addresses.id(req.params.addressId);
+
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found',
+      });
+    }
+
+    const previousType = address.type;
+    const data = normalizeAddress({ ...address.toObject(), ...pickAddressFields(req.body) });
+    if (!['shipping', 'billing'].includes(data.type)) {
+      return validationErrorResponse(res, ['Address type must be shipping or billing']);
+    }
+
+    const { valid, errors } = validateAddress(data, { requirePhone: data.type === 'shipping' });
+    if (!valid) {
+      return validationErrorResponse(res, errors);
+    }
+
+    address.set(pickAddressFields(data));
+
+    // Changing type leaves the old type without this address
+    if (address.type !== previousType) {
+      address.isDefault = false;
+      ensureDefault(user, previousType);
+    }
+    if (req.body.isDefault === true) {
+      makeDefault(user, address);
+    }
+    ensureDefault(user, address.type);
+    syncLegacyAddress(user);
+
+    await user.save();
+
+    await logAddressChange(req, user, 'address_updated', address._id);
+
+    const addresses = await loadAddresses(user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Address updated',
+      data: { address: addresses.id(address._id), addresses },
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, Object.values(error.errors).map(e => e.message));
+    }
+    console.error('Update address error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update address',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Make an address the default of its type
+ * @route   PUT /api/users/:id/addresses/:addressId/default
+ * @access  Private (own profile or admin)
+ */
+const setDefaultAddress = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    const address = user?.addresses.id(req.params.addressId);
+
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found',
+      });
+    }
+
+    makeDefault(user, address);
+    syncLegacyAddress(user);
+    await user.save();
+
+    await logAddressChange(req, user, 'address_default_changed', address._id);
+
+    res.status(200).json({
+      success: true,
+      message: `Default ${address.type} address updated`,
+      data: { addresses: await loadAddresses(user._id) },
+    });
+  } catch (error) {
+    console.error('Set default address error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update default address',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Delete an address
+ *          Deleting a default promotes the next address of the same type
+ * @route   DELETE /api/users/:id/addresses/:addressId
+ * @access  Private (own profile or admin)
+ */
+const deleteAddress = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    const address = user?.addresses.id(req.params.addressId);
+
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found',
+      });
+    }
+
+    const { type } = address;
+    address.deleteOne();
+    ensureDefault(user, type);
+    syncLegacyAddress(user);
+
+    await user.save();
+
+    await logAddressChange(req, user, 'address_deleted', req.params.addressId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Address deleted',
+      data: { addresses: await loadAddresses(user._id) },
+    });
+  } catch (error) {
+    console.error('Delete address error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete address',
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getAddresses,
+  createAddress,
+  updateAddress,
+  setDefaultAddress,
+  deleteAddress,
+};
@@ -3,7 +3,21 @@ const Product = require('../models/Product');
 const Order = require('../models/Order');
 const Review = require('../models/Review');
 const AuditLog = require('../models/AuditLog');
-const { logSecurityEvent } = require('../utils/auditLogger');
+const ProductAlert = require('../models/ProductAlert');
+const ProductRevision = require('../models/ProductRevision');
+const { logSecurityEvent, logProductAction } = require('../utils/auditLogger');
+const { createOrderError, syncReservationsForStatusChange } = require('../utils/orderUtils');
+const { runInTransaction } = require('../utils/transaction');
+const { notifyOrderStatusChange } = require('../utils/orderNotifications');
+const { getCartRecoveryStats } = require('../utils/cartRecovery');
+const { readPagination, paginate } = require('../utils/cursorPagination');
+const { queueProductAlerts } = require('../utils/productAlerts');
+const { recordPriceChange, getLowestPrice, getPriceHistory } = require('../utils/priceHistory');
+const { invalidateSuggestionIndex } = require('../utils/productSuggest');
+const { snapshotProduct, diffSnapshots, recordRevision } = require('../utils/productRevisions');
+const { roundCurrency } = require('../utils/promotionEngine');
+const { isValidObjectId } = require('../utils/validation');
+const { RETENTION_DAYS: TRASH_RETENTION_DAYS } = require('../utils/productTrash');
 
 /**
  * Admin Controller
@@ -16,6 +30,55 @@ const { logSecurityEvent } = require('../utils/auditLogger');
  * - Rate limiting applied
  */
 
+// Stock level below which a product or SKU is flagged on the dashboard
+const LOW_STOCK_THRESHOLD = 10;
+
+/**
+ * Find products and SKUs running low on stock
+ * Products with SKU inventory are reported per SKU, so a sold-out
+ * combination shows up even when the product total still looks healthy.
+ *
+ * @param {Number} limit - Maximum rows to return
+ * @returns {Promise<Array>} Rows of { _id, productId, name, brand, stock, sku, variant }
+ */
+const findLowStock = async (limit) => {
+    const products = await Product.find({
+        isActive: true,
+        $or: [
+            { 'skus.0': { $exists: false }, stock: { $lt: LOW_STOCK_THRESHOLD } },
+            { skus: { $elemMatch: { isActive: true, stock: { $lt: LOW_STOCK_THRESHOLD } } } },
+        ],
+    })
+        .select('name brand stock skus')
+        .limit(limit);
+
+    const rows = products.flatMap((product) => {
+        if (!product.skus || product.skus.length === 0) {
+            return [{
+                _id: product._id,
+                productId: product._id,
+                name: product.name,
+                brand: product.brand,
+                stock: product.stock,
+            }];
+        }
+
+        return product.skus
+            .filter(sku => sku.isActive && sku.stock < LOW_STOCK_THRESHOLD)
+            .map(sku => ({
+                _id: sku._id,
+                productId: product._id,
+                name: product.name,
+                brand: product.brand,
+                stock: sku.stock,
+                sku: sku.sku,
+                variant: [sku.color, sku.strap].filter(Boolean).join(' / '),
+            }));
+    });
+
+    return rows.sort((a, b) => a.stock - b.stock).slice(0, limit);
+};
+
 /**
  * @desc    Get dashboard statistics
  * @route   GET /api/admin/dashboard/stats
@@ -58,10 +121,8 @@ exports.getDashboardStats = async (req, res, next) => {
                 .populate('user', 'firstName lastName email')
                 .select('orderNumber status pricing.total createdAt'),
 
-            // Low stock products (stock < 10)
-            Product.find({ stock: { $lt: 10 }, isActive: true })
-                .select('name brand stock')
-                .limit(10),
+            // Low stock products and SKUs (stock < 10)
+            findLowStock(10),
 
             // Top selling products
             Order.aggregate([
@@ -102,7 +163,7 @@ exports.getDashboardStats = async (req, res, next) => {
         const sixtyDaysAgo = new Date();
         sixtyDaysAgo.setDate(sixtyDaysAgo.getDate() - 60);
 
-        const [currentPeriodRevenue, previousPeriodRevenue] = await Promise.all([
+        const [currentPeriodRevenue, previousPeriodRevenue, cartRecovery] = await Promise.all([
             Order.aggregate([
                 {
                     $match: {
@@ -121,6 +182,9 @@ exports.getDashboardStats = async (req, res, next) => {
                 },
                 { $group: { _id: null, total: { $sum: '$pricing.total' } } },
             ]),
+
+            // Abandoned cart reminders (last 30 days)
+            getCartRecoveryStats(thirtyDaysAgo),
         ]);
 
         const currentRevenue = currentPeriodRevenue[0]?.total || 0;
@@ -143,6 +207,7 @@ exports.getDashboardStats = async (req, res, next) => {
                 recentOrders,
                 lowStockProducts,
                 topProducts,
+                cartRecovery,
             },
         });
     } catch (error) {
@@ -157,9 +222,6 @@ exports.getDashboardStats = async (req, res, next) => {
  */
 exports.getUsers = async (req, res, next) => {
     try {
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 10;
-        const skip = (page - 1) * limit;
         const search = req.query.search || '';
         const role = req.query.role || '';
         const status = req.query.status || '';
@@ -176,31 +238,27 @@ exports.getUsers = async (req, res, next) => {
         if (status === 'active') filter.isActive = true;
         if (status === 'inactive') filter.isActive = false;
 
-        const query = User.find(filter)
-            .populate('role', 'name')
-            .select('-password -mfaSecret -verificationOTP -passwordResetToken')
-            .sort({ createdAt: -1 })
-            .skip(skip)
-            .limit(limit);
-
-        const [users, total] = await Promise.all([
-            query,
-            User.countDocuments(filter),
-        ]);
+        // Newest first; page number or cursor (`cursor=` for the first page)
+        const { items: users, pagination } = await paginate(User, filter, {
+            ...readPagination(req.query, { defaultLimit: 10 }),
+            populate: { path: 'role', select: 'name' },
+            select: '-password -mfaSecret -verificationOTP -passwordResetToken',
+        });
 
         res.status(200).json({
             success: true,
             data: {
                 users,
-                pagination: {
-                    page,
-                    limit,
-                    total,
-                    pages: Math.ceil(total / limit),
-                },
+                pagination,
             },
         });
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+            });
+        }
         next(error);
     }
 };
@@ -342,9 +400,6 @@ exports.deleteUser = async (req, res, next) => {
  */
 exports.getOrders = async (req, res, next) => {
     try {
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 10;
-        const skip = (page - 1) * limit;
         const status = req.query.status || '';
         const search = req.query.search || '';
 
@@ -357,31 +412,29 @@ exports.getOrders = async (req, res, next) => {
             ];
         }
 
-        const query = Order.find(filter)
-            .populate('user', 'firstName lastName email')
-            .populate('items.product', 'name brand')
-            .sort({ createdAt: -1 })
-            .skip(skip)
-            .limit(limit);
-
-        const [orders, total] = await Promise.all([
-            query,
-            Order.countDocuments(filter),
-        ]);
+        // Newest first; page number or cursor (`cursor=` for the first page)
+        const { items: orders, pagination } = await paginate(Order, filter, {
+            ...readPagination(req.query, { defaultLimit: 10 }),
+            populate: [
+                { path: 'user', select: 'firstName lastName email' },
+                { path: 'items.product', select: 'name brand' },
+            ],
+        });
 
         res.status(200).json({
             success: true,
             data: {
                 orders,
-                pagination: {
-                    page,
-                    limit,
-                    total,
-                    pages: Math.ceil(total / limit),
-                },
+                pagination,
             },
         });
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+            });
+        }
         next(error);
     }
 };
@@ -431,33 +484,38 @@ exports.updateOrderStatus = async (req, res, next) => {
             });
         }
 
-        const order = await Order.findById(req.params.id);
+        // Status change and stock adjustment succeed or fail together
+        let oldStatus;
+        const order = await runInTransaction(async (session) => {
+            const order = await Order.findById(req.params.id).session(session);
 
-        if (!order) {
-            return res.status(404).json({
-                success: false,
-                message: 'Order not found',
-            });
-        }
+            if (!order) {
+                throw createOrderError(404, 'Order not found');
+            }
 
-        order.status = status;
-        if (note) {
-            order.statusHistory.push({
-                status,
-                note,
-                updatedBy: req.user._id,
-            });
-        }
-        if (trackingNumber) order.trackingNumber = trackingNumber;
-        if (shippingCarrier) order.shippingCarrier = shippingCarrier;
+            oldStatus = order.status;
+            order.status = status;
+            if (note) {
+                order.statusHistory.push({
+                    status,
+                    note,
+                    updatedBy: req.user._id,
+                });
+            }
+            if (trackingNumber) order.trackingNumber = trackingNumber;
+            if (shippingCarrier) order.shippingCarrier = shippingCarrier;
 
-        if (status === 'delivered') {
-            order.deliveredAt = new Date();
-        } else if (status === 'cancelled') {
-            order.cancelledAt = new Date();
-        }
+            if (status === 'delivered') {
+                order.deliveredAt = new Date();
+            } else if (status === 'cancelled') {
+                order.cancelledAt = new Date();
+            }
+
+            await syncReservationsForStatusChange(order, oldStatus, status, session);
 
-        await order.save();
+            await order.save({ session });
+            return order;
+        });
 
         // Log the action
         await logSecurityEvent('order_status_updated', {
@@ -469,12 +527,21 @@ exports.updateOrderStatus = async (req, res, next) => {
             ipAddress: req.ip,
         });
 
+        // Customer email is sent in the background (includes tracking once shipped)
+        notifyOrderStatusChange(order, oldStatus);
+
         res.status(200).json({
             success: true,
             message: 'Order status updated successfully',
             data: { order },
         });
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+            });
+        }
         next(error);
     }
 };
@@ -491,10 +558,12 @@ exports.getProducts = async (req, res, next) => {
         const skip = (page - 1) * limit;
         const search = req.query.search || '';
         const category = req.query.category || '';
+        const audience = req.query.audience || '';
         const status = req.query.status || '';
 
-        // Build filter
-        const filter = {};
+        // Build filter; the trash (status=deleted) is listed separately
+        const inTrash = status === 'deleted';
+        const filter = { deletedAt: inTrash ? { $ne: null } : null };
         if (search) {
             filter.$or = [
                 { name: { $regex: search, $options: 'i' } },
@@ -503,14 +572,18 @@ exports.getProducts = async (req, res, next) => {
             ];
         }
         if (category) filter.category = category;
+        if (audience) filter.audience = audience;
         if (status === 'active') filter.isActive = true;
         if (status === 'inactive') filter.isActive = false;
 
-        const query = Product.find(filter)
+        let query = Product.find(filter)
             .select('-__v')
-            .sort({ createdAt: -1 })
+            .sort(inTrash ? { deletedAt: -1 } : { createdAt: -1 })
             .skip(skip)
             .limit(limit);
+        if (inTrash) {
+            query = query.populate('deletedBy', 'firstName lastName email');
+        }
 
         const [products, total] = await Promise.all([
             query,
@@ -521,6 +594,46 @@ exports.getProducts = async (req, res, next) => {
             success: true,
             data: {
                 products,
+                // Days a deleted product stays in the trash before it is purged
+                trashRetentionDays: inTrash ? TRASH_RETENTION_DAYS : undefined,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit),
+                },
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get the wishlist alerts sent for a product
+ * @route   GET /api/admin/products/:id/alerts
+ * @access  Private/Admin
+ */
+exports.getProductAlerts = async (req, res, next) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const skip = (page - 1) * limit;
+        const filter = { product: req.params.id };
+
+        const [alerts, total] = await Promise.all([
+            ProductAlert.find(filter)
+                .populate('triggeredBy', 'firstName lastName email')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            ProductAlert.countDocuments(filter),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                alerts,
                 pagination: {
                     page,
                     limit,
@@ -534,6 +647,263 @@ exports.getProducts = async (req, res, next) => {
     }
 };
 
+/**
+ * @desc    Get a product's price changes and its lowest price of the last 30 days
+ * @route   GET /api/admin/products/:id/price-history
+ * @access  Private/Admin
+ */
+exports.getProductPriceHistory = async (req, res, next) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days) || 90, 1), 365);
+
+        const product = await Product.findById(req.params.id).select('name price effectivePrice');
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found',
+            });
+        }
+
+        const [{ history, startingPrice }, lowestPrice30Days] = await Promise.all([
+            getPriceHistory(product._id, days),
+            getLowestPrice(product),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                days,
+                currentPrice: product.effectivePrice ?? product.price,
+                startingPrice,
+                lowestPrice30Days,
+                history,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get a product's revisions, newest first (without their snapshots; page or cursor)
+ * @route   GET /api/admin/products/:id/revisions
+ * @access  Private/Admin
+ */
+exports.getProductRevisions = async (req, res, next) => {
+    try {
+        const { items: revisions, pagination } = await paginate(ProductRevision, { product: req.params.id }, {
+            ...readPagination(req.query, { defaultLimit: 10, sortFields: ['version'], defaultSort: '-version' }),
+            select: '-snapshot',
+            populate: { path: 'changedBy', select: 'firstName lastName email' },
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                revisions,
+                pagination,
+            },
+        });
+    } catch (error) {
+        // Invalid or mismatched cursor
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * @desc    Field-level diff between two revisions of a product
+ * @route   GET /api/admin/products/:id/revisions/compare?from=&to=
+ * @access  Private/Admin
+ */
+exports.compareProductRevisions = async (req, res, next) => {
+    try {
+        const from = parseInt(req.query.from, 10);
+        const to = parseInt(req.query.to, 10);
+        if (!(from >= 1) || !(to >= 1)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Both revision numbers (from, to) are required',
+            });
+        }
+
+        const revisions = await ProductRevision.find({ product: req.params.id, version: { $in: [from, to] } })
+            .populate('changedBy', 'firstName lastName email')
+            .lean();
+        const older = revisions.find(revision => revision.version === from);
+        const newer = revisions.find(revision => revision.version === to);
+        if (!older || !newer) {
+            return res.status(404).json({
+                success: false,
+                message: 'Revision not found',
+            });
+        }
+
+        const summary = ({ snapshot, ...revision }) => revision;
+
+        res.status(200).json({
+            success: true,
+            data: {
+                from: summary(older),
+                to: summary(newer),
+                changes: diffSnapshots(older.snapshot, newer.snapshot),
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Products a single bulk sale request may change
+const MAX_BULK_SALE_PRODUCTS = 200;
+
+/**
+ * Read the sale window of a bulk sale request
+ * @param {Object} body - { startsAt, endsAt } as ISO dates; both optional
+ * @returns {Object} { startsAt, endsAt } or { error }
+ */
+const readSaleWindow = ({ startsAt, endsAt }) => {
+    const saleWindow = {};
+    for (const [key, value] of Object.entries({ startsAt, endsAt })) {
+        if (value === undefined || value === null || value === '') continue;
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+            return { error: `${key} must be a valid date` };
+        }
+        saleWindow[key] = date;
+    }
+
+    if (saleWindow.endsAt && saleWindow.endsAt <= new Date()) {
+        return { error: 'The sale must end in the future' };
+    }
+    if (saleWindow.startsAt && saleWindow.endsAt && saleWindow.endsAt <= saleWindow.startsAt) {
+        return { error: 'The sale must end after it starts' };
+    }
+    return saleWindow;
+};
+
+/**
+ * @desc    Schedule (or clear) a percentage sale on many products at once
+ * @route   POST /api/admin/products/sale
+ * @access  Private/Admin
+ *
+ * Body: { productIds, discountPercent, startsAt?, endsAt? } or { productIds, clear: true }
+ * Each product gets its own sale price (its price less the discount).
+ * Products that cannot take the sale are reported as skipped.
+ */
+exports.scheduleProductSale = async (req, res, next) => {
+    try {
+        const { productIds, discountPercent, clear = false } = req.body;
+
+        if (!Array.isArray(productIds) || productIds.length === 0 || productIds.length > MAX_BULK_SALE_PRODUCTS) {
+            return res.status(400).json({
+                success: false,
+                message: `Select between 1 and ${MAX_BULK_SALE_PRODUCTS} products`,
+            });
+        }
+        if (!productIds.every(id => typeof id === 'string' && isValidObjectId(id))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid product ID',
+            });
+        }
+
+        const percent = Number(discountPercent);
+        if (!clear && !(percent >= 1 && percent <= 90)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Discount must be between 1 and 90 percent',
+            });
+        }
+
+        const saleWindow = clear ? {} : readSaleWindow(req.body);
+        if (saleWindow.error) {
+            return res.status(400).json({
+                success: false,
+                message: saleWindow.error,
+            });
+        }
+
+        const ids = [...new Set(productIds)];
+        const products = await Product.find({ _id: { $in: ids }, deletedAt: null });
+
+        const updated = [];
+        const skipped = ids
+            .filter(id => !products.some(product => product._id.equals(id)))
+            .map(id => ({ productId: id, reason: 'Product not found' }));
+
+        for (const product of products) {
+            const previous = { stock: product.stock, price: product.getEffectivePrice(), regularPrice: product.price };
+            const before = snapshotProduct(product);
+
+            product.sale = clear
+                ? null
+                : { price: roundCurrency(product.price * (1 - percent / 100)), ...saleWindow };
+            product.updatedBy = req.user._id;
+
+            try {
+                await product.save();
+            } catch (error) {
+                if (error.name !== 'ValidationError') throw error;
+                skipped.push({
+                    productId: product._id,
+                    name: product.name,
+                    reason: Object.values(error.errors).map(e => e.message).join(', '),
+                });
+                continue;
+            }
+
+            // A sale that starts (or ends) now changes the price charged
+            await recordPriceChange(previous, product, {
+                reason: product.effectivePrice < previous.price ? 'sale_started' : 'sale_ended',
+                changedBy: req.user._id,
+            });
+            await recordRevision(product, { reason: 'sale_scheduled', changedBy: req.user._id, before });
+            // A sale that starts now is a price drop for wishlists
+            queueProductAlerts(previous, product, req.user._id);
+            updated.push({
+                _id: product._id,
+                name: product.name,
+                price: product.price,
+                effectivePrice: product.effectivePrice,
+                sale: product.sale,
+            });
+        }
+
+        if (updated.length > 0) {
+            invalidateSuggestionIndex();
+
+            await logProductAction(clear ? 'product_sale_cleared' : 'product_sale_scheduled', {
+                userId: req.user._id,
+                email: req.user.email,
+                ipAddress: req.ip,
+                userAgent: req.get('user-agent'),
+                metadata: {
+                    productIds: updated.map(product => product._id),
+                    discountPercent: clear ? undefined : percent,
+                    startsAt: saleWindow.startsAt,
+                    endsAt: saleWindow.endsAt,
+                },
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: clear
+                ? `Sale cleared on ${updated.length} product(s)`
+                : `Sale scheduled on ${updated.length} product(s)`,
+            data: { updated, skipped },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * @desc    Get audit logs
  * @route   GET /api/admin/audit-logs
@@ -541,9 +911,6 @@ exports.getProducts = async (req, res, next) => {
  */
 exports.getAuditLogs = async (req, res, next) => {
     try {
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 20;
-        const skip = (page - 1) * limit;
         const eventType = req.query.eventType || ''; // Frontend sends 'eventType', backend maps to 'action'
         const search = req.query.search || '';
 
@@ -566,29 +933,29 @@ exports.getAuditLogs = async (req, res, next) => {
             }
         }
 
-        const query = AuditLog.find(filter)
-            .sort({ createdAt: -1 })
-            .skip(skip)
-            .limit(limit);
-
-        const [logs, total] = await Promise.all([
-            query,
-            AuditLog.countDocuments(filter),
-        ]);
+        // Newest first; page number or cursor (`cursor=` for the first page).
+        // Cursor requests skip the count unless includeTotal=true, which keeps
+        // paging through a large log cheap.
+        const { items: logs, pagination } = await paginate(
+            AuditLog,
+            filter,
+            readPagination(req.query, { defaultLimit: 20 })
+        );
 
         res.status(200).json({
             success: true,
             data: {
                 logs,
-                pagination: {
-                    page,
-                    limit,
-                    total,
-                    pages: Math.ceil(total / limit),
-                },
+                pagination,
             },
         });
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+            });
+        }
         next(error);
     }
 };
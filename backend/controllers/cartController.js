@@ -1,27 +1,88 @@
+const mongoose = require('mongoose');
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
 const { logUserAction } = require('../utils/auditLogger');
+const { quoteOrder, resolveVariants } = require('../utils/orderUtils');
+const { restoreCartFromReminder } = require('../utils/cartRecovery');
+const { validateCart: checkCartLines, applyCartCorrections } = require('../utils/cartValidation');
+
+// Upper bound on lines accepted from a guest cart in one merge
+const MAX_MERGE_ITEMS = 50;
 
 /**
  * Get user's cart
+ * Lines whose product changed since they were added are reported in
+ * `warnings`; the cart itself is left as is until they are acknowledged
  * @route GET /api/cart
  */
 const getCart = async (req, res) => {
     try {
-        let cart = await Cart.findOne({ user: req.user._id })
-            .populate('items.product', 'name slug images price stock');
+        let cart = await Cart.findOne({ user: req.user._id });
 
         if (!cart) {
             cart = await Cart.create({ user: req.user._id, items: [] });
         }
 
-        res.status(200).json({ success: true, data: cart });
+        const warnings = await checkCartLines(cart);
+        await cart.populate('items.product', 'name slug images price stock');
+
+        res.status(200).json({ success: true, data: cart, warnings });
     } catch (error) {
         console.error('Get cart error:', error);
         res.status(500).json({ success: false, message: 'Failed to retrieve cart' });
     }
 };
 
+/**
+ * Check the cart against current prices, stock and availability
+ * @route GET /api/cart/validate
+ */
+const validateCart = async (req, res) => {
+    try {
+        const cart = await Cart.findOne({ user: req.user._id });
+        const warnings = await checkCartLines(cart);
+
+        res.status(200).json({ success: true, data: { valid: warnings.length === 0, warnings } });
+    } catch (error) {
+        console.error('Validate cart error:', error);
+        res.status(500).json({ success: false, message: 'Failed to validate cart' });
+    }
+};
+
+/**
+ * Accept the reported changes: update prices, shorten lines to the stock
+ * left and remove lines that can no longer be bought
+ * @route POST /api/cart/acknowledge
+ */
+const acknowledgeCartChanges = async (req, res) => {
+    try {
+        const cart = await Cart.findOne({ user: req.user._id });
+        if (!cart) {
+            return res.status(404).json({ success: false, message: 'Cart not found' });
+        }
+
+        const changes = await applyCartCorrections(cart);
+        if (changes.length > 0) {
+            await cart.save();
+        }
+
+        // Stock can move between the two reads; report anything still off
+        const warnings = await checkCartLines(cart);
+        await cart.populate('items.product', 'name slug images price stock');
+
+        res.status(200).json({
+            success: true,
+            data: cart,
+            changes,
+            warnings,
+            message: changes.length > 0 ? 'Your bag has been updated' : 'Your bag is up to date'
+        });
+    } catch (error) {
+        console.error('Acknowledge cart changes error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update cart' });
+    }
+};
+
 /**
  * Add item to cart
  * @route POST /api/cart/add
@@ -33,34 +94,19 @@ const addToCart = async (req, res) => {
 
         // Verify product exists and get price
         const product = await Product.findById(productId);
-        if (!product) {
+        // Inactive and deleted products cannot be bought
+        if (!product || !product.isActive) {
             return res.status(404).json({ success: false, message: 'Product not found' });
         }
 
         // Security: Calculate effective price from DB source of truth
-        // DO NOT trust client-provided priceModifier
-        let effectivePrice = product.price; // Base price
-        let verifiedStrap = null;
-
-        if (strap && strap.material) {
-            // Find the strap variant in the product document
-            // Assuming product.variants.straps exists and has the data
-            const dbStrap = product.variants?.straps?.find(
-                s => s.material === strap.material && s.inStock
-            );
-
-            if (!dbStrap) {
-                return res.status(400).json({ success: false, message: 'Invalid or unavailable strap option' });
-            }
-
-            effectivePrice += dbStrap.priceModifier || 0;
-
-            // Store the verified strap data, not the user input
-            verifiedStrap = {
-                material: dbStrap.material,
-                priceModifier: dbStrap.priceModifier
-            };
-        }
+        // DO NOT trust client-provided priceModifier or hex values
+        const {
+            color: verifiedColor,
+            strap: verifiedStrap,
+            sku,
+            unitPrice: effectivePrice,
+        } = resolveVariants(product, { color, strap });
 
         let cart = await Cart.findOne({ user: userId });
         if (!cart) {
@@ -70,10 +116,17 @@ const addToCart = async (req, res) => {
         // Check if identical item exists (same product + same variants)
         const itemIndex = cart.items.findIndex(item =>
             item.product.toString() === productId &&
-            item.color?.name === color?.name &&
+            item.color?.name === verifiedColor?.name &&
             item.strap?.material === verifiedStrap?.material
         );
 
+        // Stock is checked for the chosen combination when the product has SKUs
+        const available = sku ? sku.stock : product.stock;
+        const requested = quantity + (itemIndex > -1 ? cart.items[itemIndex].quantity : 0);
+        if (requested > available) {
+            return res.status(400).json({ success: false, message: `Only ${available} left in stock` });
+        }
+
         if (itemIndex > -1) {
             // Update quantity
             cart.items[itemIndex].quantity += quantity;
@@ -85,8 +138,9 @@ const addToCart = async (req, res) => {
                 product: productId,
                 quantity,
                 price: effectivePrice,
-                color,
-                strap: verifiedStrap, // Use verified strap object
+                color: verifiedColor,
+                strap: verifiedStrap, // Use verified variant objects
+                sku: sku ? sku.sku : undefined,
             });
         }
 
@@ -97,6 +151,10 @@ const addToCart = async (req, res) => {
 
         res.status(200).json({ success: true, data: cart, message: 'Item added to cart' });
     } catch (error) {
+        // Unavailable variant errors carry their own status
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
         console.error('Add to cart error:', error);
         res.status(500).json({ success: false, message: 'Failed to add item to cart' });
     }
@@ -125,12 +183,27 @@ const updateCartItem = async (req, res) => {
             return res.status(404).json({ success: false, message: 'Item not found in cart' });
         }
 
+        const product = await Product.findById(item.product);
+        if (!product) {
+            return res.status(404).json({ success: false, message: 'Product not found' });
+        }
+
+        const { sku } = resolveVariants(product, { color: item.color, strap: item.strap });
+        const available = sku ? sku.stock : product.stock;
+        if (quantity > available) {
+            return res.status(400).json({ success: false, message: `Only ${available} left in stock` });
+        }
+
         item.quantity = quantity;
         await cart.save();
         await cart.populate('items.product', 'name slug images price stock');
 
         res.status(200).json({ success: true, data: cart });
     } catch (error) {
+        // Unavailable variant errors carry their own status
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
         console.error('Update cart error:', error);
         res.status(500).json({ success: false, message: 'Failed to update cart' });
     }
@@ -167,6 +240,7 @@ const clearCart = async (req, res) => {
         const cart = await Cart.findOne({ user: req.user._id });
         if (cart) {
             cart.items = [];
+            cart.promotionCode = undefined;
             await cart.save();
         }
         res.status(200).json({ success: true, data: { items: [], subtotal: 0 } });
@@ -176,10 +250,213 @@ const clearCart = async (req, res) => {
     }
 };
 
+/**
+ * Apply a promotion code to the cart
+ * @route POST /api/cart/promotion
+ */
+const applyPromotion = async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        if (!code || typeof code !== 'string') {
+            return res.status(400).json({ success: false, message: 'Promotion code is required' });
+        }
+
+        const cart = await Cart.findOne({ user: req.user._id });
+        if (!cart || cart.items.length === 0) {
+            return res.status(400).json({ success: false, message: 'Your cart is empty' });
+        }
+
+        // Validate against current prices and the cart contents
+        const { pricing, promotion } = await quoteOrder(cart.items, {
+            promotionCode: code,
+            userId: req.user._id,
+        });
+
+        cart.promotionCode = promotion.code;
+        await cart.save();
+        await cart.populate('items.product', 'name slug images price stock');
+
+        res.status(200).json({
+            success: true,
+            data: cart,
+            pricing,
+            message: 'Promotion code applied',
+        });
+    } catch (error) {
+        // Promotion and item errors carry their own status
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        console.error('Apply promotion error:', error);
+        res.status(500).json({ success: false, message: 'Failed to apply promotion code' });
+    }
+};
+
+/**
+ * Remove the promotion code from the cart
+ * @route DELETE /api/cart/promotion
+ */
+const removePromotion = async (req, res) => {
+    try {
+        const cart = await Cart.findOne({ user: req.user._id });
+        if (!cart) return res.status(404).json({ success: false, message: 'Cart not found' });
+
+        cart.promotionCode = undefined;
+        await cart.save();
+        await cart.populate('items.product', 'name slug images price stock');
+
+        res.status(200).json({ success: true, data: cart, message: 'Promotion code removed' });
+    } catch (error) {
+        console.error('Remove promotion error:', error);
+        res.status(500).json({ success: false, message: 'Failed to remove promotion code' });
+    }
+};
+
+/**
+ * Restore the cart from an abandoned cart reminder link
+ * Refills the cart with the reminded items if it has been emptied since
+ * @route POST /api/cart/recover
+ */
+const recoverCart = async (req, res) => {
+    try {
+        const result = await restoreCartFromReminder(req.user._id, req.body.token);
+        if (!result) {
+            return res.status(404).json({ success: false, message: 'This cart link is no longer valid' });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: result.cart,
+            restoredCount: result.restoredCount,
+        });
+    } catch (error) {
+        console.error('Recover cart error:', error);
+        res.status(500).json({ success: false, message: 'Failed to restore cart' });
+    }
+};
+
+/**
+ * Merge a guest cart into the user's cart after login
+ * Lines for the same product and variants are combined and clamped to
+ * stock. Items that cannot be added in full are reported in `adjustments`
+ * rather than failing the whole merge.
+ * @route POST /api/cart/merge
+ */
+const mergeCart = async (req, res) => {
+    try {
+        const { items } = req.body;
+
+        if (!Array.isArray(items) || items.length > MAX_MERGE_ITEMS) {
+            return res.status(400).json({
+                success: false,
+                message: `Items must be a list of at most ${MAX_MERGE_ITEMS} cart lines`
+            });
+        }
+
+        let cart = await Cart.findOne({ user: req.user._id });
+        if (!cart) {
+            cart = new Cart({ user: req.user._id, items: [] });
+        }
+
+        const products = await Product.find({
+            _id: { $in: items.map(item => item?.productId).filter(id => mongoose.Types.ObjectId.isValid(id)) },
+        });
+
+        const adjustments = [];
+        for (const item of items) {
+            const quantity = parseInt(item?.quantity, 10);
+            if (!(quantity >= 1) || !mongoose.Types.ObjectId.isValid(item.productId)) continue;
+
+            const product = products.find(p => p._id.equals(item.productId));
+            const adjustment = {
+                productId: item.productId,
+                name: product?.name,
+                color: item.color?.name,
+                strap: item.strap?.material,
+                requested: quantity,
+                added: 0,
+            };
+
+            if (!product || !product.isActive) {
+                adjustments.push({ ...adjustment, reason: 'unavailable' });
+                continue;
+            }
+
+            let resolved;
+            try {
+                resolved = resolveVariants(product, { color: item.color, strap: item.strap });
+            } catch (error) {
+                if (!error.statusCode) throw error;
+                adjustments.push({ ...adjustment, reason: 'unavailable', message: error.message });
+                continue;
+            }
+
+            const { color, strap, sku, unitPrice } = resolved;
+            const line = cart.items.find(cartItem =>
+                cartItem.product.equals(product._id) &&
+                cartItem.color?.name === color?.name &&
+                cartItem.strap?.material === strap?.material
+            );
+
+            const available = sku ? sku.stock : product.stock;
+            const current = line ? line.quantity : 0;
+            const added = Math.max(Math.min(current + quantity, available) - current, 0);
+
+            if (added < quantity) {
+                adjustments.push({
+                    ...adjustment,
+                    added,
+                    available,
+                    reason: available > 0 ? 'limited_stock' : 'out_of_stock',
+                });
+            }
+            if (added === 0) continue;
+
+            if (line) {
+                line.quantity += added;
+                line.price = unitPrice;
+            } else {
+                cart.items.push({
+                    product: product._id,
+                    quantity: added,
+                    price: unitPrice,
+                    color,
+                    strap,
+                    sku: sku ? sku.sku : undefined,
+                });
+            }
+        }
+
+        if (cart.isNew || cart.isModified()) {
+            await cart.save();
+        }
+        await cart.populate('items.product', 'name slug images price stock');
+
+        res.status(200).json({
+            success: true,
+            data: cart,
+            adjustments,
+            message: adjustments.length > 0
+                ? 'Some items from your bag could not be added in full'
+                : 'Your bag has been saved to your account'
+        });
+    } catch (error) {
+        console.error('Merge cart error:', error);
+        res.status(500).json({ success: false, message: 'Failed to merge cart' });
+    }
+};
+
 module.exports = {
     getCart,
+    validateCart,
+    acknowledgeCartChanges,
     addToCart,
     updateCartItem,
     removeFromCart,
-    clearCart
+    clearCart,
+    applyPromotion,
+    removePromotion,
+    recoverCart,
+    mergeCart
 };
@@ -0,0 +1,187 @@
+const EmailMessage = require('../models/EmailMessage');
+const { listTemplates, renderTemplate } = require('../templates/emails');
+const { requeueEmail } = require('../utils/emailOutbox');
+const { logEmailAction } = require('../utils/auditLogger');
+
+/**
+ * Email Controller
+ * Template previews and the delivery outbox for admins
+ *
+ * Security:
+ * - Admin routes require admin role (enforced by middleware)
+ * - Bodies of sensitive messages (one-time links and codes) are never
+ *   returned; previews only ever render sample data
+ */
+
+const MESSAGE_STATUSES = ['queued', 'sending', 'sent', 'dead'];
+
+// Outbox listing without message bodies
+const SUMMARY_FIELDS = '-html -text';
+
+/**
+ * @desc    List email templates
+ * @route   GET /api/admin/emails/templates
+ * @access  Private/Admin
+ */
+exports.getEmailTemplates = async (req, res, next) => {
+    try {
+        res.status(200).json({
+            success: true,
+            data: { templates: listTemplates() },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Render a template with its sample data
+ * @route   GET /api/admin/emails/templates/:name/preview?version=
+ * @access  Private/Admin
+ */
+exports.previewEmailTemplate = async (req, res, next) => {
+    try {
+        const version = req.query.version !== undefined ? parseInt(req.query.version) : undefined;
+        const preview = renderTemplate(req.params.name, null, { version, sample: true });
+
+        res.status(200).json({
+            success: true,
+            data: { preview },
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * @desc    List outbox messages with counts per status
+ * @route   GET /api/admin/emails/outbox?status=&template=&to=
+ * @access  Private/Admin
+ */
+exports.getOutboxMessages = async (req, res, next) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const filter = {};
+        if (MESSAGE_STATUSES.includes(req.query.status)) {
+            filter.status = req.query.status;
+        }
+        if (typeof req.query.template === 'string' && req.query.template) {
+            filter.template = req.query.template;
+        }
+        if (typeof req.query.to === 'string' && req.query.to) {
+            filter.to = req.query.to.trim().toLowerCase();
+        }
+
+        const [messages, total, statusCounts] = await Promise.all([
+            EmailMessage.find(filter)
+                .select(SUMMARY_FIELDS)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            EmailMessage.countDocuments(filter),
+            EmailMessage.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+        ]);
+
+        const counts = Object.fromEntries(MESSAGE_STATUSES.map(status => [status, 0]));
+        statusCounts.forEach(({ _id, count }) => {
+            counts[_id] = count;
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                messages,
+                counts,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit),
+                },
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get one outbox message
+ *          The body is included only for non-sensitive messages
+ * @route   GET /api/admin/emails/outbox/:id
+ * @access  Private/Admin
+ */
+exports.getOutboxMessage = async (req, res, next) => {
+    try {
+        const message = await EmailMessage.findById(req.params.id);
+
+        if (!message) {
+            return res.status(404).json({
+                success: false,
+                message: 'Email not found',
+            });
+        }
+
+        const data = message.toObject();
+        if (message.sensitive) {
+            delete data.html;
+            delete data.text;
+        }
+
+        res.status(200).json({
+            success: true,
+            data: { message: data },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Put a dead-lettered message back into the queue
+ * @route   POST /api/admin/emails/outbox/:id/retry
+ * @access  Private/Admin
+ */
+exports.retryOutboxMessage = async (req, res, next) => {
+    try {
+        const message = await requeueEmail(req.params.id);
+
+        if (!message) {
+            const exists = await EmailMessage.exists({ _id: req.params.id });
+            return res.status(exists ? 400 : 404).json({
+                success: false,
+                message: exists ? 'Only dead-lettered emails can be retried' : 'Email not found',
+            });
+        }
+
+        await logEmailAction('email_requeued', {
+            userId: req.user._id,
+            email: req.user.email,
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent'),
+            resourceId: message._id,
+            metadata: { template: message.template, to: message.to, lastError: message.lastError },
+        });
+
+        const data = message.toObject();
+        delete data.html;
+        delete data.text;
+
+        res.status(200).json({
+            success: true,
+            message: 'Email queued for delivery',
+            data: { message: data },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
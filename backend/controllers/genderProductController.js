@@ -1,26 +1,21 @@
 const Product = require('../models/Product');
+const { SORT_FIELDS, SORT_ALIASES } = require('../utils/productFilters');
+const { readPagination, paginate } = require('../utils/cursorPagination');
 
 /**
- * Get products by gender/category
+ * Get products by gender
  * This is a specialized query for Men/Women pages
+ * Unisex pieces are listed on both pages
  * 
  * @param {string} gender - 'men' or 'women'
  * @param {object} filters - Additional filters (movement, strap, etc.)
  * @returns {Promise} Products matching gender and filters
  */
 const getProductsByGender = async (gender, filters = {}) => {
-    const query = { isActive: true };
-
-    // Gender-specific categories
-    // In a real app, you'd have a 'gender' field in the Product model
-    // For now, we'll use category-based filtering as a demo
-    if (gender === 'men') {
-        // Men's watches are typically: sport, chronograph, dive
-        query.category = { $in: ['sport', 'luxury'] };
-    } else if (gender === 'women') {
-        // Women's watches are typically: elegant, vintage, casual
-        query.category = { $in: ['vintage', 'casual', 'smart'] };
-    }
+    const query = {
+        isActive: true,
+        audience: { $in: [gender, 'unisex'] },
+    };
 
     // Apply additional filters
     if (filters.movement) {
@@ -31,10 +26,11 @@ const getProductsByGender = async (gender, filters = {}) => {
         query['specifications.strapMaterial'] = filters.strapMaterial;
     }
 
+    // Price charged now, so sale prices are matched
     if (filters.minPrice || filters.maxPrice) {
-        query.price = {};
-        if (filters.minPrice) query.price.$gte = Number(filters.minPrice);
-        if (filters.maxPrice) query.price.$lte = Number(filters.maxPrice);
+        query.effectivePrice = {};
+        if (filters.minPrice) query.effectivePrice.$gte = Number(filters.minPrice);
+        if (filters.maxPrice) query.effectivePrice.$lte = Number(filters.maxPrice);
     }
 
     if (filters.search) {
@@ -52,9 +48,6 @@ const getProductsByGender = async (gender, filters = {}) => {
 const getMensProducts = async (req, res) => {
     try {
         const {
-            page = 1,
-            limit = 12,
-            sort = '-createdAt',
             movement,
             strapMaterial,
             minPrice,
@@ -70,29 +63,27 @@ const getMensProducts = async (req, res) => {
             search,
         });
 
-        const skip = (Number(page) - 1) * Number(limit);
-
-        const products = await Product.find(query)
-            .sort(sort)
-            .limit(Number(limit))
-            .skip(skip)
-            .select('-createdBy -updatedBy');
-
-        const total = await Product.countDocuments(query);
+        // Page number or cursor (`cursor=` for the first page)
+        const { items: products, pagination } = await paginate(Product, query, {
+            ...readPagination(req.query, { defaultLimit: 12, sortFields: SORT_FIELDS, sortAliases: SORT_ALIASES }),
+            select: '-createdBy -updatedBy',
+        });
 
         res.status(200).json({
             success: true,
             data: {
                 products,
-                pagination: {
-                    page: Number(page),
-                    limit: Number(limit),
-                    total,
-                    pages: Math.ceil(total / Number(limit)),
-                },
+                pagination,
             },
         });
     } catch (error) {
+        // Invalid or mismatched cursor
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+            });
+        }
         console.error('Get mens products error:', error);
         res.status(500).json({
             success: false,
@@ -110,9 +101,6 @@ const getMensProducts = async (req, res) => {
 const getWomensProducts = async (req, res) => {
     try {
         const {
-            page = 1,
-            limit = 12,
-            sort = '-createdAt',
             movement,
             strapMaterial,
             minPrice,
@@ -128,29 +116,27 @@ const getWomensProducts = async (req, res) => {
             search,
         });
 
-        const skip = (Number(page) - 1) * Number(limit);
-
-        const products = await Product.find(query)
-            .sort(sort)
-            .limit(Number(limit))
-            .skip(skip)
-            .select('-createdBy -updatedBy');
-
-        const total = await Product.countDocuments(query);
+        // Page number or cursor (`cursor=` for the first page)
+        const { items: products, pagination } = await paginate(Product, query, {
+            ...readPagination(req.query, { defaultLimit: 12, sortFields: SORT_FIELDS, sortAliases: SORT_ALIASES }),
+            select: '-createdBy -updatedBy',
+        });
 
         res.status(200).json({
             success: true,
             data: {
                 products,
-                pagination: {
-                    page: Number(page),
-                    limit: Number(limit),
-                    total,
-                    pages: Math.ceil(total / Number(limit)),
-                },
+                pagination,
             },
         });
     } catch (error) {
+        // Invalid or mismatched cursor
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+            });
+        }
         console.error('Get womens products error:', error);
         res.status(500).json({
             success: false,
@@ -6,21 +6,24 @@ if (process.env.STRIPE_SECRET_KEY) {
 }
 
 const Order = require('../models/Order');
-const Product = require('../models/Product');
 const { logOrderAction } = require('../utils/auditLogger');
-const crypto = require('crypto');
+const {
+  generateOrderNumber,
+  createOrderError,
+  quoteOrder,
+  reserveOrder,
+  releaseOrder,
+  syncReservationsForStatusChange,
+} = require('../utils/orderUtils');
+const { runInTransaction } = require('../utils/transaction');
+const { notifyOrderEvent, notifyOrderStatusChange } = require('../utils/orderNotifications');
+const { markCartRecovered } = require('../utils/cartRecovery');
 
 /**
  * Order Controller
  * Handles order management and processing
  */
 
-const generateOrderNumber = () => {
-  const timestamp = Date.now().toString(36);
-  const random = crypto.randomBytes(3).toString('hex').toUpperCase();
-  return `ORD-${timestamp}-${random}`;
-};
-
 /**
  * @desc    Create new order
  * @route   POST /api/orders
@@ -28,59 +31,30 @@ const generateOrderNumber = () => {
  */
 const createOrder = async (req, res) => {
   try {
-    const { items, shippingAddress, billingAddress, payment } = req.body;
-
-    // Validate and process order items
-    const orderItems = [];
-    let subtotal = 0;
-
-    for (const item of items) {
-      const product = await Product.findById(item.product);
-
-      if (!product) {
-        return res.status(404).json({
-          success: false,
-          message: `Product with ID ${item.product} not found`,
-        });
-      }
-
-      if (!product.isActive) {
-        return res.status(400).json({
-          success: false,
-          message: `Product ${product.name} is not available`,
-        });
-      }
-
-      // Security: Validate stock availability
-      if (product.stock < item.quantity) {
-        return res.status(400).json({
+    const { items, shippingAddress, billingAddress, payment, promotionCode, shippingMethod } = req.body;
+
+    // Card payments create their order up front via POST /api/payment/create-intent.
+    // Reject a second order for the same PaymentIntent.
+    if (payment && payment.transactionId) {
+      const existingOrder = await Order.findOne({ 'payment.transactionId': payment.transactionId });
+      if (existingOrder) {
+        return res.status(409).json({
           success: false,
-          message: `Insufficient stock for ${product.name}. Available: ${product.stock}`,
+          message: 'An order already exists for this payment',
+          data: { orderId: existingOrder._id, orderNumber: existingOrder.orderNumber },
         });
       }
-
-      const itemSubtotal = product.price * item.quantity;
-      subtotal += itemSubtotal;
-
-      orderItems.push({
-        product: product._id,
-        productSnapshot: {
-          name: product.name,
-          brand: product.brand,
-          model: product.model,
-          price: product.price,
-          imageUrl: product.images && product.images.length > 0 ? product.images[0].url : null,
-        },
-        quantity: item.quantity,
-        priceAtPurchase: product.price,
-        subtotal: itemSubtotal,
-      });
     }
 
-    // Calculate totals
-    const tax = subtotal * 0.1; // 10% tax (configurable)
-    const shipping = subtotal > 100 ? 0 : 10; // Free shipping over $100
-    const total = subtotal + tax + shipping;
+    // Validate items, apply any promotion and calculate totals
+    const quote = await quoteOrder(items, {
+      promotionCode,
+      userId: req.user._id,
+      shippingAddress,
+      shippingMethod,
+    });
+    const { orderItems, pricing, promotion } = quote;
+    const { total } = pricing;
 
     // Determine initial status based on payment
     let paymentStatus = 'pending';
@@ -131,36 +105,32 @@ const createOrder = async (req, res) => {
       }
     }
 
-    // Create order
-    const order = await Order.create({
-      orderNumber: generateOrderNumber(),
-      user: req.user._id,
-      items: orderItems,
-      shippingAddress,
-      billingAddress,
-      payment: {
-        method: payment.method,
-        status: paymentStatus,
-        transactionId: payment.transactionId,
-        cardLastFour: payment.cardLastFour || null,
-        paidAt: paidAt
-      },
-      pricing: {
-        subtotal,
-        tax,
-        shipping,
-        discount: 0,
-        total,
-      },
-      status: orderStatus,
-    });
+    // Reserve stock (and the promotion) and create the order atomically: if any
+    // line item is out of stock, nothing is taken and no order is written
+    const order = await runInTransaction(async (session) => {
+      await reserveOrder({ items: orderItems, promotion, user: req.user._id }, session);
+
+      const [createdOrder] = await Order.create([{
+        orderNumber: generateOrderNumber(),
+        user: req.user._id,
+        items: orderItems,
+        shippingAddress,
+        billingAddress,
+        payment: {
+          method: payment.method,
+          status: paymentStatus,
+          transactionId: payment.transactionId,
+          cardLastFour: payment.cardLastFour || null,
+          paidAt: paidAt
+        },
+        pricing,
+        shippingMethod: quote.shippingMethod,
+        promotion,
+        status: orderStatus,
+      }], { session });
 
-    // Update product stock
-    for (const item of orderItems) {
-      await Product.findByIdAndUpdate(item.product, {
-        $inc: { stock: -item.quantity },
-      });
-    }
+      return createdOrder;
+    });
 
     await logOrderAction('order_created', {
       userId: req.user._id,
@@ -175,6 +145,12 @@ const createOrder = async (req, res) => {
       },
     });
 
+    // Emails are sent in the background; failures are logged, not returned
+    notifyOrderEvent(order, 'confirmation');
+
+    // Stops abandoned cart reminders and credits any reminder cycle
+    markCartRecovered(req.user._id, order);
+
     const populatedOrder = await Order.findById(order._id)
       .populate('items.product', 'name brand model');
 
@@ -184,6 +160,14 @@ const createOrder = async (req, res) => {
       data: { order: populatedOrder },
     });
   } catch (error) {
+    // Item validation and stock errors from orderUtils carry their own status
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     console.error('Create order error:', error);
     res.status(500).json({
       success: false,
@@ -307,44 +291,42 @@ const updateOrderStatus = async (req, res) => {
       });
     }
 
-    const order = await Order.findById(req.params.id);
+    // Status change and stock adjustment succeed or fail together
+    let oldStatus;
+    const order = await runInTransaction(async (session) => {
+      const order = await Order.findById(req.params.id).session(session);
 
-    if (!order) {
-      return res.status(404).json({
-        success: false,
-        message: 'Order not found',
-      });
-    }
+      if (!order) {
+        throw createOrderError(404, 'Order not found');
+      }
 
-    const oldStatus = order.status;
-    order.status = status;
+      oldStatus = order.status;
+      order.status = status;
 
-    // Add to status history
-    order.statusHistory.push({
-      status,
-      timestamp: new Date(),
-      note: note || null,
-      updatedBy: req.user._id,
-    });
+      // Add to status history
+      order.statusHistory.push({
+        status,
+        timestamp: new Date(),
+        note: note || null,
+        updatedBy: req.user._id,
+      });
 
-    // Handle specific status changes
-    if (status === 'delivered') {
-      order.deliveredAt = new Date();
-    } else if (status === 'cancelled') {
-      order.cancelledAt = new Date();
-      if (note) {
-        order.cancellationReason = note;
+      // Handle specific status changes
+      if (status === 'delivered') {
+        order.deliveredAt = new Date();
+      } else if (status === 'cancelled') {
+        order.cancelledAt = new Date();
+        if (note) {
+          order.cancellationReason = note;
+        }
       }
 
-      // Restore product stock
-      for (const item of order.items) {
-        await Product.findByIdAndUpdate(item.product, {
-          $inc: { stock: item.quantity },
-        });
-      }
-    }
+      // Restore (or re-reserve) product stock and promotion usage
+      await syncReservationsForStatusChange(order, oldStatus, status, session);
 
-    await order.save();
+      await order.save({ session });
+      return order;
+    });
 
     await logOrderAction('order_updated', {
       userId: req.user._id,
@@ -360,12 +342,21 @@ const updateOrderStatus = async (req, res) => {
       },
     });
 
+    notifyOrderStatusChange(order, oldStatus);
+
     res.status(200).json({
       success: true,
       message: 'Order status updated successfully',
       data: { order },
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     console.error('Update order status error:', error);
     res.status(500).json({
       success: false,
@@ -384,50 +375,42 @@ const cancelOrder = async (req, res) => {
   try {
     const { reason } = req.body;
 
-    const order = await Order.findById(req.params.id);
+    // Re-read the order inside the transaction so two concurrent
+    // cancellations cannot both restore the stock
+    const order = await runInTransaction(async (session) => {
+      const order = await Order.findById(req.params.id).session(session);
 
-    if (!order) {
-      return res.status(404).json({
-        success: false,
-        message: 'Order not found',
-      });
-    }
-
-    // Security: Users can only cancel their own orders
-    if (req.user.role.name !== 'admin' && order.user.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
+      if (!order) {
+        throw createOrderError(404, 'Order not found');
+      }
 
-    // Can only cancel pending or confirmed orders
-    if (!['pending', 'confirmed'].includes(order.status)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Order cannot be cancelled at this stage',
-      });
-    }
+      // Security: Users can only cancel their own orders
+      if (req.user.role.name !== 'admin' && order.user.toString() !== req.user._id.toString()) {
+        throw createOrderError(403, 'Access denied');
+      }
 
-    order.status = 'cancelled';
-    order.cancelledAt = new Date();
-    order.cancellationReason = reason || 'Customer request';
+      // Can only cancel pending or confirmed orders
+      if (!['pending', 'confirmed'].includes(order.status)) {
+        throw createOrderError(400, 'Order cannot be cancelled at this stage');
+      }
 
-    order.statusHistory.push({
-      status: 'cancelled',
-      timestamp: new Date(),
-      note: reason || 'Customer request',
-      updatedBy: req.user._id,
-    });
+      order.status = 'cancelled';
+      order.cancelledAt = new Date();
+      order.cancellationReason = reason || 'Customer request';
 
-    // Restore product stock
-    for (const item of order.items) {
-      await Product.findByIdAndUpdate(item.product, {
-        $inc: { stock: item.quantity },
+      order.statusHistory.push({
+        status: 'cancelled',
+        timestamp: new Date(),
+        note: reason || 'Customer request',
+        updatedBy: req.user._id,
       });
-    }
 
-    await order.save();
+      // Restore product stock and promotion usage
+      await releaseOrder(order, session);
+
+      await order.save({ session });
+      return order;
+    });
 
     await logOrderAction('order_cancelled', {
       userId: req.user._id,
@@ -441,12 +424,21 @@ const cancelOrder = async (req, res) => {
       },
     });
 
+    notifyOrderEvent(order, 'cancelled');
+
     res.status(200).json({
       success: true,
       message: 'Order cancelled successfully',
       data: { order },
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     console.error('Cancel order error:', error);
     res.status(500).json({
       success: false,
@@ -472,7 +464,7 @@ const updatePaymentStatus = async (req, res) => {
       });
     }
 
-    const validStatuses = ['pending', 'completed', 'failed', 'refunded'];
+    const validStatuses = ['pending', 'completed', 'failed', 'partially_refunded', 'refunded'];
     if (!validStatuses.includes(status)) {
       return res.status(400).json({
         success: false,
@@ -1,6 +1,15 @@
 const Stripe = require('stripe');
-const Product = require('../models/Product');
 const Order = require('../models/Order');
+const { logOrderAction, logSecurityEvent } = require('../utils/auditLogger');
+const {
+    generateOrderNumber,
+    quoteOrder,
+    reserveOrder,
+    releaseOrder,
+} = require('../utils/orderUtils');
+const { runInTransaction } = require('../utils/transaction');
+const { notifyOrderEvent } = require('../utils/orderNotifications');
+const { markCartRecovered } = require('../utils/cartRecovery');
 
 // Initialize Stripe securely
 // Prevent crash if key is missing during dev
@@ -22,6 +31,163 @@ if (stripeKey && stripeKey.trim().length > 0) {
  * Handles Stripe payment intents and interactions
  */
 
+/**
+ * Cancel an unpaid order and return its reserved stock
+ * Safe to call repeatedly: only pending, unpaid orders are touched, and the
+ * order is re-read inside the transaction so stock is returned only once.
+ */
+const cancelUnpaidOrder = async (orderId, note) => {
+    return runInTransaction(async (session) => {
+        const order = await Order.findById(orderId).session(session);
+
+        if (!order || order.status !== 'pending' || order.payment.status === 'completed') {
+            return false;
+        }
+
+        order.status = 'cancelled';
+        order.cancelledAt = new Date();
+        order.cancellationReason = note;
+        await order.save({ session });
+
+        await releaseOrder(order, session);
+        return true;
+    });
+};
+
+/**
+ * Mark the order tied to a succeeded PaymentIntent as paid and confirmed
+ * Shared by the webhook and the client-side confirmation fallback.
+ * Idempotent: an already completed payment is left untouched.
+ *
+ * @returns {Promise<Object|null>} The order, or null if none is tied to the intent
+ */
+const confirmOrderPayment = async (paymentIntent, ipAddress) => {
+    const order = await Order.findOne({ 'payment.transactionId': paymentIntent.id });
+
+    if (!order) {
+        console.error(`No order found for PaymentIntent ${paymentIntent.id}`);
+        return null;
+    }
+
+    if (order.payment.status === 'completed') {
+        return order;
+    }
+
+    // Security: The intent amount is set server-side, but verify it anyway
+    const expectedAmount = Math.round(order.pricing.total * 100);
+    if (paymentIntent.amount !== expectedAmount) {
+        console.error(`SECURITY ALERT: Payment amount mismatch for order ${order.orderNumber}. Expected: ${expectedAmount}, Paid: ${paymentIntent.amount}`);
+
+        await logSecurityEvent('suspicious_activity', {
+            userId: order.user,
+            ipAddress,
+            metadata: {
+                reason: 'payment_amount_mismatch',
+                orderNumber: order.orderNumber,
+                expectedAmount,
+                paidAmount: paymentIntent.amount,
+                transactionId: paymentIntent.id,
+            },
+        });
+        return order;
+    }
+
+    const markPaid = (paidOrder) => {
+        paidOrder.payment.status = 'completed';
+        paidOrder.payment.paidAt = new Date();
+    };
+
+    let paidOrder;
+    try {
+        paidOrder = await runInTransaction(async (session) => {
+            const current = await Order.findById(order._id).session(session);
+            if (current.payment.status === 'completed') {
+                return current;
+            }
+
+            // A paid order that was cancelled meanwhile must re-reserve its stock
+            if (current.status === 'cancelled') {
+                await reserveOrder(current, session);
+                current.cancelledAt = undefined;
+                current.cancellationReason = undefined;
+            }
+
+            markPaid(current);
+            current.status = 'confirmed';
+            await current.save({ session });
+            return current;
+        });
+    } catch (error) {
+        if (error.statusCode !== 409) throw error;
+
+        // Paid after cancellation and the stock is gone: record the payment
+        // on the cancelled order so an admin can refund it
+        paidOrder = await Order.findById(order._id);
+        markPaid(paidOrder);
+        paidOrder.statusHistory.push({
+            status: paidOrder.status,
+            timestamp: new Date(),
+            note: 'Payment received after cancellation but stock is no longer available. Refund required.',
+        });
+        await paidOrder.save();
+    }
+
+    await logOrderAction('payment_completed', {
+        userId: paidOrder.user,
+        ipAddress,
+        resourceId: paidOrder._id,
+        metadata: {
+            orderNumber: paidOrder.orderNumber,
+            total: paidOrder.pricing.total,
+            transactionId: paymentIntent.id,
+        },
+    });
+
+    // Card orders are created unpaid, so they are confirmed to the customer
+    // and credited to any cart reminder cycle here
+    if (paidOrder.status === 'confirmed') {
+        notifyOrderEvent(paidOrder, 'confirmation');
+        markCartRecovered(paidOrder.user, paidOrder);
+    }
+
+    return paidOrder;
+};
+
+/**
+ * Record a failed payment attempt on the order tied to a PaymentIntent
+ * The order stays pending: Stripe lets the customer retry on the same intent.
+ */
+const failOrderPayment = async (paymentIntent, ipAddress) => {
+    const order = await Order.findOne({ 'payment.transactionId': paymentIntent.id });
+
+    if (!order || order.payment.status === 'completed') {
+        return null;
+    }
+
+    const reason = paymentIntent.last_payment_error?.message || 'Payment failed';
+
+    order.payment.status = 'failed';
+    order.statusHistory.push({
+        status: order.status,
+        timestamp: new Date(),
+        note: `Payment failed: ${reason}`,
+    });
+    await order.save();
+
+    await logOrderAction('payment_failed', {
+        userId: order.user,
+        ipAddress,
+        resourceId: order._id,
+        metadata: {
+            orderNumber: order.orderNumber,
+            transactionId: paymentIntent.id,
+            reason,
+        },
+    });
+
+    return order;
+};
+
 /**
  * @desc    Create Payment Intent
  * @route   POST /api/payment/create-intent
@@ -33,83 +199,59 @@ const createPaymentIntent = async (req, res) => {
             return res.status(503).json({ success: false, message: 'Payment system unavailable (Missing Config)' });
         }
 
-        const { items, shippingAddress } = req.body;
+        const { items, shippingAddress, billingAddress, promotionCode, shippingMethod } = req.body;
         const userId = req.user._id;
 
         if (!items || items.length === 0) {
             return res.status(400).json({ success: false, message: 'No items in cart' });
         }
 
-        // 1. Calculate total securely on backend
-        let totalAmount = 0;
-        const verifiedItems = [];
-
-        for (const item of items) {
-            // Robustly identify the product ID (handle populated vs unpopulated)
-            const productId = item.product?._id || item.product;
-
-            if (!productId) {
-                console.error("Invalid item structure:", item);
-                return res.status(400).json({ success: false, message: 'Invalid item in cart' });
-            }
-
-            const product = await Product.findById(productId);
-
-            if (!product) {
-                return res.status(404).json({
-                    success: false,
-                    message: `Product not found: ${item.name || 'Unknown Item'}`
-                });
-            }
-
-            // Verify stock
-            if (product.stock < item.quantity) {
-                return res.status(400).json({
-                    success: false,
-                    message: `Insufficient stock for ${product.name}`
-                });
-            }
+        if (!shippingAddress) {
+            return res.status(400).json({ success: false, message: 'Shipping address is required' });
+        }
 
-            // Calculate item total (price * quantity)
-            // Add any strap/variant logic if necessary, but sticking to base price for this task unless simplified
-            // Assuming price is in database. If variants modify price, we also need that logic here.
+        // 1. Supersede any earlier unpaid checkout so it stops holding stock
+        // and promotion redemptions before this checkout is quoted
+        const staleOrders = await Order.find({
+            user: userId,
+            status: 'pending',
+            'payment.status': { $in: ['pending', 'failed'] },
+            'payment.transactionId': { $exists: true },
+        });
 
-            const price = Number(product.price);
-            if (isNaN(price)) {
-                return res.status(500).json({ success: false, message: `Invalid price for product ${product.name}` });
+        for (const staleOrder of staleOrders) {
+            try {
+                await stripe.paymentIntents.cancel(staleOrder.payment.transactionId);
+            } catch (cancelError) {
+                // Intent may already be cancelled or processing; leave that order alone
+                console.warn(`Could not cancel PaymentIntent ${staleOrder.payment.transactionId}:`, cancelError.message);
+                continue;
             }
-
-            const itemTotal = price * item.quantity;
-            totalAmount += itemTotal;
-
-            verifiedItems.push({
-                product: product._id,
-                quantity: item.quantity,
-                priceAtPurchase: price,
-                subtotal: itemTotal
-            });
+            await cancelUnpaidOrder(staleOrder._id, 'Superseded by a new checkout');
         }
 
-        // Add Tax/Shipping if needed (Keeping simple: Free shipping, no tax logic implemented yet)
-
-        // Add Tax and Shipping (matching orderController logic)
-        const tax = totalAmount * 0.10; // 10% Tax
-        const shipping = totalAmount > 100 ? 0 : 10; // Free shipping > $100, else $10
-
-        const finalAmount = totalAmount + tax + shipping;
+        // 2. Calculate total securely on backend (same quote as createOrder)
+        const quote = await quoteOrder(items, {
+            promotionCode,
+            userId,
+            shippingAddress,
+            shippingMethod,
+        });
+        const { orderItems, pricing, promotion } = quote;
 
-        if (isNaN(finalAmount)) {
+        if (isNaN(pricing.total)) {
             return res.status(500).json({ success: false, message: 'Error calculating order total' });
         }
 
         // Convert to cents for Stripe
-        const amountInCents = Math.round(finalAmount * 100);
+        const amountInCents = Math.round(pricing.total * 100);
 
         if (amountInCents < 50) { // Stripe minimum is usually around 50 cents
             return res.status(400).json({ success: false, message: 'Order amount too low' });
         }
 
-        // 2. Create PaymentIntent
+        // 3. Create PaymentIntent
+        const orderNumber = generateOrderNumber();
         const paymentIntent = await stripe.paymentIntents.create({
             amount: amountInCents,
             currency: 'usd',
@@ -118,18 +260,80 @@ const createPaymentIntent = async (req, res) => {
             },
             metadata: {
                 userId: userId.toString(),
-                itemCount: items.length
+                orderNumber,
+                itemCount: orderItems.length,
+                promotionCode: promotion ? promotion.code : '',
+                shippingMethod: quote.shippingMethod.code
             }
         });
 
+        // 4. Reserve stock (and the promotion) and create the order as pending in one transaction,
+        // so the webhook can confirm it even if the client never returns after paying
+        let order;
+        try {
+            order = await runInTransaction(async (session) => {
+                await reserveOrder({ items: orderItems, promotion, user: userId }, session);
+
+                const [createdOrder] = await Order.create([{
+                    orderNumber,
+                    user: userId,
+                    items: orderItems,
+                    shippingAddress,
+                    billingAddress: billingAddress || shippingAddress,
+                    payment: {
+                        method: 'credit_card',
+                        status: 'pending',
+                        transactionId: paymentIntent.id,
+                    },
+                    pricing,
+                    shippingMethod: quote.shippingMethod,
+                    promotion,
+                    status: 'pending',
+                }], { session });
+
+                return createdOrder;
+            });
+        } catch (orderError) {
+            // Don't leave a payable intent without an order behind it
+            await stripe.paymentIntents.cancel(paymentIntent.id).catch(() => { });
+            throw orderError;
+        }
+
+        await logOrderAction('order_created', {
+            userId,
+            email: req.user.email,
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent'),
+            resourceId: order._id,
+            metadata: {
+                orderNumber,
+                total: pricing.total,
+                itemCount: orderItems.length,
+                transactionId: paymentIntent.id,
+            },
+        });
+
         res.status(200).json({
             success: true,
             clientSecret: paymentIntent.client_secret,
-            amount: totalAmount,
+            orderId: order._id,
+            orderNumber,
+            pricing,
+            shippingMethod: quote.shippingMethod,
+            amount: pricing.total,
             currency: 'USD'
         });
 
     } catch (error) {
+        // Item validation and stock errors from orderUtils carry their own status
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ success: false, message: 'Invalid shipping or billing address' });
+        }
+
         console.error('Create Payment Intent Error:', error);
         res.status(500).json({
             success: false,
@@ -139,6 +343,59 @@ const createPaymentIntent = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Confirm payment from the client after Stripe reports success
+ *          (fallback for when the webhook is delayed or not configured)
+ * @route   POST /api/payment/confirm
+ * @access  Private (Logged in users only)
+ */
+const confirmPayment = async (req, res) => {
+    try {
+        if (!stripe) {
+            return res.status(503).json({ success: false, message: 'Payment system unavailable (Missing Config)' });
+        }
+
+        const { paymentIntentId } = req.body;
+
+        if (!paymentIntentId || typeof paymentIntentId !== 'string') {
+            return res.status(400).json({ success: false, message: 'Payment intent ID is required' });
+        }
+
+        const existingOrder = await Order.findOne({ 'payment.transactionId': paymentIntentId });
+
+        // Security: Customers can only confirm their own orders
+        if (!existingOrder || existingOrder.user.toString() !== req.user._id.toString()) {
+            return res.status(404).json({ success: false, message: 'Order not found' });
+        }
+
+        // Security: Trust Stripe's record of the intent, not the client's
+        const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+
+        if (paymentIntent.status !== 'succeeded') {
+            return res.status(202).json({
+                success: true,
+                message: `Payment not completed yet. Status: ${paymentIntent.status}`,
+                data: { order: existingOrder },
+            });
+        }
+
+        const order = await confirmOrderPayment(paymentIntent, req.ip);
+
+        res.status(200).json({
+            success: true,
+            message: 'Payment confirmed',
+            data: { order },
+        });
+    } catch (error) {
+        console.error('Confirm Payment Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to confirm payment',
+            error: error.message
+        });
+    }
+};
+
 /**
  * @desc    Handle Stripe Webhooks
  * @route   POST /api/payment/webhook
@@ -148,6 +405,10 @@ const handleStripeWebhook = async (req, res) => {
     const sig = req.headers['stripe-signature'];
     const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET;
 
+    if (!stripe) {
+        return res.status(503).send('Payment system unavailable');
+    }
+
     let event;
 
     try {
@@ -157,29 +418,37 @@ const handleStripeWebhook = async (req, res) => {
         return res.status(400).send(`Webhook Error: ${err.message}`);
     }
 
-    // Handle the event
-    switch (event.type) {
-        case 'payment_intent.succeeded':
-            const paymentIntent = event.data.object;
-            console.log(`PaymentIntent for ${paymentIntent.amount} was successful!`);
-
-            // Here you would typically look up the order by paymentIntent.id
-            // and update its status to 'confirmed' / 'paid'
-            // Since we currently create orders AFTER payment on client, 
-            // this webhook acts as a redundant check or for async payment methods.
-
-            // To make "Order Creation" fully secure against network dropouts,
-            // we should ideally create the order in "Pending" state BEFORE payment,
-            // and then use this webhook to flip it to "Confirmed".
-
-            break;
-        case 'payment_intent.payment_failed':
-            const failedIntent = event.data.object;
-            console.error(`Payment failed: ${failedIntent.last_payment_error?.message}`);
-            break;
-        default:
-            // Unexpected event type
-            console.log(`Unhandled event type ${event.type}.`);
+    try {
+        // Handle the event
+        switch (event.type) {
+            case 'payment_intent.succeeded': {
+                const paymentIntent = event.data.object;
+                console.log(`PaymentIntent for ${paymentIntent.amount} was successful!`);
+                await confirmOrderPayment(paymentIntent, req.ip);
+                break;
+            }
+            case 'payment_intent.payment_failed': {
+                const failedIntent = event.data.object;
+                console.error(`Payment failed: ${failedIntent.last_payment_error?.message}`);
+                await failOrderPayment(failedIntent, req.ip);
+                break;
+            }
+            case 'payment_intent.canceled': {
+                const canceledIntent = event.data.object;
+                const order = await Order.findOne({ 'payment.transactionId': canceledIntent.id });
+                if (order) {
+                    await cancelUnpaidOrder(order._id, 'Payment cancelled');
+                }
+                break;
+            }
+            default:
+                // Unexpected event type
+                console.log(`Unhandled event type ${event.type}.`);
+        }
+    } catch (error) {
+        // Respond with an error so Stripe retries the event later
+        console.error(`Webhook handler error for ${event.type}:`, error);
+        return res.status(500).send('Webhook handler failed');
     }
 
     // Return a 200 response to acknowledge receipt of the event
@@ -188,5 +457,6 @@ const handleStripeWebhook = async (req, res) => {
 
 module.exports = {
     createPaymentIntent,
+    confirmPayment,
     handleStripeWebhook
 };
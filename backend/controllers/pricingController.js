@@ -0,0 +1,346 @@
+const TaxRate = require('../models/TaxRate');
+const ShippingMethod = require('../models/ShippingMethod');
+const { logPricingAction } = require('../utils/auditLogger');
+const { quoteOrder } = require('../utils/orderUtils');
+const { DEFAULT_TAX_RATE, DEFAULT_SHIPPING_METHODS } = require('../utils/pricingEngine');
+
+/**
+ * Pricing Controller
+ * Live checkout quotes for customers and tax/shipping rule management for admins
+ *
+ * Security:
+ * - Admin routes require admin role (enforced by middleware)
+ * - Mass assignment protection via field allow-lists
+ * - Quotes are computed from database prices and rules only
+ */
+
+// Fields admins may set on a tax rate
+const TAX_RATE_FIELDS = ['country', 'state', 'rate', 'label', 'isActive'];
+
+// Fields admins may set on a shipping method
+const SHIPPING_METHOD_FIELDS = [
+    'code', 'name', 'description', 'estimatedDays', 'rates',
+    'minSubtotal', 'countries', 'sortOrder', 'isActive',
+];
+
+const pickFields = (body, fields) => {
+    const data = {};
+    for (const field of fields) {
+        if (body[field] !== undefined) {
+            data[field] = body[field];
+        }
+    }
+    return data;
+};
+
+const auditContext = (req, resourceId, metadata) => ({
+    userId: req.user._id,
+    email: req.user.email,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+    resourceId,
+    metadata,
+});
+
+/**
+ * @desc    Quote tax, shipping and total for a set of items
+ * @route   POST /api/pricing/quote
+ * @access  Public (promotion codes need a signed-in customer)
+ */
+exports.getQuote = async (req, res, next) => {
+    try {
+        const { items, shippingAddress, shippingMethod, promotionCode } = req.body;
+
+        const quote = await quoteOrder(items, {
+            promotionCode: req.user ? promotionCode : undefined,
+            userId: req.user?._id,
+            shippingAddress,
+            shippingMethod,
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                pricing: quote.pricing,
+                shippingMethod: quote.shippingMethod,
+                shippingOptions: quote.shippingOptions,
+                promotion: quote.promotion ? { code: quote.promotion.code } : null,
+            },
+        });
+    } catch (error) {
+        // Item, promotion and shipping errors carry their own status
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get all tax rates
+ * @route   GET /api/admin/pricing/tax-rates
+ * @access  Private/Admin
+ */
+exports.getTaxRates = async (req, res, next) => {
+    try {
+        const filter = {};
+        if (req.query.country) {
+            filter.country = req.query.country.toString().toUpperCase();
+        }
+
+        const taxRates = await TaxRate.find(filter).sort({ country: 1, state: 1 });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                taxRates,
+                defaultRate: DEFAULT_TAX_RATE,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Create tax rate
+ * @route   POST /api/admin/pricing/tax-rates
+ * @access  Private/Admin
+ */
+exports.createTaxRate = async (req, res, next) => {
+    try {
+        const taxRate = await TaxRate.create({
+            ...pickFields(req.body, TAX_RATE_FIELDS),
+            createdBy: req.user._id,
+        });
+
+        await logPricingAction('pricing_rule_created', auditContext(req, taxRate._id, {
+            type: 'tax_rate',
+            country: taxRate.country,
+            state: taxRate.state,
+            rate: taxRate.rate,
+        }));
+
+        res.status(201).json({
+            success: true,
+            message: 'Tax rate created successfully',
+            data: { taxRate },
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'A tax rate for this country and state already exists',
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * @desc    Update tax rate
+ * @route   PUT /api/admin/pricing/tax-rates/:id
+ * @access  Private/Admin
+ */
+exports.updateTaxRate = async (req, res, next) => {
+    try {
+        const taxRate = await TaxRate.findById(req.params.id);
+
+        if (!taxRate) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tax rate not found',
+            });
+        }
+
+        const updates = pickFields(req.body, TAX_RATE_FIELDS);
+        taxRate.set(updates);
+        taxRate.updatedBy = req.user._id;
+        await taxRate.save();
+
+        await logPricingAction('pricing_rule_updated', auditContext(req, taxRate._id, {
+            type: 'tax_rate',
+            country: taxRate.country,
+            state: taxRate.state,
+            updatedFields: Object.keys(updates),
+        }));
+
+        res.status(200).json({
+            success: true,
+            message: 'Tax rate updated successfully',
+            data: { taxRate },
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'A tax rate for this country and state already exists',
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * @desc    Delete tax rate
+ * @route   DELETE /api/admin/pricing/tax-rates/:id
+ * @access  Private/Admin
+ */
+exports.deleteTaxRate = async (req, res, next) => {
+    try {
+        const taxRate = await TaxRate.findByIdAndDelete(req.params.id);
+
+        if (!taxRate) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tax rate not found',
+            });
+        }
+
+        await logPricingAction('pricing_rule_deleted', auditContext(req, taxRate._id, {
+            type: 'tax_rate',
+            country: taxRate.country,
+            state: taxRate.state,
+        }));
+
+        res.status(200).json({
+            success: true,
+            message: 'Tax rate deleted successfully',
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get all shipping methods
+ *          Includes the built-in defaults that apply while none are configured
+ * @route   GET /api/admin/pricing/shipping-methods
+ * @access  Private/Admin
+ */
+exports.getShippingMethods = async (req, res, next) => {
+    try {
+        const shippingMethods = await ShippingMethod.find().sort({ sortOrder: 1, createdAt: 1 });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                shippingMethods,
+                usingDefaults: !shippingMethods.some(method => method.isActive),
+                defaults: DEFAULT_SHIPPING_METHODS,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Create shipping method
+ * @route   POST /api/admin/pricing/shipping-methods
+ * @access  Private/Admin
+ */
+exports.createShippingMethod = async (req, res, next) => {
+    try {
+        const shippingMethod = await ShippingMethod.create({
+            ...pickFields(req.body, SHIPPING_METHOD_FIELDS),
+            createdBy: req.user._id,
+        });
+
+        await logPricingAction('pricing_rule_created', auditContext(req, shippingMethod._id, {
+            type: 'shipping_method',
+            code: shippingMethod.code,
+        }));
+
+        res.status(201).json({
+            success: true,
+            message: 'Shipping method created successfully',
+            data: { shippingMethod },
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'A shipping method with this code already exists',
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * @desc    Update shipping method
+ * @route   PUT /api/admin/pricing/shipping-methods/:id
+ * @access  Private/Admin
+ */
+exports.updateShippingMethod = async (req, res, next) => {
+    try {
+        const shippingMethod = await ShippingMethod.findById(req.params.id);
+
+        if (!shippingMethod) {
+            return res.status(404).json({
+                success: false,
+                message: 'Shipping method not found',
+            });
+        }
+
+        const updates = pickFields(req.body, SHIPPING_METHOD_FIELDS);
+        shippingMethod.set(updates);
+        shippingMethod.updatedBy = req.user._id;
+        await shippingMethod.save();
+
+        await logPricingAction('pricing_rule_updated', auditContext(req, shippingMethod._id, {
+            type: 'shipping_method',
+            code: shippingMethod.code,
+            updatedFields: Object.keys(updates),
+        }));
+
+        res.status(200).json({
+            success: true,
+            message: 'Shipping method updated successfully',
+            data: { shippingMethod },
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'A shipping method with this code already exists',
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * @desc    Delete shipping method
+ *          Orders keep their own copy of the method, so history is unaffected
+ * @route   DELETE /api/admin/pricing/shipping-methods/:id
+ * @access  Private/Admin
+ */
+exports.deleteShippingMethod = async (req, res, next) => {
+    try {
+        const shippingMethod = await ShippingMethod.findByIdAndDelete(req.params.id);
+
+        if (!shippingMethod) {
+            return res.status(404).json({
+                success: false,
+                message: 'Shipping method not found',
+            });
+        }
+
+        await logPricingAction('pricing_rule_deleted', auditContext(req, shippingMethod._id, {
+            type: 'shipping_method',
+            code: shippingMethod.code,
+        }));
+
+        res.status(200).json({
+            success: true,
+            message: 'Shipping method deleted successfully',
+        });
+    } catch (error) {
+        next(error);
+    }
+};
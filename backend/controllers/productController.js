@@ -1,5 +1,16 @@
 const Product = require('../models/Product');
-const { logUserAction } = require('../utils/auditLogger');
+const { logUserAction, logProductAction } = require('../utils/auditLogger');
+const { queueProductAlerts } = require('../utils/productAlerts');
+const { recordPriceChange, getLowestPrice } = require('../utils/priceHistory');
+const { getPurgeDate, purgeProduct } = require('../utils/productTrash');
+const { snapshotProduct, diffSnapshots, recordRevision, buildRollbackUpdates } = require('../utils/productRevisions');
+const ProductRevision = require('../models/ProductRevision');
+const { SORT_FIELDS, SORT_ALIASES, buildProductFilter, getFacetCounts } = require('../utils/productFilters');
+const { readPagination, paginate } = require('../utils/cursorPagination');
+const { getSuggestions, invalidateSuggestionIndex } = require('../utils/productSuggest');
+const { applySearchRules } = require('../utils/searchRules');
+const { recordSearch, recordClick } = require('../utils/searchAnalytics');
+const { isValidObjectId } = require('../utils/validation');
 
 /**
  * Product Controller
@@ -13,88 +24,100 @@ const { logUserAction } = require('../utils/auditLogger');
  */
 
 /**
- * @desc    Get all products with filtering, sorting, and pagination
- * @route   GET /api/products
- * @access  Public
+ * Check a SKU matrix against the product's variants
+ * Every SKU must point at an existing color/strap, and barcodes must not be
+ * used by another product (SKU codes are enforced by a unique index).
+ *
+ * @param {Array} skus - Submitted SKUs
+ * @param {Object} variants - Product variants ({ colors, straps })
+ * @param {String} [productId] - Product being updated, excluded from the barcode check
+ * @returns {Promise<String|null>} Error message, or null if valid
  */
-const getProducts = async (req, res) => {
-  try {
-    const {
-      page = 1,
-      limit = 12,
-      sort = '-createdAt',
-      category,
-      movement,
-      strapMaterial,
-      minPrice,
-      maxPrice,
-      search,
-      featured,
-    } = req.query;
+const validateSkus = async (skus, variants = {}, productId = null) => {
+  if (!Array.isArray(skus)) return 'SKUs must be a list';
 
-    // Build filter object
-    const filter = { isActive: true };
+  const colorNames = (variants.colors || []).map(c => c.name);
+  const strapMaterials = (variants.straps || []).map(s => s.material);
 
-    // Category filter
-    if (category) {
-      filter.category = category;
+  for (const sku of skus) {
+    if (sku.color && !colorNames.includes(sku.color)) {
+      return `SKU ${sku.sku} uses unknown color ${sku.color}`;
     }
-
-    // Movement filter
-    if (movement) {
-      filter['specifications.movement'] = movement;
+    if (sku.strap && !strapMaterials.includes(sku.strap)) {
+      return `SKU ${sku.sku} uses unknown strap ${sku.strap}`;
     }
+  }
 
-    // Strap material filter
-    if (strapMaterial) {
-      filter['specifications.strapMaterial'] = strapMaterial;
-    }
+  const barcodes = skus.map(s => s.barcode).filter(Boolean);
+  if (barcodes.length > 0) {
+    const conflict = await Product.findOne({
+      _id: { $ne: productId },
+      'skus.barcode': { $in: barcodes },
+    }).select('name');
 
-    // Price range filter
-    if (minPrice || maxPrice) {
-      filter.price = {};
-      if (minPrice) filter.price.$gte = Number(minPrice);
-      if (maxPrice) filter.price.$lte = Number(maxPrice);
+    if (conflict) {
+      return `A barcode is already used by ${conflict.name}`;
     }
+  }
 
-    // Featured filter
-    if (featured === 'true') {
-      filter.isFeatured = true;
-    }
+  return null;
+};
 
-    // Search filter (text search)
-    if (search) {
-      filter.$text = { $search: search };
+/**
+ * @desc    Get all products with filtering, sorting, and pagination
+ * @route   GET /api/products
+ * @access  Public
+ */
+const getProducts = async (req, res) => {
+  try {
+    // Security: Prevent NoSQL Injection (Type Checking)
+    if (req.query.search !== undefined && typeof req.query.search !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid search query',
+      });
     }
 
-    // Calculate pagination
-    const skip = (Number(page) - 1) * Number(limit);
+    // Page number or cursor (`cursor=` for the first page), sorted by a shop sort then _id
+    const options = readPagination(req.query, { defaultLimit: 12, sortFields: SORT_FIELDS, sortAliases: SORT_ALIASES });
+    const firstPage = options.cursor === undefined ? options.page === 1 : !options.cursor;
 
-    // Execute query with pagination
-    const products = await Product.find(filter)
-      .sort(sort)
-      .limit(Number(limit))
-      .skip(skip)
-      .skip(skip)
+    // Admin synonyms and redirects rewrite the search before filtering
+    const { query, rule: searchRule } = await applySearchRules(req.query);
+
+    // Build filter object (category, audience, movement, strap, price, featured, search)
+    const filter = buildProductFilter(query);
+
+    const { items: products, pagination } = await paginate(Product, filter, {
+      ...options,
+      // Search analytics needs the result count of a search
+      includeTotal: options.includeTotal || Boolean(req.query.search && firstPage),
       // Security: Explicit field selection (Prevent PII leak)
-      .select('name slug price comparePrice images category brand model rating stock isFeatured specifications createdAt isActive');
+      select: 'name slug price comparePrice sale effectivePrice images category audience brand model rating stock isFeatured specifications createdAt isActive',
+    });
 
-    // Get total count for pagination
-    const total = await Product.countDocuments(filter);
+    // Search analytics: one record per search, when its first page is shown
+    const searchId = req.query.search && firstPage
+      ? await recordSearch(req, { query: req.query.search, resultCount: pagination.total, rule: searchRule })
+      : null;
 
     res.status(200).json({
       success: true,
       data: {
         products,
-        pagination: {
-          page: Number(page),
-          limit: Number(limit),
-          total,
-          pages: Math.ceil(total / Number(limit)),
-        },
+        pagination,
+        searchId,
+        searchRule,
       },
     });
   } catch (error) {
+    // Invalid or mismatched cursor
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
     console.error('Get products error:', error);
     res.status(500).json({
       success: false,
@@ -125,9 +148,12 @@ const getProductById = async (req, res) => {
       });
     }
 
+    // Reference price for discounts (EU: lowest price of the previous 30 days)
+    const lowestPrice30Days = await getLowestPrice(product);
+
     res.status(200).json({
       success: true,
-      data: { product },
+      data: { product: { ...product.toJSON(), lowestPrice30Days } },
     });
   } catch (error) {
     console.error('Get product error:', error);
@@ -148,10 +174,17 @@ const createProduct = async (req, res) => {
   try {
     // Security: Mass Assignment Protection (Allow-list)
     const {
-      name, description, price, comparePrice, images, category,
-      brand, model, stock, specifications, isActive, isFeatured, slug, variants
+      name, description, price, comparePrice, sale, images, category, audience,
+      brand, model, stock, specifications, isActive, isFeatured, slug, variants, skus
     } = req.body;
 
+    if (skus) {
+      const skuError = await validateSkus(skus, variants);
+      if (skuError) {
+        return res.status(400).json({ success: false, message: skuError });
+      }
+    }
+
     // Security: Validate Image URLs (Prevent Malicious Links)
     if (images && Array.isArray(images)) {
       const allowedDomain = 'res.cloudinary.com';
@@ -173,12 +206,15 @@ const createProduct = async (req, res) => {
     }
 
     const productData = {
-      name, description, price, comparePrice, images, category,
-      brand, model, stock, specifications, isActive, isFeatured, slug, variants,
+      name, description, price, comparePrice, sale, images, category, audience,
+      brand, model, stock, specifications, isActive, isFeatured, slug, variants, skus,
       createdBy: req.user._id,
     };
 
     const product = await Product.create(productData);
+    invalidateSuggestionIndex();
+    await recordPriceChange(null, product, { reason: 'created', changedBy: req.user._id });
+    await recordRevision(product, { reason: 'created', changedBy: req.user._id });
 
     await logUserAction('product_created', {
       userId: req.user._id,
@@ -194,6 +230,18 @@ const createProduct = async (req, res) => {
       data: { product },
     });
   } catch (error) {
+    if (error.code === 11000 && error.keyPattern?.['skus.sku']) {
+      return res.status(409).json({
+        success: false,
+        message: 'A SKU code is already used by another product',
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', '),
+      });
+    }
     console.error('Create product error:', error);
     res.status(500).json({
       success: false,
@@ -214,8 +262,8 @@ const updateProduct = async (req, res) => {
 
     // Security: Filter allowed updates (Prevent modifying unauthorized fields)
     const {
-      name, description, price, comparePrice, images, category,
-      brand, model, stock, specifications, isActive, isFeatured, slug, variants
+      name, description, price, comparePrice, sale, images, category, audience,
+      brand, model, stock, specifications, isActive, isFeatured, slug, variants, skus
     } = req.body;
 
     // Security: Validate Image URLs
@@ -237,22 +285,15 @@ const updateProduct = async (req, res) => {
     }
 
     const updates = {
-      name, description, price, comparePrice, images, category,
-      brand, model, stock, specifications, isActive, isFeatured, slug, variants,
+      name, description, price, comparePrice, sale, images, category, audience,
+      brand, model, stock, specifications, isActive, isFeatured, slug, variants, skus,
       updatedBy: req.user._id,
     };
 
     // Remove undefined fields so they don't overwrite with null
     Object.keys(updates).forEach(key => updates[key] === undefined && delete updates[key]);
 
-    const product = await Product.findByIdAndUpdate(
-      id,
-      updates,
-      {
-        new: true,
-        runValidators: true,
-      }
-    );
+    const product = await Product.findById(id);
 
     if (!product) {
       return res.status(404).json({
@@ -261,20 +302,64 @@ const updateProduct = async (req, res) => {
       });
     }
 
+    if (product.deletedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Restore the product from the trash before editing it',
+      });
+    }
+
+    if (skus) {
+      const skuError = await validateSkus(skus, variants || product.variants, product._id);
+      if (skuError) {
+        return res.status(400).json({ success: false, message: skuError });
+      }
+    }
+
+    // Compared after saving to decide on wishlist alerts, price history and the revision
+    const previous = { stock: product.stock, price: product.getEffectivePrice(), regularPrice: product.price };
+    const before = snapshotProduct(product);
+
+    // Save (rather than findByIdAndUpdate) so SKU stock totals are recalculated
+    product.set(updates);
+    await product.save();
+    invalidateSuggestionIndex();
+    await recordPriceChange(previous, product, { reason: 'updated', changedBy: req.user._id });
+    const revision = await recordRevision(product, { reason: 'updated', changedBy: req.user._id, before });
+
+    const alerts = queueProductAlerts(previous, product, req.user._id);
+
     await logUserAction('product_updated', {
       userId: req.user._id,
       productId: product._id,
       productName: product.name,
       ipAddress: req.ip,
       userAgent: req.get('user-agent'),
+      metadata: {
+        revision: revision?.version,
+        changedFields: revision?.changedFields,
+        wishlistAlerts: alerts.length > 0 ? alerts : undefined,
+      },
     });
 
     res.status(200).json({
       success: true,
       message: 'Product updated successfully',
-      data: { product },
+      data: { product, wishlistAlerts: alerts },
     });
   } catch (error) {
+    if (error.code === 11000 && error.keyPattern?.['skus.sku']) {
+      return res.status(409).json({
+        success: false,
+        message: 'A SKU code is already used by another product',
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', '),
+      });
+    }
     console.error('Update product error:', error);
     res.status(500).json({
       success: false,
@@ -285,7 +370,7 @@ const updateProduct = async (req, res) => {
 };
 
 /**
- * @desc    Delete product (soft delete)
+ * @desc    Delete product (moves it to the trash)
  * @route   DELETE /api/products/:id
  * @access  Private/Admin
  */
@@ -293,11 +378,13 @@ const deleteProduct = async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Soft delete by setting isActive to false
-    const product = await Product.findByIdAndUpdate(
-      id,
+    // Soft delete: hidden from the shop, restorable until it is purged
+    const product = await Product.findOneAndUpdate(
+      { _id: id, deletedAt: null },
       {
         isActive: false,
+        deletedAt: new Date(),
+        deletedBy: req.user._id,
         updatedBy: req.user._id,
       },
       { new: true }
@@ -310,6 +397,8 @@ const deleteProduct = async (req, res) => {
       });
     }
 
+    invalidateSuggestionIndex();
+
     await logUserAction('product_deleted', {
       userId: req.user._id,
       productId: product._id,
@@ -320,7 +409,8 @@ const deleteProduct = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: 'Product deleted successfully',
+      message: 'Product moved to trash',
+      data: { purgeAt: getPurgeDate(product) },
     });
   } catch (error) {
     console.error('Delete product error:', error);
@@ -332,6 +422,198 @@ const deleteProduct = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Restore a product from the trash (it stays inactive until published)
+ * @route   POST /api/admin/products/:id/restore
+ * @access  Private/Admin
+ */
+const restoreProduct = async (req, res) => {
+  try {
+    const product = await Product.findOneAndUpdate(
+      { _id: req.params.id, deletedAt: { $ne: null } },
+      {
+        $set: { deletedAt: null, updatedBy: req.user._id },
+        $unset: { deletedBy: 1 },
+      },
+      { new: true }
+    );
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found in trash',
+      });
+    }
+
+    await logProductAction('product_restored', {
+      userId: req.user._id,
+      email: req.user.email,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      resourceId: product._id,
+      metadata: { name: product.name },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Product restored as inactive',
+      data: { product },
+    });
+  } catch (error) {
+    console.error('Restore product error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore product',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Permanently delete a product in the trash without waiting for the retention period
+ * @route   DELETE /api/admin/products/:id/purge
+ * @access  Private/Admin
+ */
+const purgeDeletedProduct = async (req, res) => {
+  try {
+    const product = await Product.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found in trash',
+      });
+    }
+
+    const removed = await purgeProduct(product, {
+      userId: req.user._id,
+      email: req.user.email,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Product permanently deleted',
+      data: { removed },
+    });
+  } catch (error) {
+    console.error('Purge product error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to permanently delete product',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Roll a product back to one of its revisions (recorded as a new revision)
+ * @route   POST /api/admin/products/:id/revisions/:version/rollback
+ * @access  Private/Admin
+ */
+const rollbackProduct = async (req, res) => {
+  try {
+    const version = parseInt(req.params.version, 10);
+    if (!(version >= 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid revision number',
+      });
+    }
+
+    const [product, target] = await Promise.all([
+      Product.findById(req.params.id),
+      ProductRevision.findOne({ product: req.params.id, version }).lean(),
+    ]);
+
+    if (!product || !target) {
+      return res.status(404).json({
+        success: false,
+        message: product ? 'Revision not found' : 'Product not found',
+      });
+    }
+
+    if (product.deletedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Restore the product from the trash before rolling it back',
+      });
+    }
+
+    const before = snapshotProduct(product);
+    if (diffSnapshots(before, target.snapshot).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `The product already matches revision ${version}`,
+      });
+    }
+
+    const updates = buildRollbackUpdates(product, target.snapshot);
+    // Barcodes may have been given to another product since
+    const skuError = await validateSkus(updates.skus, updates.variants || {}, product._id);
+    if (skuError) {
+      return res.status(409).json({ success: false, message: skuError });
+    }
+
+    const previous = { stock: product.stock, price: product.getEffectivePrice(), regularPrice: product.price };
+
+    product.set({ ...updates, updatedBy: req.user._id });
+    await product.save();
+    invalidateSuggestionIndex();
+    await recordPriceChange(previous, product, { reason: 'updated', changedBy: req.user._id });
+    const revision = await recordRevision(product, {
+      reason: 'rolled_back',
+      changedBy: req.user._id,
+      before,
+      rolledBackTo: version,
+    });
+
+    const alerts = queueProductAlerts(previous, product, req.user._id);
+
+    await logProductAction('product_rolled_back', {
+      userId: req.user._id,
+      email: req.user.email,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      resourceId: product._id,
+      metadata: {
+        name: product.name,
+        rolledBackTo: version,
+        revision: revision?.version,
+        changedFields: revision?.changedFields,
+      },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Product rolled back to revision ${version}`,
+      data: { product, revision, wishlistAlerts: alerts },
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: error.keyPattern?.['skus.sku']
+          ? 'A SKU code is already used by another product'
+          : 'The slug of this revision is now used by another product',
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', '),
+      });
+    }
+    console.error('Rollback product error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to roll back product',
+      error: error.message,
+    });
+  }
+};
+
 /**
  * @desc    Get filter options (categories, movements, etc.)
  * @route   GET /api/products/filters/options
@@ -375,6 +657,113 @@ const getFilterOptions = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get filter values with product counts for the current shop query
+ * @route   GET /api/products/filters/facets
+ * @access  Public
+ */
+const getFilterFacets = async (req, res) => {
+  try {
+    if (req.query.search !== undefined && typeof req.query.search !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid search query',
+      });
+    }
+
+    const { query } = await applySearchRules(req.query);
+    const facets = await getFacetCounts(Product, query);
+
+    res.status(200).json({
+      success: true,
+      data: facets,
+    });
+  } catch (error) {
+    console.error('Get filter facets error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch filter facets',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Typeahead suggestions (brands, models, products) for a partial query
+ * @route   GET /api/products/suggest?q=
+ * @access  Public
+ */
+const suggestProducts = async (req, res) => {
+  try {
+    const { q = '' } = req.query;
+
+    // Security: Prevent NoSQL Injection (Type Checking)
+    if (typeof q !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid search query',
+      });
+    }
+
+    const suggestions = await getSuggestions(q);
+
+    res.status(200).json({
+      success: true,
+      data: { query: q.trim(), ...suggestions },
+    });
+  } catch (error) {
+    console.error('Suggest products error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch suggestions',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Record a click on a search result (search analytics)
+ * @route   POST /api/products/search/:searchId/click
+ * @access  Public
+ */
+const trackSearchClick = async (req, res) => {
+  try {
+    const { productId, position } = req.body;
+
+    if (typeof productId !== 'string' || !isValidObjectId(productId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID',
+      });
+    }
+
+    const found = await recordClick(
+      req.params.searchId,
+      productId,
+      Number.isInteger(position) && position > 0 ? position : undefined
+    );
+
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Search not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Click recorded',
+    });
+  } catch (error) {
+    console.error('Track search click error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record click',
+      error: error.message,
+    });
+  }
+};
+
 /**
  * @desc    Get single product by slug (SEO-friendly)
  * @route   GET /api/products/slug/:slug
@@ -401,9 +790,12 @@ const getProductBySlug = async (req, res) => {
       });
     }
 
+    // Reference price for discounts (EU: lowest price of the previous 30 days)
+    const lowestPrice30Days = await getLowestPrice(product);
+
     res.status(200).json({
       success: true,
-      data: { product },
+      data: { product: { ...product.toJSON(), lowestPrice30Days } },
     });
   } catch (error) {
     console.error('Get product by slug error:', error);
@@ -440,7 +832,7 @@ const getRelatedProducts = async (req, res) => {
       isActive: true,
     })
       .limit(Number(limit))
-      .select('name slug price images category rating');
+      .select('name slug price comparePrice effectivePrice images category rating');
 
     res.status(200).json({
       success: true,
@@ -464,5 +856,11 @@ module.exports = {
   createProduct,
   updateProduct,
   deleteProduct,
+  restoreProduct,
+  purgeDeletedProduct,
+  rollbackProduct,
   getFilterOptions,
+  getFilterFacets,
+  suggestProducts,
+  trackSearchClick,
 };
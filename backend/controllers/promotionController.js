@@ -0,0 +1,341 @@
+const Promotion = require('../models/Promotion');
+const Order = require('../models/Order');
+const PromotionRedemption = require('../models/PromotionRedemption');
+const { logPromotionAction } = require('../utils/auditLogger');
+const { quoteOrder } = require('../utils/orderUtils');
+
+/**
+ * Promotion Controller
+ * Coupon code validation for customers and promotion management for admins
+ *
+ * Security:
+ * - Admin routes require admin role (enforced by middleware)
+ * - Mass assignment protection via field allow-list
+ * - usageCount can only be changed by checkout, never by the API
+ */
+
+// Fields admins may set on a promotion
+const EDITABLE_FIELDS = [
+    'code', 'description', 'type', 'value', 'maxDiscount', 'minSubtotal',
+    'startsAt', 'expiresAt', 'usageLimit', 'perCustomerLimit', 'restrictions', 'isActive',
+];
+
+const pickEditableFields = (body) => {
+    const data = {};
+    for (const field of EDITABLE_FIELDS) {
+        if (body[field] !== undefined) {
+            data[field] = body[field];
+        }
+    }
+    return data;
+};
+
+/**
+ * @desc    Validate a promotion code against cart items
+ * @route   POST /api/promotions/validate
+ * @access  Private
+ */
+exports.validatePromotion = async (req, res, next) => {
+    try {
+        const { code, items } = req.body;
+
+        if (!code || typeof code !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'Promotion code is required',
+            });
+        }
+
+        const { pricing, promotion } = await quoteOrder(items, {
+            promotionCode: code,
+            userId: req.user._id,
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Promotion code applied',
+            data: {
+                code: promotion.code,
+                discount: pricing.discount,
+                pricing,
+            },
+        });
+    } catch (error) {
+        // Promotion and item errors carry their own status
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get all promotions
+ * @route   GET /api/admin/promotions
+ * @access  Private/Admin
+ */
+exports.getPromotions = async (req, res, next) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+        const search = req.query.search || '';
+        const status = req.query.status || '';
+
+        const filter = {};
+        if (search) {
+            filter.code = { $regex: search, $options: 'i' };
+        }
+        if (status === 'active') filter.isActive = true;
+        if (status === 'inactive') filter.isActive = false;
+
+        const query = Promotion.find(filter)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit);
+
+        const [promotions, total] = await Promise.all([
+            query,
+            Promotion.countDocuments(filter),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                promotions,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit),
+                },
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get single promotion
+ * @route   GET /api/admin/promotions/:id
+ * @access  Private/Admin
+ */
+exports.getPromotionById = async (req, res, next) => {
+    try {
+        const promotion = await Promotion.findById(req.params.id)
+            .populate('createdBy', 'firstName lastName email')
+            .populate('updatedBy', 'firstName lastName email');
+
+        if (!promotion) {
+            return res.status(404).json({
+                success: false,
+                message: 'Promotion not found',
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: { promotion },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Create promotion
+ * @route   POST /api/admin/promotions
+ * @access  Private/Admin
+ */
+exports.createPromotion = async (req, res, next) => {
+    try {
+        const promotion = await Promotion.create({
+            ...pickEditableFields(req.body),
+            createdBy: req.user._id,
+        });
+
+        await logPromotionAction('promotion_created', {
+            userId: req.user._id,
+            email: req.user.email,
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent'),
+            resourceId: promotion._id,
+            metadata: { code: promotion.code, type: promotion.type, value: promotion.value },
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Promotion created successfully',
+            data: { promotion },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Update promotion
+ * @route   PUT /api/admin/promotions/:id
+ * @access  Private/Admin
+ */
+exports.updatePromotion = async (req, res, next) => {
+    try {
+        const promotion = await Promotion.findById(req.params.id);
+
+        if (!promotion) {
+            return res.status(404).json({
+                success: false,
+                message: 'Promotion not found',
+            });
+        }
+
+        const updates = pickEditableFields(req.body);
+        promotion.set(updates);
+        promotion.updatedBy = req.user._id;
+        await promotion.save();
+
+        await logPromotionAction('promotion_updated', {
+            userId: req.user._id,
+            email: req.user.email,
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent'),
+            resourceId: promotion._id,
+            metadata: { code: promotion.code, updatedFields: Object.keys(updates) },
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Promotion updated successfully',
+            data: { promotion },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Delete promotion
+ *          Promotions already used by orders are deactivated instead,
+ *          so order history and usage reports stay intact
+ * @route   DELETE /api/admin/promotions/:id
+ * @access  Private/Admin
+ */
+exports.deletePromotion = async (req, res, next) => {
+    try {
+        const promotion = await Promotion.findById(req.params.id);
+
+        if (!promotion) {
+            return res.status(404).json({
+                success: false,
+                message: 'Promotion not found',
+            });
+        }
+
+        const usedByOrders = await Order.exists({ 'promotion.promotion': promotion._id });
+
+        if (usedByOrders) {
+            promotion.isActive = false;
+            promotion.updatedBy = req.user._id;
+            await promotion.save();
+        } else {
+            await promotion.deleteOne();
+            await PromotionRedemption.deleteMany({ promotion: promotion._id });
+        }
+
+        await logPromotionAction('promotion_deleted', {
+            userId: req.user._id,
+            email: req.user.email,
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent'),
+            resourceId: promotion._id,
+            metadata: { code: promotion.code, deactivatedOnly: Boolean(usedByOrders) },
+        });
+
+        res.status(200).json({
+            success: true,
+            message: usedByOrders
+                ? 'Promotion has been used by orders and was deactivated instead'
+                : 'Promotion deleted successfully',
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get usage report for a promotion
+ * @route   GET /api/admin/promotions/:id/usage
+ * @access  Private/Admin
+ */
+exports.getPromotionUsage = async (req, res, next) => {
+    try {
+        const promotion = await Promotion.findById(req.params.id);
+
+        if (!promotion) {
+            return res.status(404).json({
+                success: false,
+                message: 'Promotion not found',
+            });
+        }
+
+        const promotionId = promotion._id;
+
+        const [summary, byStatus, recentOrders] = await Promise.all([
+            // Redemptions held by orders that were not cancelled
+            Order.aggregate([
+                { $match: { 'promotion.promotion': promotionId, status: { $ne: 'cancelled' } } },
+                {
+                    $group: {
+                        _id: null,
+                        orders: { $sum: 1 },
+                        customers: { $addToSet: '$user' },
+                        totalDiscount: { $sum: '$pricing.discount' },
+                        revenue: { $sum: '$pricing.total' },
+                    },
+                },
+                {
+                    $project: {
+                        _id: 0,
+                        orders: 1,
+                        uniqueCustomers: { $size: '$customers' },
+                        totalDiscount: 1,
+                        revenue: 1,
+                    },
+                },
+            ]),
+
+            Order.aggregate([
+                { $match: { 'promotion.promotion': promotionId } },
+                { $group: { _id: '$status', count: { $sum: 1 } } },
+            ]),
+
+            Order.find({ 'promotion.promotion': promotionId })
+                .sort({ createdAt: -1 })
+                .limit(20)
+                .populate('user', 'firstName lastName email')
+                .select('orderNumber status pricing.discount pricing.total createdAt user'),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                promotion: {
+                    _id: promotion._id,
+                    code: promotion.code,
+                    usageCount: promotion.usageCount,
+                    usageLimit: promotion.usageLimit,
+                    perCustomerLimit: promotion.perCustomerLimit,
+                },
+                summary: summary[0] || { orders: 0, uniqueCustomers: 0, totalDiscount: 0, revenue: 0 },
+                byStatus: byStatus.reduce((acc, row) => ({ ...acc, [row._id]: row.count }), {}),
+                recentOrders,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,629 @@
+const Stripe = require('stripe');
+const ReturnRequest = require('../models/ReturnRequest');
+const Order = require('../models/Order');
+const { logOrderAction, logReturnAction } = require('../utils/auditLogger');
+const { createOrderError, releaseStock } = require('../utils/orderUtils');
+const { runInTransaction } = require('../utils/transaction');
+const { roundCurrency } = require('../utils/promotionEngine');
+const {
+    RETURN_WINDOW_DAYS,
+    generateRmaNumber,
+    getReturnDeadline,
+    getReturnIneligibilityReason,
+    getReturnableQuantities,
+    calculateRefundAmount,
+} = require('../utils/returnUtils');
+
+let stripe;
+if (process.env.STRIPE_SECRET_KEY) {
+    stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+}
+
+/**
+ * Return Controller
+ * Return requests (RMA) for customers and the approve/receive/refund
+ * workflow for admins
+ *
+ * Security:
+ * - Customers only see and change their own return requests
+ * - Admin routes require admin role (enforced by middleware)
+ * - Refunds are issued against the order's own PaymentIntent with an
+ *   idempotency key, so a retried request cannot refund twice
+ */
+
+const RETURN_REASONS = ['defective', 'not_as_described', 'wrong_item', 'damaged_in_transit', 'changed_mind', 'other'];
+const RECEIVED_CONDITIONS = ['new', 'opened', 'used', 'damaged'];
+
+const auditContext = (req, resourceId, metadata) => ({
+    userId: req.user._id,
+    email: req.user.email,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+    resourceId,
+    metadata,
+});
+
+// Errors thrown by the return utilities carry their own status
+const sendKnownError = (res, error) => res.status(error.statusCode).json({
+    success: false,
+    message: error.message,
+});
+
+/**
+ * Load a return request and move it between statuses
+ * Re-reads inside a transaction so two admins cannot both act on it.
+ */
+const transitionReturn = async (returnId, fromStatuses, update) => {
+    return runInTransaction(async (session) => {
+        const returnRequest = await ReturnRequest.findById(returnId).session(session);
+
+        if (!returnRequest) {
+            throw createOrderError(404, 'Return request not found');
+        }
+
+        if (!fromStatuses.includes(returnRequest.status)) {
+            throw createOrderError(400, `Cannot change a return that is ${returnRequest.status}`);
+        }
+
+        await update(returnRequest, session);
+        await returnRequest.save({ session });
+        return returnRequest;
+    });
+};
+
+/**
+ * @desc    Request a return for items from a delivered order
+ * @route   POST /api/returns
+ * @access  Private
+ */
+exports.createReturnRequest = async (req, res, next) => {
+    try {
+        const { orderId, items, reason, comments } = req.body;
+
+        if (!RETURN_REASONS.includes(reason)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please choose a valid return reason',
+            });
+        }
+
+        if (!Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Select at least one item to return',
+            });
+        }
+
+        const returnRequest = await runInTransaction(async (session) => {
+            const order = await Order.findById(orderId).session(session);
+
+            // Security: Customers can only return their own orders
+            if (!order || order.user.toString() !== req.user._id.toString()) {
+                throw createOrderError(404, 'Order not found');
+            }
+
+            const ineligibleReason = getReturnIneligibilityReason(order);
+            if (ineligibleReason) {
+                throw createOrderError(400, ineligibleReason);
+            }
+
+            const returnable = await getReturnableQuantities(order, { session });
+            const returnItems = [];
+
+            for (const requested of items) {
+                const orderItem = order.items.id(requested.itemId);
+                const quantity = Number(requested.quantity);
+
+                if (!orderItem || !Number.isInteger(quantity) || quantity < 1) {
+                    throw createOrderError(400, 'Invalid item in return request');
+                }
+
+                const available = returnable.get(orderItem._id.toString()) || 0;
+                if (quantity > available) {
+                    throw createOrderError(400, `Only ${available} of ${orderItem.productSnapshot.name} can be returned`);
+                }
+
+                returnItems.push({
+                    orderItem: orderItem._id,
+                    product: orderItem.product,
+                    name: orderItem.productSnapshot.name,
+                    sku: orderItem.sku,
+                    skuId: orderItem.skuId,
+                    quantity,
+                    unitPrice: orderItem.priceAtPurchase,
+                });
+            }
+
+            const created = new ReturnRequest({
+                rmaNumber: generateRmaNumber(),
+                order: order._id,
+                user: req.user._id,
+                items: returnItems,
+                reason,
+                comments,
+            });
+            created.transitionTo('requested', { updatedBy: req.user._id });
+            await created.save({ session });
+
+            return created;
+        });
+
+        await logReturnAction('return_requested', auditContext(req, returnRequest._id, {
+            rmaNumber: returnRequest.rmaNumber,
+            orderId: returnRequest.order,
+            reason,
+            itemCount: returnRequest.items.length,
+        }));
+
+        res.status(201).json({
+            success: true,
+            message: 'Return request submitted',
+            data: { returnRequest },
+        });
+    } catch (error) {
+        if (error.statusCode) return sendKnownError(res, error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get the current user's return requests
+ * @route   GET /api/returns
+ * @access  Private
+ */
+exports.getMyReturns = async (req, res, next) => {
+    try {
+        const filter = { user: req.user._id };
+        if (req.query.orderId) {
+            filter.order = req.query.orderId;
+        }
+
+        const returnRequests = await ReturnRequest.find(filter)
+            .sort({ createdAt: -1 })
+            .populate('order', 'orderNumber');
+
+        res.status(200).json({
+            success: true,
+            data: {
+                returnRequests,
+                returnWindowDays: RETURN_WINDOW_DAYS,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get one of the current user's return requests
+ * @route   GET /api/returns/:id
+ * @access  Private
+ */
+exports.getMyReturnById = async (req, res, next) => {
+    try {
+        const returnRequest = await ReturnRequest.findOne({ _id: req.params.id, user: req.user._id })
+            .populate('order', 'orderNumber deliveredAt');
+
+        if (!returnRequest) {
+            return res.status(404).json({
+                success: false,
+                message: 'Return request not found',
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: { returnRequest },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Withdraw a return request that has not been reviewed yet
+ * @route   PUT /api/returns/:id/cancel
+ * @access  Private
+ */
+exports.cancelReturnRequest = async (req, res, next) => {
+    try {
+        const returnRequest = await transitionReturn(req.params.id, ['requested'], async (rma) => {
+            if (rma.user.toString() !== req.user._id.toString()) {
+                throw createOrderError(404, 'Return request not found');
+            }
+            rma.transitionTo('cancelled', { note: 'Withdrawn by customer', updatedBy: req.user._id });
+        });
+
+        await logReturnAction('return_cancelled', auditContext(req, returnRequest._id, {
+            rmaNumber: returnRequest.rmaNumber,
+        }));
+
+        res.status(200).json({
+            success: true,
+            message: 'Return request cancelled',
+            data: { returnRequest },
+        });
+    } catch (error) {
+        if (error.statusCode) return sendKnownError(res, error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get all return requests
+ * @route   GET /api/admin/returns
+ * @access  Private/Admin
+ */
+exports.getReturns = async (req, res, next) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const filter = {};
+        if (req.query.status) {
+            filter.status = req.query.status;
+        }
+
+        const [returnRequests, total] = await Promise.all([
+            ReturnRequest.find(filter)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate('user', 'firstName lastName email')
+                .populate('order', 'orderNumber pricing.total payment.status'),
+            ReturnRequest.countDocuments(filter),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                returnRequests,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit),
+                },
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get single return request with its suggested refund
+ * @route   GET /api/admin/returns/:id
+ * @access  Private/Admin
+ */
+exports.getReturnById = async (req, res, next) => {
+    try {
+        const returnRequest = await ReturnRequest.findById(req.params.id)
+            .populate('user', 'firstName lastName email')
+            .populate('statusHistory.updatedBy', 'firstName lastName');
+
+        if (!returnRequest) {
+            return res.status(404).json({
+                success: false,
+                message: 'Return request not found',
+            });
+        }
+
+        const order = await Order.findById(returnRequest.order);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                returnRequest,
+                order,
+                returnDeadline: order ? getReturnDeadline(order) : null,
+                suggestedRefund: order ? calculateRefundAmount(order, returnRequest.items) : 0,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Approve a return request
+ * @route   PUT /api/admin/returns/:id/approve
+ * @access  Private/Admin
+ */
+exports.approveReturn = async (req, res, next) => {
+    try {
+        const { note } = req.body;
+
+        const returnRequest = await transitionReturn(req.params.id, ['requested'], async (rma) => {
+            rma.adminNotes = note || rma.adminNotes;
+            rma.transitionTo('approved', { note, updatedBy: req.user._id });
+        });
+
+        await logReturnAction('return_approved', auditContext(req, returnRequest._id, {
+            rmaNumber: returnRequest.rmaNumber,
+        }));
+
+        res.status(200).json({
+            success: true,
+            message: 'Return approved',
+            data: { returnRequest },
+        });
+    } catch (error) {
+        if (error.statusCode) return sendKnownError(res, error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Reject a return request
+ * @route   PUT /api/admin/returns/:id/reject
+ * @access  Private/Admin
+ */
+exports.rejectReturn = async (req, res, next) => {
+    try {
+        const { reason } = req.body;
+
+        if (!reason || typeof reason !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'A rejection reason is required',
+            });
+        }
+
+        const returnRequest = await transitionReturn(req.params.id, ['requested', 'approved'], async (rma) => {
+            rma.rejectionReason = reason;
+            rma.transitionTo('rejected', { note: reason, updatedBy: req.user._id });
+        });
+
+        await logReturnAction('return_rejected', auditContext(req, returnRequest._id, {
+            rmaNumber: returnRequest.rmaNumber,
+            reason,
+        }));
+
+        res.status(200).json({
+            success: true,
+            message: 'Return rejected',
+            data: { returnRequest },
+        });
+    } catch (error) {
+        if (error.statusCode) return sendKnownError(res, error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Record that the returned watch has arrived
+ * @route   PUT /api/admin/returns/:id/receive
+ * @access  Private/Admin
+ */
+exports.receiveReturn = async (req, res, next) => {
+    try {
+        const { condition, note } = req.body;
+
+        if (condition && !RECEIVED_CONDITIONS.includes(condition)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid item condition',
+            });
+        }
+
+        const returnRequest = await transitionReturn(req.params.id, ['approved'], async (rma) => {
+            rma.receivedAt = new Date();
+            rma.receivedCondition = condition;
+            rma.transitionTo('received', { note, updatedBy: req.user._id });
+        });
+
+        await logReturnAction('return_received', auditContext(req, returnRequest._id, {
+            rmaNumber: returnRequest.rmaNumber,
+            condition,
+        }));
+
+        res.status(200).json({
+            success: true,
+            message: 'Return marked as received',
+            data: { returnRequest },
+        });
+    } catch (error) {
+        if (error.statusCode) return sendKnownError(res, error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Refund a received return through Stripe and restock its items
+ *          Refunds the suggested amount unless a smaller (partial) amount is given.
+ *          The return is claimed (received -> refunding) before Stripe is
+ *          called; a return left in refunding is finished by repeating the request.
+ * @route   POST /api/admin/returns/:id/refund
+ * @access  Private/Admin
+ */
+// Stripe errors that mean the refund was refused rather than not yet known
+const REJECTED_REFUND_ERRORS = ['StripeInvalidRequestError', 'StripeCardError'];
+
+exports.refundReturn = async (req, res, next) => {
+    try {
+        if (!stripe) {
+            return res.status(503).json({
+                success: false,
+                message: 'Payment system unavailable (Missing Config)',
+            });
+        }
+
+        const { amount, restock = true, note } = req.body;
+        if (typeof restock !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: 'restock must be true or false',
+            });
+        }
+
+        let returnRequest = await ReturnRequest.findById(req.params.id);
+        if (!returnRequest) {
+            return res.status(404).json({
+                success: false,
+                message: 'Return request not found',
+            });
+        }
+
+        // A refund that was interrupted after claiming the return is finished
+        // with the amount it claimed
+        const resuming = returnRequest.status === 'refunding';
+        if (returnRequest.status !== 'received' && !resuming) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only received returns can be refunded',
+            });
+        }
+
+        const order = await Order.findById(returnRequest.order);
+        if (!order || !order.payment.transactionId) {
+            return res.status(400).json({
+                success: false,
+                message: 'This order has no Stripe payment to refund',
+            });
+        }
+
+        if (!resuming) {
+            const maxRefund = calculateRefundAmount(order, returnRequest.items);
+            const requestedAmount = amount !== undefined ? roundCurrency(Number(amount)) : maxRefund;
+
+            if (!Number.isFinite(requestedAmount) || requestedAmount <= 0 || requestedAmount > maxRefund) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Refund amount must be between $0.01 and $${maxRefund.toFixed(2)}`,
+                });
+            }
+
+            // Claim the return before any money moves: of two concurrent
+            // requests only one gets past this point
+            returnRequest = await ReturnRequest.findOneAndUpdate(
+                { _id: returnRequest._id, status: 'received' },
+                {
+                    $set: {
+                        status: 'refunding',
+                        'refund.amount': requestedAmount,
+                        'refund.restocked': restock,
+                    },
+                    $inc: { 'refund.attempt': 1 },
+                    $push: { statusHistory: { status: 'refunding', timestamp: new Date(), note, updatedBy: req.user._id } },
+                },
+                { new: true }
+            );
+            if (!returnRequest) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'This return is already being refunded',
+                });
+            }
+        }
+
+        const refundAmount = returnRequest.refund.amount;
+        const shouldRestock = returnRequest.refund.restocked;
+
+        // Keyed by the return and its claim, never by the request: a retry of
+        // an interrupted refund gets the same Stripe refund back
+        let refund;
+        try {
+            refund = await stripe.refunds.create({
+                payment_intent: order.payment.transactionId,
+                amount: Math.round(refundAmount * 100),
+                metadata: {
+                    orderNumber: order.orderNumber,
+                    rmaNumber: returnRequest.rmaNumber,
+                },
+            }, {
+                idempotencyKey: `rma-refund-${returnRequest._id}-${returnRequest.refund.attempt}`,
+            });
+        } catch (error) {
+            // Stripe turned the refund down, so no money moved: release the
+            // claim so it can be corrected and tried again. Anything else
+            // (network, a concurrent retry) leaves it claimed to be resumed.
+            if (!REJECTED_REFUND_ERRORS.includes(error.type)) throw error;
+            await ReturnRequest.updateOne(
+                { _id: returnRequest._id, status: 'refunding' },
+                {
+                    $set: { status: 'received' },
+                    $unset: { 'refund.amount': 1, 'refund.restocked': 1 },
+                    $push: { statusHistory: { status: 'received', timestamp: new Date(), note: `Refund failed: ${error.message}`, updatedBy: req.user._id } },
+                }
+            );
+            throw error;
+        }
+
+        const result = await runInTransaction(async (session) => {
+            const rma = await ReturnRequest.findById(returnRequest._id).session(session);
+            const refundedOrder = await Order.findById(order._id).session(session);
+
+            if (rma.status !== 'refunding') {
+                throw createOrderError(409, 'This return has already been refunded');
+            }
+
+            if (shouldRestock) {
+                await releaseStock(rma.items, session);
+            }
+
+            refundedOrder.payment.refundedAmount = roundCurrency((refundedOrder.payment.refundedAmount || 0) + refundAmount);
+            refundedOrder.payment.refunds.push({
+                stripeRefundId: refund.id,
+                amount: refundAmount,
+                returnRequest: rma._id,
+            });
+
+            const fullyRefunded = refundedOrder.payment.refundedAmount >= refundedOrder.pricing.total - 0.01;
+            refundedOrder.payment.status = fullyRefunded ? 'refunded' : 'partially_refunded';
+            if (fullyRefunded) {
+                refundedOrder.status = 'refunded';
+            }
+            refundedOrder.statusHistory.push({
+                status: refundedOrder.status,
+                timestamp: new Date(),
+                note: `Refunded $${refundAmount.toFixed(2)} for return ${rma.rmaNumber}`,
+                updatedBy: req.user._id,
+            });
+            await refundedOrder.save({ session });
+
+            rma.refund = {
+                amount: refundAmount,
+                stripeRefundId: refund.id,
+                attempt: rma.refund.attempt,
+                restocked: shouldRestock,
+                refundedAt: new Date(),
+                refundedBy: req.user._id,
+            };
+            rma.transitionTo('refunded', { note, updatedBy: req.user._id });
+            await rma.save({ session });
+
+            return { rma, refundedOrder };
+        });
+
+        await logOrderAction('order_refunded', auditContext(req, order._id, {
+            orderNumber: order.orderNumber,
+            rmaNumber: returnRequest.rmaNumber,
+            amount: refundAmount,
+            stripeRefundId: refund.id,
+            restocked: shouldRestock,
+            paymentStatus: result.refundedOrder.payment.status,
+        }));
+
+        res.status(200).json({
+            success: true,
+            message: `Refunded $${refundAmount.toFixed(2)}`,
+            data: {
+                returnRequest: result.rma,
+                order: result.refundedOrder,
+            },
+        });
+    } catch (error) {
+        // Stripe errors also carry a statusCode, so check them first
+        if (error.type && error.type.startsWith('Stripe')) {
+            console.error('Stripe refund error:', error.message);
+            return res.status(502).json({
+                success: false,
+                message: 'Stripe could not process the refund',
+            });
+        }
+        if (error.statusCode) return sendKnownError(res, error);
+        next(error);
+    }
+};
@@ -0,0 +1,231 @@
+const SearchRule = require('../models/SearchRule');
+const { logSearchAction } = require('../utils/auditLogger');
+const { getSearchReport } = require('../utils/searchAnalytics');
+const { invalidateSearchRules } = require('../utils/searchRules');
+const { invalidateSuggestionIndex } = require('../utils/productSuggest');
+
+/**
+ * Search Controller
+ * Search analytics report and synonym / redirect rule management for admins
+ *
+ * Security:
+ * - All routes require admin role (enforced by middleware)
+ * - Mass assignment protection via field allow-list
+ */
+
+// Fields admins may set on a search rule
+const EDITABLE_FIELDS = ['type', 'terms', 'synonyms', 'filters', 'description', 'isActive'];
+
+const pickEditableFields = (body) => {
+    const data = {};
+    for (const field of EDITABLE_FIELDS) {
+        if (body[field] !== undefined) {
+            data[field] = body[field];
+        }
+    }
+    return data;
+};
+
+/**
+ * Find an active rule (other than `excludeId`) that already uses one of the terms
+ * @param {Array} terms - Normalized terms
+ * @param {String} [excludeId] - Rule being updated
+ * @returns {Promise<Object|null>} Conflicting rule
+ */
+const findTermConflict = (terms, excludeId = null) => SearchRule.findOne({
+    _id: { $ne: excludeId },
+    isActive: true,
+    terms: { $in: terms },
+}).select('terms type');
+
+const conflictMessage = (conflict, terms) => {
+    const term = conflict.terms.find(t => terms.includes(t));
+    return `"${term}" is already used by another ${conflict.type} rule`;
+};
+
+// Rules change what search and suggestions return
+const refreshSearch = () => {
+    invalidateSearchRules();
+    invalidateSuggestionIndex();
+};
+
+/**
+ * @desc    Search report: top queries, zero-result queries, queries without clicks
+ * @route   GET /api/admin/search/analytics
+ * @access  Private/Admin
+ */
+exports.getSearchAnalytics = async (req, res, next) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+        const report = await getSearchReport({ days, limit });
+
+        res.status(200).json({
+            success: true,
+            data: report,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get all search rules
+ * @route   GET /api/admin/search/rules
+ * @access  Private/Admin
+ */
+exports.getSearchRules = async (req, res, next) => {
+    try {
+        const filter = {};
+        if (['synonym', 'redirect'].includes(req.query.type)) {
+            filter.type = req.query.type;
+        }
+
+        const rules = await SearchRule.find(filter)
+            .sort({ isActive: -1, createdAt: -1 })
+            .populate('updatedBy', 'firstName lastName email');
+
+        res.status(200).json({
+            success: true,
+            data: { rules },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Create search rule
+ * @route   POST /api/admin/search/rules
+ * @access  Private/Admin
+ */
+exports.createSearchRule = async (req, res, next) => {
+    try {
+        const rule = new SearchRule({
+            ...pickEditableFields(req.body),
+            createdBy: req.user._id,
+        });
+        await rule.validate();
+
+        if (rule.isActive) {
+            const conflict = await findTermConflict(rule.terms);
+            if (conflict) {
+                return res.status(409).json({
+                    success: false,
+                    message: conflictMessage(conflict, rule.terms),
+                });
+            }
+        }
+
+        await rule.save();
+        refreshSearch();
+
+        await logSearchAction('search_rule_created', {
+            userId: req.user._id,
+            email: req.user.email,
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent'),
+            resourceId: rule._id,
+            metadata: { type: rule.type, terms: rule.terms },
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Search rule created successfully',
+            data: { rule },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Update search rule
+ * @route   PUT /api/admin/search/rules/:id
+ * @access  Private/Admin
+ */
+exports.updateSearchRule = async (req, res, next) => {
+    try {
+        const rule = await SearchRule.findById(req.params.id);
+
+        if (!rule) {
+            return res.status(404).json({
+                success: false,
+                message: 'Search rule not found',
+            });
+        }
+
+        const updates = pickEditableFields(req.body);
+        rule.set(updates);
+        rule.updatedBy = req.user._id;
+        await rule.validate();
+
+        if (rule.isActive) {
+            const conflict = await findTermConflict(rule.terms, rule._id);
+            if (conflict) {
+                return res.status(409).json({
+                    success: false,
+                    message: conflictMessage(conflict, rule.terms),
+                });
+            }
+        }
+
+        await rule.save();
+        refreshSearch();
+
+        await logSearchAction('search_rule_updated', {
+            userId: req.user._id,
+            email: req.user.email,
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent'),
+            resourceId: rule._id,
+            metadata: { type: rule.type, terms: rule.terms, updatedFields: Object.keys(updates) },
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Search rule updated successfully',
+            data: { rule },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Delete search rule
+ * @route   DELETE /api/admin/search/rules/:id
+ * @access  Private/Admin
+ */
+exports.deleteSearchRule = async (req, res, next) => {
+    try {
+        const rule = await SearchRule.findById(req.params.id);
+
+        if (!rule) {
+            return res.status(404).json({
+                success: false,
+                message: 'Search rule not found',
+            });
+        }
+
+        await rule.deleteOne();
+        refreshSearch();
+
+        await logSearchAction('search_rule_deleted', {
+            userId: req.user._id,
+            email: req.user.email,
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent'),
+            resourceId: rule._id,
+            metadata: { type: rule.type, terms: rule.terms },
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Search rule deleted successfully',
+        });
+    } catch (error) {
+        next(error);
+    }
+};
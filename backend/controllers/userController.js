@@ -3,6 +3,7 @@ const Role = require('../models/Role');
 const { logUserAction } = require('../utils/auditLogger');
 const { sanitizeInput } = require('../utils/validation');
 const { deleteImage } = require('../config/cloudinary');
+const { EMAIL_TOPICS, verifyUnsubscribeToken, optOut } = require('../utils/emailPreferences');
 
 /**
  * User Controller
@@ -124,9 +125,21 @@ const updateUser = async (req, res) => {
     }
 
     // Security: Only allow updating specific fields
-    const allowedFields = ['firstName', 'lastName', 'phone', 'address', 'profilePicture'];
+    const allowedFields = ['firstName', 'lastName', 'phone', 'address', 'profilePicture', 'notificationPreferences'];
     const updates = sanitizeInput(req.body, allowedFields);
 
+    // Only known boolean preferences; omitted ones keep their current value
+    if (updates.notificationPreferences !== undefined) {
+      const requested = updates.notificationPreferences || {};
+      const current = user.notificationPreferences?.toObject?.() || {};
+      updates.notificationPreferences = { ...current };
+      EMAIL_TOPICS.forEach(key => {
+        if (typeof requested[key] === 'boolean') {
+          updates.notificationPreferences[key] = requested[key];
+        }
+      });
+    }
+
     // Track changes for audit log
     const changes = {};
     Object.keys(updates).forEach(key => {
@@ -437,6 +450,43 @@ const updateProfilePicture = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Turn off one optional email topic from an unsubscribe link
+ * @route   POST /api/users/email-preferences/unsubscribe
+ * @access  Public (the signed token identifies the user and topic)
+ */
+const unsubscribeEmails = async (req, res) => {
+  try {
+    const subscription = verifyUnsubscribeToken(req.body.token);
+    if (!subscription || !(await optOut(subscription.userId, subscription.topic))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid unsubscribe link',
+      });
+    }
+
+    await logUserAction('profile_updated', {
+      userId: subscription.userId,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      resourceId: subscription.userId,
+      metadata: { action: 'email_unsubscribed', topic: subscription.topic },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Your email preferences have been updated',
+      data: { topic: subscription.topic },
+    });
+  } catch (error) {
+    console.error('Unsubscribe emails error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update email preferences',
+    });
+  }
+};
+
 module.exports = {
   getAllUsers,
   getUserById,
@@ -445,4 +495,5 @@ module.exports = {
   updateUserRole,
   updateUserStatus,
   updateProfilePicture,
+  unsubscribeEmails,
 };
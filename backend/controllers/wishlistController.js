@@ -1,21 +1,81 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
 const Wishlist = require('../models/Wishlist');
 const Product = require('../models/Product');
 const { logUserAction } = require('../utils/auditLogger');
 
+// Keeps the lists page and the share dialogs manageable
+const MAX_LISTS = 20;
+const PRODUCT_FIELDS = 'name slug price comparePrice effectivePrice images category stock';
+
+// 32 random bytes: long enough that share links cannot be guessed
+const newShareToken = () => crypto.randomBytes(32).toString('base64url');
+
 /**
- * Get user wishlist
- * @route GET /api/wishlist
+ * The user's lists, default first and then oldest first
+ * Creates the default list on first use. Lists from before multiple lists
+ * existed have no default; the oldest one becomes it.
+ * @param {String} userId - User ID
+ * @returns {Promise<Array>} Lists with products populated
  */
-const getWishlist = async (req, res) => {
-    try {
-        let wishlist = await Wishlist.findOne({ user: req.user._id })
-            .populate('products', 'name slug price images category stock');
+const getUserLists = async (userId) => {
+    let lists = await Wishlist.find({ user: userId })
+        .sort({ createdAt: 1 })
+        .populate('products', PRODUCT_FIELDS);
 
-        if (!wishlist) {
-            wishlist = await Wishlist.create({ user: req.user._id, products: [] });
+    if (lists.length === 0) {
+        try {
+            await Wishlist.create({ user: userId, isDefault: true, products: [] });
+        } catch (error) {
+            // Another request created it first
+            if (error.code !== 11000) throw error;
         }
+        return getUserLists(userId);
+    }
+
+    if (!lists.some(list => list.isDefault)) {
+        await Wishlist.updateOne({ _id: lists[0]._id }, { $set: { isDefault: true } });
+        lists[0].isDefault = true;
+    }
 
-        res.status(200).json({ success: true, data: wishlist });
+    return [...lists.filter(list => list.isDefault), ...lists.filter(list => !list.isDefault)];
+};
+
+const findOwnList = (req, id = req.params.id) =>
+    Wishlist.findOne({ _id: id, user: req.user._id });
+
+const logWishlistAction = (req, metadata) => logUserAction('wishlist_updated', {
+    userId: req.user._id,
+    email: req.user.email,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+    resourceId: metadata.listId || metadata.productId,
+    metadata,
+});
+
+/**
+ * Validate a list name and privacy setting
+ * @returns {String|null} Error message
+ */
+const validateListInput = ({ name, privacy }, { requireName }) => {
+    if (requireName || name !== undefined) {
+        if (typeof name !== 'string' || !name.trim()) return 'List name is required';
+        if (name.trim().length > 60) return 'List name cannot exceed 60 characters';
+    }
+    if (privacy !== undefined && !['private', 'shared'].includes(privacy)) {
+        return 'Privacy must be private or shared';
+    }
+    return null;
+};
+
+/**
+ * Get all of the user's wishlists
+ * @route GET /api/wishlist
+ */
+const getWishlist = async (req, res) => {
+    try {
+        const lists = await getUserLists(req.user._id);
+        res.status(200).json({ success: true, data: { lists } });
     } catch (error) {
         console.error('Get wishlist error:', error);
         res.status(500).json({ success: false, message: 'Failed to retrieve wishlist' });
@@ -24,48 +84,60 @@ const getWishlist = async (req, res) => {
 
 /**
  * Toggle item in wishlist (Add/Remove)
+ * With a listId the item is toggled in that list. Without one (the heart
+ * buttons) a saved item is removed from every list and an unsaved one is
+ * added to the default list.
  * @route POST /api/wishlist/toggle
  */
 const toggleWishlist = async (req, res) => {
     try {
-        const { productId } = req.body;
+        const { productId, listId } = req.body;
 
-        let wishlist = await Wishlist.findOne({ user: req.user._id });
-        if (!wishlist) {
-            wishlist = new Wishlist({ user: req.user._id, products: [] });
+        if (!mongoose.Types.ObjectId.isValid(productId)) {
+            return res.status(400).json({ success: false, message: 'Invalid product ID' });
         }
 
-        const index = wishlist.products.indexOf(productId);
+        let list;
+        if (listId) {
+            list = mongoose.Types.ObjectId.isValid(listId) ? await findOwnList(req, listId) : null;
+            if (!list) {
+                return res.status(404).json({ success: false, message: 'Wishlist not found' });
+            }
+        }
+
+        const saved = list
+            ? list.products.some(id => id.equals(productId))
+            : await Wishlist.exists({ user: req.user._id, products: productId });
         let action = '';
 
-        if (index > -1) {
+        if (saved) {
             // Remove
-            wishlist.products.splice(index, 1);
+            await Wishlist.updateMany(
+                list ? { _id: list._id } : { user: req.user._id },
+                { $pull: { products: productId } }
+            );
             action = 'removed';
         } else {
             // Add
-            wishlist.products.push(productId);
+            if (!(await Product.exists({ _id: productId, isActive: true }))) {
+                return res.status(404).json({ success: false, message: 'Product not found' });
+            }
+            if (!list) {
+                list = (await getUserLists(req.user._id))[0];
+            }
+            await Wishlist.updateOne({ _id: list._id }, { $addToSet: { products: productId } });
             action = 'added';
         }
 
-        await wishlist.save();
-
-        // Return *full* updated list (populated) so frontend is immediately synced
-        await wishlist.populate('products', 'name slug price images category stock');
+        // Return *full* updated lists (populated) so frontend is immediately synced
+        const lists = await getUserLists(req.user._id);
 
-        await logUserAction('wishlist_updated', {
-            userId: req.user._id,
-            email: req.user.email,
-            ipAddress: req.ip,
-            userAgent: req.get('user-agent'),
-            resourceId: productId,
-            metadata: { action, productId },
-        });
+        await logWishlistAction(req, { action, productId, listId: list?._id });
 
         res.status(200).json({
             success: true,
-            data: wishlist,
-            message: `Product ${action} ${action === 'added' ? 'to' : 'from'} wishlist`
+            data: { lists },
+            message: `Product ${action} ${action === 'added' ? 'to' : 'from'} ${list ? list.name : 'wishlist'}`
         });
 
     } catch (error) {
@@ -75,7 +147,7 @@ const toggleWishlist = async (req, res) => {
 };
 
 /**
- * Check if a product is in wishlist
+ * Check if a product is in any of the user's wishlists
  * @route GET /api/wishlist/check/:productId
  */
 const checkWishlistStatus = async (req, res) => {
@@ -96,8 +168,229 @@ const checkWishlistStatus = async (req, res) => {
     }
 };
 
+/**
+ * Create a named wishlist
+ * @route POST /api/wishlist/lists
+ */
+const createList = async (req, res) => {
+    try {
+        const { name, privacy = 'private' } = req.body;
+
+        const validationError = validateListInput({ name, privacy }, { requireName: true });
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
+        }
+
+        // Make sure the default list exists before adding others
+        const lists = await getUserLists(req.user._id);
+        if (lists.length >= MAX_LISTS) {
+            return res.status(400).json({ success: false, message: `You can keep up to ${MAX_LISTS} wishlists` });
+        }
+
+        const list = await Wishlist.create({
+            user: req.user._id,
+            name: name.trim(),
+            privacy,
+            shareToken: privacy === 'shared' ? newShareToken() : undefined,
+            products: [],
+        });
+
+        await logWishlistAction(req, { action: 'list_created', listId: list._id, name: list.name });
+
+        res.status(201).json({ success: true, data: { list }, message: 'Wishlist created' });
+    } catch (error) {
+        console.error('Create wishlist error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create wishlist' });
+    }
+};
+
+/**
+ * Rename a wishlist, change its privacy or make it the default
+ * Sharing a list for the first time creates its share link.
+ * @route PUT /api/wishlist/lists/:id
+ */
+const updateList = async (req, res) => {
+    try {
+        const { name, privacy, isDefault } = req.body;
+
+        const validationError = validateListInput({ name, privacy }, { requireName: false });
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
+        }
+
+        const list = await findOwnList(req);
+        if (!list) {
+            return res.status(404).json({ success: false, message: 'Wishlist not found' });
+        }
+
+        if (name !== undefined) list.name = name.trim();
+        if (privacy !== undefined) list.privacy = privacy;
+        if (list.privacy === 'shared' && !list.shareToken) {
+            list.shareToken = newShareToken();
+        }
+
+        if (isDefault === true && !list.isDefault) {
+            // Clear the old default first; only one is allowed at a time
+            await Wishlist.updateMany({ user: req.user._id, isDefault: true }, { $set: { isDefault: false } });
+            list.isDefault = true;
+        }
+
+        await list.save();
+        await list.populate('products', PRODUCT_FIELDS);
+
+        await logWishlistAction(req, {
+            action: 'list_updated',
+            listId: list._id,
+            changes: { name, privacy, isDefault },
+        });
+
+        res.status(200).json({ success: true, data: { list }, message: 'Wishlist updated' });
+    } catch (error) {
+        console.error('Update wishlist error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update wishlist' });
+    }
+};
+
+/**
+ * Delete a wishlist (not the default one)
+ * @route DELETE /api/wishlist/lists/:id
+ */
+const deleteList = async (req, res) => {
+    try {
+        const list = await findOwnList(req);
+        if (!list) {
+            return res.status(404).json({ success: false, message: 'Wishlist not found' });
+        }
+        if (list.isDefault) {
+            return res.status(400).json({
+                success: false,
+                message: 'Make another list the default before deleting this one'
+            });
+        }
+
+        await list.deleteOne();
+
+        await logWishlistAction(req, { action: 'list_deleted', listId: list._id, name: list.name });
+
+        res.status(200).json({ success: true, message: 'Wishlist deleted' });
+    } catch (error) {
+        console.error('Delete wishlist error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete wishlist' });
+    }
+};
+
+/**
+ * Move an item from one wishlist to another
+ * @route POST /api/wishlist/lists/:id/move
+ */
+const moveItem = async (req, res) => {
+    try {
+        const { productId, toListId } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(productId) || !mongoose.Types.ObjectId.isValid(toListId)) {
+            return res.status(400).json({ success: false, message: 'Product and destination list are required' });
+        }
+        if (toListId === req.params.id) {
+            return res.status(400).json({ success: false, message: 'The item is already in this list' });
+        }
+
+        const [source, target] = await Promise.all([findOwnList(req), findOwnList(req, toListId)]);
+        if (!source || !target) {
+            return res.status(404).json({ success: false, message: 'Wishlist not found' });
+        }
+        if (!source.products.some(id => id.equals(productId))) {
+            return res.status(404).json({ success: false, message: 'Item is not in this wishlist' });
+        }
+
+        // Add before removing so a failure never loses the item
+        await Wishlist.updateOne({ _id: target._id }, { $addToSet: { products: productId } });
+        await Wishlist.updateOne({ _id: source._id }, { $pull: { products: productId } });
+
+        const lists = await getUserLists(req.user._id);
+
+        await logWishlistAction(req, {
+            action: 'item_moved',
+            productId,
+            listId: source._id,
+            toListId: target._id,
+        });
+
+        res.status(200).json({ success: true, data: { lists }, message: `Moved to ${target.name}` });
+    } catch (error) {
+        console.error('Move wishlist item error:', error);
+        res.status(500).json({ success: false, message: 'Failed to move item' });
+    }
+};
+
+/**
+ * Replace a list's share link; the old link stops working
+ * @route POST /api/wishlist/lists/:id/share-token
+ */
+const regenerateShareToken = async (req, res) => {
+    try {
+        const list = await findOwnList(req);
+        if (!list) {
+            return res.status(404).json({ success: false, message: 'Wishlist not found' });
+        }
+
+        list.shareToken = newShareToken();
+        await list.save();
+
+        await logWishlistAction(req, { action: 'share_link_regenerated', listId: list._id });
+
+        res.status(200).json({
+            success: true,
+            data: { shareToken: list.shareToken },
+            message: 'A new share link was created; the old one no longer works'
+        });
+    } catch (error) {
+        console.error('Regenerate share token error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create share link' });
+    }
+};
+
+/**
+ * View a shared wishlist (read-only, no login)
+ * Only the list name, the owner's first name and active products are shown.
+ * @route GET /api/wishlist/shared/:token
+ */
+const getSharedWishlist = async (req, res) => {
+    try {
+        const { token } = req.params;
+
+        const list = typeof token === 'string' && token.length >= 32
+            ? await Wishlist.findOne({ shareToken: token, privacy: 'shared' })
+                .populate({ path: 'products', match: { isActive: true }, select: PRODUCT_FIELDS })
+                .populate('user', 'firstName')
+            : null;
+
+        if (!list) {
+            return res.status(404).json({ success: false, message: 'This wishlist is private or no longer exists' });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                name: list.name,
+                ownerName: list.user?.firstName || null,
+                products: list.products.filter(Boolean),
+                updatedAt: list.updatedAt,
+            }
+        });
+    } catch (error) {
+        console.error('Get shared wishlist error:', error);
+        res.status(500).json({ success: false, message: 'Failed to retrieve wishlist' });
+    }
+};
+
 module.exports = {
     getWishlist,
     toggleWishlist,
-    checkWishlistStatus
+    checkWishlistStatus,
+    createList,
+    updateList,
+    deleteList,
+    moveItem,
+    regenerateShareToken,
+    getSharedWishlist
 };
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+/**
+ * Idempotency Middleware
+ * Makes retried checkout requests safe. When a request carries an
+ * Idempotency-Key header, the first successful response is stored and
+ * replayed for any repeat of the same request within the retention window.
+ *
+ * - Same key, same payload, completed: stored response is replayed
+ * - Same key, same payload, still running: 409, the client should retry later
+ * - Same key, different payload: 422, keys must not be reused
+ * - Failed requests (non-2xx) release the key so the client can retry with it
+ *
+ * Requests without the header are processed as usual.
+ * Must run after `protect` because keys are scoped to the user.
+ */
+
+// How long a completed response is replayed
+const retentionMs = (parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// How long an unfinished request holds its key (e.g. if the server crashed mid-request)
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+const KEY_PATTERN = /^[A-Za-z0-9_:-]{8,255}$/;
+
+// Serialize with sorted object keys so property order does not change the fingerprint
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+const fingerprintRequest = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.baseUrl}${req.path}\n${stableStringify(req.body || {})}`)
+  .digest('hex');
+
+/**
+ * Claim a key for this request
+ * @returns {Promise<{ record: Object, created: Boolean }>}
+ */
+const claimKey = async (req, key, fingerprint) => {
+  const data = {
+    key,
+    user: req.user._id,
+    method: req.method,
+    path: `${req.baseUrl}${req.path}`,
+    fingerprint,
+    expiresAt: new Date(Date.now() + LOCK_TIMEOUT_MS),
+  };
+
+  try {
+    return { record: await IdempotencyKey.create(data), created: true };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const existing = await IdempotencyKey.findOne({ user: req.user._id, key });
+
+  // Abandoned lock (TTL cleanup has not caught up yet): take it over
+  if (existing && existing.status === 'processing' && existing.expiresAt < new Date()) {
+    const record = await IdempotencyKey.findOneAndUpdate(
+      { _id: existing._id, status: 'processing', expiresAt: existing.expiresAt },
+      { $set: data },
+      { new: true }
+    );
+    if (record) return { record, created: true };
+  }
+
+  // Record expired and was removed between the insert and the lookup
+  if (!existing) {
+    return { record: await IdempotencyKey.create(data), created: true };
+  }
+
+  return { record: existing, created: false };
+};
+
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  if (!KEY_PATTERN.test(key)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Idempotency-Key must be 8-255 letters, digits, dashes, underscores or colons',
+    });
+  }
+
+  try {
+    const fingerprint = fingerprintRequest(req);
+    const { record, created } = await claimKey(req, key, fingerprint);
+
+    if (!created) {
+      if (record.fingerprint !== fingerprint) {
+        return res.status(422).json({
+          success: false,
+          message: 'This Idempotency-Key was already used for a different request',
+        });
+      }
+
+      if (record.status === 'processing') {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed',
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.response.statusCode).json(record.response.body);
+    }
+
+    // Store the response before it is sent, so any retry that sees the
+    // key completed can replay it
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      const finish = res.statusCode >= 200 && res.statusCode < 300
+        ? IdempotencyKey.updateOne({ _id: record._id }, {
+          status: 'completed',
+          // Plain JSON, exactly what the client receives
+          response: { statusCode: res.statusCode, body: JSON.parse(JSON.stringify(body)) },
+          expiresAt: new Date(Date.now() + retentionMs),
+        })
+        : IdempotencyKey.deleteOne({ _id: record._id });
+
+      finish
+        .exec()
+        .catch(error => console.error('Idempotency key update error:', error))
+        .finally(() => originalJson(body));
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { idempotency };
@@ -198,6 +198,13 @@ const validateProduct = (req, res, next) => {
     });
   }
 
+  if (req.body.audience !== undefined && !['men', 'women', 'unisex'].includes(req.body.audience)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid audience',
+    });
+  }
+
   next();
 };
 
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+/**
+ * Alert Delivery Model
+ * One wishlist alert email queued for a customer
+ *
+ * Used to de-duplicate and rate-limit alerts per customer; records expire
+ * after 30 days, well past the longest de-duplication window.
+ */
+const alertDeliverySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  alert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductAlert',
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ['back_in_stock', 'price_drop'],
+    required: true,
+  },
+  // Price announced in the email
+  price: Number,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+alertDeliverySchema.index({ user: 1, createdAt: -1 });
+alertDeliverySchema.index({ alert: 1 });
+alertDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('AlertDelivery', alertDeliverySchema);
@@ -41,10 +41,16 @@ const auditLogSchema = new mongoose.Schema(
         'user_deleted',
         'user_status_updated',
         'profile_updated',
+        'wishlist_updated',
         'email_verified',
         'product_created',
         'product_updated',
         'product_deleted',
+        'product_sale_scheduled',
+        'product_sale_cleared',
+        'product_restored',
+        'product_purged',
+        'product_rolled_back',
         'order_created',
         'order_updated',
         'order_cancelled',
@@ -52,6 +58,21 @@ const auditLogSchema = new mongoose.Schema(
         'order_status_updated',
         'payment_completed',
         'payment_failed',
+        'promotion_created',
+        'promotion_updated',
+        'promotion_deleted',
+        'pricing_rule_created',
+        'pricing_rule_updated',
+        'pricing_rule_deleted',
+        'return_requested',
+        'return_approved',
+        'return_rejected',
+        'return_received',
+        'return_cancelled',
+        'email_requeued',
+        'search_rule_created',
+        'search_rule_updated',
+        'search_rule_deleted',
         'unauthorized_access_attempt',
         'permission_denied',
         'suspicious_activity',
@@ -79,7 +100,7 @@ const auditLogSchema = new mongoose.Schema(
 
     resource: {
       type: String,
-      enum: ['user', 'product', 'order', 'auth', 'system', 'review'],
+      enum: ['user', 'product', 'order', 'auth', 'system', 'review', 'promotion', 'pricing', 'return', 'email', 'search'],
       required: true,
     },
 
@@ -30,6 +30,8 @@ const cartItemSchema = new mongoose.Schema({
         material: String,
         priceModifier: { type: Number, default: 0 },
     },
+    // SKU code of the color/strap combination (products with SKU inventory)
+    sku: String,
 });
 
 /**
@@ -39,6 +41,7 @@ const cartItemSchema = new mongoose.Schema({
  * Strategy:
  * - One cart per user
  * - Auto-expires after 30 days of inactivity (optional TTL)
+ * - Carts left untouched get reminder emails (utils/cartRecovery.js)
  */
 const cartSchema = new mongoose.Schema({
     user: {
@@ -52,6 +55,18 @@ const cartSchema = new mongoose.Schema({
         type: Number,
         default: 0,
     },
+    // Coupon applied to the cart; re-validated at checkout
+    promotionCode: {
+        type: String,
+        uppercase: true,
+        trim: true,
+    },
+    // Abandoned cart reminders sent since the cart last changed
+    // (updated without touching updatedAt; see utils/cartRecovery.js)
+    remindersSent: {
+        type: Number,
+        default: 0,
+    },
 }, {
     timestamps: true,
 });
@@ -61,7 +76,14 @@ cartSchema.pre('save', function (next) {
     this.subtotal = this.items.reduce((total, item) => {
         return total + (item.price * item.quantity);
     }, 0);
+    // Any change by the customer starts a new reminder cycle
+    if (this.isModified('items')) {
+        this.remindersSent = 0;
+    }
     next();
 });
 
+// Abandoned cart scan
+cartSchema.index({ updatedAt: 1, remindersSent: 1 });
+
 module.exports = mongoose.model('Cart', cartSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+/**
+ * Cart Recovery Model
+ * One abandoned-cart reminder cycle for a customer
+ *
+ * Created when the first reminder for a cart is sent and updated by each
+ * later one. The cycle ends when the customer places an order (recovered),
+ * changes the cart and starts a new cycle (expired), or opts out of
+ * reminders (opted_out). Recovery stats on the admin dashboard are
+ * aggregated from these records.
+ *
+ * The items are kept so the reminder link can restore them even if the
+ * cart was emptied in the meantime.
+ */
+const cartRecoverySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Random token used in the reminder link; identifies the cycle
+  token: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  status: {
+    type: String,
+    enum: ['active', 'recovered', 'expired', 'opted_out'],
+    default: 'active',
+  },
+  items: [{
+    _id: false,
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+    },
+    quantity: Number,
+    color: {
+      name: String,
+      hex: String,
+    },
+    strap: {
+      material: String,
+    },
+  }],
+  cartValue: {
+    type: Number,
+    default: 0,
+  },
+  remindersSent: {
+    type: Number,
+    default: 0,
+  },
+  lastReminderAt: Date,
+  // First time the customer followed a reminder link
+  clickedAt: Date,
+  recoveredAt: Date,
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+  },
+  recoveredValue: Number,
+}, {
+  timestamps: true,
+});
+
+cartRecoverySchema.index({ user: 1, status: 1 });
+cartRecoverySchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('CartRecovery', cartRecoverySchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+/**
+ * Email Message Model
+ * Outbox of rendered emails waiting for, or done with, delivery
+ *
+ * Messages are rendered when queued and delivered by the outbox worker
+ * (utils/emailOutbox.js), so an SMTP outage delays email instead of losing
+ * it. Failed deliveries are retried with exponential backoff until
+ * maxAttempts, then the message is dead-lettered for an admin to retry.
+ *
+ * Bodies of sensitive messages (one-time links and codes) are cleared once
+ * sent. Sent and dead messages are removed by a TTL index on purgeAt.
+ */
+const emailMessageSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+  },
+  template: {
+    type: String,
+    required: true,
+  },
+  templateVersion: {
+    type: Number,
+    required: true,
+  },
+  subject: {
+    type: String,
+    required: true,
+  },
+  html: String,
+  text: String,
+  sensitive: {
+    type: Boolean,
+    default: false,
+  },
+  // Non-sensitive context for the admin view, e.g. { orderId }
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'dead'],
+    default: 'queued',
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Set while a worker is delivering; stale locks are reclaimed
+  lockedAt: Date,
+  lastError: String,
+  sentAt: Date,
+  messageId: String,
+  purgeAt: Date,
+}, {
+  timestamps: true,
+});
+
+// Worker lookup: due messages by status
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Admin view: newest first, optionally by status
+emailMessageSchema.index({ status: 1, createdAt: -1 });
+emailMessageSchema.index({ createdAt: -1 });
+
+// Remove finished messages automatically
+emailMessageSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('EmailMessage', emailMessageSchema);
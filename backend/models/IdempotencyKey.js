@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+/**
+ * Idempotency Key Model
+ * Remembers the response to a mutating request so a retried request with
+ * the same Idempotency-Key header gets the same response instead of
+ * running again (duplicate orders, double stock decrements, extra
+ * PaymentIntents).
+ *
+ * Keys are scoped to the user who sent them. Records are removed by a TTL
+ * index once expiresAt passes.
+ */
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  method: {
+    type: String,
+    required: true,
+  },
+  path: {
+    type: String,
+    required: true,
+  },
+  // SHA-256 of method, path and body; a reused key must match it
+  fingerprint: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing',
+  },
+  response: {
+    statusCode: Number,
+    body: mongoose.Schema.Types.Mixed,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// One record per key per user
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+
+// Remove expired records automatically
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -31,14 +31,28 @@ const orderSchema = new mongoose.Schema({
       name: { type: String, required: true },
       brand: { type: String, required: true },
       model: { type: String, required: true },
+      category: String,
       price: { type: Number, required: true },
       imageUrl: String,
     },
+    // Selected variants (verified against the product at checkout)
+    color: {
+      name: String,
+      hex: String,
+    },
+    strap: {
+      material: String,
+      priceModifier: { type: Number, default: 0 },
+    },
+    // Stock-keeping unit the item was reserved from (products with SKU inventory)
+    sku: String,
+    skuId: mongoose.Schema.Types.ObjectId,
     quantity: {
       type: Number,
       required: true,
       min: [1, 'Quantity must be at least 1'],
     },
+    // Unit price including any strap price modifier
     priceAtPurchase: {
       type: Number,
       required: true,
@@ -77,7 +91,7 @@ const orderSchema = new mongoose.Schema({
     status: {
       type: String,
       required: true,
-      enum: ['pending', 'completed', 'failed', 'refunded'],
+      enum: ['pending', 'completed', 'failed', 'partially_refunded', 'refunded'],
       default: 'pending',
     },
     // Security: Never store full card numbers
@@ -85,6 +99,21 @@ const orderSchema = new mongoose.Schema({
     cardLastFour: String,
     transactionId: String,
     paidAt: Date,
+    // Running total of Stripe refunds issued against this order
+    refundedAmount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    refunds: [{
+      stripeRefundId: String,
+      amount: Number,
+      returnRequest: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ReturnRequest',
+      },
+      createdAt: { type: Date, default: Date.now },
+    }],
   },
   pricing: {
     subtotal: {
@@ -98,6 +127,11 @@ const orderSchema = new mongoose.Schema({
       min: 0,
       default: 0,
     },
+    // Percentage applied for the shipping destination
+    taxRate: {
+      type: Number,
+      min: 0,
+    },
     shipping: {
       type: Number,
       required: true,
@@ -115,6 +149,23 @@ const orderSchema = new mongoose.Schema({
       min: 0,
     },
   },
+  // Delivery option chosen at checkout (pricing.shipping holds the cost)
+  shippingMethod: {
+    code: String,
+    name: String,
+    estimatedDays: {
+      min: Number,
+      max: Number,
+    },
+  },
+  // Coupon applied at checkout (pricing.discount holds the amount)
+  promotion: {
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Promotion',
+    },
+    code: String,
+  },
   status: {
     type: String,
     required: true,
@@ -136,6 +187,11 @@ const orderSchema = new mongoose.Schema({
   deliveredAt: Date,
   cancelledAt: Date,
   cancellationReason: String,
+  // Lifecycle emails already sent (see utils/orderNotifications)
+  notificationsSent: {
+    type: [String],
+    select: false,
+  },
   notes: String,
 }, {
   timestamps: true,
@@ -157,5 +213,9 @@ orderSchema.index({ orderNumber: 1 });
 orderSchema.index({ user: 1 });
 orderSchema.index({ status: 1 });
 orderSchema.index({ createdAt: -1 });
+// Webhook lookups by Stripe PaymentIntent id
+orderSchema.index({ 'payment.transactionId': 1 }, { sparse: true });
+// Promotion usage limits and reports
+orderSchema.index({ 'promotion.promotion': 1, user: 1 });
 
 module.exports = mongoose.model('Order', orderSchema);
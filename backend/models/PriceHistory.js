@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+/**
+ * Price History Model
+ * One change to what a product costs
+ *
+ * `price` is the price charged (the sale price while a sale runs), so the
+ * history shows what customers actually paid over time; `regularPrice` is
+ * the product's list price at the same moment. Entries are only ever
+ * added, never edited.
+ */
+const priceHistorySchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  // Unset for the first entry of a new product
+  previousPrice: Number,
+  price: {
+    type: Number,
+    required: true,
+  },
+  previousRegularPrice: Number,
+  regularPrice: {
+    type: Number,
+    required: true,
+  },
+  reason: {
+    type: String,
+    enum: ['created', 'updated', 'sale_started', 'sale_ended'],
+    required: true,
+  },
+  // Unset for changes made by the sale scheduler
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+priceHistorySchema.index({ product: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PriceHistory', priceHistorySchema);
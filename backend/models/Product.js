@@ -1,6 +1,83 @@
 const mongoose = require('mongoose');
 const slugify = require('slugify');
 
+/**
+ * SKU Schema
+ * Stock for one color/strap combination of a product
+ * color/strap hold the variant names; empty when the product has no such option
+ */
+const skuSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'SKU code is required'],
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9-]{3,40}$/, 'SKU must be 3-40 letters, numbers or dashes'],
+  },
+  // EAN-13 / UPC-A / GTIN-14
+  barcode: {
+    type: String,
+    trim: true,
+    match: [/^\d{8,14}$/, 'Barcode must be 8-14 digits'],
+  },
+  color: {
+    type: String,
+    default: '',
+  },
+  strap: {
+    type: String,
+    default: '',
+  },
+  stock: {
+    type: Number,
+    required: true,
+    min: [0, 'Stock cannot be negative'],
+    default: 0,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+});
+
+/**
+ * Sale Schema
+ * A scheduled sale price; without dates the sale starts at once and runs
+ * until it is cleared
+ */
+const saleSchema = new mongoose.Schema({
+  price: {
+    type: Number,
+    required: [true, 'Sale price is required'],
+    min: [0, 'Sale price cannot be negative'],
+  },
+  startsAt: Date,
+  endsAt: Date,
+}, { _id: false });
+
+/**
+ * Water resistance in meters from text such as "10 ATM", "20 ATM (200m)",
+ * "300m" or "1000 ft". An explicit depth wins over a pressure rating.
+ * @param {String} text
+ * @returns {Number|null} Meters, or null if no rating can be read
+ */
+const parseWaterResistance = (text) => {
+  if (!text) return null;
+
+  const depth = String(text).match(/(\d+(?:\.\d+)?)\s*(m|meters?|metres?|ft|feet)\b/i);
+  if (depth) {
+    const value = Number(depth[1]);
+    return /^f/i.test(depth[2]) ? Math.round(value * 0.3048) : value;
+  }
+
+  const pressure = String(text).match(/(\d+(?:\.\d+)?)\s*(atm|bar)\b/i);
+  if (pressure) {
+    return Number(pressure[1]) * 10;
+  }
+
+  return null;
+};
+
 /**
  * Product Model
  * Manages watch products in the inventory
@@ -50,6 +127,21 @@ const productSchema = new mongoose.Schema({
     required: [true, 'Price is required'],
     min: [0, 'Price cannot be negative'],
   },
+  // Compare-at ("was") price shown struck through next to the price
+  comparePrice: {
+    type: Number,
+    min: [0, 'Compare-at price cannot be negative'],
+  },
+  sale: {
+    type: saleSchema,
+    default: undefined,
+  },
+  // Price charged right now (the sale price while a sale runs). Set on save
+  // and kept current by the sale scheduler; used to filter and sort by price.
+  effectivePrice: {
+    type: Number,
+    min: 0,
+  },
   currency: {
     type: String,
     default: 'USD',
@@ -66,6 +158,16 @@ const productSchema = new mongoose.Schema({
     required: [true, 'Category is required'],
     enum: ['luxury', 'sport', 'casual', 'smart', 'vintage'],
   },
+  // Who the watch is marketed to; unisex pieces are listed for both men and women
+  audience: {
+    type: String,
+    required: [true, 'Audience is required'],
+    enum: {
+      values: ['men', 'women', 'unisex'],
+      message: 'Audience must be men, women or unisex',
+    },
+    default: 'unisex',
+  },
   // Product variants (colors, straps)
   variants: {
     colors: [{
@@ -79,6 +181,18 @@ const productSchema = new mongoose.Schema({
       inStock: { type: Boolean, default: true },
     }],
   },
+  // Per-combination inventory; when present, stock is the sum of SKU stock
+  skus: {
+    type: [skuSchema],
+    validate: {
+      validator: function (skus) {
+        const codes = skus.map(s => s.sku);
+        const combos = skus.map(s => `${s.color}|${s.strap}`);
+        return new Set(codes).size === codes.length && new Set(combos).size === combos.length;
+      },
+      message: 'SKU codes and color/strap combinations must be unique',
+    },
+  },
   specifications: {
     movement: {
       type: String,
@@ -87,6 +201,8 @@ const productSchema = new mongoose.Schema({
     caseMaterial: String,
     caseDiameter: String,
     waterResistance: String,
+    // Parsed from waterResistance so searches can filter on depth
+    waterResistanceMeters: Number,
     strapMaterial: String,
     warranty: String,
     powerReserve: String,
@@ -138,6 +254,16 @@ const productSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
   },
+  // Trash: a deleted product is inactive and kept until it is restored or
+  // purged after the retention period (see utils/productTrash.js)
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -151,6 +277,22 @@ productSchema.virtual('reviews', {
   foreignField: 'product',
 });
 
+// Compare-at and sale prices only make sense below/above the regular price
+productSchema.pre('validate', function (next) {
+  if (this.comparePrice != null && this.comparePrice <= this.price) {
+    this.invalidate('comparePrice', 'Compare-at price must be higher than the price', this.comparePrice);
+  }
+  if (this.sale) {
+    if (this.sale.price >= this.price) {
+      this.invalidate('sale.price', 'Sale price must be lower than the price', this.sale.price);
+    }
+    if (this.sale.startsAt && this.sale.endsAt && this.sale.endsAt <= this.sale.startsAt) {
+      this.invalidate('sale.endsAt', 'Sale must end after it starts', this.sale.endsAt);
+    }
+  }
+  next();
+});
+
 // Pre-save middleware to generate slug
 productSchema.pre('save', function (next) {
   if (this.isModified('name') || !this.slug) {
@@ -163,6 +305,69 @@ productSchema.pre('save', function (next) {
   next();
 });
 
+// Pre-save middleware to keep product stock and variant flags in step with SKUs
+productSchema.pre('save', function (next) {
+  if (this.skus && this.skus.length > 0) {
+    this.stock = this.skus.reduce((total, sku) => total + (sku.isActive ? sku.stock : 0), 0);
+
+    const available = this.skus.filter(sku => sku.isActive && sku.stock > 0);
+    (this.variants?.colors || []).forEach(color => {
+      color.inStock = available.some(sku => sku.color === color.name);
+    });
+    (this.variants?.straps || []).forEach(strap => {
+      strap.inStock = available.some(sku => sku.strap === strap.material);
+    });
+  }
+  next();
+});
+
+// Pre-save middleware to keep the numeric water resistance in step with the text
+productSchema.pre('save', function (next) {
+  if (this.isNew || this.isModified('specifications')) {
+    const meters = parseWaterResistance(this.specifications?.waterResistance);
+    this.set('specifications.waterResistanceMeters', meters === null ? undefined : meters);
+  }
+  next();
+});
+
+/**
+ * Find the SKU for a color/strap combination
+ * @param {String} [color] - Color name
+ * @param {String} [strap] - Strap material
+ * @returns {Object|undefined} SKU subdocument
+ */
+productSchema.methods.findSku = function (color, strap) {
+  return this.skus.find(sku => sku.color === (color || '') && sku.strap === (strap || ''));
+};
+
+// Pre-save middleware to store the price in effect now
+productSchema.pre('save', function (next) {
+  this.effectivePrice = this.getEffectivePrice();
+  next();
+});
+
+/**
+ * Whether the scheduled sale applies at a moment
+ * @param {Date} [at] - Defaults to now
+ * @returns {Boolean}
+ */
+productSchema.methods.isSaleActive = function (at = new Date()) {
+  const { sale } = this;
+  if (!sale || sale.price == null || sale.price >= this.price) return false;
+  return (!sale.startsAt || sale.startsAt <= at) && (!sale.endsAt || sale.endsAt > at);
+};
+
+/**
+ * Unit price (before variant modifiers) at a moment
+ * @param {Date} [at] - Defaults to now
+ * @returns {Number}
+ */
+productSchema.methods.getEffectivePrice = function (at) {
+  return this.isSaleActive(at) ? this.sale.price : this.price;
+};
+
+productSchema.statics.parseWaterResistance = parseWaterResistance;
+
 // Static method to find by slug
 productSchema.statics.findBySlug = function (slug) {
   return this.findOne({ slug, isActive: true });
@@ -171,8 +376,15 @@ productSchema.statics.findBySlug = function (slug) {
 // Indexes for search and filtering performance
 productSchema.index({ name: 'text', description: 'text', brand: 'text' });
 productSchema.index({ brand: 1, category: 1 });
+productSchema.index({ audience: 1, isActive: 1, createdAt: -1 });
 productSchema.index({ price: 1 });
+productSchema.index({ effectivePrice: 1 });
 productSchema.index({ isActive: 1 });
+productSchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
 productSchema.index({ slug: 1 });
+// SKU codes are unique across the catalogue
+productSchema.index({ 'skus.sku': 1 }, { unique: true, partialFilterExpression: { 'skus.sku': { $exists: true } } });
+// Barcodes are optional per SKU, so uniqueness is checked by the product controller
+productSchema.index({ 'skus.barcode': 1 });
 
 module.exports = mongoose.model('Product', productSchema);
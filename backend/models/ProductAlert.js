@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+/**
+ * Product Alert Model
+ * One back-in-stock or price-drop alert run for a product
+ *
+ * Created when an admin update restocks a product or lowers its price, and
+ * filled in as the customers who wishlisted it are notified. The recipient
+ * counts explain why not everyone on the wishlist got an email; the
+ * individual emails are recorded as AlertDelivery documents.
+ */
+const productAlertSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ['back_in_stock', 'price_drop'],
+    required: true,
+  },
+  // Stock for back_in_stock, price for price_drop
+  previousValue: Number,
+  newValue: Number,
+  status: {
+    type: String,
+    enum: ['processing', 'completed', 'failed'],
+    default: 'processing',
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  recipients: {
+    // Customers with the product on their wishlist
+    wishlisted: { type: Number, default: 0 },
+    queued: { type: Number, default: 0 },
+    // Opted out, unverified or deactivated
+    ineligible: { type: Number, default: 0 },
+    // Already told about this product recently
+    deduplicated: { type: Number, default: 0 },
+    // Reached the daily alert limit
+    rateLimited: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+  },
+  error: String,
+  completedAt: Date,
+}, {
+  timestamps: true,
+});
+
+productAlertSchema.index({ product: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ProductAlert', productAlertSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+/**
+ * Product Revision Model
+ * A numbered snapshot of a product's editable fields after a change
+ *
+ * Revisions are only ever added: a rollback copies an old snapshot back
+ * onto the product and is recorded as a new revision. See
+ * utils/productRevisions.js for what a snapshot holds.
+ */
+const productRevisionSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  // 1, 2, 3... per product
+  version: {
+    type: Number,
+    required: true,
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  // Fields (dotted paths for specifications) that differ from the state before the change
+  changedFields: [String],
+  // baseline: the state before the first recorded edit of a product created
+  // before revisions existed
+  reason: {
+    type: String,
+    enum: ['created', 'baseline', 'updated', 'sale_scheduled', 'rolled_back'],
+    required: true,
+  },
+  // Version whose snapshot a rollback restored
+  rolledBackTo: Number,
+  // Unset for the baseline
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  // Snapshots are stored exactly as taken
+  minimize: false,
+});
+
+productRevisionSchema.index({ product: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('ProductRevision', productRevisionSchema);
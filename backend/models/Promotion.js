@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+/**
+ * Promotion Model
+ * Coupon codes that discount an order's subtotal
+ *
+ * Security:
+ * - Only admins can create/update/delete promotions
+ * - Discounts are always computed server-side from this document
+ * - usageCount is changed with conditional atomic updates so the
+ *   total usage limit cannot be exceeded by concurrent checkouts
+ * - Per-customer redemptions are counted in PromotionRedemption the
+ *   same way
+ */
+const promotionSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Promotion code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Code must be 3-30 letters, numbers, dashes or underscores'],
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+  },
+  type: {
+    type: String,
+    required: [true, 'Promotion type is required'],
+    enum: ['percentage', 'fixed'],
+  },
+  // Percentage (0-100) or fixed amount in USD depending on type
+  value: {
+    type: Number,
+    required: [true, 'Promotion value is required'],
+    min: [0, 'Value cannot be negative'],
+    validate: {
+      validator: function (value) {
+        return this.type !== 'percentage' || value <= 100;
+      },
+      message: 'Percentage cannot exceed 100',
+    },
+  },
+  // Optional cap for percentage discounts
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative'],
+  },
+  minSubtotal: {
+    type: Number,
+    min: [0, 'Minimum subtotal cannot be negative'],
+    default: 0,
+  },
+  startsAt: Date,
+  expiresAt: Date,
+  // Total redemptions allowed across all customers (null = unlimited)
+  usageLimit: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1'],
+    default: null,
+  },
+  // Redemptions allowed per customer (null = unlimited)
+  perCustomerLimit: {
+    type: Number,
+    min: [1, 'Per-customer limit must be at least 1'],
+    default: null,
+  },
+  // Redemptions held by orders that are not cancelled
+  usageCount: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  // Empty arrays mean no restriction
+  restrictions: {
+    categories: [{
+      type: String,
+      enum: ['luxury', 'sport', 'casual', 'smart', 'vintage'],
+    }],
+    brands: [{
+      type: String,
+      trim: true,
+    }],
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+// Static method to find by customer-entered code
+promotionSchema.statics.findByCode = function (code) {
+  if (typeof code !== 'string') return null;
+  return this.findOne({ code: code.trim().toUpperCase() });
+};
+
+promotionSchema.index({ isActive: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('Promotion', promotionSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+/**
+ * Promotion Redemption Model
+ * How many times one customer holds a promotion, for per-customer limits
+ *
+ * Changed in the same transaction that reserves an order's stock, with a
+ * conditional atomic update, so concurrent checkouts by the same customer
+ * cannot redeem a code more often than its per-customer limit. Cancelled
+ * orders give their redemption back.
+ */
+const promotionRedemptionSchema = new mongoose.Schema({
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Redemptions held by orders that are not cancelled
+  count: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+}, {
+  timestamps: true,
+});
+
+promotionRedemptionSchema.index({ promotion: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('PromotionRedemption', promotionRedemptionSchema);
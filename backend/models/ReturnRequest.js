@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+
+/**
+ * Return Request Model (RMA)
+ * A customer's request to return items from a delivered order
+ *
+ * Lifecycle: requested -> approved -> received -> refunded
+ *            requested -> rejected | cancelled (by the customer)
+ *
+ * Security:
+ * - Customers can only create and view their own return requests
+ * - Refund amounts are computed server-side from the order's prices
+ * - Items reference order line items; quantities are capped by what was bought
+ */
+const returnRequestSchema = new mongoose.Schema({
+  rmaNumber: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  items: [{
+    // _id of the line item in order.items
+    orderItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    name: String,
+    // Copied from the order line so restocking goes back to the same SKU
+    sku: String,
+    skuId: mongoose.Schema.Types.ObjectId,
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, 'Quantity must be at least 1'],
+    },
+    unitPrice: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  }],
+  reason: {
+    type: String,
+    required: [true, 'Return reason is required'],
+    enum: ['defective', 'not_as_described', 'wrong_item', 'damaged_in_transit', 'changed_mind', 'other'],
+  },
+  comments: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Comments cannot exceed 1000 characters'],
+  },
+  status: {
+    type: String,
+    required: true,
+    // refunding: claimed by a refund that is waiting on Stripe
+    enum: ['requested', 'approved', 'rejected', 'received', 'refunding', 'refunded', 'cancelled'],
+    default: 'requested',
+  },
+  statusHistory: [{
+    status: String,
+    timestamp: { type: Date, default: Date.now },
+    note: String,
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  }],
+  rejectionReason: String,
+  adminNotes: String,
+  receivedAt: Date,
+  // Condition of the watch when it arrived back
+  receivedCondition: {
+    type: String,
+    enum: ['new', 'opened', 'used', 'damaged'],
+  },
+  // Amount and restock are set when a refund claims the return, the rest once Stripe refunded it
+  refund: {
+    amount: {
+      type: Number,
+      min: 0,
+    },
+    stripeRefundId: String,
+    // Claims so far; part of the Stripe idempotency key
+    attempt: {
+      type: Number,
+      default: 0,
+    },
+    restocked: {
+      type: Boolean,
+      default: false,
+    },
+    refundedAt: Date,
+    refundedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+}, {
+  timestamps: true,
+});
+
+/**
+ * Move the request to a new status and record it in the history
+ * @param {String} status - New status
+ * @param {Object} [options]
+ * @param {String} [options.note] - History note
+ * @param {String} [options.updatedBy] - User making the change
+ */
+returnRequestSchema.methods.transitionTo = function(status, { note, updatedBy } = {}) {
+  this.status = status;
+  this.statusHistory.push({
+    status,
+    timestamp: new Date(),
+    note,
+    updatedBy,
+  });
+};
+
+returnRequestSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ReturnRequest', returnRequestSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Searches older than this are removed automatically
+const RETENTION_DAYS = parseInt(process.env.SEARCH_ANALYTICS_RETENTION_DAYS) || 90;
+
+/**
+ * Search Query Model
+ * One product search made in the shop, for the admin search report
+ *
+ * Recorded when the first page of results is shown. Searches typed in
+ * quick succession by the same visitor ("rol", "rolex") are folded into
+ * one record, so the report counts what customers meant to search for.
+ * The visitor is identified by a hash only, never the IP address.
+ */
+const searchQuerySchema = new mongoose.Schema({
+  // As typed (trimmed)
+  query: {
+    type: String,
+    required: true,
+    maxlength: 100,
+  },
+  // Lowercase with collapsed whitespace; the report groups on this
+  normalizedQuery: {
+    type: String,
+    required: true,
+    maxlength: 100,
+  },
+  resultCount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // Synonym or redirect rule applied to the search, if any
+  rule: {
+    type: {
+      type: String,
+      enum: ['synonym', 'redirect'],
+    },
+    term: String,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  visitor: {
+    type: String,
+    required: true,
+  },
+  clicks: {
+    type: Number,
+    default: 0,
+  },
+  // First result the customer opened
+  firstClick: {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+    },
+    position: Number,
+    at: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+searchQuerySchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+searchQuerySchema.index({ normalizedQuery: 1, createdAt: -1 });
+searchQuerySchema.index({ visitor: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('SearchQuery', searchQuerySchema);
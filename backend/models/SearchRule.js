@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+/**
+ * Search Rule Model
+ * Admin-managed rules the product search applies to what customers type
+ *
+ * - synonym: searching for a term also finds products matching its
+ *   synonyms ("moonwatch" -> "speedmaster")
+ * - redirect: searching for a term shows a filtered listing instead of
+ *   text results ("diver" -> category sport, water resistance >= 200m)
+ *
+ * Terms are stored normalized (lowercase, single spaces) and a term can
+ * only belong to one active rule.
+ */
+const normalizeTerm = (term) => String(term).toLowerCase().trim().replace(/\s+/g, ' ');
+
+const searchRuleSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Rule type is required'],
+    enum: ['synonym', 'redirect'],
+  },
+  terms: {
+    type: [{
+      type: String,
+      set: normalizeTerm,
+      maxlength: [60, 'Terms cannot exceed 60 characters'],
+    }],
+    validate: {
+      validator: terms => terms.length > 0 && terms.every(Boolean),
+      message: 'At least one search term is required',
+    },
+  },
+  synonyms: {
+    type: [{
+      type: String,
+      set: normalizeTerm,
+      maxlength: [60, 'Synonyms cannot exceed 60 characters'],
+    }],
+    default: undefined,
+  },
+  // Shop filters to show instead of text results (redirect rules)
+  filters: {
+    category: {
+      type: String,
+      enum: ['luxury', 'sport', 'casual', 'smart', 'vintage'],
+    },
+    audience: {
+      type: String,
+      enum: ['men', 'women', 'unisex'],
+    },
+    movement: {
+      type: String,
+      enum: ['automatic', 'quartz', 'mechanical', 'kinetic', 'solar'],
+    },
+    strapMaterial: String,
+    minPrice: { type: Number, min: 0 },
+    maxPrice: { type: Number, min: 0 },
+    // Meters
+    minWaterResistance: { type: Number, min: 0 },
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+// Each rule type needs its payload
+searchRuleSchema.pre('validate', function (next) {
+  if (this.type === 'synonym' && !(this.synonyms && this.synonyms.some(Boolean))) {
+    this.invalidate('synonyms', 'A synonym rule needs at least one synonym');
+  }
+  if (this.type === 'redirect') {
+    const filters = this.filters?.toObject ? this.filters.toObject() : this.filters;
+    const hasFilter = Object.values(filters || {}).some(value => value !== undefined && value !== null && value !== '');
+    if (!hasFilter) {
+      this.invalidate('filters', 'A redirect rule needs at least one filter');
+    }
+  }
+  next();
+});
+
+searchRuleSchema.statics.normalizeTerm = normalizeTerm;
+
+searchRuleSchema.index({ terms: 1, isActive: 1 });
+
+module.exports = mongoose.model('SearchRule', searchRuleSchema);
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+/**
+ * Shipping Method Model
+ * A selectable delivery option (standard, express, insured overnight)
+ * with its own rate table
+ *
+ * The rate table is a list of subtotal tiers: the tier with the highest
+ * minSubtotal not above the order's discounted subtotal sets the cost.
+ * A tier with cost 0 gives free shipping from that subtotal upwards.
+ *
+ * Security: Only admins can create/update/delete shipping methods
+ */
+const rateTierSchema = new mongoose.Schema({
+  minSubtotal: {
+    type: Number,
+    required: true,
+    min: [0, 'Tier minimum subtotal cannot be negative'],
+  },
+  cost: {
+    type: Number,
+    required: true,
+    min: [0, 'Shipping cost cannot be negative'],
+  },
+}, { _id: false });
+
+const shippingMethodSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Shipping method code is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9_]{2,30}$/, 'Code must be 2-30 lowercase letters, numbers or underscores'],
+  },
+  name: {
+    type: String,
+    required: [true, 'Shipping method name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters'],
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+  },
+  estimatedDays: {
+    min: { type: Number, min: 0 },
+    max: { type: Number, min: 0 },
+  },
+  rates: {
+    type: [rateTierSchema],
+    validate: {
+      validator: (rates) => Array.isArray(rates) && rates.length > 0,
+      message: 'At least one rate tier is required',
+    },
+  },
+  // Only offered from this discounted subtotal upwards (e.g. insured overnight)
+  minSubtotal: {
+    type: Number,
+    min: [0, 'Minimum subtotal cannot be negative'],
+    default: 0,
+  },
+  // ISO country codes this method ships to; empty means everywhere
+  countries: [{
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{2}$/, 'Country must be a 2-letter ISO code'],
+  }],
+  sortOrder: {
+    type: Number,
+    default: 0,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+shippingMethodSchema.index({ isActive: 1, sortOrder: 1 });
+
+module.exports = mongoose.model('ShippingMethod', shippingMethodSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+/**
+ * Tax Rate Model
+ * Sales tax applied to an order based on its shipping destination
+ *
+ * A rate with an empty state covers the whole country; a state-specific
+ * rate takes precedence over it. Destinations without a matching rate fall
+ * back to the default rate in the pricing engine.
+ *
+ * Security: Only admins can create/update/delete tax rates
+ */
+const taxRateSchema = new mongoose.Schema({
+  // ISO 3166-1 alpha-2 country code (e.g. US)
+  country: {
+    type: String,
+    required: [true, 'Country is required'],
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{2}$/, 'Country must be a 2-letter ISO code'],
+  },
+  // State/province code; empty for a country-wide rate
+  state: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: '',
+    maxlength: [50, 'State cannot exceed 50 characters'],
+  },
+  // Percentage (e.g. 8.25 for 8.25%)
+  rate: {
+    type: Number,
+    required: [true, 'Tax rate is required'],
+    min: [0, 'Tax rate cannot be negative'],
+    max: [100, 'Tax rate cannot exceed 100'],
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Label cannot exceed 100 characters'],
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+// One rate per destination
+taxRateSchema.index({ country: 1, state: 1 }, { unique: true });
+
+module.exports = mongoose.model('TaxRate', taxRateSchema);
@@ -1,6 +1,6 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
-const { encrypt, decrypt } = require("../utils/encryption");
+const { encrypt, decrypt, isEncrypted } = require("../utils/encryption");
 
 /**
  * User Model
@@ -21,6 +21,47 @@ const { encrypt, decrypt } = require("../utils/encryption");
  * 1. Field-Level Encryption: Phone numbers and MFA secrets encrypted at rest
  * 2. Token Versioning: Enables immediate JWT revocation
  */
+
+// Address book entry (shipping or billing), validated per country in the controller
+const addressSchema = new mongoose.Schema(
+  {
+    label: {
+      type: String,
+      trim: true,
+      maxlength: [50, "Label cannot exceed 50 characters"],
+      default: "",
+    },
+    type: {
+      type: String,
+      enum: ["shipping", "billing"],
+      required: true,
+    },
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+    firstName: { type: String, trim: true, required: true, maxlength: 50 },
+    lastName: { type: String, trim: true, required: true, maxlength: 50 },
+    street: { type: String, trim: true, required: true, maxlength: 200 },
+    street2: { type: String, trim: true, maxlength: 200 },
+    city: { type: String, trim: true, required: true, maxlength: 100 },
+    state: { type: String, trim: true, uppercase: true, maxlength: 50 },
+    postalCode: { type: String, trim: true, uppercase: true, required: true },
+    country: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      required: true,
+      match: [/^[A-Z]{2}$/, "Country must be a 2-letter ISO code"],
+    },
+    // Security: Encrypted at rest like the account phone number
+    phone: { type: String, trim: true },
+  },
+  {
+    timestamps: true,
+  },
+);
+
 const userSchema = new mongoose.Schema(
   {
     email: {
@@ -70,6 +111,7 @@ const userSchema = new mongoose.Schema(
       // High Enhancement: Field-level encryption for PII protection
       match: [/^[\d\s\-\+\(\)]+$/, "Please provide a valid phone number"],
     },
+    // Legacy single address, kept for older clients; see addresses
     address: {
       street: { type: String, trim: true },
       city: { type: String, trim: true },
@@ -77,6 +119,13 @@ const userSchema = new mongoose.Schema(
       postalCode: { type: String, trim: true },
       country: { type: String, trim: true },
     },
+    addresses: {
+      type: [addressSchema],
+      validate: {
+        validator: (addresses) => addresses.length <= 20,
+        message: "An address book can hold at most 20 addresses",
+      },
+    },
     // Profile picture stored on Cloudinary
     profilePicture: {
       url: { type: String, default: "" },
@@ -139,6 +188,21 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Optional emails the customer can opt out of
+    notificationPreferences: {
+      cartReminders: {
+        type: Boolean,
+        default: true,
+      },
+      backInStock: {
+        type: Boolean,
+        default: true,
+      },
+      priceDrop: {
+        type: Boolean,
+        default: true,
+      },
+    },
     verificationOTP: {
       type: String,
       select: false,
@@ -193,6 +257,13 @@ userSchema.pre("save", async function (next) {
       this.phone = encrypt(this.phone);
     }
 
+    // Address book phone numbers
+    for (const address of this.addresses || []) {
+      if (address.phone && !isEncrypted(address.phone)) {
+        address.phone = encrypt(address.phone);
+      }
+    }
+
     // Security: Encrypt MFA secret if modified
     // MFA secrets must be encrypted at rest but recoverable for TOTP verification
     if (this.isModified("mfaSecret") && this.mfaSecret) {
@@ -215,6 +286,12 @@ userSchema.post("init", function (doc) {
       doc.phone = decrypt(doc.phone);
     }
 
+    for (const address of doc.addresses || []) {
+      if (address.phone) {
+        address.phone = decrypt(address.phone);
+      }
+    }
+
     // Security: Decrypt MFA secret after loading from DB
     if (doc.mfaSecret) {
       doc.mfaSecret = decrypt(doc.mfaSecret);
@@ -233,6 +310,12 @@ userSchema.post("findOne", function (doc) {
         doc.phone = decrypt(doc.phone);
       }
 
+      for (const address of doc.addresses || []) {
+        if (address.phone) {
+          address.phone = decrypt(address.phone);
+        }
+      }
+
       // Security: Decrypt MFA secret after findOne
       if (doc.mfaSecret) {
         doc.mfaSecret = decrypt(doc.mfaSecret);
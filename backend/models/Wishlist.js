@@ -2,19 +2,38 @@ const mongoose = require('mongoose');
 
 /**
  * Wishlist Model
- * Stores user favorites
- * 
+ * A named list of favorite watches; a user can keep several
+ *
  * Strategy:
  * - Array of product IDs for fast looking up
  * - References Product for population
+ * - One list per user is the default; the heart buttons add to it
+ * - A shared list can be viewed read-only by anyone with its share token.
+ *   The token is created the first time the list is shared and can be
+ *   rotated to revoke old links.
  */
 const wishlistSchema = new mongoose.Schema({
     user: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
         required: true,
-        unique: true,
     },
+    name: {
+        type: String,
+        trim: true,
+        default: 'My Wishlist',
+        maxlength: [60, 'List name cannot exceed 60 characters'],
+    },
+    isDefault: {
+        type: Boolean,
+        default: false,
+    },
+    privacy: {
+        type: String,
+        enum: ['private', 'shared'],
+        default: 'private',
+    },
+    shareToken: String,
     products: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Product',
@@ -23,4 +42,13 @@ const wishlistSchema = new mongoose.Schema({
     timestamps: true,
 });
 
+wishlistSchema.index({ user: 1, createdAt: 1 });
+// At most one default list per user
+wishlistSchema.index(
+    { user: 1 },
+    { name: 'user_default_list', unique: true, partialFilterExpression: { isDefault: true } }
+);
+wishlistSchema.index({ shareToken: 1 }, { unique: true, sparse: true });
+wishlistSchema.index({ products: 1 });
+
 module.exports = mongoose.model('Wishlist', wishlistSchema);
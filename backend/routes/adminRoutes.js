@@ -10,6 +10,11 @@ const {
     getOrderById,
     updateOrderStatus,
     getProducts,
+    getProductAlerts,
+    scheduleProductSale,
+    getProductPriceHistory,
+    getProductRevisions,
+    compareProductRevisions,
     getAuditLogs,
     getReviews,
     updateReviewStatus,
@@ -17,6 +22,7 @@ const {
 } = require('../controllers/adminController');
 const { protect, restrictTo } = require('../middleware/auth');
 const { requirePermission } = require('../middleware/rbac');
+const { validateObjectId } = require('../middleware/validateInput');
 
 /**
  * Admin Routes
@@ -49,12 +55,108 @@ router.patch('/orders/:id/status', requirePermission('update:orders'), updateOrd
 
 // Products Management
 router.get('/products', requirePermission('read:products'), getProducts);
+router.get('/products/:id/alerts', validateObjectId('id'), requirePermission('read:products'), getProductAlerts);
+router.get('/products/:id/price-history', validateObjectId('id'), requirePermission('read:products'), getProductPriceHistory);
+router.get('/products/:id/revisions', validateObjectId('id'), requirePermission('read:products'), getProductRevisions);
+router.get('/products/:id/revisions/compare', validateObjectId('id'), requirePermission('read:products'), compareProductRevisions);
+router.post('/products/sale', requirePermission('update:products'), scheduleProductSale);
 
 // Product CRUD - Admin only
-const { createProduct, updateProduct, deleteProduct } = require('../controllers/productController');
+const {
+    createProduct,
+    updateProduct,
+    deleteProduct,
+    restoreProduct,
+    purgeDeletedProduct,
+    rollbackProduct,
+} = require('../controllers/productController');
 router.post('/products', requirePermission('create:products'), createProduct);
 router.put('/products/:id', requirePermission('update:products'), updateProduct);
 router.delete('/products/:id', requirePermission('delete:products'), deleteProduct);
+router.post('/products/:id/restore', validateObjectId('id'), requirePermission('delete:products'), restoreProduct);
+router.delete('/products/:id/purge', validateObjectId('id'), requirePermission('delete:products'), purgeDeletedProduct);
+router.post('/products/:id/revisions/:version/rollback', validateObjectId('id'), requirePermission('update:products'), rollbackProduct);
+
+// Promotions Management
+const {
+    getPromotions,
+    getPromotionById,
+    createPromotion,
+    updatePromotion,
+    deletePromotion,
+    getPromotionUsage,
+} = require('../controllers/promotionController');
+router.get('/promotions', requirePermission('read:products'), getPromotions);
+router.post('/promotions', requirePermission('create:products'), createPromotion);
+router.get('/promotions/:id', validateObjectId('id'), requirePermission('read:products'), getPromotionById);
+router.put('/promotions/:id', validateObjectId('id'), requirePermission('update:products'), updatePromotion);
+router.delete('/promotions/:id', validateObjectId('id'), requirePermission('delete:products'), deletePromotion);
+// Usage lists the orders that redeemed the code
+router.get('/promotions/:id/usage', validateObjectId('id'), requirePermission('read:all_orders'), getPromotionUsage);
+
+// Tax & Shipping Rules
+const {
+    getTaxRates,
+    createTaxRate,
+    updateTaxRate,
+    deleteTaxRate,
+    getShippingMethods,
+    createShippingMethod,
+    updateShippingMethod,
+    deleteShippingMethod,
+} = require('../controllers/pricingController');
+router.get('/pricing/tax-rates', requirePermission('read:products'), getTaxRates);
+router.post('/pricing/tax-rates', requirePermission('create:products'), createTaxRate);
+router.put('/pricing/tax-rates/:id', validateObjectId('id'), requirePermission('update:products'), updateTaxRate);
+router.delete('/pricing/tax-rates/:id', validateObjectId('id'), requirePermission('delete:products'), deleteTaxRate);
+router.get('/pricing/shipping-methods', requirePermission('read:products'), getShippingMethods);
+router.post('/pricing/shipping-methods', requirePermission('create:products'), createShippingMethod);
+router.put('/pricing/shipping-methods/:id', validateObjectId('id'), requirePermission('update:products'), updateShippingMethod);
+router.delete('/pricing/shipping-methods/:id', validateObjectId('id'), requirePermission('delete:products'), deleteShippingMethod);
+
+// Returns & Refunds
+const {
+    getReturns,
+    getReturnById,
+    approveReturn,
+    rejectReturn,
+    receiveReturn,
+    refundReturn,
+} = require('../controllers/returnController');
+router.get('/returns', requirePermission('read:all_orders'), getReturns);
+router.get('/returns/:id', validateObjectId('id'), requirePermission('read:all_orders'), getReturnById);
+router.put('/returns/:id/approve', validateObjectId('id'), requirePermission('update:orders'), approveReturn);
+router.put('/returns/:id/reject', validateObjectId('id'), requirePermission('update:orders'), rejectReturn);
+router.put('/returns/:id/receive', validateObjectId('id'), requirePermission('update:orders'), receiveReturn);
+router.post('/returns/:id/refund', validateObjectId('id'), requirePermission('update:orders'), refundReturn);
+
+// Email Templates & Outbox
+const {
+    getEmailTemplates,
+    previewEmailTemplate,
+    getOutboxMessages,
+    getOutboxMessage,
+    retryOutboxMessage,
+} = require('../controllers/emailController');
+router.get('/emails/templates', requirePermission('read:all_users'), getEmailTemplates);
+router.get('/emails/templates/:name/preview', requirePermission('read:all_users'), previewEmailTemplate);
+router.get('/emails/outbox', requirePermission('read:all_users'), getOutboxMessages);
+router.get('/emails/outbox/:id', validateObjectId('id'), requirePermission('read:all_users'), getOutboxMessage);
+router.post('/emails/outbox/:id/retry', validateObjectId('id'), requirePermission('update:all_users'), retryOutboxMessage);
+
+// Search Insights
+const {
+    getSearchAnalytics,
+    getSearchRules,
+    createSearchRule,
+    updateSearchRule,
+    deleteSearchRule,
+} = require('../controllers/searchController');
+router.get('/search/analytics', requirePermission('read:products'), getSearchAnalytics);
+router.get('/search/rules', requirePermission('read:products'), getSearchRules);
+router.post('/search/rules', requirePermission('create:products'), createSearchRule);
+router.put('/search/rules/:id', validateObjectId('id'), requirePermission('update:products'), updateSearchRule);
+router.delete('/search/rules/:id', validateObjectId('id'), requirePermission('delete:products'), deleteSearchRule);
 
 // Audit Logs
 router.get('/audit-logs', requirePermission('read:audit_logs'), getAuditLogs);
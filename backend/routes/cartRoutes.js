@@ -2,24 +2,35 @@ const express = require('express');
 const router = express.Router();
 const {
     getCart,
+    validateCart,
+    acknowledgeCartChanges,
     addToCart,
     updateCartItem,
     removeFromCart,
-    clearCart
+    clearCart,
+    applyPromotion,
+    removePromotion,
+    recoverCart,
+    mergeCart
 } = require('../controllers/cartController');
 const { protect } = require('../middleware/auth');
 const { authLimiter } = require('../middleware/rateLimiter');
 
 // All cart routes require authentication
-// Consider allowing public cart ops in future (guest cart) via session ID, 
-// but for now, we enforce login for persistence as requested.
+// Guest carts live in the browser and are merged in with POST /merge after login
 router.use(protect);
 router.use(authLimiter);
 
 router.get('/', getCart);
+router.get('/validate', validateCart);
+router.post('/acknowledge', acknowledgeCartChanges);
 router.post('/add', addToCart);
 router.put('/item/:itemId', updateCartItem);
 router.delete('/item/:itemId', removeFromCart);
 router.delete('/', clearCart);
+router.post('/promotion', applyPromotion);
+router.delete('/promotion', removePromotion);
+router.post('/recover', recoverCart);
+router.post('/merge', mergeCart);
 
 module.exports = router;
@@ -9,6 +9,7 @@ const {
   updatePaymentStatus,
 } = require('../controllers/orderController');
 const { protect } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 const { requirePermission } = require('../middleware/rbac');
 const { validateOrder, validateObjectId } = require('../middleware/validateInput');
 
@@ -25,8 +26,8 @@ const { validateOrder, validateObjectId } = require('../middleware/validateInput
 // Security: All order routes require authentication
 router.use(protect);
 
-// Create new order
-router.post('/', validateOrder, createOrder);
+// Create new order (retries with the same Idempotency-Key are replayed)
+router.post('/', validateOrder, idempotency, createOrder);
 
 // Get all orders (filtered by role in controller)
 router.get('/', getAllOrders);
@@ -1,9 +1,11 @@
 const express = require('express');
 const router = express.Router();
-const { createPaymentIntent, handleStripeWebhook } = require('../controllers/paymentController');
+const { createPaymentIntent, confirmPayment, handleStripeWebhook } = require('../controllers/paymentController');
 const { protect } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 
-router.post('/create-intent', protect, createPaymentIntent);
+router.post('/create-intent', protect, idempotency, createPaymentIntent);
+router.post('/confirm', protect, confirmPayment);
 
 // Webhook route - match the path excluded in server.js
 // Use raw body parser for signature verification
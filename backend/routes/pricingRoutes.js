@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const { getQuote } = require('../controllers/pricingController');
+const { optionalAuth } = require('../middleware/auth');
+
+/**
+ * Pricing Routes
+ * Live tax and shipping quotes for the cart and checkout pages
+ * (Rule management lives under /api/admin/pricing)
+ *
+ * Security:
+ * - Public so guests can see shipping costs before signing in
+ * - Promotion codes are only applied for signed-in customers
+ */
+router.post('/quote', optionalAuth, getQuote);
+
+module.exports = router;
@@ -9,10 +9,14 @@ const {
   updateProduct,
   deleteProduct,
   getFilterOptions,
+  getFilterFacets,
+  suggestProducts,
+  trackSearchClick,
 } = require('../controllers/productController');
 const { getMensProducts, getWomensProducts } = require('../controllers/genderProductController');
-const { protect, restrictTo } = require('../middleware/auth');
+const { protect, optionalAuth, restrictTo } = require('../middleware/auth');
 const { authLimiter } = require('../middleware/rateLimiter');
+const { validateObjectId } = require('../middleware/validateInput');
 
 /**
  * Product Routes
@@ -24,8 +28,11 @@ const { authLimiter } = require('../middleware/rateLimiter');
  */
 
 // Public routes
-router.get('/', authLimiter, getProducts);
+router.get('/', authLimiter, optionalAuth, getProducts);
 router.get('/filters/options', authLimiter, getFilterOptions);
+router.get('/filters/facets', authLimiter, getFilterFacets);
+router.get('/suggest', authLimiter, suggestProducts); // Search bar typeahead
+router.post('/search/:searchId/click', authLimiter, validateObjectId('searchId'), trackSearchClick); // Search analytics
 router.get('/men', authLimiter, getMensProducts);
 router.get('/women', authLimiter, getWomensProducts);
 router.get('/slug/:slug', authLimiter, getProductBySlug); // SEO-friendly slug route
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const { validatePromotion } = require('../controllers/promotionController');
+const { protect } = require('../middleware/auth');
+const { authLimiter } = require('../middleware/rateLimiter');
+
+/**
+ * Promotion Routes
+ * Customer-facing coupon validation
+ * (Admin management lives under /api/admin/promotions)
+ *
+ * Security:
+ * - Requires authentication (per-customer usage limits)
+ * - Rate limited to slow down code guessing
+ */
+router.use(protect);
+router.use(authLimiter);
+
+router.post('/validate', validatePromotion);
+
+module.exports = router;
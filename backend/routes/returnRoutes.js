@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const {
+    createReturnRequest,
+    getMyReturns,
+    getMyReturnById,
+    cancelReturnRequest,
+} = require('../controllers/returnController');
+const { protect } = require('../middleware/auth');
+const { validateObjectId } = require('../middleware/validateInput');
+
+/**
+ * Return Routes
+ * Customer-facing return requests (RMA)
+ * (Review, receipt and refunds live under /api/admin/returns)
+ *
+ * Security:
+ * - All routes require authentication
+ * - Customers can only access their own return requests
+ */
+router.use(protect);
+
+router.post('/', createReturnRequest);
+router.get('/', getMyReturns);
+router.get('/:id', validateObjectId('id'), getMyReturnById);
+router.put('/:id/cancel', validateObjectId('id'), cancelReturnRequest);
+
+module.exports = router;
@@ -8,8 +8,17 @@ const {
   updateUserRole,
   updateUserStatus,
   updateProfilePicture,
+  unsubscribeEmails,
 } = require('../controllers/userController');
+const {
+  getAddresses,
+  createAddress,
+  updateAddress,
+  setDefaultAddress,
+  deleteAddress,
+} = require('../controllers/addressController');
 const { protect } = require('../middleware/auth');
+const { authLimiter } = require('../middleware/rateLimiter');
 const { requirePermission, requireRole, requireOwnership } = require('../middleware/rbac');
 const { validateObjectId } = require('../middleware/validateInput');
 
@@ -18,12 +27,15 @@ const { validateObjectId } = require('../middleware/validateInput');
  * All routes call controllers - no logic in route files
  *
  * Security:
- * - All routes require authentication
+ * - All routes except email unsubscribe require authentication
  * - RBAC enforced based on permissions
  * - Users can only access their own data unless admin
  */
 
-// Security: All user routes require authentication
+// One-click unsubscribe from optional emails; the signed token identifies the user
+router.post('/email-preferences/unsubscribe', authLimiter, unsubscribeEmails);
+
+// Security: All other user routes require authentication
 router.use(protect);
 
 // Get all users - admin only
@@ -53,6 +65,45 @@ router.put(
   updateProfilePicture
 );
 
+// Address book - own profile or admin
+router.get(
+  '/:id/addresses',
+  validateObjectId('id'),
+  requireOwnership('id'),
+  getAddresses
+);
+
+router.post(
+  '/:id/addresses',
+  validateObjectId('id'),
+  requireOwnership('id'),
+  createAddress
+);
+
+router.put(
+  '/:id/addresses/:addressId',
+  validateObjectId('id'),
+  validateObjectId('addressId'),
+  requireOwnership('id'),
+  updateAddress
+);
+
+router.put(
+  '/:id/addresses/:addressId/default',
+  validateObjectId('id'),
+  validateObjectId('addressId'),
+  requireOwnership('id'),
+  setDefaultAddress
+);
+
+router.delete(
+  '/:id/addresses/:addressId',
+  validateObjectId('id'),
+  validateObjectId('addressId'),
+  requireOwnership('id'),
+  deleteAddress
+);
+
 // Admin-only routes
 router.delete(
   '/:id',
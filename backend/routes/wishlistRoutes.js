@@ -3,10 +3,21 @@ const router = express.Router();
 const {
     getWishlist,
     toggleWishlist,
-    checkWishlistStatus
+    checkWishlistStatus,
+    createList,
+    updateList,
+    deleteList,
+    moveItem,
+    regenerateShareToken,
+    getSharedWishlist
 } = require('../controllers/wishlistController');
 const { protect } = require('../middleware/auth');
 const { authLimiter } = require('../middleware/rateLimiter');
+const { validateObjectId } = require('../middleware/validateInput');
+
+// Read-only view of a shared list; the share token is the only credential,
+// so failed lookups count towards the IP limit
+router.get('/shared/:token', authLimiter, getSharedWishlist);
 
 router.use(protect);
 router.use(authLimiter);
@@ -15,4 +26,11 @@ router.get('/', getWishlist);
 router.post('/toggle', toggleWishlist);
 router.get('/check/:productId', checkWishlistStatus);
 
+// Named lists
+router.post('/lists', createList);
+router.put('/lists/:id', validateObjectId('id'), updateList);
+router.delete('/lists/:id', validateObjectId('id'), deleteList);
+router.post('/lists/:id/move', validateObjectId('id'), moveItem);
+router.post('/lists/:id/share-token', validateObjectId('id'), regenerateShareToken);
+
 module.exports = router;
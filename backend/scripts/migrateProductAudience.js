@@ -0,0 +1,61 @@
+require('dotenv').config();
+const Product = require('../models/Product');
+const connectDB = require('../config/database');
+
+/**
+ * Product Audience Migration Script
+ * Sets `audience` on products created before it existed
+ *
+ * The Men/Women pages used to pick products by category, so existing
+ * products keep the page they were shown on:
+ * - sport, luxury -> men
+ * - vintage, casual, smart -> women
+ *
+ * Products that already have an audience are left alone, so it is safe
+ * to run more than once. Review the result in the admin afterwards and
+ * mark pieces that suit everyone as unisex.
+ *
+ * Usage: npm run migrate:audience
+ */
+
+const CATEGORY_AUDIENCE = {
+  sport: 'men',
+  luxury: 'men',
+  vintage: 'women',
+  casual: 'women',
+  smart: 'women',
+};
+
+const migrateProductAudience = async () => {
+  try {
+    console.log('Starting product audience migration...');
+
+    await connectDB();
+
+    for (const [category, audience] of Object.entries(CATEGORY_AUDIENCE)) {
+      const result = await Product.updateMany(
+        { category, audience: { $exists: false } },
+        { $set: { audience } }
+      );
+      console.log(`${category}: ${result.modifiedCount} product(s) set to ${audience}`);
+    }
+
+    // Anything left (e.g. an unknown category) is shown on both pages
+    const rest = await Product.updateMany(
+      { audience: { $exists: false } },
+      { $set: { audience: 'unisex' } }
+    );
+    console.log(`Other: ${rest.modifiedCount} product(s) set to unisex`);
+
+    await Product.syncIndexes();
+    console.log('Product indexes are up to date');
+
+    console.log('\nProduct audience migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('Product audience migration failed:', error);
+    process.exit(1);
+  }
+};
+
+migrateProductAudience();
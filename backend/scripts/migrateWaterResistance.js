@@ -0,0 +1,74 @@
+require('dotenv').config();
+const Product = require('../models/Product');
+const connectDB = require('../config/database');
+
+/**
+ * Water Resistance Migration Script
+ * Fills `specifications.waterResistanceMeters` for existing products
+ *
+ * Search redirects can filter on depth (e.g. "diver" -> 200m or more),
+ * which needs the number parsed from the free-text water resistance.
+ * New and edited products get it when they are saved.
+ *
+ * Safe to run more than once.
+ *
+ * Usage: npm run migrate:water-resistance
+ */
+
+const BATCH_SIZE = 500;
+
+const migrateWaterResistance = async () => {
+  try {
+    console.log('Starting water resistance migration...');
+
+    await connectDB();
+
+    let updated = 0;
+    let unreadable = 0;
+    let operations = [];
+
+    const flush = async () => {
+      if (operations.length === 0) return;
+      await Product.bulkWrite(operations);
+      operations = [];
+    };
+
+    const cursor = Product.find({ 'specifications.waterResistance': { $nin: [null, ''] } })
+      .select('specifications.waterResistance specifications.waterResistanceMeters')
+      .lean()
+      .cursor();
+
+    for await (const product of cursor) {
+      const meters = Product.parseWaterResistance(product.specifications.waterResistance);
+      if (meters === null) {
+        unreadable += 1;
+        continue;
+      }
+      if (meters === product.specifications.waterResistanceMeters) continue;
+
+      operations.push({
+        updateOne: {
+          filter: { _id: product._id },
+          update: { $set: { 'specifications.waterResistanceMeters': meters } },
+        },
+      });
+      updated += 1;
+
+      if (operations.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    console.log(`Updated ${updated} product(s)`);
+    if (unreadable > 0) {
+      console.log(`${unreadable} product(s) have a water resistance that could not be read; edit them in the admin`);
+    }
+
+    console.log('\nWater resistance migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('Water resistance migration failed:', error);
+    process.exit(1);
+  }
+};
+
+migrateWaterResistance();
@@ -0,0 +1,51 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Wishlist = require('../models/Wishlist');
+const connectDB = require('../config/database');
+
+/**
+ * Wishlist Migration Script
+ * Prepares a database from before multiple wishlists per user
+ *
+ * - Drops the old unique index on `user` that allowed only one list
+ * - Marks each user's existing list as their default
+ * - Creates the new indexes
+ *
+ * Safe to run more than once.
+ *
+ * Usage: npm run migrate:wishlists
+ */
+
+const migrateWishlists = async () => {
+  try {
+    console.log('Starting wishlist migration...');
+
+    await connectDB();
+
+    const indexes = await Wishlist.collection.indexes();
+    const legacyIndex = indexes.find(index => index.name === 'user_1' && index.unique);
+    if (legacyIndex) {
+      await Wishlist.collection.dropIndex('user_1');
+      console.log('Dropped unique index on user');
+    }
+
+    // Before this change every user had exactly one list
+    const usersWithDefault = await Wishlist.distinct('user', { isDefault: true });
+    const result = await Wishlist.updateMany(
+      { user: { $nin: usersWithDefault }, isDefault: { $ne: true } },
+      { $set: { isDefault: true, name: 'My Wishlist', privacy: 'private' } }
+    );
+    console.log(`Marked ${result.modifiedCount} existing wishlist(s) as default`);
+
+    await Wishlist.syncIndexes();
+    console.log('Wishlist indexes are up to date');
+
+    console.log('\nWishlist migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('Wishlist migration failed:', error);
+    process.exit(1);
+  }
+};
+
+migrateWishlists();
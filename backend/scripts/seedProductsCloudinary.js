@@ -20,6 +20,7 @@ const products = [
         currency: "USD",
         stock: 3,
         category: "luxury",
+        audience: "men",
         isActive: true,
         isFeatured: true,
         variants: {
@@ -51,6 +52,7 @@ const products = [
         currency: "USD",
         stock: 5,
         category: "luxury",
+        audience: "men",
         isActive: true,
         isFeatured: true,
         variants: {
@@ -82,6 +84,7 @@ const products = [
         currency: "USD",
         stock: 8,
         category: "sport",
+        audience: "men",
         isActive: true,
         isFeatured: true,
         variants: {
@@ -113,6 +116,7 @@ const products = [
         currency: "USD",
         stock: 12,
         category: "sport",
+        audience: "men",
         isActive: true,
         isFeatured: false,
         variants: {
@@ -144,6 +148,7 @@ const products = [
         currency: "USD",
         stock: 4,
         category: "luxury",
+        audience: "men",
         isActive: true,
         isFeatured: false,
         variants: {
@@ -177,6 +182,7 @@ const products = [
         currency: "USD",
         stock: 10,
         category: "vintage",
+        audience: "women",
         isActive: true,
         isFeatured: false,
         variants: {
@@ -208,6 +214,7 @@ const products = [
         currency: "USD",
         stock: 7,
         category: "vintage",
+        audience: "men",
         isActive: true,
         isFeatured: true,
         variants: {
@@ -239,6 +246,7 @@ const products = [
         currency: "USD",
         stock: 4,
         category: "vintage",
+        audience: "unisex",
         isActive: true,
         isFeatured: false,
         variants: {
@@ -272,6 +280,7 @@ const products = [
         currency: "USD",
         stock: 9,
         category: "sport",
+        audience: "men",
         isActive: true,
         isFeatured: false,
         variants: {
@@ -303,6 +312,7 @@ const products = [
         currency: "USD",
         stock: 6,
         category: "sport",
+        audience: "men",
         isActive: true,
         isFeatured: false,
         variants: {
@@ -334,6 +344,7 @@ const products = [
         currency: "USD",
         stock: 15,
         category: "sport",
+        audience: "men",
         isActive: true,
         isFeatured: false,
         variants: {
@@ -367,6 +378,7 @@ const products = [
         currency: "USD",
         stock: 50,
         category: "smart",
+        audience: "unisex",
         isActive: true,
         isFeatured: true,
         variants: {
@@ -398,6 +410,7 @@ const products = [
         currency: "USD",
         stock: 30,
         category: "smart",
+        audience: "men",
         isActive: true,
         isFeatured: false,
         variants: {
@@ -431,6 +444,7 @@ const products = [
         currency: "USD",
         stock: 40,
         category: "casual",
+        audience: "men",
         isActive: true,
         isFeatured: false,
         variants: {
@@ -462,6 +476,7 @@ const products = [
         currency: "USD",
         stock: 25,
         category: "casual",
+        audience: "unisex",
         isActive: true,
         isFeatured: true,
         variants: {
@@ -493,6 +508,7 @@ const products = [
         currency: "USD",
         stock: 18,
         category: "casual",
+        audience: "men",
         isActive: true,
         isFeatured: false,
         variants: {
@@ -524,6 +540,7 @@ const products = [
         currency: "USD",
         stock: 8,
         category: "sport",
+        audience: "men",
         isActive: true,
         isFeatured: true,
         variants: {
@@ -555,6 +572,7 @@ const products = [
         currency: "USD",
         stock: 2,
         category: "luxury",
+        audience: "men",
         isActive: true,
         isFeatured: false,
         variants: {
@@ -586,6 +604,7 @@ const products = [
         currency: "USD",
         stock: 5,
         category: "sport",
+        audience: "men",
         isActive: true,
         isFeatured: false,
         variants: {
@@ -617,6 +636,7 @@ const products = [
         currency: "USD",
         stock: 12,
         category: "sport",
+        audience: "men",
         isActive: true,
         isFeatured: false,
         variants: {
@@ -722,7 +742,13 @@ const seedData = async () => {
                 ...product,
                 images: processedImages,
                 createdBy: adminUser._id,
-                slug: slugify(product.name, { lower: true, strict: true })
+                slug: slugify(product.name, { lower: true, strict: true }),
+                // insertMany skips save middleware, so derive these here
+                effectivePrice: product.price,
+                specifications: {
+                    ...product.specifications,
+                    waterResistanceMeters: Product.parseWaterResistance(product.specifications?.waterResistance)
+                }
             });
         }
 
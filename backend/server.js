@@ -16,6 +16,10 @@ const { validateEnv } = require("./config/env");
 const { notFound, errorHandler } = require("./middleware/errorHandler");
 const { apiLimiter } = require("./middleware/rateLimiter");
 const { doubleCsrfProtection, generateCsrfToken } = require("./config/csrf");
+const { startOutboxWorker, stopOutboxWorker } = require("./utils/emailOutbox");
+const { startCartRecoveryJob, stopCartRecoveryJob } = require("./utils/cartRecovery");
+const { startSaleScheduler, stopSaleScheduler } = require("./utils/saleScheduler");
+const { startProductPurgeJob, stopProductPurgeJob } = require("./utils/productTrash");
 
 // SSL Certificate Configuration
 const sslOptions = {
@@ -294,6 +298,9 @@ app.use("/api/reviews", require("./routes/reviewRoutes"));
 app.use("/api/cart", require("./routes/cartRoutes"));
 app.use("/api/wishlist", require("./routes/wishlistRoutes"));
 app.use("/api/payment", require("./routes/paymentRoutes"));
+app.use("/api/promotions", require("./routes/promotionRoutes"));
+app.use("/api/pricing", require("./routes/pricingRoutes"));
+app.use("/api/returns", require("./routes/returnRoutes"));
 app.use("/api/admin", require("./routes/adminRoutes"));
 app.use("/api/uploads", require("./routes/uploadRoutes"));
 
@@ -315,6 +322,14 @@ const server = https.createServer(sslOptions, app).listen(PORT, () => {
 ║           Port: ${PORT}                                   ║
 ╚═══════════════════════════════════════════════════════╝
   `);
+
+  // Deliver queued emails in the background
+  startOutboxWorker();
+  // Remind customers about abandoned carts
+  startCartRecoveryJob();
+  // Start and end scheduled sales
+  startSaleScheduler();
+  startProductPurgeJob();
 });
 
 // Handle unhandled promise rejections
@@ -333,6 +348,10 @@ process.on("uncaughtException", (err) => {
 // Graceful shutdown
 process.on("SIGTERM", () => {
   console.log("SIGTERM signal received: closing HTTPS server");
+  stopOutboxWorker();
+  stopCartRecoveryJob();
+  stopSaleScheduler();
+  stopProductPurgeJob();
   server.close(() => {
     console.log("HTTPS server closed");
     mongoose.connection.close(false, () => {
@@ -0,0 +1,96 @@
+const layout = require('./layout');
+
+/**
+ * Account Email Templates
+ * Verification, OTP and password reset messages
+ *
+ * These carry one-time links and codes, so they are marked sensitive:
+ * the outbox keeps their bodies out of the admin view.
+ */
+
+const emailVerification = {
+    name: 'email-verification',
+    version: 1,
+    description: 'Link sent after registration to verify the email address',
+    sensitive: true,
+    sampleData: { verificationUrl: 'https://crownhour.example/verify-email?token=sample-token' },
+    subject: () => 'Verify Your Email Address - CrownHour',
+    html: ({ verificationUrl }) => layout.html({
+        heading: 'Verify your email address',
+        body: [
+            layout.paragraph('Thank you for registering with CrownHour. To complete your account setup and access our exclusive collection, please verify your email address.'),
+            layout.linkButton(verificationUrl, 'VERIFY EMAIL'),
+            layout.paragraph('This link will expire in 24 hours.', 'font-size: 14px; margin-top: 30px;'),
+        ].join('\n'),
+    }),
+    text: ({ verificationUrl }) => layout.text({
+        heading: 'Verify your email address',
+        lines: [
+            'Thank you for registering with CrownHour. Open the link below to verify your email address:',
+            '',
+            verificationUrl,
+            '',
+            'This link will expire in 24 hours.',
+        ],
+    }),
+};
+
+const otpVerification = {
+    name: 'otp-verification',
+    version: 1,
+    description: 'One-time password used to verify a new account',
+    sensitive: true,
+    sampleData: { otp: '482913' },
+    subject: () => 'Your Verification Code - CrownHour',
+    html: ({ otp }) => layout.html({
+        heading: 'Verify your email address',
+        body: [
+            layout.paragraph('Thank you for registering. Please use the following One-Time Password (OTP) to verify your account:'),
+            `<div style="text-align: center; margin: 30px 0;">
+                        <span style="background-color: ${layout.BRAND.ink}; color: #fff; padding: 12px 24px; border-radius: 4px; font-weight: bold; font-size: 24px; letter-spacing: 5px;">${layout.escapeHtml(otp)}</span>
+                    </div>`,
+            layout.paragraph('This code will expire in 10 minutes.', 'font-size: 14px; margin-top: 30px;'),
+        ].join('\n'),
+    }),
+    text: ({ otp }) => layout.text({
+        heading: 'Verify your email address',
+        lines: [
+            'Thank you for registering. Your One-Time Password (OTP) is:',
+            '',
+            otp,
+            '',
+            'This code will expire in 10 minutes.',
+        ],
+    }),
+};
+
+const passwordReset = {
+    name: 'password-reset',
+    version: 1,
+    description: 'Link to set a new password after a reset request',
+    sensitive: true,
+    sampleData: { resetUrl: 'https://crownhour.example/reset-password/sample-token' },
+    subject: () => 'Reset Your Password - CrownHour',
+    html: ({ resetUrl }) => layout.html({
+        heading: 'Reset Your Password',
+        body: [
+            layout.paragraph('You requested a password reset. Please click the button below to set a new password:'),
+            layout.linkButton(resetUrl, 'RESET PASSWORD'),
+            layout.paragraph('This link will expire in 10 minutes.', 'font-size: 14px; margin-top: 30px;'),
+            layout.paragraph('If you didn\'t request this, please ignore this email.', 'font-size: 14px; margin-top: 10px;'),
+        ].join('\n'),
+    }),
+    text: ({ resetUrl }) => layout.text({
+        heading: 'Reset Your Password',
+        lines: [
+            'You requested a password reset. Open the link below to set a new password:',
+            '',
+            resetUrl,
+            '',
+            'This link will expire in 10 minutes.',
+            'If you didn\'t request this, please ignore this email.',
+        ],
+    }),
+};
+
+module.exports = [emailVerification, otpVerification, passwordReset];
@@ -0,0 +1,95 @@
+const layout = require('./layout');
+
+/**
+ * Cart Email Templates
+ * Abandoned cart reminders
+ *
+ * Data: { customerName, items: [{ name, variant, quantity, lineTotal }],
+ * subtotal, cartUrl, unsubscribeUrl, reminderNumber }
+ */
+
+const { escapeHtml, formatMoney } = layout;
+
+const COPY = [
+    {
+        subject: 'You left something in your bag - CrownHour',
+        heading: 'Your selection is waiting',
+        intro: 'You left a few pieces in your bag. We have kept them for you, so you can pick up right where you left off.',
+    },
+    {
+        subject: 'Still thinking it over? - CrownHour',
+        heading: 'Still thinking it over?',
+        intro: 'The timepieces in your bag are still available, but popular pieces do not stay in stock for long.',
+    },
+];
+
+// Later reminders reuse the last copy
+const copyFor = (reminderNumber) => COPY[Math.min(Math.max(reminderNumber, 1), COPY.length) - 1];
+
+const cartReminder = {
+    name: 'cart-reminder',
+    version: 1,
+    description: 'Reminder about items left in the cart, with a link that restores them',
+    sensitive: false,
+    sampleData: {
+        customerName: 'Alex',
+        reminderNumber: 1,
+        items: [
+            { name: 'Sovereign Chronograph', variant: 'Midnight Blue · Leather strap', quantity: 1, lineTotal: 1250 },
+            { name: 'Heritage Automatic', quantity: 2, lineTotal: 960 },
+        ],
+        subtotal: 2210,
+        cartUrl: 'https://crownhour.example/cart?recover=sample',
+        unsubscribeUrl: 'https://crownhour.example/email-preferences/unsubscribe?token=sample',
+    },
+    subject: ({ reminderNumber }) => copyFor(reminderNumber).subject,
+    html: ({ customerName, reminderNumber, items = [], subtotal, cartUrl, unsubscribeUrl }) => {
+        const copy = copyFor(reminderNumber);
+        const itemRows = items.map(item => `
+                        <tr>
+                            <td style="padding: 8px 0; border-bottom: 1px solid #eee;">
+                                ${escapeHtml(item.name)}${item.variant ? `<br><span style="font-size: 12px; color: #888;">${escapeHtml(item.variant)}</span>` : ''}
+                            </td>
+                            <td style="padding: 8px 0; border-bottom: 1px solid #eee; text-align: center;">${item.quantity}</td>
+                            <td style="padding: 8px 0; border-bottom: 1px solid #eee; text-align: right;">${formatMoney(item.lineTotal)}</td>
+                        </tr>`).join('');
+
+        return layout.html({
+            heading: copy.heading,
+            body: [
+                layout.paragraph(escapeHtml(customerName ? `Dear ${customerName},` : 'Hello,')),
+                layout.paragraph(copy.intro),
+                `
+                    <table style="width: 100%; border-collapse: collapse; font-size: 14px; margin: 20px 0;">${itemRows}
+                        <tr>
+                            <td colspan="2" style="padding: 8px 0; text-align: right; color: #666;">Subtotal</td>
+                            <td style="padding: 8px 0; text-align: right; font-weight: bold;">${formatMoney(subtotal)}</td>
+                        </tr>
+                    </table>`,
+                layout.button(cartUrl, 'RETURN TO YOUR BAG'),
+                layout.note('Prices and availability are confirmed at checkout.'),
+            ].join('\n'),
+            footer: `You received this because you left items in your CrownHour bag. <a href="${escapeHtml(unsubscribeUrl)}" style="color: #999;">Stop cart reminders</a>`,
+        });
+    },
+    text: ({ customerName, reminderNumber, items = [], subtotal, cartUrl, unsubscribeUrl }) => {
+        const copy = copyFor(reminderNumber);
+        return layout.text({
+            heading: copy.heading,
+            lines: [
+                customerName ? `Dear ${customerName},` : 'Hello,',
+                copy.intro,
+                '',
+                ...items.map(item =>
+                    `${[item.name, item.variant].filter(Boolean).join(' · ')} x${item.quantity}  ${formatMoney(item.lineTotal)}`),
+                `Subtotal: ${formatMoney(subtotal)}`,
+                '',
+                `Return to your bag: ${cartUrl}`,
+                'Prices and availability are confirmed at checkout.',
+            ],
+            footer: `Stop cart reminders: ${unsubscribeUrl}`,
+        });
+    },
+};
+
+module.exports = [cartReminder];
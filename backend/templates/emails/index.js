@@ -0,0 +1,85 @@
+const accountTemplates = require('./account');
+const cartTemplates = require('./cart');
+const orderTemplates = require('./orders');
+const wishlistTemplates = require('./wishlist');
+
+/**
+ * Email Template Registry
+ *
+ * Templates are identified by name and version. A new version of a template
+ * is added alongside the old one (bump `version`) so messages already in the
+ * outbox keep a record of what they were rendered with; rendering without a
+ * version uses the latest.
+ */
+
+const registry = new Map();
+
+[...accountTemplates, ...orderTemplates, ...cartTemplates, ...wishlistTemplates].forEach(template => {
+    const versions = registry.get(template.name) || [];
+    if (versions.some(existing => existing.version === template.version)) {
+        throw new Error(`Duplicate email template ${template.name} v${template.version}`);
+    }
+    versions.push(template);
+    versions.sort((a, b) => b.version - a.version);
+    registry.set(template.name, versions);
+});
+
+/**
+ * Look up a template
+ * @param {string} name - Template name
+ * @param {number} [version] - Specific version (latest if omitted)
+ * @returns {Object|null} Template definition
+ */
+const getTemplate = (name, version) => {
+    const versions = registry.get(name);
+    if (!versions) return null;
+    if (version === undefined) return versions[0];
+    return versions.find(template => template.version === Number(version)) || null;
+};
+
+/**
+ * List templates with their available versions
+ * @returns {Array<Object>} { name, version, versions, description, sensitive }
+ */
+const listTemplates = () => Array.from(registry.values()).map(([latest, ...older]) => ({
+    name: latest.name,
+    version: latest.version,
+    versions: [latest.version, ...older.map(template => template.version)],
+    description: latest.description,
+    sensitive: latest.sensitive,
+}));
+
+/**
+ * Render a template
+ * @param {string} name - Template name
+ * @param {Object} data - Template data
+ * @param {Object} [options]
+ * @param {number} [options.version] - Specific version (latest if omitted)
+ * @param {boolean} [options.sample] - Render with the template's sample data
+ * @returns {Object} { name, version, sensitive, subject, html, text }
+ */
+const renderTemplate = (name, data, { version, sample = false } = {}) => {
+    const template = getTemplate(name, version);
+    if (!template) {
+        const error = new Error(`Unknown email template: ${name}${version !== undefined ? ` v${version}` : ''}`);
+        error.statusCode = 404;
+        throw error;
+    }
+
+    const input = sample ? template.sampleData : data;
+
+    return {
+        name: template.name,
+        version: template.version,
+        sensitive: template.sensitive,
+        subject: template.subject(input),
+        html: template.html(input),
+        text: template.text(input),
+    };
+};
+
+module.exports = {
+    getTemplate,
+    listTemplates,
+    renderTemplate,
+};
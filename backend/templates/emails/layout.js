@@ -0,0 +1,99 @@
+/**
+ * Brand Layout Partials
+ * Shared pieces every email template is assembled from
+ *
+ * Templates only produce their body; `html()` and `text()` wrap it in the
+ * CrownHour header and footer so branding changes happen in one place.
+ */
+
+const BRAND = {
+    name: 'CrownHour',
+    gold: '#d4af37',
+    ink: '#0c0c0c',
+};
+
+// Escape user- and admin-entered text before placing it in HTML
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const formatMoney = (amount) => `$${(amount || 0).toFixed(2)}`;
+
+const paragraph = (content, style = '') =>
+    `<p${style ? ` style="${style}"` : ''}>${content}</p>`;
+
+const note = (content) => paragraph(content, 'font-size: 14px; color: #666;');
+
+/**
+ * Call-to-action button
+ * @param {string} url - Link target
+ * @param {string} label - Button text
+ */
+const button = (url, label) => `
+                    <div style="text-align: center; margin: 30px 0;">
+                        <a href="${escapeHtml(url)}" style="background-color: ${BRAND.ink}; color: #fff; padding: 12px 24px; text-decoration: none; border-radius: 4px; font-weight: bold;">${escapeHtml(label)}</a>
+                    </div>`;
+
+/**
+ * Button followed by the raw link for clients that block buttons
+ * @param {string} url - Link target
+ * @param {string} label - Button text
+ */
+const linkButton = (url, label) => `${button(url, label)}
+                    ${note('Or copy and paste this link into your browser:')}
+                    <p style="font-size: 12px; color: #888; word-break: break-all;">${escapeHtml(url)}</p>`;
+
+/**
+ * Wrap a body in the brand HTML layout
+ * @param {Object} options
+ * @param {string} options.heading - Heading shown above the body
+ * @param {string} options.body - Body HTML (already escaped)
+ * @param {string} [options.footer] - Extra footer HTML, e.g. an unsubscribe link
+ * @returns {string} Complete HTML document body
+ */
+const html = ({ heading, body, footer }) => `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; color: #333;">
+                <h1 style="color: ${BRAND.gold}; text-align: center;">${BRAND.name}</h1>
+                <div style="background-color: #f9f9f9; padding: 30px; border-radius: 8px;">
+                    <h2 style="margin-top: 0;">${escapeHtml(heading)}</h2>
+                    ${body}
+                </div>
+                <div style="text-align: center; margin-top: 20px; font-size: 12px; color: #999;">
+                    &copy; ${new Date().getFullYear()} ${BRAND.name}. All rights reserved.${footer ? `
+                    <p style="margin: 8px 0 0;">${footer}</p>` : ''}
+                </div>
+            </div>
+        `;
+
+/**
+ * Wrap lines in the brand plain-text layout
+ * Falsy lines are dropped so optional sections can be written inline
+ * @param {Object} options
+ * @param {string} options.heading - First line of the message
+ * @param {Array<string>} options.lines - Body lines
+ * @param {string} [options.footer] - Extra footer line
+ * @returns {string} Plain-text body
+ */
+const text = ({ heading, lines, footer }) => [
+    heading,
+    '',
+    ...lines,
+    '',
+    `© ${new Date().getFullYear()} ${BRAND.name}. All rights reserved.`,
+    footer,
+].filter(line => typeof line === 'string').join('\n');
+
+module.exports = {
+    BRAND,
+    escapeHtml,
+    formatMoney,
+    paragraph,
+    note,
+    button,
+    linkButton,
+    html,
+    text,
+};
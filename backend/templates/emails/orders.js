@@ -0,0 +1,177 @@
+const layout = require('./layout');
+
+/**
+ * Order Email Templates
+ * Confirmation, shipment, delivery and cancellation messages
+ *
+ * Data: { order, customerName, orderUrl } where `order` has the Order
+ * model's shape (items with productSnapshot/color/strap, pricing, etc.)
+ */
+
+const { escapeHtml, formatMoney } = layout;
+
+const describeItem = (item) => [
+    item.productSnapshot?.name,
+    item.color?.name,
+    item.strap?.material && `${item.strap.material} strap`,
+].filter(Boolean).join(' · ');
+
+const totalsOf = (pricing = {}) => [
+    ['Subtotal', formatMoney(pricing.subtotal)],
+    pricing.discount > 0 && ['Discount', `-${formatMoney(pricing.discount)}`],
+    ['Shipping', pricing.shipping === 0 ? 'Free' : formatMoney(pricing.shipping)],
+    ['Tax', formatMoney(pricing.tax)],
+    ['Total', formatMoney(pricing.total)],
+].filter(Boolean);
+
+const trackingOf = (order) => (order.trackingNumber
+    ? `${order.shippingCarrier ? `${order.shippingCarrier} ` : ''}${order.trackingNumber}`
+    : null);
+
+const isPaid = (order) => order.payment?.status === 'completed';
+
+// Line items and totals as an HTML table
+const itemsTable = (order) => {
+    const itemRows = (order.items || []).map(item => `
+                        <tr>
+                            <td style="padding: 8px 0; border-bottom: 1px solid #eee;">${escapeHtml(describeItem(item))}</td>
+                            <td style="padding: 8px 0; border-bottom: 1px solid #eee; text-align: center;">${item.quantity}</td>
+                            <td style="padding: 8px 0; border-bottom: 1px solid #eee; text-align: right;">${formatMoney(item.priceAtPurchase * item.quantity)}</td>
+                        </tr>`).join('');
+
+    const totalRows = totalsOf(order.pricing).map(([label, value]) => `
+                        <tr>
+                            <td colspan="2" style="padding: 4px 0; text-align: right; color: #666;">${label}</td>
+                            <td style="padding: 4px 0; text-align: right;${label === 'Total' ? ' font-weight: bold;' : ''}">${value}</td>
+                        </tr>`).join('');
+
+    return `
+                    <table style="width: 100%; border-collapse: collapse; font-size: 14px; margin: 20px 0;">
+                        <tr>
+                            <th style="text-align: left; padding-bottom: 8px; border-bottom: 2px solid ${layout.BRAND.gold};">Item</th>
+                            <th style="text-align: center; padding-bottom: 8px; border-bottom: 2px solid ${layout.BRAND.gold};">Qty</th>
+                            <th style="text-align: right; padding-bottom: 8px; border-bottom: 2px solid ${layout.BRAND.gold};">Price</th>
+                        </tr>${itemRows}${totalRows}
+                    </table>`;
+};
+
+// Line items and totals as plain-text lines
+const itemsText = (order) => [
+    ...(order.items || []).map(item =>
+        `${describeItem(item)} x${item.quantity}  ${formatMoney(item.priceAtPurchase * item.quantity)}`),
+    '',
+    ...totalsOf(order.pricing).map(([label, value]) => `${label}: ${value}`),
+];
+
+const SAMPLE_DATA = {
+    customerName: 'Alex',
+    orderUrl: 'https://crownhour.example/profile?tab=orders&order=sample',
+    order: {
+        orderNumber: 'ORD-20260101-0001',
+        status: 'shipped',
+        payment: { status: 'completed' },
+        trackingNumber: '1Z999AA10123456784',
+        shippingCarrier: 'UPS',
+        cancellationReason: 'Requested by customer',
+        items: [
+            {
+                productSnapshot: { name: 'Sovereign Chronograph' },
+                color: { name: 'Midnight Blue' },
+                strap: { material: 'Leather' },
+                quantity: 1,
+                priceAtPurchase: 1250,
+            },
+            {
+                productSnapshot: { name: 'Heritage Automatic' },
+                quantity: 2,
+                priceAtPurchase: 480,
+            },
+        ],
+        pricing: { subtotal: 2210, discount: 100, shipping: 0, tax: 168.8, total: 2278.8 },
+    },
+};
+
+/**
+ * Build an order template from its copy
+ * @param {Object} definition - name, description, heading, intro(order), subject(order)
+ *                              and optional extra(order) returning { html, text } details
+ */
+const orderTemplate = ({ name, description, heading, intro, subject, extra }) => ({
+    name,
+    version: 1,
+    description,
+    sensitive: false,
+    sampleData: SAMPLE_DATA,
+    subject: ({ order }) => subject(order),
+    html: ({ order, customerName, orderUrl }) => layout.html({
+        heading,
+        body: [
+            layout.paragraph(escapeHtml(customerName ? `Dear ${customerName},` : 'Hello,')),
+            layout.paragraph(intro(order)),
+            layout.note(`Order number: <strong>${escapeHtml(order.orderNumber)}</strong>`),
+            extra?.(order)?.html,
+            itemsTable(order),
+            layout.button(orderUrl, 'VIEW ORDER'),
+        ].filter(Boolean).join('\n'),
+    }),
+    text: ({ order, customerName, orderUrl }) => layout.text({
+        heading,
+        lines: [
+            customerName ? `Dear ${customerName},` : 'Hello,',
+            intro(order),
+            '',
+            `Order number: ${order.orderNumber}`,
+            extra?.(order)?.text,
+            '',
+            ...itemsText(order),
+            '',
+            `View your order: ${orderUrl}`,
+        ],
+    }),
+});
+
+module.exports = [
+    orderTemplate({
+        name: 'order-confirmation',
+        description: 'Sent when an order is placed or its payment is confirmed',
+        heading: 'Thank you for your order',
+        subject: (order) => `Order Confirmation ${order.orderNumber} - CrownHour`,
+        intro: (order) => (isPaid(order)
+            ? 'Your payment was received and your order is confirmed. We will let you know as soon as it ships.'
+            : 'We have received your order and will confirm it once payment is complete.'),
+    }),
+    orderTemplate({
+        name: 'order-shipped',
+        description: 'Sent when an order is marked as shipped, with tracking details',
+        heading: 'Your order is on its way',
+        subject: (order) => `Your Order ${order.orderNumber} Has Shipped - CrownHour`,
+        intro: () => 'Good news: your order has left our atelier.',
+        extra: (order) => {
+            const tracking = trackingOf(order);
+            return tracking && {
+                html: `<p style="font-size: 14px;">Tracking: <strong>${escapeHtml(tracking)}</strong></p>`,
+                text: `Tracking: ${tracking}`,
+            };
+        },
+    }),
+    orderTemplate({
+        name: 'order-delivered',
+        description: 'Sent when an order is marked as delivered',
+        heading: 'Your order has been delivered',
+        subject: (order) => `Your Order ${order.orderNumber} Was Delivered - CrownHour`,
+        intro: () => 'Your order has been delivered. We hope you enjoy your new timepiece.',
+    }),
+    orderTemplate({
+        name: 'order-cancelled',
+        description: 'Sent when an order is cancelled by the customer or an admin',
+        heading: 'Your order has been cancelled',
+        subject: (order) => `Your Order ${order.orderNumber} Was Cancelled - CrownHour`,
+        intro: (order) => (isPaid(order)
+            ? 'Your order has been cancelled. Any payment taken will be refunded to your original payment method.'
+            : 'Your order has been cancelled and you have not been charged.'),
+        extra: (order) => order.cancellationReason && {
+            html: layout.note(`Reason: ${escapeHtml(order.cancellationReason)}`),
+            text: `Reason: ${order.cancellationReason}`,
+        },
+    }),
+];
@@ -0,0 +1,87 @@
+const layout = require('./layout');
+
+/**
+ * Wishlist Alert Email Templates
+ * Back-in-stock and price-drop alerts for wishlisted watches
+ *
+ * Data: { customerName, product: { name, brand, price, previousPrice },
+ * productUrl, unsubscribeUrl }
+ */
+
+const { escapeHtml, formatMoney } = layout;
+
+const SAMPLE_DATA = {
+    customerName: 'Alex',
+    product: { name: 'Sovereign Chronograph', brand: 'CrownHour', price: 1150, previousPrice: 1250 },
+    productUrl: 'https://crownhour.example/product/sovereign-chronograph',
+    unsubscribeUrl: 'https://crownhour.example/email-preferences/unsubscribe?token=sample',
+};
+
+const priceLine = ({ price, previousPrice }) => (previousPrice > price
+    ? `Now ${formatMoney(price)} (was ${formatMoney(previousPrice)})`
+    : formatMoney(price));
+
+/**
+ * Build an alert template; both alerts share the same layout
+ * @param {Object} options
+ * @param {string} options.name - Template name
+ * @param {string} options.description - Shown in the admin template list
+ * @param {string} options.footerLabel - Unsubscribe link text
+ * @param {Function} options.subject - (product) => subject
+ * @param {Function} options.heading - (product) => heading
+ * @param {Function} options.intro - (product) => intro sentence
+ */
+const alertTemplate = ({ name, description, footerLabel, subject, heading, intro }) => ({
+    name,
+    version: 1,
+    description,
+    sensitive: false,
+    sampleData: SAMPLE_DATA,
+    subject: ({ product }) => subject(product),
+    html: ({ customerName, product, productUrl, unsubscribeUrl }) => layout.html({
+        heading: heading(product),
+        body: [
+            layout.paragraph(escapeHtml(customerName ? `Dear ${customerName},` : 'Hello,')),
+            layout.paragraph(escapeHtml(intro(product))),
+            `
+                    <p style="font-size: 18px; margin: 20px 0 4px;"><strong>${escapeHtml(product.name)}</strong></p>
+                    <p style="margin: 0; color: #666;">${escapeHtml(priceLine(product))}</p>`,
+            layout.button(productUrl, 'VIEW THE WATCH'),
+            layout.note('Availability is limited and prices are confirmed at checkout.'),
+        ].join('\n'),
+        footer: `You received this because this watch is on your CrownHour wishlist. <a href="${escapeHtml(unsubscribeUrl)}" style="color: #999;">${escapeHtml(footerLabel)}</a>`,
+    }),
+    text: ({ customerName, product, productUrl, unsubscribeUrl }) => layout.text({
+        heading: heading(product),
+        lines: [
+            customerName ? `Dear ${customerName},` : 'Hello,',
+            intro(product),
+            '',
+            product.name,
+            priceLine(product),
+            '',
+            `View the watch: ${productUrl}`,
+            'Availability is limited and prices are confirmed at checkout.',
+        ],
+        footer: `${footerLabel}: ${unsubscribeUrl}`,
+    }),
+});
+
+module.exports = [
+    alertTemplate({
+        name: 'back-in-stock',
+        description: 'Sent to customers who wishlisted a watch when it is back in stock',
+        footerLabel: 'Stop back-in-stock alerts',
+        subject: (product) => `${product.name} is back in stock - CrownHour`,
+        heading: () => 'Back in stock',
+        intro: (product) => `Good news: the ${product.name} from your wishlist is available again.`,
+    }),
+    alertTemplate({
+        name: 'price-drop',
+        description: 'Sent to customers who wishlisted a watch when its price goes down',
+        footerLabel: 'Stop price-drop alerts',
+        subject: (product) => `Price drop on ${product.name} - CrownHour`,
+        heading: () => 'A price drop on your wishlist',
+        intro: (product) => `The ${product.name} from your wishlist now costs less.`,
+    }),
+];
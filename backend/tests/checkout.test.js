@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { createOrder } = require('../controllers/orderController');
+const { describeWithDb } = require('./helpers/db');
+
+const ADDRESS = {
+  firstName: 'Test',
+  lastName: 'Buyer',
+  street: '1 Main Street',
+  city: 'Springfield',
+  state: 'IL',
+  postalCode: '62701',
+  country: 'US',
+  phone: '5550100',
+};
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// A different customer per request, each ordering one unit
+const checkoutRequest = (product) => ({
+  body: {
+    items: [{ product: product._id.toString(), quantity: 1 }],
+    shippingAddress: ADDRESS,
+    billingAddress: ADDRESS,
+    payment: { method: 'paypal' },
+  },
+  user: { _id: new mongoose.Types.ObjectId(), email: 'buyer@example.com' },
+  ip: '127.0.0.1',
+  get: () => 'jest',
+});
+
+describeWithDb('createOrder', () => {
+  it('sells the last unit to exactly one of many parallel checkouts', async () => {
+    const product = await Product.create({
+      name: 'Last Watch',
+      description: 'The only one left',
+      brand: 'CrownHour',
+      model: 'L-1',
+      price: 100,
+      stock: 1,
+      category: 'luxury',
+      audience: 'unisex',
+      createdBy: new mongoose.Types.ObjectId(),
+    });
+    const buyers = 10;
+
+    const responses = Array.from({ length: buyers }, mockResponse);
+    await Promise.all(responses.map(res => createOrder(checkoutRequest(product), res)));
+
+    const statuses = responses.map(res => res.status.mock.calls[0][0]);
+    expect(statuses.filter(status => status === 201)).toHaveLength(1);
+    expect(statuses.filter(status => status === 409)).toHaveLength(buyers - 1);
+
+    const [after, orders] = await Promise.all([
+      Product.findById(product._id),
+      Order.countDocuments({ 'items.product': product._id }),
+    ]);
+    expect(after.stock).toBe(0);
+    expect(orders).toBe(1);
+  });
+});
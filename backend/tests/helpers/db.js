@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+/**
+ * Test Database
+ * Connects to the replica set started by globalSetup and empties it
+ * between tests
+ */
+
+const connect = async () => {
+  await mongoose.connect(process.env.MONGODB_TEST_URI);
+  // Collections cannot be created inside a transaction
+  await Promise.all(Object.values(mongoose.models).map(model => model.createCollection()));
+};
+
+const clear = async () => {
+  await Promise.all(Object.values(mongoose.connection.collections).map(collection => collection.deleteMany({})));
+};
+
+const disconnect = async () => {
+  await mongoose.disconnect();
+};
+
+/**
+ * describe() for tests that need the database; skipped when globalSetup
+ * could not start one
+ * @param {String} name
+ * @param {Function} fn
+ */
+const describeWithDb = (name, fn) => (process.env.MONGODB_TEST_URI ? describe : describe.skip)(name, () => {
+  beforeAll(connect);
+  afterEach(clear);
+  afterAll(disconnect);
+  fn();
+});
+
+module.exports = { connect, clear, disconnect, describeWithDb };
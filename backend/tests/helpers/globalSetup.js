@@ -0,0 +1,25 @@
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+/**
+ * Test Database Setup
+ * Starts one in-memory single-node replica set for the whole run, so
+ * transactions work as in production. MONGODB_TEST_URI points the tests at
+ * an existing replica set instead.
+ *
+ * mongodb-memory-server downloads mongod on first use and caches it in
+ * ~/.cache/mongodb-binaries; without network access set
+ * MONGOMS_SYSTEM_BINARY to a local mongod. If no server can be started the
+ * database tests are skipped with a warning.
+ */
+module.exports = async () => {
+  if (process.env.MONGODB_TEST_URI) return;
+
+  try {
+    const replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+    globalThis.__MONGO_REPL_SET__ = replSet;
+    process.env.MONGODB_TEST_URI = replSet.getUri();
+  } catch (error) {
+    console.warn(`\nSkipping database tests: MongoDB could not be started (${error.message}).`
+      + '\nSet MONGOMS_SYSTEM_BINARY to a local mongod or MONGODB_TEST_URI to a replica set to run them.\n');
+  }
+};
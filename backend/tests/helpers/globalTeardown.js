@@ -0,0 +1,9 @@
+/**
+ * Test Database Teardown
+ * Stops the replica set started by globalSetup, if it started one
+ */
+module.exports = async () => {
+  if (globalThis.__MONGO_REPL_SET__) {
+    await globalThis.__MONGO_REPL_SET__.stop();
+  }
+};
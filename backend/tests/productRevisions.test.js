@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const { snapshotProduct, diffSnapshots, buildRollbackUpdates } = require('../utils/productRevisions');
+
+// Documents are only built and changed in memory; nothing is saved
+const buildProduct = (overrides = {}) => new Product({
+  name: 'Test Watch',
+  description: 'First description',
+  brand: 'CrownHour',
+  model: 'T-1',
+  price: 100,
+  stock: 3,
+  category: 'luxury',
+  audience: 'unisex',
+  createdBy: new mongoose.Types.ObjectId(),
+  specifications: { movement: 'automatic', caseMaterial: 'steel' },
+  variants: {
+    colors: [{ name: 'Black', hex: '#000000' }, { name: 'Silver', hex: '#C0C0C0' }],
+    straps: [{ material: 'leather' }],
+  },
+  ...overrides,
+});
+
+describe('product revisions', () => {
+  it('diffs edited fields, with specifications per field', () => {
+    const product = buildProduct();
+    const before = snapshotProduct(product);
+
+    product.set({ description: 'Second description', specifications: { movement: 'quartz', caseMaterial: 'steel' } });
+
+    expect(diffSnapshots(before, snapshotProduct(product))).toEqual([
+      { field: 'description', from: 'First description', to: 'Second description' },
+      { field: 'specifications.movement', from: 'automatic', to: 'quartz' },
+    ]);
+  });
+
+  it('restores the snapshot on rollback', () => {
+    const product = buildProduct();
+    const target = snapshotProduct(product);
+
+    product.set({ description: 'Second description', price: 120 });
+    product.set(buildRollbackUpdates(product, target));
+
+    expect(diffSnapshots(target, snapshotProduct(product))).toEqual([]);
+  });
+
+  it('keeps the current in-stock flags of variants without SKUs', () => {
+    const product = buildProduct();
+    const target = snapshotProduct(product);
+
+    // Sold out after the revision was taken, and the description edited
+    product.variants.colors[0].inStock = false;
+    product.variants.straps[0].inStock = false;
+    product.description = 'Second description';
+    product.set(buildRollbackUpdates(product, target));
+
+    expect(product.description).toBe('First description');
+    expect(product.variants.colors.map(color => color.inStock)).toEqual([false, true]);
+    expect(product.variants.straps[0].inStock).toBe(false);
+  });
+
+  it('counts variant options brought back by a rollback as out of stock', () => {
+    const product = buildProduct();
+    const target = snapshotProduct(product);
+
+    product.set({ variants: { colors: [{ name: 'Black', hex: '#000000' }], straps: [{ material: 'leather' }] } });
+    product.set(buildRollbackUpdates(product, target));
+
+    expect(product.variants.colors.map(color => [color.name, color.inStock])).toEqual([
+      ['Black', true],
+      ['Silver', false],
+    ]);
+  });
+
+  it('keeps the current SKU stock', () => {
+    const product = buildProduct({
+      skus: [{ sku: 'T-1-BLK', color: 'Black', strap: 'leather', stock: 4 }],
+    });
+    const target = snapshotProduct(product);
+
+    product.skus[0].stock = 1;
+    product.set(buildRollbackUpdates(product, target));
+
+    expect(product.skus[0].stock).toBe(1);
+  });
+});
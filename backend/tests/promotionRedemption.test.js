@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const Promotion = require('../models/Promotion');
+const PromotionRedemption = require('../models/PromotionRedemption');
+const { reservePromotionUsage, releasePromotionUsage } = require('../utils/promotionEngine');
+const { runInTransaction } = require('../utils/transaction');
+const { describeWithDb } = require('./helpers/db');
+
+const createPromotion = (overrides = {}) => Promotion.create({
+  code: 'TEST10',
+  type: 'percentage',
+  value: 10,
+  ...overrides,
+});
+
+describeWithDb('reservePromotionUsage', () => {
+  it('lets a customer redeem a code only up to the per-customer limit in parallel', async () => {
+    const promotion = await createPromotion({ perCustomerLimit: 1 });
+    const userId = new mongoose.Types.ObjectId();
+    const checkouts = 5;
+
+    const results = await Promise.allSettled(Array.from({ length: checkouts }, () => (
+      runInTransaction(session => reservePromotionUsage(promotion._id, userId, session))
+    )));
+
+    const rejected = results.filter(result => result.status === 'rejected');
+    expect(rejected).toHaveLength(checkouts - 1);
+    rejected.forEach(result => expect(result.reason.statusCode).toBe(409));
+
+    const [after, redemption] = await Promise.all([
+      Promotion.findById(promotion._id),
+      PromotionRedemption.findOne({ promotion: promotion._id, user: userId }),
+    ]);
+    expect(after.usageCount).toBe(1);
+    expect(redemption.count).toBe(1);
+  });
+
+  it('gives the redemption back when the order is cancelled', async () => {
+    const promotion = await createPromotion({ perCustomerLimit: 1 });
+    const userId = new mongoose.Types.ObjectId();
+
+    await runInTransaction(session => reservePromotionUsage(promotion._id, userId, session));
+    await runInTransaction(session => releasePromotionUsage(promotion._id, userId, session));
+
+    await expect(runInTransaction(session => (
+      reservePromotionUsage(promotion._id, userId, session)
+    ))).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const { reserveStock, releaseStock } = require('../utils/orderUtils');
+const { runInTransaction } = require('../utils/transaction');
+const { describeWithDb } = require('./helpers/db');
+
+const createProduct = (overrides = {}) => Product.create({
+  name: `Test Watch ${new mongoose.Types.ObjectId()}`,
+  description: 'A watch for stock tests',
+  brand: 'CrownHour',
+  model: 'T-1',
+  price: 100,
+  stock: 1,
+  category: 'luxury',
+  audience: 'unisex',
+  createdBy: new mongoose.Types.ObjectId(),
+  ...overrides,
+});
+
+const lineFor = (product, quantity = 1) => ({
+  product: product._id,
+  quantity,
+  productSnapshot: { name: product.name },
+});
+
+describeWithDb('reserveStock', () => {
+  it('lets exactly one of many parallel orders take the last unit', async () => {
+    const product = await createProduct({ stock: 1 });
+    const buyers = 10;
+
+    const results = await Promise.allSettled(Array.from({ length: buyers }, () => (
+      runInTransaction(session => reserveStock([lineFor(product)], session))
+    )));
+
+    const fulfilled = results.filter(result => result.status === 'fulfilled');
+    const rejected = results.filter(result => result.status === 'rejected');
+    expect(fulfilled).toHaveLength(1);
+    expect(rejected).toHaveLength(buyers - 1);
+    rejected.forEach(result => expect(result.reason.statusCode).toBe(409));
+
+    const after = await Product.findById(product._id);
+    expect(after.stock).toBe(0);
+  });
+
+  it('rolls back earlier lines when a later line is out of stock', async () => {
+    const first = await createProduct({ stock: 5 });
+    const second = await createProduct({ stock: 1 });
+
+    await expect(runInTransaction(session => (
+      reserveStock([lineFor(first, 2), lineFor(second, 2)], session)
+    ))).rejects.toMatchObject({ statusCode: 409 });
+
+    const [firstAfter, secondAfter] = await Promise.all([
+      Product.findById(first._id),
+      Product.findById(second._id),
+    ]);
+    expect(firstAfter.stock).toBe(5);
+    expect(secondAfter.stock).toBe(1);
+  });
+
+  it('keeps variant in-stock flags in step with SKU stock', async () => {
+    const product = await createProduct({
+      variants: {
+        colors: [{ name: 'Black', hex: '#000000' }, { name: 'Silver', hex: '#C0C0C0' }],
+        straps: [{ material: 'leather' }, { material: 'steel' }],
+      },
+      skus: [
+        { sku: 'T-1-BLK', color: 'Black', strap: 'leather', stock: 1 },
+        { sku: 'T-1-SLV', color: 'Silver', strap: 'steel', stock: 2 },
+      ],
+    });
+    const line = { ...lineFor(product), skuId: product.skus[0]._id };
+
+    await runInTransaction(session => reserveStock([line], session));
+    let after = await Product.findById(product._id);
+    expect(after.variants.colors.map(color => color.inStock)).toEqual([false, true]);
+    expect(after.variants.straps.map(strap => strap.inStock)).toEqual([false, true]);
+
+    await runInTransaction(session => releaseStock([line], session));
+    after = await Product.findById(product._id);
+    expect(after.variants.colors.map(color => color.inStock)).toEqual([true, true]);
+    expect(after.variants.straps.map(strap => strap.inStock)).toEqual([true, true]);
+  });
+});
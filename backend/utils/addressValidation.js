@@ -0,0 +1,110 @@
+const { isValidPhone } = require('./validation');
+
+/**
+ * Address Validation
+ * Country-aware checks for address book entries
+ *
+ * Countries listed in COUNTRY_RULES get their postal code format checked
+ * and, where the country uses them for delivery, a valid state/province
+ * code. Other countries only get a basic postal code check.
+ */
+
+const US_STATES = [
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL',
+  'IN', 'IA', 'KS', 'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE',
+  'NV', 'NH', 'NJ', 'NM', 'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD',
+  'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY', 'PR', 'GU', 'VI', 'AS', 'MP',
+];
+
+const CA_PROVINCES = ['AB', 'BC', 'MB', 'NB', 'NL', 'NS', 'NT', 'NU', 'ON', 'PE', 'QC', 'SK', 'YT'];
+
+const AU_STATES = ['ACT', 'NSW', 'NT', 'QLD', 'SA', 'TAS', 'VIC', 'WA'];
+
+// postalCode: format check; states: required state/province codes (if any)
+const COUNTRY_RULES = {
+  US: { postalCode: /^\d{5}(-\d{4})?$/, states: US_STATES, stateLabel: 'state' },
+  CA: { postalCode: /^[A-Z]\d[A-Z] ?\d[A-Z]\d$/, states: CA_PROVINCES, stateLabel: 'province' },
+  AU: { postalCode: /^\d{4}$/, states: AU_STATES, stateLabel: 'state' },
+  GB: { postalCode: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/ },
+  IE: { postalCode: /^[A-Z\d]{3} ?[A-Z\d]{4}$/ },
+  DE: { postalCode: /^\d{5}$/ },
+  FR: { postalCode: /^\d{5}$/ },
+  IT: { postalCode: /^\d{5}$/ },
+  ES: { postalCode: /^\d{5}$/ },
+  NL: { postalCode: /^\d{4} ?[A-Z]{2}$/ },
+  CH: { postalCode: /^\d{4}$/ },
+  JP: { postalCode: /^\d{3}-?\d{4}$/ },
+  SG: { postalCode: /^\d{6}$/ },
+};
+
+const GENERIC_POSTAL_CODE = /^[A-Z0-9][A-Z0-9 -]{1,9}$/;
+
+/**
+ * Normalize casing and whitespace so equal addresses compare equal
+ * @param {Object} address - Address input
+ * @returns {Object} Normalized copy
+ */
+const normalizeAddress = (address = {}) => {
+  const trim = (value) => (typeof value === 'string' ? value.trim() : value);
+  return {
+    ...address,
+    firstName: trim(address.firstName),
+    lastName: trim(address.lastName),
+    street: trim(address.street),
+    street2: trim(address.street2),
+    city: trim(address.city),
+    state: trim(address.state)?.toUpperCase(),
+    postalCode: trim(address.postalCode)?.toUpperCase(),
+    country: trim(address.country)?.toUpperCase(),
+    phone: trim(address.phone),
+  };
+};
+
+/**
+ * Validate an address against its country's rules
+ * @param {Object} address - Normalized address
+ * @param {Object} [options]
+ * @param {Boolean} [options.requirePhone] - Shipping addresses need a phone for the carrier
+ * @returns {Object} { valid, errors }
+ */
+const validateAddress = (address, { requirePhone = false } = {}) => {
+  const errors = [];
+
+  for (const field of ['firstName', 'lastName', 'street', 'city', 'postalCode', 'country']) {
+    if (!address[field]) {
+      errors.push(`${field} is required`);
+    }
+  }
+
+  if (address.country && !/^[A-Z]{2}$/.test(address.country)) {
+    errors.push('Country must be a 2-letter ISO code');
+  }
+
+  const rules = COUNTRY_RULES[address.country];
+
+  if (address.postalCode && !(rules?.postalCode || GENERIC_POSTAL_CODE).test(address.postalCode)) {
+    errors.push(`Postal code ${address.postalCode} is not valid for ${address.country}`);
+  }
+
+  if (rules?.states && !rules.states.includes(address.state)) {
+    errors.push(`A valid ${rules.stateLabel} code is required for ${address.country}`);
+  }
+
+  if (requirePhone && !address.phone) {
+    errors.push('Phone is required for shipping addresses');
+  }
+  if (address.phone && !isValidPhone(address.phone)) {
+    errors.push('Phone number is not valid');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+};
+
+module.exports = {
+  COUNTRY_RULES,
+  normalizeAddress,
+  validateAddress,
+};
@@ -182,6 +182,96 @@ const logOrderAction = async (action, { userId, email, ipAddress, userAgent, res
   });
 };
 
+/**
+ * Log promotion management event
+ */
+const logPromotionAction = async (action, { userId, email, ipAddress, userAgent, resourceId, metadata }) => {
+  await createAuditLog({
+    userId,
+    email,
+    action,
+    resource: 'promotion',
+    resourceId,
+    status: 'success',
+    ipAddress,
+    userAgent,
+    metadata,
+    severity: 'medium',
+  });
+};
+
+/**
+ * Log tax and shipping rule management event
+ */
+const logPricingAction = async (action, { userId, email, ipAddress, userAgent, resourceId, metadata }) => {
+  await createAuditLog({
+    userId,
+    email,
+    action,
+    resource: 'pricing',
+    resourceId,
+    status: 'success',
+    ipAddress,
+    userAgent,
+    metadata,
+    severity: 'medium',
+  });
+};
+
+/**
+ * Log return request (RMA) event
+ */
+const logReturnAction = async (action, { userId, email, ipAddress, userAgent, resourceId, metadata }) => {
+  await createAuditLog({
+    userId,
+    email,
+    action,
+    resource: 'return',
+    resourceId,
+    status: 'success',
+    ipAddress,
+    userAgent,
+    metadata,
+    severity: 'medium',
+  });
+};
+
+/**
+ * Log email outbox action
+ */
+const logEmailAction = async (action, { userId, email, ipAddress, userAgent, resourceId, metadata }) => {
+  await createAuditLog({
+    userId,
+    email,
+    action,
+    resource: 'email',
+    resourceId,
+    status: 'success',
+    ipAddress,
+    userAgent,
+    metadata,
+    severity: 'low',
+  });
+};
+
+/**
+ * Log search rule (synonym / redirect) management event
+ */
+const logSearchAction = async (action, { userId, email, ipAddress, userAgent, resourceId, metadata }) => {
+  await createAuditLog({
+    userId,
+    email,
+    action,
+    resource: 'search',
+    resourceId,
+    status: 'success',
+    ipAddress,
+    userAgent,
+    metadata,
+    severity: 'low',
+  });
+};
+
 /**
  * Log security event
  */
@@ -205,5 +295,10 @@ module.exports = {
   logUserAction,
   logProductAction,
   logOrderAction,
+  logPromotionAction,
+  logPricingAction,
+  logReturnAction,
+  logEmailAction,
+  logSearchAction,
   logSecurityEvent,
 };
@@ -0,0 +1,330 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Cart = require('../models/Cart');
+const CartRecovery = require('../models/CartRecovery');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const { enqueueEmail } = require('./emailOutbox');
+const { isSubscribed, unsubscribeUrl } = require('./emailPreferences');
+const { resolveVariants } = require('./orderUtils');
+
+/**
+ * Abandoned Cart Recovery
+ * Reminds verified customers about carts they left untouched
+ *
+ * CART_REMINDER_SCHEDULE_HOURS lists how long after the cart's last change
+ * each reminder goes out (default "24,72": one after a day, one after three
+ * days). Any change to the cart's items starts the schedule over.
+ *
+ * Reminders stop when the customer places an order, opts out, or runs out
+ * of scheduled reminders. Carts are claimed atomically by bumping
+ * Cart.remindersSent (without touching updatedAt), so several server
+ * instances never send the same reminder twice.
+ */
+
+const parseSchedule = (value) => value
+  .split(',')
+  .map(hours => parseFloat(hours))
+  .filter(hours => hours > 0)
+  .sort((a, b) => a - b);
+
+const REMINDER_SCHEDULE_HOURS = parseSchedule(process.env.CART_REMINDER_SCHEDULE_HOURS || '24,72');
+const SCAN_INTERVAL_MS = (parseInt(process.env.CART_REMINDER_SCAN_MINUTES, 10) || 60) * 60 * 1000;
+const BATCH_SIZE = 100;
+const HOUR_MS = 60 * 60 * 1000;
+
+let scanTimer = null;
+let scanning = false;
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+const describeVariant = (item) => [
+  item.color?.name,
+  item.strap?.material && `${item.strap.material} strap`,
+].filter(Boolean).join(' · ');
+
+/**
+ * Email one reminder and record it on the customer's recovery cycle
+ * @param {Object} cart - Cart with items.product populated
+ * @param {Object} user - Cart owner
+ * @param {Number} index - Zero-based reminder number
+ */
+const sendCartReminder = async (cart, user, index) => {
+  const items = cart.items.filter(item => item.product);
+  const snapshot = items.map(item => ({
+    product: item.product._id,
+    quantity: item.quantity,
+    color: item.color?.name ? { name: item.color.name, hex: item.color.hex } : undefined,
+    strap: item.strap?.material ? { material: item.strap.material } : undefined,
+  }));
+
+  let recovery = index > 0
+    ? await CartRecovery.findOne({ user: user._id, status: 'active' }).sort({ createdAt: -1 })
+    : null;
+
+  if (!recovery) {
+    // A new cycle replaces any left over from an earlier cart
+    await CartRecovery.updateMany({ user: user._id, status: 'active' }, { $set: { status: 'expired' } });
+    recovery = await CartRecovery.create({
+      user: user._id,
+      token: crypto.randomBytes(24).toString('hex'),
+    });
+  }
+
+  await enqueueEmail({
+    to: user.email,
+    template: 'cart-reminder',
+    data: {
+      customerName: user.firstName,
+      reminderNumber: index + 1,
+      items: items.map(item => ({
+        name: item.product.name,
+        variant: describeVariant(item),
+        quantity: item.quantity,
+        lineTotal: item.price * item.quantity,
+      })),
+      subtotal: cart.subtotal,
+      cartUrl: `${frontendUrl()}/cart?recover=${recovery.token}`,
+      unsubscribeUrl: unsubscribeUrl(user._id, 'cartReminders'),
+    },
+    metadata: { cartRecoveryId: recovery._id, reminder: index + 1 },
+  });
+
+  await CartRecovery.updateOne({ _id: recovery._id }, {
+    $set: { items: snapshot, cartValue: cart.subtotal, lastReminderAt: new Date() },
+    $inc: { remindersSent: 1 },
+  });
+};
+
+/**
+ * Send the reminders that are due
+ * @returns {Promise<Object>} { sent, skipped, failed }
+ */
+const processAbandonedCarts = async () => {
+  const result = { sent: 0, skipped: 0, failed: 0 };
+  if (scanning || REMINDER_SCHEDULE_HOURS.length === 0) return result;
+
+  scanning = true;
+  try {
+    const now = Date.now();
+    const lastReminder = REMINDER_SCHEDULE_HOURS.length;
+
+    // Reminder i is due once the cart has been idle for schedule[i] hours
+    const carts = await Cart.find({
+      'items.0': { $exists: true },
+      $or: REMINDER_SCHEDULE_HOURS.map((hours, index) => ({
+        remindersSent: index,
+        updatedAt: { $lte: new Date(now - hours * HOUR_MS) },
+      })),
+    })
+      .sort({ updatedAt: 1 })
+      .limit(BATCH_SIZE)
+      .populate('items.product', 'name');
+
+    for (const cart of carts) {
+      const index = cart.remindersSent;
+      const claim = { _id: cart._id, remindersSent: index, updatedAt: cart.updatedAt };
+
+      const [user, ordered] = await Promise.all([
+        User.findById(cart.user).select('email firstName emailVerified isActive notificationPreferences'),
+        // Only orders that went through count: opening checkout creates a
+        // pending order that may be abandoned or cancelled
+        Order.exists({
+          user: cart.user,
+          createdAt: { $gte: cart.updatedAt },
+          status: { $nin: ['pending', 'cancelled'] },
+        }),
+      ]);
+
+      const eligible = user && user.emailVerified && user.isActive
+        && isSubscribed(user, 'cartReminders');
+
+      if (!eligible || ordered) {
+        // Nothing more to send for this cart until it changes
+        await Cart.updateOne(claim, { $set: { remindersSent: lastReminder } }, { timestamps: false });
+        result.skipped++;
+        continue;
+      }
+
+      const claimed = await Cart.updateOne(claim, { $inc: { remindersSent: 1 } }, { timestamps: false });
+      if (claimed.modifiedCount === 0) continue;
+
+      try {
+        await sendCartReminder(cart, user, index);
+        result.sent++;
+      } catch (error) {
+        console.error(`Cart reminder failed for cart ${cart._id}:`, error.message);
+        // Release the claim so the next scan tries again
+        await Cart.updateOne(
+          { _id: cart._id, remindersSent: index + 1 },
+          { $inc: { remindersSent: -1 } },
+          { timestamps: false }
+        ).catch(() => {});
+        result.failed++;
+      }
+    }
+  } finally {
+    scanning = false;
+  }
+  return result;
+};
+
+/**
+ * Close the customer's reminder cycle as recovered and stop reminders
+ * Never throws: called after an order is already placed
+ * @param {String} userId - Customer ID
+ * @param {Object} order - Order that was placed
+ */
+const markCartRecovered = async (userId, order) => {
+  try {
+    await Promise.all([
+      CartRecovery.findOneAndUpdate(
+        { user: userId, status: 'active' },
+        {
+          $set: {
+            status: 'recovered',
+            recoveredAt: new Date(),
+            order: order._id,
+            recoveredValue: order.pricing?.total || 0,
+          },
+        },
+        { sort: { createdAt: -1 } }
+      ),
+      Cart.updateOne(
+        { user: userId },
+        { $set: { remindersSent: REMINDER_SCHEDULE_HOURS.length } },
+        { timestamps: false }
+      ),
+    ]);
+  } catch (error) {
+    console.error(`Failed to record cart recovery for order ${order.orderNumber}:`, error.message);
+  }
+};
+
+/**
+ * Follow a reminder link: record the click and refill an emptied cart
+ * Items that are no longer available are left out.
+ * @param {String} userId - Logged-in customer
+ * @param {String} token - Token from the reminder link
+ * @returns {Promise<Object|null>} { cart, restoredCount }, or null if the link is not theirs
+ */
+const restoreCartFromReminder = async (userId, token) => {
+  if (typeof token !== 'string' || !token) return null;
+
+  const recovery = await CartRecovery.findOne({ token, user: userId });
+  if (!recovery) return null;
+
+  if (!recovery.clickedAt) {
+    recovery.clickedAt = new Date();
+    await recovery.save();
+  }
+
+  let cart = await Cart.findOne({ user: userId });
+  if (!cart) {
+    cart = new Cart({ user: userId, items: [] });
+  }
+
+  let restoredCount = 0;
+  if (cart.items.length === 0 && recovery.status === 'active') {
+    const products = await Product.find({
+      _id: { $in: recovery.items.map(item => item.product) },
+      isActive: true,
+    });
+
+    recovery.items.forEach(item => {
+      const product = products.find(p => p._id.equals(item.product));
+      if (!product) return;
+
+      try {
+        const { color, strap, sku, unitPrice } = resolveVariants(product, item);
+        cart.items.push({ product: product._id, quantity: item.quantity, price: unitPrice, color, strap, sku });
+        restoredCount++;
+      } catch {
+        // Variant no longer offered or out of stock
+      }
+    });
+
+    if (restoredCount > 0) {
+      await cart.save();
+    }
+  }
+
+  await cart.populate('items.product', 'name slug images price stock');
+  return { cart, restoredCount };
+};
+
+/**
+ * Recovery stats for the admin dashboard
+ * @param {Date} since - Start of the period (by cycle start)
+ * @returns {Promise<Object>} Totals for reminder cycles started since `since`
+ */
+const getCartRecoveryStats = async (since) => {
+  const [totals] = await CartRecovery.aggregate([
+    { $match: { createdAt: { $gte: since } } },
+    {
+      $group: {
+        _id: null,
+        cycles: { $sum: 1 },
+        remindersSent: { $sum: '$remindersSent' },
+        clicked: { $sum: { $cond: [{ $ifNull: ['$clickedAt', false] }, 1, 0] } },
+        recovered: { $sum: { $cond: [{ $eq: ['$status', 'recovered'] }, 1, 0] } },
+        optedOut: { $sum: { $cond: [{ $eq: ['$status', 'opted_out'] }, 1, 0] } },
+        abandonedValue: { $sum: '$cartValue' },
+        recoveredRevenue: { $sum: { $ifNull: ['$recoveredValue', 0] } },
+      },
+    },
+  ]);
+
+  const stats = {
+    cycles: totals?.cycles || 0,
+    remindersSent: totals?.remindersSent || 0,
+    clicked: totals?.clicked || 0,
+    recovered: totals?.recovered || 0,
+    optedOut: totals?.optedOut || 0,
+    abandonedValue: totals?.abandonedValue || 0,
+    recoveredRevenue: totals?.recoveredRevenue || 0,
+  };
+  stats.recoveryRate = stats.cycles > 0
+    ? Math.round((stats.recovered / stats.cycles) * 10000) / 100
+    : 0;
+  return stats;
+};
+
+const runScan = () => {
+  if (mongoose.connection.readyState !== 1) return;
+  processAbandonedCarts()
+    .then(({ sent }) => {
+      if (sent > 0) console.log(`🛒 Sent ${sent} abandoned cart reminder(s)`);
+    })
+    .catch(error => console.error('Abandoned cart scan error:', error.message));
+};
+
+/**
+ * Start the periodic abandoned cart scan
+ */
+const startCartRecoveryJob = () => {
+  if (scanTimer || REMINDER_SCHEDULE_HOURS.length === 0) return;
+
+  scanTimer = setInterval(runScan, SCAN_INTERVAL_MS);
+  // Don't keep the process alive just for reminders
+  scanTimer.unref();
+};
+
+/**
+ * Stop the periodic abandoned cart scan
+ */
+const stopCartRecoveryJob = () => {
+  clearInterval(scanTimer);
+  scanTimer = null;
+};
+
+module.exports = {
+  REMINDER_SCHEDULE_HOURS,
+  processAbandonedCarts,
+  markCartRecovered,
+  restoreCartFromReminder,
+  getCartRecoveryStats,
+  startCartRecoveryJob,
+  stopCartRecoveryJob,
+};
@@ -0,0 +1,144 @@
+const Product = require('../models/Product');
+const { resolveVariants } = require('./orderUtils');
+
+/**
+ * Cart Validation
+ * Checks cart lines against the current products
+ *
+ * Cart items keep the price the customer saw when adding them. Validation
+ * reports every line whose product has since changed; nothing is modified
+ * until the customer acknowledges the changes, which applies the current
+ * prices and drops or shortens lines that can no longer be bought.
+ *
+ * Warning types:
+ * - unavailable: product deleted or deactivated
+ * - variant_unavailable: the chosen color/strap combination is no longer sold
+ * - out_of_stock: no stock left for the line
+ * - insufficient_stock: fewer in stock than the line's quantity
+ * - price_changed: current unit price differs from the cart price
+ */
+
+const describeLine = (item, product) => [
+  product?.name || 'An item',
+  item.color?.name,
+  item.strap?.material && `${item.strap.material} strap`,
+].filter(Boolean).join(' · ');
+
+/**
+ * Check one line against its product
+ * @param {Object} item - Cart item
+ * @param {ObjectId} productId - Product the line refers to
+ * @param {Object|undefined} product - Current product
+ * @returns {Object} { warnings, unitPrice, available } (unitPrice/available unset if unavailable)
+ */
+const checkLine = (item, productId, product) => {
+  const base = {
+    itemId: item._id,
+    productId,
+    name: describeLine(item, product),
+    quantity: item.quantity,
+  };
+
+  if (!product || !product.isActive) {
+    return {
+      warnings: [{ ...base, type: 'unavailable', message: `${base.name} is no longer available` }],
+    };
+  }
+
+  let resolved;
+  try {
+    resolved = resolveVariants(product, { color: item.color, strap: item.strap });
+  } catch (error) {
+    if (!error.statusCode) throw error;
+    return { warnings: [{ ...base, type: 'variant_unavailable', message: error.message }] };
+  }
+
+  const warnings = [];
+  const available = resolved.sku ? resolved.sku.stock : product.stock;
+
+  if (available <= 0) {
+    warnings.push({ ...base, type: 'out_of_stock', available: 0, message: `${base.name} is out of stock` });
+  } else if (item.quantity > available) {
+    warnings.push({
+      ...base,
+      type: 'insufficient_stock',
+      available,
+      message: `Only ${available} of ${base.name} left in stock`,
+    });
+  }
+
+  if (resolved.unitPrice !== item.price) {
+    warnings.push({
+      ...base,
+      type: 'price_changed',
+      previousPrice: item.price,
+      currentPrice: resolved.unitPrice,
+      message: `The price of ${base.name} has ${resolved.unitPrice < item.price ? 'dropped' : 'gone up'}`,
+    });
+  }
+
+  return { warnings, unitPrice: resolved.unitPrice, available };
+};
+
+/**
+ * Check every line of a cart against the current products
+ * @param {Object} cart - Cart document, not yet populated
+ * @returns {Promise<Array>} { item, result } per cart item
+ */
+const checkCart = async (cart) => {
+  const productIds = cart.items.map(item => item.product);
+  const products = await Product.find({ _id: { $in: productIds } });
+
+  return cart.items.map(item => ({
+    item,
+    result: checkLine(item, item.product, products.find(product => product._id.equals(item.product))),
+  }));
+};
+
+/**
+ * Warnings for a cart
+ * @param {Object} cart - Cart document
+ * @returns {Promise<Array>} Structured warnings, empty when the cart is up to date
+ */
+const validateCart = async (cart) => {
+  if (!cart || cart.items.length === 0) return [];
+  const lines = await checkCart(cart);
+  return lines.flatMap(({ result }) => result.warnings);
+};
+
+/**
+ * Apply the current state of the products to the cart (after the customer
+ * acknowledged the warnings): update prices, shorten lines to the stock
+ * left and remove lines that can't be bought. Does not save.
+ * @param {Object} cart - Cart document
+ * @returns {Promise<Array>} The warnings that were resolved
+ */
+const applyCartCorrections = async (cart) => {
+  if (!cart || cart.items.length === 0) return [];
+
+  const lines = await checkCart(cart);
+  const resolved = [];
+
+  lines.forEach(({ item, result }) => {
+    if (result.warnings.length === 0) return;
+    resolved.push(...result.warnings);
+
+    if (!result.available) {
+      // Unavailable, variant gone or out of stock
+      cart.items.pull(item._id);
+      return;
+    }
+
+    item.price = result.unitPrice;
+    if (item.quantity > result.available) {
+      item.quantity = result.available;
+    }
+  });
+
+  return resolved;
+};
+
+module.exports = {
+  validateCart,
+  applyCartCorrections,
+};
@@ -0,0 +1,209 @@
+/**
+ * Pagination
+ * Page-number and cursor pagination for listings, both with a stable order
+ *
+ * Results are always sorted by the requested field and then by `_id`, so
+ * documents with equal sort values (same price, same second) keep their
+ * order between requests.
+ *
+ * Cursor mode is used when the request has a `cursor` parameter (empty for
+ * the first page). The cursor is opaque to clients: it encodes the sort
+ * and the sort value and `_id` of the last document returned, and the next
+ * page starts right after it. Unlike `skip`, this stays fast on large
+ * collections and does not repeat or drop documents when new ones are
+ * added while paging. Counting every match is optional (`includeTotal=true`).
+ */
+
+const MAX_LIMIT = 100;
+
+const createPaginationError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const getPath = (doc, path) => (
+  typeof doc.get === 'function'
+    ? doc.get(path)
+    : path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc)
+);
+
+/**
+ * Parse a sort parameter ("price", "-createdAt")
+ * @param {String} sort - Requested sort
+ * @param {Array} allowedFields - Fields that may be sorted on
+ * @param {String} fallback - Sort used when the request is missing or not allowed
+ * @param {Object} [aliases] - Sort name -> document field, e.g. { price: 'effectivePrice' }
+ * @returns {Object} { field, direction: 1|-1 }
+ */
+const parseSort = (sort, allowedFields, fallback, aliases = {}) => {
+  const value = typeof sort === 'string' && allowedFields.includes(sort.replace(/^-/, '')) ? sort : fallback;
+  const name = value.replace(/^-/, '');
+  return {
+    field: aliases[name] || name,
+    direction: value.startsWith('-') ? -1 : 1,
+  };
+};
+
+const sortKey = ({ field, direction }) => `${direction === -1 ? '-' : ''}${field}`;
+
+/**
+ * Opaque cursor pointing after a document
+ * @param {Object} doc - Last document of the page
+ * @param {Object} sort - { field, direction }
+ * @returns {String} base64url cursor
+ */
+const encodeCursor = (doc, sort) => {
+  const value = sort.field === '_id' ? null : getPath(doc, sort.field);
+  const payload = {
+    s: sortKey(sort),
+    v: value === undefined ? null : value,
+    d: value instanceof Date,
+    id: doc._id.toString(),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Read a cursor made by encodeCursor for the same sort
+ * @param {String} cursor - Cursor from the previous page
+ * @param {Object} sort - { field, direction }
+ * @returns {Object} { value, id }
+ * @throws {Error} 400 if the cursor is malformed or was made for another sort
+ */
+const decodeCursor = (cursor, sort) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw createPaginationError('Invalid cursor');
+  }
+
+  if (!payload || typeof payload.id !== 'string' || !/^[0-9a-fA-F]{24}$/.test(payload.id)) {
+    throw createPaginationError('Invalid cursor');
+  }
+  if (payload.s !== sortKey(sort)) {
+    throw createPaginationError('Cursor does not match the requested sort');
+  }
+  if (payload.v !== null && typeof payload.v === 'object') {
+    throw createPaginationError('Invalid cursor');
+  }
+
+  return {
+    value: payload.d ? new Date(payload.v) : payload.v,
+    id: payload.id,
+  };
+};
+
+/**
+ * Filter for the documents after a cursor
+ * Missing sort values come first in ascending order and last in descending order.
+ * @param {Object} sort - { field, direction }
+ * @param {Object} position - { value, id } from decodeCursor
+ * @returns {Object} MongoDB filter
+ */
+const afterCursor = ({ field, direction }, { value, id }) => {
+  const op = direction === 1 ? '$gt' : '$lt';
+  const sameValue = { _id: { [op]: id } };
+
+  if (field === '_id') return sameValue;
+
+  if (value === null) {
+    return direction === 1
+      ? { $or: [{ [field]: { $ne: null } }, { [field]: null, ...sameValue }] }
+      : { [field]: null, ...sameValue };
+  }
+
+  const clauses = [
+    { [field]: { [op]: value } },
+    { [field]: value, ...sameValue },
+  ];
+  if (direction === -1) {
+    clauses.push({ [field]: null });
+  }
+  return { $or: clauses };
+};
+
+/**
+ * Pagination options from a request query
+ * @param {Object} query - Request query
+ * @param {Object} options - { defaultLimit, sortFields, defaultSort, sortAliases }
+ * @returns {Object} { page, cursor, limit, sort, includeTotal }
+ */
+const readPagination = (query, {
+  defaultLimit = 20, sortFields = ['createdAt'], defaultSort = '-createdAt', sortAliases,
+} = {}) => ({
+  page: Math.max(parseInt(query.page) || 1, 1),
+  cursor: query.cursor === undefined ? undefined : String(query.cursor),
+  limit: Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), MAX_LIMIT),
+  sort: parseSort(query.sort, sortFields, defaultSort, sortAliases),
+  includeTotal: query.includeTotal === 'true',
+});
+
+/**
+ * Find one page of documents
+ * @param {Model} Model - Mongoose model
+ * @param {Object} filter - MongoDB filter
+ * @param {Object} options - readPagination() result plus { select, populate, lean }
+ * @returns {Promise<Object>} { items, pagination }
+ *   page mode:   pagination { page, limit, total, pages }
+ *   cursor mode: pagination { limit, nextCursor, hasMore, total? }
+ */
+const paginate = async (Model, filter, {
+  page = 1, cursor, limit = 20, sort, includeTotal = false, select, populate, lean = false,
+}) => {
+  const cursorMode = cursor !== undefined;
+  const order = { [sort.field]: sort.direction };
+  if (sort.field !== '_id') order._id = sort.direction;
+
+  let pageFilter = filter;
+  if (cursorMode && cursor) {
+    // Added under $and so a $text or $or in the filter stays as it is
+    pageFilter = { ...filter, $and: [...(filter.$and || []), afterCursor(sort, decodeCursor(cursor, sort))] };
+  }
+
+  let query = Model.find(pageFilter).sort(order);
+  if (cursorMode) {
+    // One extra document tells whether there is a next page
+    query = query.limit(limit + 1);
+  } else {
+    query = query.skip((page - 1) * limit).limit(limit);
+  }
+  if (select) query = query.select(select);
+  if (populate) query = query.populate(populate);
+  if (lean) query = query.lean();
+
+  const countTotal = !cursorMode || includeTotal;
+  const [docs, total] = await Promise.all([
+    query,
+    countTotal ? Model.countDocuments(filter) : null,
+  ]);
+
+  if (!cursorMode) {
+    return {
+      items: docs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+  const pagination = {
+    limit,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], sort) : null,
+    hasMore,
+  };
+  if (countTotal) pagination.total = total;
+
+  return { items, pagination };
+};
+
+module.exports = {
+  readPagination,
+  paginate,
+};
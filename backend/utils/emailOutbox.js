@@ -0,0 +1,226 @@
+const mongoose = require('mongoose');
+const EmailMessage = require('../models/EmailMessage');
+const { renderTemplate } = require('../templates/emails');
+const { EMAIL_TRANSPORT, transporter, sender, validateEmailConfig } = require('../config/mailer');
+
+/**
+ * Email Outbox
+ * Queues rendered emails in MongoDB and delivers them in the background
+ *
+ * - enqueueEmail() renders a template and stores the message; it never
+ *   talks to the mail server, so a request cannot fail on SMTP.
+ * - The worker claims due messages one at a time (atomically, so several
+ *   server instances can share the outbox), sends them, and on failure
+ *   schedules a retry with exponential backoff. After maxAttempts the
+ *   message is dead-lettered and waits for an admin to retry it.
+ * - A message stuck in 'sending' (process crashed mid-delivery) is
+ *   reclaimed once its lock is older than LOCK_TIMEOUT_MS.
+ */
+
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_MS = (parseInt(process.env.EMAIL_RETRY_BASE_SECONDS, 10) || 30) * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+const POLL_INTERVAL_MS = (parseInt(process.env.EMAIL_OUTBOX_POLL_SECONDS, 10) || 15) * 1000;
+const RETENTION_MS = (parseInt(process.env.EMAIL_OUTBOX_RETENTION_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 20;
+
+let workerTimer = null;
+let processing = false;
+
+/**
+ * Delay before the next attempt: base, 2x base, 4x base... capped at RETRY_MAX_MS
+ * @param {Number} attempts - Attempts made so far
+ * @returns {Number} Delay in milliseconds
+ */
+const backoffDelay = (attempts) =>
+  Math.min(RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_MS);
+
+const purgeDate = () => new Date(Date.now() + RETENTION_MS);
+
+/**
+ * Render a template and queue it for delivery
+ * @param {Object} options
+ * @param {String} options.to - Recipient email
+ * @param {String} options.template - Template name (templates/emails)
+ * @param {Object} options.data - Template data
+ * @param {Object} [options.metadata] - Non-sensitive context shown to admins
+ * @returns {Promise<Object>} Queued EmailMessage
+ */
+const enqueueEmail = async ({ to, template, data, metadata }) => {
+  const rendered = renderTemplate(template, data);
+
+  const message = await EmailMessage.create({
+    to,
+    template: rendered.name,
+    templateVersion: rendered.version,
+    subject: rendered.subject,
+    html: rendered.html,
+    text: rendered.text,
+    sensitive: rendered.sensitive,
+    metadata,
+    maxAttempts: MAX_ATTEMPTS,
+  });
+
+  // Deliver right away rather than on the next poll
+  if (workerTimer) {
+    setImmediate(runWorker);
+  }
+
+  return message;
+};
+
+/**
+ * Claim the next due message (or one whose delivery lock went stale)
+ * @returns {Promise<Object|null>} Claimed message
+ */
+const claimNextMessage = () => {
+  const now = new Date();
+  return EmailMessage.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } },
+      ],
+    },
+    { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Deliver one claimed message and record the outcome
+ * @param {Object} message - Message in 'sending' state
+ * @returns {Promise<Boolean>} Whether the message was sent
+ */
+const deliverMessage = async (message) => {
+  // Only the worker holding this lock may record the outcome
+  const lock = { _id: message._id, status: 'sending', lockedAt: message.lockedAt };
+
+  try {
+    const info = await transporter.sendMail({
+      from: sender(),
+      to: message.to,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+    });
+
+    if (EMAIL_TRANSPORT === 'json' && process.env.NODE_ENV !== 'production' && !message.sensitive) {
+      console.log(info.message);
+    }
+
+    await EmailMessage.updateOne(lock, {
+      $set: { status: 'sent', sentAt: new Date(), messageId: info.messageId, purgeAt: purgeDate() },
+      $unset: {
+        lockedAt: 1,
+        lastError: 1,
+        // One-time links and codes are not kept after delivery
+        ...(message.sensitive && { html: 1, text: 1 }),
+      },
+    });
+
+    console.log(`📧 ${message.template} email sent: ${info.messageId}`);
+    return true;
+  } catch (error) {
+    const dead = message.attempts >= message.maxAttempts;
+
+    await EmailMessage.updateOne(lock, {
+      $set: dead
+        ? { status: 'dead', lastError: error.message, purgeAt: purgeDate() }
+        : { status: 'queued', lastError: error.message, nextAttemptAt: new Date(Date.now() + backoffDelay(message.attempts)) },
+      $unset: { lockedAt: 1 },
+    });
+
+    console.error(
+      `❌ ${message.template} email to ${message.to} failed (attempt ${message.attempts}/${message.maxAttempts})${dead ? ', dead-lettered' : ''}:`,
+      error.message
+    );
+    return false;
+  }
+};
+
+/**
+ * Deliver due messages
+ * Runs at most one batch at a time per process
+ * @param {Object} [options]
+ * @param {Number} [options.limit] - Maximum messages to process
+ * @returns {Promise<Object>} { sent, failed }
+ */
+const processOutbox = async ({ limit = BATCH_SIZE } = {}) => {
+  const result = { sent: 0, failed: 0 };
+  if (processing) return result;
+
+  processing = true;
+  try {
+    for (let i = 0; i < limit; i++) {
+      const message = await claimNextMessage();
+      if (!message) break;
+
+      if (await deliverMessage(message)) {
+        result.sent++;
+      } else {
+        result.failed++;
+      }
+    }
+  } finally {
+    processing = false;
+  }
+  return result;
+};
+
+const runWorker = () => {
+  if (mongoose.connection.readyState !== 1) return;
+  processOutbox().catch(error => console.error('Email outbox error:', error.message));
+};
+
+/**
+ * Put a dead-lettered message back into the queue with a fresh set of attempts
+ * @param {String} id - EmailMessage ID
+ * @returns {Promise<Object|null>} Requeued message, or null if it is not dead or has no body
+ */
+const requeueEmail = async (id) => {
+  const message = await EmailMessage.findOneAndUpdate(
+    { _id: id, status: 'dead', html: { $exists: true } },
+    {
+      $set: { status: 'queued', attempts: 0, nextAttemptAt: new Date(), maxAttempts: MAX_ATTEMPTS },
+      $unset: { purgeAt: 1 },
+    },
+    { new: true }
+  );
+
+  if (message && workerTimer) {
+    setImmediate(runWorker);
+  }
+  return message;
+};
+
+/**
+ * Start polling the outbox
+ */
+const startOutboxWorker = () => {
+  if (workerTimer) return;
+
+  validateEmailConfig();
+  workerTimer = setInterval(runWorker, POLL_INTERVAL_MS);
+  // Don't keep the process alive just for the outbox
+  workerTimer.unref();
+  runWorker();
+};
+
+/**
+ * Stop polling the outbox
+ */
+const stopOutboxWorker = () => {
+  clearInterval(workerTimer);
+  workerTimer = null;
+};
+
+module.exports = {
+  backoffDelay,
+  enqueueEmail,
+  processOutbox,
+  requeueEmail,
+  startOutboxWorker,
+  stopOutboxWorker,
+};
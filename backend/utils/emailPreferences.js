@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const CartRecovery = require('../models/CartRecovery');
+
+/**
+ * Email Preferences
+ * Optional email topics and their one-click unsubscribe links
+ *
+ * Each topic maps a User.notificationPreferences key to the slug used in
+ * unsubscribe tokens. Tokens are `<userId>.<slug>.<signature>`; the HMAC
+ * covers both the slug and the user, so a link only ever turns off the
+ * topic of the email it came from.
+ */
+
+const TOPICS = {
+  cartReminders: 'cart-reminders',
+  backInStock: 'back-in-stock',
+  priceDrop: 'price-drop',
+};
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+const signature = (userId, slug) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET || '')
+  .update(`${slug}:${userId}`)
+  .digest('hex');
+
+/**
+ * Token for the one-click unsubscribe link of a topic
+ * @param {String} userId - User ID
+ * @param {String} topic - Key of TOPICS
+ * @returns {String} `<userId>.<slug>.<signature>`
+ */
+const createUnsubscribeToken = (userId, topic) => {
+  const slug = TOPICS[topic];
+  return `${userId}.${slug}.${signature(userId, slug)}`;
+};
+
+/**
+ * Check an unsubscribe token
+ * Cart reminder links sent before topics existed have no slug.
+ * @param {String} token - Token from the link
+ * @returns {Object|null} { userId, topic } if the token is genuine
+ */
+const verifyUnsubscribeToken = (token) => {
+  if (typeof token !== 'string') return null;
+
+  const parts = token.split('.');
+  const [userId, slug, sig] = parts.length === 2
+    ? [parts[0], TOPICS.cartReminders, parts[1]]
+    : parts;
+
+  const topic = Object.keys(TOPICS).find(key => TOPICS[key] === slug);
+  if (!topic || !mongoose.Types.ObjectId.isValid(userId) || !/^[a-f0-9]{64}$/.test(sig || '')) {
+    return null;
+  }
+
+  const expected = Buffer.from(signature(userId, slug), 'hex');
+  return crypto.timingSafeEqual(expected, Buffer.from(sig, 'hex')) ? { userId, topic } : null;
+};
+
+/**
+ * Link that opens the unsubscribe page for a topic
+ * @param {String} userId - User ID
+ * @param {String} topic - Key of TOPICS
+ * @returns {String} Absolute frontend URL
+ */
+const unsubscribeUrl = (userId, topic) =>
+  `${frontendUrl()}/email-preferences/unsubscribe?token=${createUnsubscribeToken(userId, topic)}`;
+
+/**
+ * Whether a user still receives a topic (topics are opt-out)
+ * @param {Object} user - User with notificationPreferences selected
+ * @param {String} topic - Key of TOPICS
+ * @returns {Boolean}
+ */
+const isSubscribed = (user, topic) => user.notificationPreferences?.[topic] !== false;
+
+/**
+ * Turn off one topic for a user
+ * @param {String} userId - User ID
+ * @param {String} topic - Key of TOPICS
+ * @returns {Promise<Boolean>} Whether the user exists
+ */
+const optOut = async (userId, topic) => {
+  const result = await User.updateOne(
+    { _id: userId },
+    { $set: { [`notificationPreferences.${topic}`]: false } }
+  );
+
+  if (topic === 'cartReminders') {
+    await CartRecovery.updateMany({ user: userId, status: 'active' }, { $set: { status: 'opted_out' } });
+  }
+  return result.matchedCount > 0;
+};
+
+module.exports = {
+  EMAIL_TOPICS: Object.keys(TOPICS),
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  unsubscribeUrl,
+  isSubscribed,
+  optOut,
+};
@@ -0,0 +1,73 @@
+const Order = require('../models/Order');
+const User = require('../models/User');
+const { sendOrderEmail } = require('./emailService');
+
+/**
+ * Order Notifications
+ * Sends order lifecycle emails to the customer
+ *
+ * Each email is sent at most once per order: the event is recorded on the
+ * order atomically before sending, so a webhook and a client confirmation
+ * racing each other cannot both send a confirmation. Emails go through the
+ * outbox, which retries delivery; a failure to queue is logged, releases
+ * the event for a later attempt, and never fails the request that
+ * triggered it.
+ */
+
+// Order status -> email sent when an order enters it
+const STATUS_EMAILS = {
+  confirmed: 'confirmation',
+  shipped: 'shipped',
+  delivered: 'delivered',
+  cancelled: 'cancelled',
+};
+
+/**
+ * Email the customer about an order event
+ * @param {Object} order - Order document
+ * @param {String} event - 'confirmation' | 'shipped' | 'delivered' | 'cancelled'
+ * @returns {Promise<Boolean>} Whether an email was queued
+ */
+const notifyOrderEvent = async (order, event) => {
+  let claimed = false;
+  try {
+    const result = await Order.updateOne(
+      { _id: order._id, notificationsSent: { $ne: event } },
+      { $addToSet: { notificationsSent: event } }
+    );
+    claimed = result.modifiedCount > 0;
+    if (!claimed) return false;
+
+    const customer = await User.findById(order.user).select('email firstName');
+    if (!customer?.email) return false;
+
+    await sendOrderEmail(customer.email, order, event, { customerName: customer.firstName });
+    return true;
+  } catch (error) {
+    console.error(`Order ${event} notification failed for ${order.orderNumber}:`, error.message);
+
+    // Let a later trigger try again
+    if (claimed) {
+      await Order.updateOne({ _id: order._id }, { $pull: { notificationsSent: event } })
+        .catch(() => {});
+    }
+    return false;
+  }
+};
+
+/**
+ * Email the customer if a status change has an email attached
+ * @param {Object} order - Order document (after the change)
+ * @param {String} oldStatus - Status before the change
+ * @returns {Promise<Boolean>} Whether an email was sent
+ */
+const notifyOrderStatusChange = async (order, oldStatus) => {
+  const event = STATUS_EMAILS[order.status];
+  if (!event || order.status === oldStatus) return false;
+  return notifyOrderEvent(order, event);
+};
+
+module.exports = {
+  notifyOrderEvent,
+  notifyOrderStatusChange,
+};
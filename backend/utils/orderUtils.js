@@ -0,0 +1,366 @@
+const crypto = require('crypto');
+const Product = require('../models/Product');
+const {
+  evaluatePromotion,
+  reservePromotionUsage,
+  releasePromotionUsage,
+} = require('./promotionEngine');
+const { calculatePricing } = require('./pricingEngine');
+
+/**
+ * Order Utility Functions
+ * Shared by the order and payment controllers so that an order created
+ * before payment (PaymentIntent flow) and one created directly are built
+ * from the same rules.
+ *
+ * Security: Prices always come from the database, never from the client
+ */
+
+/**
+ * Generate a unique, human-readable order number
+ * @returns {String} Order number (e.g. ORD-lx2k9a-4F1A2B)
+ */
+const generateOrderNumber = () => {
+  const timestamp = Date.now().toString(36);
+  const random = crypto.randomBytes(3).toString('hex').toUpperCase();
+  return `ORD-${timestamp}-${random}`;
+};
+
+/**
+ * Create an error carrying the HTTP status the controller should respond with
+ * @param {Number} statusCode - HTTP status code
+ * @param {String} message - Client-safe error message
+ * @returns {Error}
+ */
+const createOrderError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Verify a product's selected variants against the database
+ * Only the variant names come from the client; hex codes and price
+ * modifiers are always taken from the product document. The unit price
+ * starts from the price in effect now, so a scheduled sale applies from
+ * the moment it starts until the moment it ends.
+ *
+ * @param {Object} product - Product document
+ * @param {Object} [selection]
+ * @param {Object} [selection.color] - Selected color ({ name })
+ * @param {Object} [selection.strap] - Selected strap ({ material })
+ * @returns {Object} { color, strap, sku, unitPrice } - sku is set for products with SKU inventory
+ * @throws {Error} 400 when a variant does not exist or is out of stock
+ */
+const resolveVariants = (product, { color, strap } = {}) => {
+  let verifiedColor = null;
+  let verifiedStrap = null;
+  let unitPrice = product.getEffectivePrice();
+
+  if (color && color.name) {
+    const dbColor = product.variants?.colors?.find(c => c.name === color.name);
+
+    if (!dbColor) {
+      throw createOrderError(400, `Color ${color.name} is not available for ${product.name}`);
+    }
+    if (!dbColor.inStock) {
+      throw createOrderError(400, `${product.name} in ${dbColor.name} is out of stock`);
+    }
+
+    verifiedColor = { name: dbColor.name, hex: dbColor.hex };
+  }
+
+  if (strap && strap.material) {
+    const dbStrap = product.variants?.straps?.find(s => s.material === strap.material);
+
+    if (!dbStrap) {
+      throw createOrderError(400, `Strap ${strap.material} is not available for ${product.name}`);
+    }
+    if (!dbStrap.inStock) {
+      throw createOrderError(400, `${product.name} with ${dbStrap.material} strap is out of stock`);
+    }
+
+    verifiedStrap = { material: dbStrap.material, priceModifier: dbStrap.priceModifier || 0 };
+    unitPrice += verifiedStrap.priceModifier;
+  }
+
+  // Products with SKU inventory track stock per color/strap combination
+  let sku = null;
+  if (product.skus && product.skus.length > 0) {
+    sku = product.findSku(verifiedColor?.name, verifiedStrap?.material);
+
+    if (!sku || !sku.isActive) {
+      throw createOrderError(400, `This combination of ${product.name} is not available`);
+    }
+  }
+
+  return { color: verifiedColor, strap: verifiedStrap, sku, unitPrice };
+};
+
+/**
+ * Verify requested items against the database and build order line items
+ * @param {Array} items - Requested items ({ product, quantity, color, strap }), product may be populated
+ * @returns {Promise<Object>} { orderItems, subtotal }
+ * @throws {Error} With statusCode set when an item is invalid or unavailable
+ */
+const buildOrderItems = async (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw createOrderError(400, 'Order must contain at least one item');
+  }
+
+  const orderItems = [];
+  let subtotal = 0;
+
+  for (const item of items) {
+    // Handle populated (cart) and unpopulated (id only) product references
+    const productId = item.product?._id || item.product;
+    const quantity = Number(item.quantity);
+
+    if (!productId || !Number.isInteger(quantity) || quantity < 1) {
+      throw createOrderError(400, 'Invalid item in order');
+    }
+
+    const product = await Product.findById(productId);
+
+    if (!product) {
+      throw createOrderError(404, `Product with ID ${productId} not found`);
+    }
+    if (!product.isActive) {
+      throw createOrderError(400, `Product ${product.name} is not available`);
+    }
+
+    // Strap price modifiers are part of the unit price
+    const { color, strap, sku, unitPrice } = resolveVariants(product, item);
+
+    // Security: Validate stock availability (per SKU when the product has them)
+    const available = sku ? sku.stock : product.stock;
+    if (available < quantity) {
+      throw createOrderError(400, `Insufficient stock for ${product.name}. Available: ${available}`);
+    }
+    const itemSubtotal = unitPrice * quantity;
+    subtotal += itemSubtotal;
+
+    orderItems.push({
+      product: product._id,
+      productSnapshot: {
+        name: product.name,
+        brand: product.brand,
+        model: product.model,
+        category: product.category,
+        price: product.price,
+        imageUrl: product.images && product.images.length > 0 ? product.images[0].url : null,
+      },
+      color,
+      strap,
+      sku: sku ? sku.sku : undefined,
+      skuId: sku ? sku._id : undefined,
+      quantity,
+      priceAtPurchase: unitPrice,
+      subtotal: itemSubtotal,
+    });
+  }
+
+  return { orderItems, subtotal };
+};
+
+/**
+ * Build line items and pricing for a checkout
+ * The single source of truth for order totals: the payment intent and
+ * direct order creation both call this, so they always agree.
+ *
+ * @param {Array} items - Requested items ({ product, quantity })
+ * @param {Object} [options]
+ * @param {String} [options.promotionCode] - Coupon code to apply
+ * @param {String} [options.userId] - Customer ID (for per-customer limits)
+ * @param {Object} [options.shippingAddress] - Destination for tax and shipping rules
+ * @param {String} [options.shippingMethod] - Selected shipping method code
+ * @returns {Promise<Object>} { orderItems, pricing, promotion, shippingMethod, shippingOptions }
+ */
+const quoteOrder = async (items, { promotionCode, userId, shippingAddress, shippingMethod } = {}) => {
+  const { orderItems, subtotal } = await buildOrderItems(items);
+
+  let discount = 0;
+  let promotion = null;
+
+  if (promotionCode) {
+    const result = await evaluatePromotion({ code: promotionCode, orderItems, subtotal, userId });
+    discount = result.discount;
+    promotion = { promotion: result.promotion._id, code: result.promotion.code };
+  }
+
+  const pricingResult = await calculatePricing({
+    subtotal,
+    discount,
+    shippingAddress,
+    shippingMethod,
+  });
+
+  return {
+    orderItems,
+    promotion,
+    ...pricingResult,
+  };
+};
+
+// An option is in stock while any active SKU with stock left has it
+const optionInStock = (field, value) => ({
+  $anyElementTrue: [{
+    $map: {
+      input: '$skus',
+      as: 'sku',
+      in: { $and: ['$$sku.isActive', { $gt: ['$$sku.stock', 0] }, { $eq: [`$$sku.${field}`, value] }] },
+    },
+  }],
+});
+
+/**
+ * Recompute a product's variant in-stock flags from its SKU stock
+ * SKU stock moves through $inc, which skips the pre-save hook that keeps
+ * the flags in step, so every SKU stock change is followed by this update.
+ * @param {ObjectId} productId
+ * @param {ClientSession} session - Active transaction session
+ */
+const syncVariantStock = (productId, session) => Product.updateOne(
+  { _id: productId },
+  [{
+    $set: {
+      'variants.colors': {
+        $map: {
+          input: { $ifNull: ['$variants.colors', []] },
+          as: 'color',
+          in: { $mergeObjects: ['$$color', { inStock: optionInStock('color', '$$color.name') }] },
+        },
+      },
+      'variants.straps': {
+        $map: {
+          input: { $ifNull: ['$variants.straps', []] },
+          as: 'strap',
+          in: { $mergeObjects: ['$$strap', { inStock: optionInStock('strap', '$$strap.material') }] },
+        },
+      },
+    },
+  }],
+  { session },
+);
+
+/**
+ * Reserve stock for order items
+ * Each decrement only applies while enough stock remains, so two buyers can
+ * never both take the last unit. Items with a SKU take stock from that SKU
+ * and the product total together. Run it inside a transaction so that a line
+ * item that cannot be reserved rolls back the ones before it.
+ *
+ * @param {Array} items - Order line items
+ * @param {ClientSession} session - Active transaction session
+ * @throws {Error} 409 when any line item is out of stock
+ */
+const reserveStock = async (items, session) => {
+  for (const item of items) {
+    const result = item.skuId
+      ? await Product.updateOne(
+        { _id: item.product, skus: { $elemMatch: { _id: item.skuId, stock: { $gte: item.quantity } } } },
+        { $inc: { 'skus.$.stock': -item.quantity, stock: -item.quantity } },
+        { session },
+      )
+      : await Product.updateOne(
+        { _id: item.product, stock: { $gte: item.quantity } },
+        { $inc: { stock: -item.quantity } },
+        { session },
+      );
+
+    if (result.modifiedCount === 0) {
+      const name = item.productSnapshot?.name || item.name || 'an item in your order';
+      throw createOrderError(409, `Insufficient stock for ${name}`);
+    }
+    if (item.skuId) await syncVariantStock(item.product, session);
+  }
+};
+
+/**
+ * Return stock for order items (cancellation, failed payment, returns)
+ * @param {Array} items - Order line items
+ * @param {ClientSession} session - Active transaction session
+ */
+const releaseStock = async (items, session) => {
+  for (const item of items) {
+    if (item.skuId) {
+      const result = await Product.updateOne(
+        { _id: item.product, 'skus._id': item.skuId },
+        { $inc: { 'skus.$.stock': item.quantity, stock: item.quantity } },
+        { session },
+      );
+
+      if (result.modifiedCount > 0) {
+        await syncVariantStock(item.product, session);
+        continue;
+      }
+
+      // SKU was removed since the order was placed; keep the product total right
+      console.warn(`SKU ${item.sku} no longer exists on product ${item.product}; restocking product total only`);
+    }
+
+    await Product.updateOne(
+      { _id: item.product },
+      { $inc: { stock: item.quantity } },
+      { session },
+    );
+  }
+};
+
+/**
+ * Reserve everything an order holds: stock and its promotion redemption
+ * @param {Object} order - Order (or order data) with items, user and optional promotion
+ * @param {ClientSession} session - Active transaction session
+ * @throws {Error} 409 when stock or the promotion is no longer available
+ */
+const reserveOrder = async (order, session) => {
+  await reserveStock(order.items, session);
+
+  if (order.promotion && order.promotion.promotion) {
+    await reservePromotionUsage(order.promotion.promotion, order.user, session);
+  }
+};
+
+/**
+ * Release everything an order holds (cancellation, failed payment)
+ * @param {Object} order - Order document
+ * @param {ClientSession} session - Active transaction session
+ */
+const releaseOrder = async (order, session) => {
+  await releaseStock(order.items, session);
+
+  if (order.promotion && order.promotion.promotion) {
+    await releasePromotionUsage(order.promotion.promotion, order.user, session);
+  }
+};
+
+/**
+ * Keep reservations in step with an order status change
+ * Cancelling returns the order's stock and promotion redemption exactly
+ * once; moving a cancelled order back into the pipeline reserves them again.
+ *
+ * @param {Object} order - Order document
+ * @param {String} oldStatus - Status before the change
+ * @param {String} newStatus - Status after the change
+ * @param {ClientSession} session - Active transaction session
+ */
+const syncReservationsForStatusChange = async (order, oldStatus, newStatus, session) => {
+  if (newStatus === 'cancelled' && oldStatus !== 'cancelled') {
+    await releaseOrder(order, session);
+  } else if (oldStatus === 'cancelled' && newStatus !== 'cancelled') {
+    await reserveOrder(order, session);
+  }
+};
+
+module.exports = {
+  generateOrderNumber,
+  createOrderError,
+  resolveVariants,
+  buildOrderItems,
+  quoteOrder,
+  reserveStock,
+  releaseStock,
+  reserveOrder,
+  releaseOrder,
+  syncReservationsForStatusChange,
+};
@@ -0,0 +1,122 @@
+const PriceHistory = require('../models/PriceHistory');
+
+/**
+ * Price History
+ * Records every change to what a product costs and answers the lowest
+ * price of the previous 30 days
+ *
+ * EU rules require a discount announcement to state the lowest price
+ * charged in the 30 days before the discount. getLowestPrice uses the
+ * moment the current price took effect as the end of that window, so a
+ * running sale is compared with the prices before it, not with itself.
+ *
+ * Recording never fails the change it follows: errors are logged and the
+ * entry is skipped.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LOWEST_PRICE_DAYS = 30;
+
+const chargedPrice = product => product.effectivePrice ?? product.price;
+
+/**
+ * Record a price change, if the update changed a price
+ * @param {Object|null} previous - { price, regularPrice } before the change
+ *   (price charged and list price); null for a new product
+ * @param {Object} product - Product after the change
+ * @param {Object} change - { reason, changedBy }
+ * @returns {Promise<Object|null>} The PriceHistory entry, or null if nothing changed
+ */
+const recordPriceChange = async (previous, product, { reason, changedBy }) => {
+  const price = chargedPrice(product);
+  if (previous && previous.price === price && previous.regularPrice === product.price) {
+    return null;
+  }
+
+  try {
+    return await PriceHistory.create({
+      product: product._id,
+      previousPrice: previous?.price,
+      price,
+      previousRegularPrice: previous?.regularPrice,
+      regularPrice: product.price,
+      reason,
+      changedBy,
+    });
+  } catch (error) {
+    console.error(`Price history error for ${product._id}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Lowest price charged in the `days` before the current price took effect
+ * @param {Object} product - Product (with price and effectivePrice)
+ * @param {Number} [days]
+ * @returns {Promise<Number>} Lowest price; the current price when no earlier price is known
+ */
+const getLowestPrice = async (product, days = LOWEST_PRICE_DAYS) => {
+  const current = chargedPrice(product);
+
+  // When the current price took effect (recorded changes that set it)
+  const latest = await PriceHistory.findOne({
+    product: product._id,
+    price: current,
+    $expr: { $ne: ['$price', '$previousPrice'] },
+  })
+    .sort({ createdAt: -1 })
+    .select('previousPrice createdAt')
+    .lean();
+
+  const until = latest ? latest.createdAt : new Date();
+  const since = new Date(until.getTime() - days * DAY_MS);
+
+  const [inWindow, atStart] = await Promise.all([
+    PriceHistory.find({ product: product._id, createdAt: { $gte: since, $lt: until } })
+      .select('price')
+      .lean(),
+    // The price already in effect when the window opened
+    PriceHistory.findOne({ product: product._id, createdAt: { $lt: since } })
+      .sort({ createdAt: -1 })
+      .select('price')
+      .lean(),
+  ]);
+
+  const prices = inWindow.map(entry => entry.price);
+  if (atStart) prices.push(atStart.price);
+  if (latest?.previousPrice != null) prices.push(latest.previousPrice);
+
+  return prices.length > 0 ? Math.min(...prices) : current;
+};
+
+/**
+ * Price changes of a product over a period, oldest first
+ * @param {ObjectId} productId
+ * @param {Number} days
+ * @returns {Promise<Object>} { history, startingPrice } - startingPrice is the
+ *   price charged when the period began (null if the product is newer)
+ */
+const getPriceHistory = async (productId, days) => {
+  const since = new Date(Date.now() - days * DAY_MS);
+
+  const [history, before] = await Promise.all([
+    PriceHistory.find({ product: productId, createdAt: { $gte: since } })
+      .populate('changedBy', 'firstName lastName email')
+      .sort({ createdAt: 1 }),
+    PriceHistory.findOne({ product: productId, createdAt: { $lt: since } })
+      .sort({ createdAt: -1 })
+      .select('price')
+      .lean(),
+  ]);
+
+  return {
+    history,
+    startingPrice: before ? before.price : null,
+  };
+};
+
+module.exports = {
+  recordPriceChange,
+  getLowestPrice,
+  getPriceHistory,
+};
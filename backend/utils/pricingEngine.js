@@ -0,0 +1,188 @@
+const TaxRate = require('../models/TaxRate');
+const ShippingMethod = require('../models/ShippingMethod');
+const { roundCurrency } = require('./promotionEngine');
+
+/**
+ * Pricing Engine
+ * Tax and shipping rules for an order, managed by admins through the API
+ *
+ * quoteOrder (orderUtils) calls this for the cart, the payment intent and
+ * direct order creation, so the amount charged by Stripe and the order
+ * total are always produced by the same rules.
+ *
+ * Until admins configure rules, the built-in defaults below apply.
+ */
+
+// Destination assumed when the customer has not entered an address yet
+const DEFAULT_COUNTRY = 'US';
+
+// Percentage used for destinations without a configured tax rate
+const DEFAULT_TAX_RATE = 10;
+
+// Offered when no shipping methods have been configured
+const DEFAULT_SHIPPING_METHODS = [
+  {
+    code: 'standard',
+    name: 'Standard Shipping',
+    description: 'Tracked delivery',
+    estimatedDays: { min: 5, max: 7 },
+    rates: [{ minSubtotal: 0, cost: 10 }, { minSubtotal: 100, cost: 0 }],
+    minSubtotal: 0,
+    countries: [],
+  },
+  {
+    code: 'express',
+    name: 'Express Shipping',
+    description: 'Priority tracked delivery',
+    estimatedDays: { min: 2, max: 3 },
+    rates: [{ minSubtotal: 0, cost: 25 }],
+    minSubtotal: 0,
+    countries: [],
+  },
+  {
+    code: 'insured_overnight',
+    name: 'Insured Overnight',
+    description: 'Next-day delivery, fully insured, signature required',
+    estimatedDays: { min: 1, max: 1 },
+    rates: [{ minSubtotal: 0, cost: 45 }],
+    minSubtotal: 1000,
+    countries: [],
+  },
+];
+
+/**
+ * Create an error carrying the HTTP status the controller should respond with
+ */
+const createPricingError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Normalize the parts of an address that pricing depends on
+ * @param {Object} [address] - Shipping address
+ * @returns {Object} { country, state }
+ */
+const normalizeDestination = (address = {}) => ({
+  country: (address.country || DEFAULT_COUNTRY).toString().trim().toUpperCase(),
+  state: (address.state || '').toString().trim().toUpperCase(),
+});
+
+/**
+ * Find the tax rate for a destination
+ * A state rate beats the country-wide rate; no match uses the default.
+ *
+ * @param {Object} destination - { country, state }
+ * @returns {Promise<Object>} { rate, label }
+ */
+const resolveTaxRate = async ({ country, state }) => {
+  const rates = await TaxRate.find({
+    country,
+    state: { $in: state ? [state, ''] : [''] },
+    isActive: true,
+  });
+
+  const match = rates.find(r => r.state === state) || rates.find(r => r.state === '');
+
+  if (!match) {
+    return { rate: DEFAULT_TAX_RATE, label: 'Sales tax' };
+  }
+
+  return { rate: match.rate, label: match.label || 'Sales tax' };
+};
+
+/**
+ * Look up the cost of a shipping method from its rate table
+ * @param {Object} method - Shipping method
+ * @param {Number} subtotal - Discounted subtotal
+ * @returns {Number} Shipping cost
+ */
+const getRateForSubtotal = (method, subtotal) => {
+  const tier = [...method.rates]
+    .sort((a, b) => b.minSubtotal - a.minSubtotal)
+    .find(t => subtotal >= t.minSubtotal);
+
+  return tier ? tier.cost : 0;
+};
+
+/**
+ * List the shipping methods available for an order, with their cost
+ * @param {Object} params
+ * @param {Number} params.subtotal - Discounted subtotal
+ * @param {String} params.country - Destination country code
+ * @returns {Promise<Array>} [{ code, name, description, estimatedDays, cost }]
+ */
+const getShippingOptions = async ({ subtotal, country }) => {
+  const configured = await ShippingMethod.find({ isActive: true }).sort({ sortOrder: 1, createdAt: 1 });
+  const methods = configured.length > 0 ? configured : DEFAULT_SHIPPING_METHODS;
+
+  return methods
+    .filter(method => subtotal >= (method.minSubtotal || 0))
+    .filter(method => !method.countries || method.countries.length === 0 || method.countries.includes(country))
+    .map(method => ({
+      code: method.code,
+      name: method.name,
+      description: method.description,
+      estimatedDays: method.estimatedDays,
+      cost: roundCurrency(getRateForSubtotal(method, subtotal)),
+    }));
+};
+
+/**
+ * Calculate tax, shipping and total for an order
+ * Tax and shipping tiers apply to the discounted subtotal.
+ *
+ * @param {Object} params
+ * @param {Number} params.subtotal - Sum of line item subtotals
+ * @param {Number} [params.discount=0] - Promotion discount
+ * @param {Object} [params.shippingAddress] - Destination (country/state)
+ * @param {String} [params.shippingMethod] - Selected method code; the first available method if omitted
+ * @returns {Promise<Object>} { pricing, shippingMethod, shippingOptions }
+ * @throws {Error} 400 when the selected method is not available for this order
+ */
+const calculatePricing = async ({ subtotal, discount = 0, shippingAddress, shippingMethod }) => {
+  const destination = normalizeDestination(shippingAddress);
+  const discountedSubtotal = subtotal - discount;
+
+  const [taxRate, shippingOptions] = await Promise.all([
+    resolveTaxRate(destination),
+    getShippingOptions({ subtotal: discountedSubtotal, country: destination.country }),
+  ]);
+
+  if (shippingOptions.length === 0) {
+    throw createPricingError(400, `We do not currently ship to ${destination.country}`);
+  }
+
+  const selected = shippingMethod
+    ? shippingOptions.find(option => option.code === shippingMethod)
+    : shippingOptions[0];
+
+  if (!selected) {
+    throw createPricingError(400, 'The selected shipping method is not available for this order');
+  }
+
+  const tax = roundCurrency(discountedSubtotal * (taxRate.rate / 100));
+  const shipping = selected.cost;
+  const total = roundCurrency(discountedSubtotal + tax + shipping);
+
+  return {
+    pricing: { subtotal, tax, taxRate: taxRate.rate, shipping, discount, total },
+    shippingMethod: {
+      code: selected.code,
+      name: selected.name,
+      estimatedDays: selected.estimatedDays,
+    },
+    shippingOptions,
+  };
+};
+
+module.exports = {
+  DEFAULT_COUNTRY,
+  DEFAULT_TAX_RATE,
+  DEFAULT_SHIPPING_METHODS,
+  normalizeDestination,
+  resolveTaxRate,
+  getShippingOptions,
+  calculatePricing,
+};
@@ -0,0 +1,208 @@
+const AlertDelivery = require('../models/AlertDelivery');
+const ProductAlert = require('../models/ProductAlert');
+const User = require('../models/User');
+const Wishlist = require('../models/Wishlist');
+const { enqueueEmail } = require('./emailOutbox');
+const { isSubscribed, unsubscribeUrl } = require('./emailPreferences');
+
+/**
+ * Wishlist Alerts
+ * Emails customers when a watch on their wishlist is back in stock or cheaper
+ *
+ * Triggered by admin product updates and by scheduled sales starting: stock
+ * going from 0 to more than 0 is a back-in-stock alert, a lower price on an
+ * in-stock product a price-drop alert. Prices are the prices charged (the
+ * sale price while a sale runs). Each alert becomes a ProductAlert run that queues one email per
+ * eligible customer through the outbox.
+ *
+ * - Customers can turn off each alert type (notificationPreferences) and
+ *   every email carries an unsubscribe link for its type.
+ * - De-duplication: within WISHLIST_ALERT_DEDUPE_HOURS (default 24) a
+ *   customer gets one back-in-stock email per product, and a price-drop
+ *   email only for a price lower than any they were already sent.
+ * - Rate limit: at most WISHLIST_ALERT_DAILY_LIMIT (default 3) alert emails
+ *   per customer in any 24 hours.
+ *
+ * Runs are processed one at a time in the background so the admin request
+ * returns immediately and concurrent runs cannot both pass the rate limit.
+ */
+
+const DAILY_LIMIT = parseInt(process.env.WISHLIST_ALERT_DAILY_LIMIT, 10) || 3;
+const DEDUPE_MS = (parseFloat(process.env.WISHLIST_ALERT_DEDUPE_HOURS) || 24) * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 200;
+
+const ALERT_TYPES = {
+  back_in_stock: { topic: 'backInStock', template: 'back-in-stock' },
+  price_drop: { topic: 'priceDrop', template: 'price-drop' },
+};
+
+let queue = Promise.resolve();
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Price charged now; effectivePrice is set whenever a product is saved
+const chargedPrice = product => product.effectivePrice ?? product.price;
+
+/**
+ * Alerts a product update should send
+ * @param {Object} previous - { stock, price } before the update
+ * @param {Object} product - Product after the update
+ * @returns {Array<Object>} [{ type, previousValue, newValue }]
+ */
+const detectAlerts = (previous, product) => {
+  if (!product.isActive || !(product.stock > 0)) return [];
+
+  const alerts = [];
+  if (previous.stock === 0) {
+    alerts.push({ type: 'back_in_stock', previousValue: previous.stock, newValue: product.stock });
+  }
+  if (chargedPrice(product) < previous.price) {
+    alerts.push({ type: 'price_drop', previousValue: previous.price, newValue: chargedPrice(product) });
+  }
+  return alerts;
+};
+
+/**
+ * Why a customer should not get this alert, if they shouldn't
+ * @param {Object} user - Customer
+ * @param {Object} alert - ProductAlert run
+ * @param {Array<Object>} recent - The customer's recent deliveries
+ * @returns {String|null} Name of the recipients counter to bump, or null to send
+ */
+const skipReason = (user, alert, recent) => {
+  if (!user.emailVerified || !user.isActive || !isSubscribed(user, ALERT_TYPES[alert.type].topic)) {
+    return 'ineligible';
+  }
+
+  const now = Date.now();
+  const duplicate = recent.some(delivery => delivery.product.equals(alert.product)
+    && now - delivery.createdAt <= DEDUPE_MS
+    && (alert.type === 'back_in_stock'
+      ? delivery.type === 'back_in_stock'
+      : delivery.price <= alert.newValue));
+  if (duplicate) return 'deduplicated';
+
+  const sentToday = recent.filter(delivery => now - delivery.createdAt <= DAY_MS).length;
+  return sentToday >= DAILY_LIMIT ? 'rateLimited' : null;
+};
+
+/**
+ * Queue the alert for a batch of customers
+ * @param {Object} alert - ProductAlert run
+ * @param {Object} product - Product the alert is about
+ * @param {Object} previous - { stock, price } before the update
+ * @param {Array<ObjectId>} userIds - Customers who wishlisted it
+ */
+const notifyBatch = async (alert, product, previous, userIds) => {
+  const windowStart = new Date(Date.now() - Math.max(DEDUPE_MS, DAY_MS));
+  const [users, deliveries] = await Promise.all([
+    User.find({ _id: { $in: userIds } }).select('email firstName emailVerified isActive notificationPreferences'),
+    AlertDelivery.find({ user: { $in: userIds }, createdAt: { $gte: windowStart } })
+      .select('user product type price createdAt')
+      .lean(),
+  ]);
+
+  // Wishlists of deleted accounts
+  alert.recipients.ineligible += userIds.length - users.length;
+
+  const { topic, template } = ALERT_TYPES[alert.type];
+  for (const user of users) {
+    const recent = deliveries.filter(delivery => delivery.user.equals(user._id));
+    const reason = skipReason(user, alert, recent);
+    if (reason) {
+      alert.recipients[reason]++;
+      continue;
+    }
+
+    try {
+      await enqueueEmail({
+        to: user.email,
+        template,
+        data: {
+          customerName: user.firstName,
+          product: {
+            name: product.name,
+            brand: product.brand,
+            price: chargedPrice(product),
+            // A restock that also lowers the price mentions both
+            previousPrice: previous.price > chargedPrice(product) ? previous.price : undefined,
+          },
+          productUrl: `${frontendUrl()}/product/${product.slug || product._id}`,
+          unsubscribeUrl: unsubscribeUrl(user._id, topic),
+        },
+        metadata: { productAlertId: alert._id, productId: product._id },
+      });
+      await AlertDelivery.create({
+        user: user._id,
+        product: product._id,
+        alert: alert._id,
+        type: alert.type,
+        price: chargedPrice(product),
+      });
+      alert.recipients.queued++;
+    } catch (error) {
+      console.error(`Wishlist alert ${alert._id} failed for user ${user._id}:`, error.message);
+      alert.recipients.failed++;
+    }
+  }
+};
+
+/**
+ * Run one alert: record it and notify everyone who wishlisted the product
+ * @param {Object} product - Product after the update
+ * @param {Object} previous - { stock, price } before the update
+ * @param {Object} spec - { type, previousValue, newValue }
+ * @param {String} triggeredBy - Admin who made the update
+ * @returns {Promise<Object>} The completed ProductAlert
+ */
+const runAlert = async (product, previous, spec, triggeredBy) => {
+  const alert = await ProductAlert.create({ product: product._id, ...spec, triggeredBy });
+
+  try {
+    const userIds = await Wishlist.distinct('user', { products: product._id });
+    alert.recipients.wishlisted = userIds.length;
+
+    for (let i = 0; i < userIds.length; i += BATCH_SIZE) {
+      await notifyBatch(alert, product, previous, userIds.slice(i, i + BATCH_SIZE));
+    }
+    alert.status = 'completed';
+  } catch (error) {
+    alert.status = 'failed';
+    alert.error = error.message;
+  }
+
+  alert.completedAt = new Date();
+  await alert.save();
+  return alert;
+};
+
+/**
+ * Queue the alerts a product update calls for
+ * Never throws: called after the update is already saved
+ * @param {Object} previous - { stock, price } before the update
+ * @param {Object} product - Product after the update
+ * @param {String} [triggeredBy] - Admin who made the update; unset for scheduled sales
+ * @returns {Array<String>} Types of the alerts queued
+ */
+const queueProductAlerts = (previous, product, triggeredBy) => {
+  const alerts = detectAlerts(previous, product);
+
+  alerts.forEach(spec => {
+    queue = queue
+      .then(() => runAlert(product, previous, spec, triggeredBy))
+      .then(({ recipients }) => {
+        if (recipients.queued > 0) {
+          console.log(`💌 Queued ${recipients.queued} ${spec.type} alert(s) for ${product.name}`);
+        }
+      })
+      .catch(error => console.error(`Wishlist ${spec.type} alert error for ${product._id}:`, error.message));
+  });
+
+  return alerts.map(alert => alert.type);
+};
+
+module.exports = {
+  detectAlerts,
+  queueProductAlerts,
+};
@@ -0,0 +1,188 @@
+/**
+ * Product Filters
+ * Turns shop query parameters into MongoDB filters and computes facet counts
+ *
+ * List filters (category, movement, strapMaterial) accept one value, a
+ * comma-separated list or a repeated parameter. Values within a filter are
+ * ORed; different filters are ANDed.
+ */
+
+// Query parameter -> product field for the list filters shown as facets
+const FACET_FIELDS = {
+  category: 'category',
+  movement: 'specifications.movement',
+  strapMaterial: 'specifications.strapMaterial',
+};
+
+// Lower bounds of the price histogram buckets; the last bucket is open-ended
+const PRICE_BOUNDARIES = [0, 500, 1000, 2500, 5000, 10000, 25000, 50000, 100000];
+
+// Sorts offered in the shop (paginated listings sort by these, then _id)
+const SORT_FIELDS = ['createdAt', 'price', 'rating.average', 'name'];
+
+// Price filters, buckets and sorting use the price charged now, so products
+// on sale are found and ordered by their sale price
+const SORT_ALIASES = { price: 'effectivePrice' };
+
+const listParam = (value) => String(value).split(',').map(v => v.trim()).filter(Boolean);
+
+/**
+ * Filter shared by every facet: active products, search, audience, featured,
+ * water resistance
+ * @param {Object} query - Request query
+ * @returns {Object} MongoDB filter
+ */
+const buildBaseFilter = (query) => {
+  const filter = { isActive: true };
+
+  // Audience filter (unisex pieces are included for men and women)
+  if (query.audience) {
+    filter.audience = query.audience === 'unisex' ? 'unisex' : { $in: [query.audience, 'unisex'] };
+  }
+
+  if (query.featured === 'true') {
+    filter.isFeatured = true;
+  }
+
+  // Meters, e.g. from a search redirect for dive watches
+  if (query.minWaterResistance) {
+    filter['specifications.waterResistanceMeters'] = { $gte: Number(query.minWaterResistance) };
+  }
+
+  if (query.search) {
+    filter.$text = { $search: String(query.search) };
+  }
+
+  return filter;
+};
+
+/**
+ * One filter clause per selected facet (and one for the price range)
+ * @param {Object} query - Request query
+ * @returns {Object} { category?, movement?, strapMaterial?, price? } -> MongoDB filter
+ */
+const buildFacetClauses = (query) => {
+  const clauses = {};
+
+  Object.entries(FACET_FIELDS).forEach(([param, field]) => {
+    if (!query[param]) return;
+    const values = listParam(query[param]);
+    if (values.length > 0) {
+      clauses[param] = { [field]: values.length === 1 ? values[0] : { $in: values } };
+    }
+  });
+
+  if (query.minPrice || query.maxPrice) {
+    const price = {};
+    if (query.minPrice) price.$gte = Number(query.minPrice);
+    if (query.maxPrice) price.$lte = Number(query.maxPrice);
+    clauses.price = { effectivePrice: price };
+  }
+
+  return clauses;
+};
+
+/**
+ * Full product filter for a shop query
+ * @param {Object} query - Request query
+ * @returns {Object} MongoDB filter
+ */
+const buildProductFilter = (query) => ({
+  ...buildBaseFilter(query),
+  ...Object.assign({}, ...Object.values(buildFacetClauses(query))),
+});
+
+/**
+ * Facet counts for a shop query
+ *
+ * Each facet is counted with every selected filter except its own, so the
+ * other values of a facet stay selectable (and show how many products
+ * choosing them would add). Values no current product matches are
+ * returned with a count of 0.
+ *
+ * @param {Model} Product - Product model
+ * @param {Object} query - Request query
+ * @returns {Promise<Object>} { total, facets, priceBuckets, priceRange }
+ */
+const getFacetCounts = async (Product, query) => {
+  const base = buildBaseFilter(query);
+  const clauses = buildFacetClauses(query);
+
+  // Selected filters other than `skip`
+  const otherClauses = (skip) => Object.assign(
+    {},
+    ...Object.entries(clauses).filter(([key]) => key !== skip).map(([, clause]) => clause)
+  );
+
+  const countBy = (param) => [
+    { $match: otherClauses(param) },
+    { $group: { _id: `$${FACET_FIELDS[param]}`, count: { $sum: 1 } } },
+  ];
+
+  const [[result], ...knownValues] = await Promise.all([
+    Product.aggregate([
+      { $match: base },
+      {
+        $facet: {
+          category: countBy('category'),
+          movement: countBy('movement'),
+          strapMaterial: countBy('strapMaterial'),
+          priceBuckets: [
+            { $match: otherClauses('price') },
+            {
+              $bucket: {
+                groupBy: '$effectivePrice',
+                boundaries: PRICE_BOUNDARIES,
+                default: 'above',
+                output: { count: { $sum: 1 } },
+              },
+            },
+          ],
+          priceRange: [
+            { $match: otherClauses('price') },
+            { $group: { _id: null, minPrice: { $min: '$effectivePrice' }, maxPrice: { $max: '$effectivePrice' } } },
+          ],
+          total: [
+            { $match: otherClauses() },
+            { $count: 'count' },
+          ],
+        },
+      },
+    ]),
+    ...Object.values(FACET_FIELDS).map(field => Product.distinct(field, { isActive: true })),
+  ]);
+
+  const facets = {};
+  Object.keys(FACET_FIELDS).forEach((param, index) => {
+    const counts = new Map(result[param].map(({ _id, count }) => [_id, count]));
+    facets[param] = knownValues[index]
+      .filter(Boolean)
+      .map(value => ({ value, count: counts.get(value) || 0 }));
+  });
+
+  const bucketCounts = new Map(result.priceBuckets.map(({ _id, count }) => [_id, count]));
+  const priceBuckets = PRICE_BOUNDARIES.map((min, index) => {
+    const max = PRICE_BOUNDARIES[index + 1];
+    return {
+      min,
+      max: max === undefined ? null : max,
+      count: bucketCounts.get(max === undefined ? 'above' : min) || 0,
+    };
+  });
+
+  const { minPrice = 0, maxPrice = 0 } = result.priceRange[0] || {};
+
+  return {
+    total: result.total[0]?.count || 0,
+    facets,
+    priceBuckets,
+    priceRange: { minPrice, maxPrice },
+  };
+};
+
+module.exports = {
+  SORT_FIELDS,
+  SORT_ALIASES,
+  buildProductFilter,
+  getFacetCounts,
+};
@@ -0,0 +1,178 @@
+const ProductRevision = require('../models/ProductRevision');
+
+/**
+ * Product Revisions
+ * Versioned snapshots of a product's editable fields, field-level diffs
+ * between them, and the updates that roll a product back to one
+ *
+ * Stock (and the in-stock flags of variants) is left out: it moves with
+ * every order, so a rollback keeps the current stock and the diffs only
+ * show what merchandisers edited.
+ *
+ * Recording never fails the change it follows: errors are logged and the
+ * revision is skipped.
+ */
+
+const SNAPSHOT_FIELDS = [
+  'name', 'slug', 'description', 'brand', 'model', 'price', 'comparePrice', 'sale',
+  'category', 'audience', 'variants', 'skus', 'specifications', 'images', 'isActive', 'isFeatured',
+];
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Plain JSON without subdocument ids, so equal content compares equal
+const toPlain = (value) => {
+  if (Array.isArray(value)) return value.map(toPlain);
+  if (!isPlainObject(value)) return value;
+  return Object.fromEntries(Object.entries(value)
+    .filter(([key]) => key !== '_id')
+    .map(([key, inner]) => [key, toPlain(inner)]));
+};
+
+/**
+ * Snapshot of a product's editable fields
+ * @param {Object} product - Product document
+ * @returns {Object}
+ */
+const snapshotProduct = (product) => {
+  const data = JSON.parse(JSON.stringify(product.toObject({ virtuals: false, depopulate: true })));
+  const snapshot = {};
+  for (const field of SNAPSHOT_FIELDS) {
+    snapshot[field] = toPlain(data[field] ?? null);
+  }
+  // Stock and the in-stock flags derived from it
+  snapshot.skus = (snapshot.skus || []).map(({ stock, ...sku }) => sku);
+  if (snapshot.variants) {
+    for (const key of ['colors', 'straps']) {
+      snapshot.variants[key] = (snapshot.variants[key] || []).map(({ inStock, ...option }) => option);
+    }
+  }
+  return snapshot;
+};
+
+// { 'specifications.movement': ..., 'variants.colors': [...] } - arrays are compared whole
+const flatten = (value, prefix, into = {}) => {
+  if (isPlainObject(value) && Object.keys(value).length > 0) {
+    for (const [key, inner] of Object.entries(value)) {
+      flatten(inner, `${prefix}.${key}`, into);
+    }
+  } else {
+    into[prefix] = value ?? null;
+  }
+  return into;
+};
+
+/**
+ * Field-level differences between two snapshots
+ * @param {Object} from - Older snapshot
+ * @param {Object} to - Newer snapshot
+ * @returns {Array} [{ field, from, to }], in SNAPSHOT_FIELDS order
+ */
+const diffSnapshots = (from, to) => {
+  const changes = [];
+  for (const field of SNAPSHOT_FIELDS) {
+    const before = flatten(from?.[field], field);
+    const after = flatten(to?.[field], field);
+
+    for (const path of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      const fromValue = before[path] ?? null;
+      const toValue = after[path] ?? null;
+      if (JSON.stringify(fromValue) !== JSON.stringify(toValue)) {
+        changes.push({ field: path, from: fromValue, to: toValue });
+      }
+    }
+  }
+  return changes;
+};
+
+/**
+ * Record a revision after a product was created or changed
+ * @param {Object} product - Product after the change
+ * @param {Object} change - { reason, changedBy, before, rolledBackTo }; `before`
+ *   is the snapshot taken before the change (omitted for a new product)
+ * @returns {Promise<Object|null>} The revision, or null if nothing changed
+ */
+const recordRevision = async (product, { reason, changedBy, before, rolledBackTo }) => {
+  const snapshot = snapshotProduct(product);
+  const changedFields = before ? diffSnapshots(before, snapshot).map(change => change.field) : [];
+  if (before && changedFields.length === 0) return null;
+
+  // Two admins saving at once race for the next version number
+  for (let attempt = 0; attempt < 3; attempt++) {
+    try {
+      const latest = await ProductRevision.findOne({ product: product._id })
+        .sort({ version: -1 })
+        .select('version')
+        .lean();
+      let version = latest ? latest.version : 0;
+
+      // Products created before revisions existed start from their state before this edit
+      if (!latest && before) {
+        version = 1;
+        await ProductRevision.create({ product: product._id, version, snapshot: before, reason: 'baseline' });
+      }
+
+      return await ProductRevision.create({
+        product: product._id,
+        version: version + 1,
+        snapshot,
+        changedFields,
+        reason,
+        rolledBackTo,
+        changedBy,
+      });
+    } catch (error) {
+      if (error.code === 11000) continue;
+      console.error(`Revision error for ${product._id}:`, error.message);
+      return null;
+    }
+  }
+
+  console.error(`Revision error for ${product._id}: version conflict`);
+  return null;
+};
+
+/**
+ * Product updates that bring a product back to a snapshot
+ * The current stock is kept (per SKU code; SKUs the rollback brings back
+ * start at 0), as are the in-stock flags of variants (per color name and
+ * strap material; options the rollback brings back count as out of
+ * stock), and a sale that has ended since is not brought back.
+ * @param {Object} product - Product document
+ * @param {Object} snapshot - Snapshot to restore
+ * @param {Date} [now]
+ * @returns {Object} Updates for product.set()
+ */
+const buildRollbackUpdates = (product, snapshot, now = new Date()) => {
+  const updates = {};
+  for (const field of SNAPSHOT_FIELDS) {
+    updates[field] = snapshot[field] ?? null;
+  }
+
+  const stockBySku = new Map((product.skus || []).map(sku => [sku.sku, sku.stock]));
+  updates.skus = (snapshot.skus || []).map(sku => ({ ...sku, stock: stockBySku.get(sku.sku) ?? 0 }));
+
+  // Without SKUs the flags are set by hand, so the current ones stand
+  if (updates.variants) {
+    updates.variants = { ...updates.variants };
+    for (const [key, nameField] of [['colors', 'name'], ['straps', 'material']]) {
+      const inStockByName = new Map((product.variants?.[key] || []).map(option => [option[nameField], option.inStock]));
+      updates.variants[key] = (updates.variants[key] || []).map(option => ({
+        ...option,
+        inStock: inStockByName.get(option[nameField]) ?? false,
+      }));
+    }
+  }
+
+  if (updates.sale?.endsAt && new Date(updates.sale.endsAt) <= now) {
+    updates.sale = null;
+  }
+  return updates;
+};
+
+module.exports = {
+  snapshotProduct,
+  diffSnapshots,
+  recordRevision,
+  buildRollbackUpdates,
+};
@@ -0,0 +1,394 @@
+const Product = require('../models/Product');
+const { getSynonymMap } = require('./searchRules');
+
+/**
+ * Product Suggestions
+ * Typeahead suggestions for the shop search bar
+ *
+ * MongoDB $text only matches whole words, so "rolx" or "speedmas" find
+ * nothing. Suggestions are matched in the app instead, against an
+ * in-memory index of active products (brand, model and name):
+ * - every query word must match a word of the label, either as a prefix
+ *   or within a small edit distance (typos, missing/extra letters)
+ * - labels that fail the word match can still match on trigram similarity
+ *   (e.g. "royaloak" for "Royal Oak")
+ * - synonyms expand the query ("ap" -> "audemars piguet")
+ *
+ * Each suggestion carries `highlights`, [start, end) character ranges of
+ * the label that matched, for the client to emphasise.
+ */
+
+// How long the index is reused before being rebuilt from the database
+const INDEX_TTL_MS = (parseInt(process.env.SEARCH_SUGGEST_INDEX_TTL_MINUTES) || 5) * 60 * 1000;
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 100;
+
+const LIMITS = { brands: 3, models: 4, products: 6 };
+
+// Lowest trigram similarity accepted when the word match fails
+const TRIGRAM_THRESHOLD = 0.45;
+
+// Matches found through a synonym rank slightly below direct matches
+const SYNONYM_WEIGHT = 0.9;
+
+// Query word (or phrase) -> words it should also match; synonym rules
+// managed in the admin are added to these
+const SYNONYMS = {
+  ap: ['audemars piguet'],
+  jlc: ['jaeger lecoultre'],
+  vc: ['vacheron constantin'],
+  pp: ['patek philippe'],
+  tag: ['tag heuer'],
+  br: ['bell ross'],
+  diver: ['submariner', 'dive'],
+  dive: ['submariner', 'diver'],
+  pilot: ['navitimer', 'aviation'],
+  aviator: ['navitimer', 'pilot'],
+  moonwatch: ['speedmaster'],
+  chrono: ['chronograph'],
+  smartwatch: ['smart', 'apple watch', 'garmin'],
+  field: ['khaki field'],
+};
+
+let index = null;
+let indexBuiltAt = 0;
+let indexBuilding = null;
+
+// Lowercase and strip accents one character at a time, so positions in the
+// folded string line up with the original label
+const fold = (text) => text.split('').map(ch => ch.normalize('NFD')[0].toLowerCase()).join('');
+
+const queryWords = (text) => fold(text).match(/[a-z0-9]+/g) || [];
+
+/**
+ * Words of a label with their positions
+ * @param {String} label
+ * @returns {Array} [{ text, start }]
+ */
+const labelWords = (label) => {
+  const words = [];
+  const pattern = /[a-z0-9]+/g;
+  const folded = fold(label);
+  let match;
+  while ((match = pattern.exec(folded)) !== null) {
+    words.push({ text: match[0], start: match.index });
+  }
+  return words;
+};
+
+/**
+ * Edit distance counting adjacent transpositions as one edit
+ * (optimal string alignment), giving up once it exceeds `max`
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(row[j] + 1, current[j - 1] + 1, row[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previousRow[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = current;
+  }
+
+  return row[b.length];
+};
+
+// Typos allowed in a query word of this length
+const allowedEdits = (length) => {
+  if (length < 4) return 0;
+  if (length < 7) return 1;
+  return 2;
+};
+
+const trigrams = (text) => {
+  const padded = `  ${text} `;
+  const grams = new Set();
+  for (let i = 0; i < padded.length - 2; i++) {
+    grams.add(padded.slice(i, i + 3));
+  }
+  return grams;
+};
+
+// Dice coefficient of two trigram sets
+const trigramSimilarity = (a, b) => {
+  let shared = 0;
+  a.forEach(gram => {
+    if (b.has(gram)) shared += 1;
+  });
+  return (2 * shared) / (a.size + b.size);
+};
+
+/**
+ * Match one query word against the words of a label
+ * @returns {Object|null} { score, range } for the best matching word
+ */
+const matchWord = (word, words) => {
+  let best = null;
+  const maxEdits = allowedEdits(word.length);
+
+  words.forEach(candidate => {
+    let score = 0;
+    let length = word.length;
+
+    if (candidate.text.startsWith(word)) {
+      score = candidate.text.length === word.length ? 1.1 : 1;
+    } else if (maxEdits > 0) {
+      // Typo in what was typed so far, or in the whole word
+      const distance = Math.min(
+        editDistance(word, candidate.text.slice(0, word.length), maxEdits),
+        editDistance(word, candidate.text, maxEdits)
+      );
+      if (distance <= maxEdits) {
+        score = 1 - 0.25 * distance;
+        length = Math.min(candidate.text.length, word.length);
+      }
+    }
+
+    if (score > 0 && (!best || score > best.score)) {
+      best = { score, range: [candidate.start, candidate.start + length] };
+    }
+  });
+
+  return best;
+};
+
+/**
+ * Score a label against the query variants
+ * @param {Object} entry - Index entry ({ label, words, spans })
+ * @param {Array} variants - [{ words, grams, weight }]
+ * @returns {Object|null} { score, highlights }
+ */
+const scoreEntry = (entry, variants) => {
+  let best = null;
+
+  variants.forEach(variant => {
+    const matches = variant.words.map(word => matchWord(word, entry.words));
+    let result = null;
+
+    if (matches.every(Boolean)) {
+      const average = matches.reduce((sum, match) => sum + match.score, 0) / matches.length;
+      // Labels that start with the query rank first
+      const leading = matches[0].range[0] === entry.words[0]?.start ? 0.1 : 0;
+      result = {
+        score: (average + leading) * variant.weight,
+        highlights: matches.map(match => match.range),
+      };
+    } else {
+      entry.spans.forEach(span => {
+        const similarity = trigramSimilarity(variant.grams, span.grams);
+        const score = 0.8 * similarity * variant.weight;
+        if (similarity >= TRIGRAM_THRESHOLD && (!result || score > result.score)) {
+          result = { score, highlights: [span.range] };
+        }
+      });
+    }
+
+    if (result && (!best || result.score > best.score)) {
+      best = result;
+    }
+  });
+
+  return best;
+};
+
+// Sort and merge [start, end) ranges
+const mergeRanges = (ranges) => ranges
+  .slice()
+  .sort((a, b) => a[0] - b[0])
+  .reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+    return merged;
+  }, []);
+
+// Runs of up to this many consecutive words are compared by trigrams
+const MAX_SPAN_WORDS = 4;
+
+/**
+ * Consecutive word runs of a label, joined without spaces, for the
+ * trigram comparison ("royaloak" against "Royal Oak")
+ * @returns {Array} [{ grams, range }]
+ */
+const labelSpans = (words) => {
+  const spans = [];
+  words.forEach((first, i) => {
+    for (let j = i; j < Math.min(words.length, i + MAX_SPAN_WORDS); j++) {
+      const last = words[j];
+      spans.push({
+        grams: trigrams(words.slice(i, j + 1).map(word => word.text).join('')),
+        range: [first.start, last.start + last.text.length],
+      });
+    }
+  });
+  return spans;
+};
+
+const indexEntry = (label, extra) => {
+  const words = labelWords(label);
+  return { label, words, spans: labelSpans(words), ...extra };
+};
+
+/**
+ * Build the suggestion index from active products
+ * @returns {Promise<Object>} { brands, models, products }
+ */
+const buildIndex = async () => {
+  const products = await Product.find({ isActive: true })
+    .select('name slug brand model price effectivePrice images')
+    .lean();
+
+  const brands = new Map();
+  const models = new Map();
+
+  products.forEach(product => {
+    if (product.brand && !brands.has(product.brand)) {
+      brands.set(product.brand, indexEntry(product.brand, { value: product.brand }));
+    }
+    const modelKey = `${product.brand}|${product.model}`;
+    if (product.model && !models.has(modelKey)) {
+      models.set(modelKey, indexEntry(product.model, {
+        value: `${product.brand} ${product.model}`,
+        brand: product.brand,
+      }));
+    }
+  });
+
+  return {
+    brands: [...brands.values()],
+    models: [...models.values()],
+    products: products.map(product => indexEntry(product.name, {
+      _id: product._id,
+      slug: product.slug,
+      brand: product.brand,
+      // Sale price while a sale runs
+      price: product.effectivePrice ?? product.price,
+      image: (product.images?.find(image => image.isPrimary) || product.images?.[0])?.url || null,
+    })),
+  };
+};
+
+const getIndex = async () => {
+  if (index && Date.now() - indexBuiltAt < INDEX_TTL_MS) return index;
+
+  if (!indexBuilding) {
+    indexBuilding = buildIndex()
+      .then(built => {
+        index = built;
+        indexBuiltAt = Date.now();
+        return built;
+      })
+      .finally(() => {
+        indexBuilding = null;
+      });
+  }
+  return indexBuilding;
+};
+
+/**
+ * Drop the cached index so the next suggestion request sees product changes
+ */
+const invalidateSuggestionIndex = () => {
+  index = null;
+};
+
+/**
+ * The query and its synonym expansions
+ * @param {Array} words - Query words
+ * @param {Object} adminSynonyms - Term -> synonyms from the admin search rules
+ * @returns {Array} [{ words, grams, weight }]
+ */
+const expandQuery = (words, adminSynonyms = {}) => {
+  const synonymsOf = (term) => [...(SYNONYMS[term] || []), ...(adminSynonyms[term] || [])];
+
+
+  const variant = (variantWords, weight) => ({
+    words: variantWords,
+    grams: trigrams(variantWords.join('')),
+    weight,
+  });
+
+  const variants = [variant(words, 1)];
+  const phrase = words.join(' ');
+
+  synonymsOf(phrase).forEach(synonym => {
+    variants.push(variant(queryWords(synonym), SYNONYM_WEIGHT));
+  });
+
+  if (words.length > 1) {
+    words.forEach((word, position) => {
+      synonymsOf(word).forEach(synonym => {
+        const expanded = [...words.slice(0, position), ...queryWords(synonym), ...words.slice(position + 1)];
+        variants.push(variant(expanded, SYNONYM_WEIGHT));
+      });
+    });
+  }
+
+  return variants;
+};
+
+const rank = (entries, variants, limit, toSuggestion) => entries
+  .map(entry => ({ entry, match: scoreEntry(entry, variants) }))
+  .filter(({ match }) => match)
+  .sort((a, b) => b.match.score - a.match.score || a.entry.label.length - b.entry.label.length)
+  .slice(0, limit)
+  .map(({ entry, match }) => ({
+    ...toSuggestion(entry),
+    highlights: mergeRanges(match.highlights),
+  }));
+
+/**
+ * Suggestions for a partial search query
+ * @param {String} query - What the customer has typed
+ * @returns {Promise<Object>} { brands, models, products }
+ */
+const getSuggestions = async (query) => {
+  const empty = { brands: [], models: [], products: [] };
+  const text = String(query || '').trim().slice(0, MAX_QUERY_LENGTH);
+  const words = queryWords(text);
+  if (words.join('').length < MIN_QUERY_LENGTH) return empty;
+
+  const variants = expandQuery(words, await getSynonymMap());
+  const { brands, models, products } = await getIndex();
+
+  return {
+    brands: rank(brands, variants, LIMITS.brands, entry => ({
+      label: entry.label,
+      value: entry.value,
+    })),
+    models: rank(models, variants, LIMITS.models, entry => ({
+      label: entry.label,
+      value: entry.value,
+      brand: entry.brand,
+    })),
+    products: rank(products, variants, LIMITS.products, entry => ({
+      _id: entry._id,
+      label: entry.label,
+      slug: entry.slug,
+      brand: entry.brand,
+      price: entry.price,
+      image: entry.image,
+    })),
+  };
+};
+
+module.exports = {
+  getSuggestions,
+  invalidateSuggestionIndex,
+};
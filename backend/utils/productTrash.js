@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+const AlertDelivery = require('../models/AlertDelivery');
+const Cart = require('../models/Cart');
+const PriceHistory = require('../models/PriceHistory');
+const Product = require('../models/Product');
+const ProductAlert = require('../models/ProductAlert');
+const ProductRevision = require('../models/ProductRevision');
+const Review = require('../models/Review');
+const Wishlist = require('../models/Wishlist');
+const { deleteImage, extractPublicId } = require('../config/cloudinary');
+const { logProductAction } = require('./auditLogger');
+
+/**
+ * Product Trash
+ * Permanently removes deleted products once their retention period is over
+ *
+ * Deleting a product only moves it to the trash (inactive, with deletedAt
+ * and deletedBy set), where admins can restore it. After
+ * PRODUCT_TRASH_RETENTION_DAYS (default 30) it is purged: its Cloudinary
+ * images, wishlist entries, cart lines, reviews, price history, wishlist
+ * alerts (with their per-recipient deliveries) and revisions are removed,
+ * then the product itself. Orders are left alone; their items keep a
+ * snapshot of the product.
+ */
+
+const RETENTION_DAYS = parseInt(process.env.PRODUCT_TRASH_RETENTION_DAYS, 10) || 30;
+const SCAN_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 50;
+
+let purgeTimer = null;
+let purging = false;
+
+/**
+ * When a deleted product will be purged
+ * @param {Object} product - Product in the trash
+ * @returns {Date|null}
+ */
+const getPurgeDate = (product) => (
+  product.deletedAt ? new Date(product.deletedAt.getTime() + RETENTION_DAYS * DAY_MS) : null
+);
+
+/**
+ * Delete a product's images from Cloudinary
+ * Images that fail to delete are logged and left behind rather than
+ * blocking the purge.
+ * @param {Object} product
+ * @returns {Promise<Number>} Images deleted
+ */
+const deleteProductImages = async (product) => {
+  let deleted = 0;
+  for (const image of product.images || []) {
+    const publicId = extractPublicId(image.url);
+    if (!publicId) continue;
+
+    try {
+      const result = await deleteImage(publicId);
+      if (result.result === 'ok') deleted++;
+    } catch (error) {
+      console.error(`Image ${publicId} of product ${product._id} not deleted:`, error.message);
+    }
+  }
+  return deleted;
+};
+
+/**
+ * Permanently remove a product and everything that only exists for it
+ * @param {Object} product - Product document
+ * @param {Object} [actor] - { userId, email, ipAddress, userAgent } when an admin purges it
+ * @returns {Promise<Object>} Counts of what was removed
+ */
+const purgeProduct = async (product, actor = {}) => {
+  const images = await deleteProductImages(product);
+
+  const wishlists = await Wishlist.updateMany(
+    { products: product._id },
+    { $pull: { products: product._id } }
+  );
+
+  // Saved one by one so the cart subtotals are recalculated
+  const carts = await Cart.find({ 'items.product': product._id });
+  for (const cart of carts) {
+    cart.items = cart.items.filter(item => !item.product.equals(product._id));
+    await cart.save();
+  }
+
+  const [reviews, , , alerts] = await Promise.all([
+    Review.deleteMany({ product: product._id }),
+    PriceHistory.deleteMany({ product: product._id }),
+    ProductRevision.deleteMany({ product: product._id }),
+    ProductAlert.deleteMany({ product: product._id }),
+    AlertDelivery.deleteMany({ product: product._id }),
+  ]);
+
+  await Product.deleteOne({ _id: product._id });
+
+  const summary = {
+    images,
+    wishlists: wishlists.modifiedCount,
+    carts: carts.length,
+    reviews: reviews.deletedCount,
+    alerts: alerts.deletedCount,
+  };
+
+  await logProductAction('product_purged', {
+    ...actor,
+    resourceId: product._id,
+    metadata: { name: product.name, deletedAt: product.deletedAt, ...summary },
+  });
+
+  return summary;
+};
+
+/**
+ * Purge every product that has been in the trash for the retention period
+ * @param {Date} [now]
+ * @returns {Promise<Number>} Products purged
+ */
+const purgeExpiredProducts = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - RETENTION_DAYS * DAY_MS);
+  let purged = 0;
+
+  for (;;) {
+    const products = await Product.find({ deletedAt: { $ne: null, $lte: cutoff } }).limit(BATCH_SIZE);
+    if (products.length === 0) break;
+
+    for (const product of products) {
+      await purgeProduct(product);
+      purged++;
+    }
+    if (products.length < BATCH_SIZE) break;
+  }
+
+  return purged;
+};
+
+const runPurge = () => {
+  if (purging || mongoose.connection.readyState !== 1) return;
+
+  purging = true;
+  purgeExpiredProducts()
+    .then(purged => {
+      if (purged > 0) console.log(`🗑️  Purged ${purged} product(s) from the trash`);
+    })
+    .catch(error => console.error('Product purge error:', error.message))
+    .finally(() => {
+      purging = false;
+    });
+};
+
+/**
+ * Start the periodic trash purge
+ */
+const startProductPurgeJob = () => {
+  if (purgeTimer) return;
+
+  purgeTimer = setInterval(runPurge, SCAN_INTERVAL_MS);
+  // Don't keep the process alive just for the purge
+  purgeTimer.unref();
+};
+
+/**
+ * Stop the periodic trash purge
+ */
+const stopProductPurgeJob = () => {
+  clearInterval(purgeTimer);
+  purgeTimer = null;
+};
+
+module.exports = {
+  RETENTION_DAYS,
+  getPurgeDate,
+  purgeProduct,
+  purgeExpiredProducts,
+  startProductPurgeJob,
+  stopProductPurgeJob,
+};
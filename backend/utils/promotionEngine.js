@@ -0,0 +1,220 @@
+const Promotion = require('../models/Promotion');
+const Order = require('../models/Order');
+const PromotionRedemption = require('../models/PromotionRedemption');
+
+/**
+ * Promotion Engine
+ * Validates coupon codes and computes the discount for a set of order items
+ *
+ * Used by checkout (payment intent and order creation), the cart and the
+ * public validation endpoint so every caller gets the same discount.
+ *
+ * Security: The discount is computed from the Promotion document and
+ * database prices only; client-supplied amounts are never trusted.
+ */
+
+/**
+ * Create an error carrying the HTTP status the controller should respond with
+ */
+const createPromotionError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Round a currency amount to cents
+ */
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Check whether an order item is covered by the promotion restrictions
+ * @param {Object} promotion - Promotion document
+ * @param {Object} item - Order line item (with productSnapshot)
+ * @returns {Boolean}
+ */
+const isItemEligible = (promotion, item) => {
+  const { categories = [], brands = [] } = promotion.restrictions || {};
+  const snapshot = item.productSnapshot || {};
+
+  if (categories.length > 0 && !categories.includes(snapshot.category)) {
+    return false;
+  }
+
+  if (brands.length > 0) {
+    const brand = (snapshot.brand || '').toLowerCase();
+    if (!brands.some(b => b.toLowerCase() === brand)) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Validate a promotion code against order items and compute its discount
+ *
+ * @param {Object} params
+ * @param {String} params.code - Customer-entered code
+ * @param {Array} params.orderItems - Line items built by buildOrderItems
+ * @param {Number} params.subtotal - Order subtotal before discount
+ * @param {String} params.userId - Customer ID (for per-customer limits)
+ * @param {ClientSession} [params.session] - Transaction session, if any
+ * @returns {Promise<Object>} { promotion, discount, eligibleSubtotal }
+ * @throws {Error} With statusCode set when the code cannot be applied
+ */
+const evaluatePromotion = async ({ code, orderItems, subtotal, userId, session = null }) => {
+  if (typeof code !== 'string' || code.trim().length === 0) {
+    throw createPromotionError(400, 'Promotion code is required');
+  }
+
+  const promotion = await Promotion.findByCode(code).session(session);
+
+  if (!promotion || !promotion.isActive) {
+    throw createPromotionError(404, 'Invalid promotion code');
+  }
+
+  const now = new Date();
+  if (promotion.startsAt && promotion.startsAt > now) {
+    throw createPromotionError(400, 'This promotion is not active yet');
+  }
+  if (promotion.expiresAt && promotion.expiresAt < now) {
+    throw createPromotionError(400, 'This promotion has expired');
+  }
+
+  if (promotion.usageLimit && promotion.usageCount >= promotion.usageLimit) {
+    throw createPromotionError(400, 'This promotion has reached its usage limit');
+  }
+
+  // Early answer for the customer; the limit is enforced when the order reserves the code
+  if (promotion.perCustomerLimit && userId) {
+    const customerUses = await Order.countDocuments({
+      user: userId,
+      'promotion.promotion': promotion._id,
+      status: { $ne: 'cancelled' },
+    }).session(session);
+
+    if (customerUses >= promotion.perCustomerLimit) {
+      throw createPromotionError(400, 'You have already used this promotion');
+    }
+  }
+
+  if (subtotal < (promotion.minSubtotal || 0)) {
+    throw createPromotionError(400, `This promotion requires a minimum subtotal of $${promotion.minSubtotal.toFixed(2)}`);
+  }
+
+  const eligibleSubtotal = orderItems
+    .filter(item => isItemEligible(promotion, item))
+    .reduce((sum, item) => sum + item.subtotal, 0);
+
+  if (eligibleSubtotal <= 0) {
+    throw createPromotionError(400, 'This promotion does not apply to the items in your cart');
+  }
+
+  let discount = promotion.type === 'percentage'
+    ? eligibleSubtotal * (promotion.value / 100)
+    : promotion.value;
+
+  if (promotion.type === 'percentage' && promotion.maxDiscount) {
+    discount = Math.min(discount, promotion.maxDiscount);
+  }
+
+  // Never discount more than the eligible items cost
+  discount = roundCurrency(Math.min(discount, eligibleSubtotal));
+
+  return { promotion, discount, eligibleSubtotal };
+};
+
+/**
+ * Take one of a customer's redemptions of a promotion
+ * Conditional on the customer's count, so concurrent checkouts by the same
+ * customer cannot exceed the per-customer limit.
+ *
+ * @param {Object} promotion - Promotion document
+ * @param {String} userId - Customer ID
+ * @param {ClientSession} session - Active transaction session
+ * @throws {Error} 409 when the customer has reached the limit
+ */
+const reserveCustomerRedemption = async (promotion, userId, session) => {
+  const filter = { promotion: promotion._id, user: userId };
+
+  // Customers who redeemed the code before redemptions were recorded start from their orders
+  if (!await PromotionRedemption.exists(filter).session(session)) {
+    const count = await Order.countDocuments({
+      user: userId,
+      'promotion.promotion': promotion._id,
+      status: { $ne: 'cancelled' },
+    }).session(session);
+
+    await PromotionRedemption.updateOne(filter, { $setOnInsert: { count } }, { upsert: true, session });
+  }
+
+  const result = await PromotionRedemption.updateOne(
+    { ...filter, count: { $lt: promotion.perCustomerLimit } },
+    { $inc: { count: 1 } },
+    { session },
+  );
+
+  if (result.modifiedCount === 0) {
+    throw createPromotionError(409, 'You have already used this promotion');
+  }
+};
+
+/**
+ * Take one redemption of a promotion
+ * Conditional so concurrent checkouts cannot exceed the usage limit or the
+ * per-customer limit.
+ *
+ * @param {String} promotionId - Promotion ID
+ * @param {String} userId - Customer ID
+ * @param {ClientSession} session - Active transaction session
+ * @throws {Error} 409 when the usage limit or per-customer limit has been reached
+ */
+const reservePromotionUsage = async (promotionId, userId, session) => {
+  const promotion = await Promotion.findOneAndUpdate(
+    {
+      _id: promotionId,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usageCount', '$usageLimit'] } },
+      ],
+    },
+    { $inc: { usageCount: 1 } },
+    { new: true, session },
+  );
+
+  if (!promotion) {
+    throw createPromotionError(409, 'This promotion has reached its usage limit');
+  }
+
+  if (promotion.perCustomerLimit && userId) {
+    await reserveCustomerRedemption(promotion, userId, session);
+  }
+};
+
+/**
+ * Give back a redemption when its order is cancelled
+ * @param {String} promotionId - Promotion ID
+ * @param {String} userId - Customer ID
+ * @param {ClientSession} session - Active transaction session
+ */
+const releasePromotionUsage = async (promotionId, userId, session) => {
+  await Promotion.updateOne(
+    { _id: promotionId, usageCount: { $gt: 0 } },
+    { $inc: { usageCount: -1 } },
+    { session },
+  );
+
+  await PromotionRedemption.updateOne(
+    { promotion: promotionId, user: userId, count: { $gt: 0 } },
+    { $inc: { count: -1 } },
+    { session },
+  );
+};
+
+module.exports = {
+  evaluatePromotion,
+  reservePromotionUsage,
+  releasePromotionUsage,
+  roundCurrency,
+};
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const ReturnRequest = require('../models/ReturnRequest');
+const { roundCurrency } = require('./promotionEngine');
+
+/**
+ * Return (RMA) Utility Functions
+ * Eligibility, returnable quantities and refund amounts for return requests
+ *
+ * Security: Refund amounts are derived from what the customer actually
+ * paid for each line item, never from client input.
+ */
+
+// Days after delivery during which a return can be requested
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS, 10) || 30;
+
+// Return statuses that still hold a claim on the order's items
+const OPEN_RETURN_STATUSES = ['requested', 'approved', 'received', 'refunding', 'refunded'];
+
+/**
+ * Generate a unique, human-readable RMA number
+ * @returns {String} RMA number (e.g. RMA-lx2k9a-4F1A2B)
+ */
+const generateRmaNumber = () => {
+  const timestamp = Date.now().toString(36);
+  const random = crypto.randomBytes(3).toString('hex').toUpperCase();
+  return `RMA-${timestamp}-${random}`;
+};
+
+/**
+ * Last day a return can be requested for an order
+ * @param {Object} order - Order document
+ * @returns {Date|null} Null if the order has not been delivered
+ */
+const getReturnDeadline = (order) => {
+  if (!order.deliveredAt) return null;
+  const deadline = new Date(order.deliveredAt);
+  deadline.setDate(deadline.getDate() + RETURN_WINDOW_DAYS);
+  return deadline;
+};
+
+/**
+ * Check whether a customer may open a return for an order
+ * @param {Object} order - Order document
+ * @returns {String|null} Reason the order is not eligible, or null if it is
+ */
+const getReturnIneligibilityReason = (order) => {
+  if (order.status !== 'delivered') {
+    return 'Only delivered orders can be returned';
+  }
+
+  if (!['completed', 'partially_refunded'].includes(order.payment.status)) {
+    return 'This order has no payment that can be refunded';
+  }
+
+  const deadline = getReturnDeadline(order);
+  if (!deadline || deadline < new Date()) {
+    return `Returns must be requested within ${RETURN_WINDOW_DAYS} days of delivery`;
+  }
+
+  return null;
+};
+
+/**
+ * Quantities of each order line item not yet claimed by another return
+ * @param {Object} order - Order document
+ * @param {Object} [options]
+ * @param {String} [options.excludeReturnId] - Return request to leave out
+ * @param {ClientSession} [options.session] - Transaction session, if any
+ * @returns {Promise<Map>} orderItemId -> returnable quantity
+ */
+const getReturnableQuantities = async (order, { excludeReturnId, session = null } = {}) => {
+  const filter = { order: order._id, status: { $in: OPEN_RETURN_STATUSES } };
+  if (excludeReturnId) {
+    filter._id = { $ne: excludeReturnId };
+  }
+
+  const existingReturns = await ReturnRequest.find(filter).session(session);
+
+  const returnable = new Map(order.items.map(item => [item._id.toString(), item.quantity]));
+  for (const existing of existingReturns) {
+    for (const item of existing.items) {
+      const key = item.orderItem.toString();
+      if (returnable.has(key)) {
+        returnable.set(key, Math.max(0, returnable.get(key) - item.quantity));
+      }
+    }
+  }
+
+  return returnable;
+};
+
+/**
+ * Amount to refund for returned items
+ * Each item gets its share of the order discount and the tax paid on it;
+ * shipping is not refunded. Capped by what has not been refunded yet.
+ *
+ * @param {Object} order - Order document
+ * @param {Array} items - Return items ({ unitPrice, quantity })
+ * @returns {Number} Refund amount in USD
+ */
+const calculateRefundAmount = (order, items) => {
+  const { subtotal, discount = 0, tax = 0, total } = order.pricing;
+  const itemsSubtotal = items.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0);
+
+  const discountShare = subtotal > 0 ? discount * (itemsSubtotal / subtotal) : 0;
+  const discountedItems = itemsSubtotal - discountShare;
+  const discountedSubtotal = subtotal - discount;
+  const taxShare = discountedSubtotal > 0 ? tax * (discountedItems / discountedSubtotal) : 0;
+
+  const remaining = total - (order.payment.refundedAmount || 0);
+  return roundCurrency(Math.max(0, Math.min(discountedItems + taxShare, remaining)));
+};
+
+module.exports = {
+  RETURN_WINDOW_DAYS,
+  generateRmaNumber,
+  getReturnDeadline,
+  getReturnIneligibilityReason,
+  getReturnableQuantities,
+  calculateRefundAmount,
+};
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const { queueProductAlerts } = require('./productAlerts');
+const { recordPriceChange } = require('./priceHistory');
+const { invalidateSuggestionIndex } = require('./productSuggest');
+
+/**
+ * Sale Scheduler
+ * Starts and ends scheduled sales on time
+ *
+ * Carts, payment intents and orders always price from the sale window
+ * itself (Product.getEffectivePrice), so a sale applies the moment it
+ * starts. This job keeps the stored effectivePrice used to filter and sort
+ * the shop in step, removes sales that have ended, records the price
+ * changes in the price history and sends wishlist price-drop alerts when a
+ * sale starts.
+ *
+ * SALE_SCHEDULER_INTERVAL_SECONDS sets how often it runs (default 60).
+ * Updates only apply if effectivePrice is unchanged since it was read, so
+ * several server instances never apply (or alert on) the same change twice.
+ */
+
+const INTERVAL_MS = (parseInt(process.env.SALE_SCHEDULER_INTERVAL_SECONDS, 10) || 60) * 1000;
+
+let syncTimer = null;
+let syncing = false;
+
+/**
+ * Bring effectivePrice up to date for every product whose price in effect
+ * may have changed: products with a sale, products whose effectivePrice
+ * differs from the regular price, and products saved before sales existed
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { updated, started, ended }
+ */
+const syncSalePrices = async (now = new Date()) => {
+  const products = await Product.find({
+    $or: [
+      { sale: { $ne: null } },
+      { effectivePrice: null },
+      { $expr: { $ne: ['$effectivePrice', '$price'] } },
+    ],
+  });
+
+  const result = { updated: 0, started: 0, ended: 0 };
+  for (const product of products) {
+    const previous = product.effectivePrice;
+    const next = product.getEffectivePrice(now);
+    const expired = Boolean(product.sale?.endsAt && product.sale.endsAt <= now);
+
+    if (next === previous && !expired) continue;
+
+    const update = { $set: { effectivePrice: next } };
+    if (expired) update.$unset = { sale: 1 };
+
+    const { modifiedCount } = await Product.updateOne(
+      { _id: product._id, effectivePrice: previous ?? null },
+      update
+    );
+    if (modifiedCount === 0) continue;
+
+    if (next !== previous) result.updated++;
+    if (expired) result.ended++;
+
+    // Products saved before sales existed only had effectivePrice filled in
+    if (previous == null || next === previous) continue;
+
+    product.effectivePrice = next;
+    await recordPriceChange({ price: previous, regularPrice: product.price }, product, {
+      reason: next < previous ? 'sale_started' : 'sale_ended',
+    });
+
+    // Price-drop alerts when a sale starts
+    if (next < previous) {
+      result.started++;
+      queueProductAlerts({ stock: product.stock, price: previous }, product);
+    }
+  }
+
+  if (result.updated > 0 || result.ended > 0) {
+    invalidateSuggestionIndex();
+  }
+  return result;
+};
+
+const runSync = () => {
+  if (syncing || mongoose.connection.readyState !== 1) return;
+
+  syncing = true;
+  syncSalePrices()
+    .then(({ started, ended }) => {
+      if (started > 0) console.log(`🏷️  Started ${started} scheduled sale(s)`);
+      if (ended > 0) console.log(`🏷️  Ended ${ended} sale(s)`);
+    })
+    .catch(error => console.error('Sale scheduler error:', error.message))
+    .finally(() => {
+      syncing = false;
+    });
+};
+
+/**
+ * Start the periodic sale price sync
+ */
+const startSaleScheduler = () => {
+  if (syncTimer) return;
+
+  syncTimer = setInterval(runSync, INTERVAL_MS);
+  // Don't keep the process alive just for sales
+  syncTimer.unref();
+};
+
+/**
+ * Stop the periodic sale price sync
+ */
+const stopSaleScheduler = () => {
+  clearInterval(syncTimer);
+  syncTimer = null;
+};
+
+module.exports = {
+  syncSalePrices,
+  startSaleScheduler,
+  stopSaleScheduler,
+};
@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const SearchQuery = require('../models/SearchQuery');
+const { normalizeQuery } = require('./searchRules');
+
+/**
+ * Search Analytics
+ * Records shop searches and result clicks, and builds the admin search report
+ *
+ * Recording never fails a search: errors are logged and the search is
+ * simply not counted.
+ */
+
+// A search this soon after the previous one from the same visitor, that
+// extends or shortens it, refines the same search ("rol" -> "rolex")
+const REFINE_WINDOW_MS = 15 * 1000;
+
+const MAX_QUERY_LENGTH = 100;
+
+/**
+ * Anonymous visitor key (the IP address itself is never stored)
+ * @param {Object} req - Express request
+ * @returns {String} sha256 hex
+ */
+const visitorKey = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.ip}|${req.get('user-agent') || ''}`)
+  .digest('hex');
+
+/**
+ * Record a search shown to a customer
+ * @param {Object} req - Express request (for the visitor and user)
+ * @param {Object} search - { query, resultCount, rule }
+ * @returns {Promise<String|null>} Search ID to report clicks against, or null
+ */
+const recordSearch = async (req, { query, resultCount, rule = null }) => {
+  try {
+    const text = String(query).trim().slice(0, MAX_QUERY_LENGTH);
+    const normalizedQuery = normalizeQuery(text);
+    if (!normalizedQuery) return null;
+
+    const visitor = visitorKey(req);
+    const fields = {
+      query: text,
+      normalizedQuery,
+      resultCount,
+      rule: rule ? { type: rule.type, term: rule.term } : undefined,
+    };
+
+    const previous = await SearchQuery.findOne({
+      visitor,
+      clicks: 0,
+      updatedAt: { $gte: new Date(Date.now() - REFINE_WINDOW_MS) },
+    }).sort('-updatedAt');
+
+    if (previous && (
+      normalizedQuery.startsWith(previous.normalizedQuery) ||
+      previous.normalizedQuery.startsWith(normalizedQuery)
+    )) {
+      previous.set(fields);
+      await previous.save();
+      return previous._id.toString();
+    }
+
+    const search = await SearchQuery.create({
+      ...fields,
+      visitor,
+      user: req.user?._id,
+    });
+    return search._id.toString();
+  } catch (error) {
+    console.error('Record search error:', error);
+    return null;
+  }
+};
+
+/**
+ * Record a click on a search result
+ * @param {String} searchId - Search the result was shown for
+ * @param {String} productId - Product opened
+ * @param {Number} position - 1-based position in the results
+ * @returns {Promise<Boolean>} Whether the search was found
+ */
+const recordClick = async (searchId, productId, position) => {
+  // Atomic, so clicks on several results at once are all counted
+  const result = await SearchQuery.updateOne({ _id: searchId }, { $inc: { clicks: 1 } });
+  if (result.matchedCount === 0) return false;
+
+  await SearchQuery.updateOne(
+    { _id: searchId, 'firstClick.product': null },
+    { $set: { firstClick: { product: productId, position, at: new Date() } } },
+  );
+  return true;
+};
+
+/**
+ * Search report for the admin dashboard
+ * @param {Object} options - { days, limit }
+ * @returns {Promise<Object>} { period, summary, topQueries, zeroResults, noClicks }
+ */
+const getSearchReport = async ({ days = 30, limit = 20 } = {}) => {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  const byQuery = (match) => [
+    { $match: match },
+    {
+      $group: {
+        _id: '$normalizedQuery',
+        query: { $last: '$query' },
+        searches: { $sum: 1 },
+        clickedSearches: { $sum: { $cond: [{ $gt: ['$clicks', 0] }, 1, 0] } },
+        avgResults: { $avg: '$resultCount' },
+        rule: { $last: '$rule.type' },
+        lastSearchedAt: { $max: '$createdAt' },
+      },
+    },
+  ];
+
+  const [result] = await SearchQuery.aggregate([
+    { $match: { createdAt: { $gte: since } } },
+    { $sort: { createdAt: 1 } },
+    {
+      $facet: {
+        summary: [
+          {
+            $group: {
+              _id: null,
+              totalSearches: { $sum: 1 },
+              queries: { $addToSet: '$normalizedQuery' },
+              zeroResults: { $sum: { $cond: [{ $eq: ['$resultCount', 0] }, 1, 0] } },
+              withResults: { $sum: { $cond: [{ $gt: ['$resultCount', 0] }, 1, 0] } },
+              clicked: { $sum: { $cond: [{ $gt: ['$clicks', 0] }, 1, 0] } },
+            },
+          },
+        ],
+        topQueries: [
+          ...byQuery({}),
+          { $sort: { searches: -1, lastSearchedAt: -1 } },
+          { $limit: limit },
+        ],
+        zeroResults: [
+          ...byQuery({ resultCount: 0 }),
+          { $sort: { searches: -1, lastSearchedAt: -1 } },
+          { $limit: limit },
+        ],
+        // Customers saw results but opened none of them
+        noClicks: [
+          ...byQuery({ resultCount: { $gt: 0 } }),
+          { $match: { clickedSearches: 0 } },
+          { $sort: { searches: -1, lastSearchedAt: -1 } },
+          { $limit: limit },
+        ],
+      },
+    },
+  ]);
+
+  const totals = result.summary[0] || {
+    totalSearches: 0, queries: [], zeroResults: 0, withResults: 0, clicked: 0,
+  };
+  const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0);
+
+  const format = (row) => ({
+    query: row.query,
+    normalizedQuery: row._id,
+    searches: row.searches,
+    clickThroughRate: rate(row.clickedSearches, row.searches),
+    avgResults: Math.round(row.avgResults * 10) / 10,
+    rule: row.rule || null,
+    lastSearchedAt: row.lastSearchedAt,
+  });
+
+  return {
+    period: { days, since },
+    summary: {
+      totalSearches: totals.totalSearches,
+      uniqueQueries: totals.queries.length,
+      zeroResultRate: rate(totals.zeroResults, totals.totalSearches),
+      clickThroughRate: rate(totals.clicked, totals.withResults),
+    },
+    topQueries: result.topQueries.map(format),
+    zeroResults: result.zeroResults.map(format),
+    noClicks: result.noClicks.map(format),
+  };
+};
+
+module.exports = {
+  recordSearch,
+  recordClick,
+  getSearchReport,
+};
@@ -0,0 +1,120 @@
+const SearchRule = require('../models/SearchRule');
+
+/**
+ * Search Rules
+ * Applies the admin-managed synonym and redirect rules to shop searches
+ *
+ * Active rules are cached in memory and reloaded after a minute, or as
+ * soon as an admin changes a rule.
+ */
+
+const CACHE_TTL_MS = 60 * 1000;
+
+// Shop query parameters a redirect rule may set
+const REDIRECT_FILTERS = ['category', 'audience', 'movement', 'strapMaterial', 'minPrice', 'maxPrice', 'minWaterResistance'];
+
+let cache = null;
+let cachedAt = 0;
+
+const normalizeQuery = (query) => SearchRule.normalizeTerm(query || '');
+
+/**
+ * Active rules keyed by term
+ * @returns {Promise<Object>} { redirects: Map, synonyms: Map }
+ */
+const loadRules = async () => {
+  if (cache && Date.now() - cachedAt < CACHE_TTL_MS) return cache;
+
+  const rules = await SearchRule.find({ isActive: true }).lean();
+  const redirects = new Map();
+  const synonyms = new Map();
+
+  rules.forEach(rule => {
+    rule.terms.forEach(term => {
+      if (rule.type === 'redirect') {
+        redirects.set(term, rule);
+      } else {
+        synonyms.set(term, rule.synonyms || []);
+      }
+    });
+  });
+
+  cache = { redirects, synonyms };
+  cachedAt = Date.now();
+  return cache;
+};
+
+/**
+ * Forget the cached rules (after an admin change)
+ */
+const invalidateSearchRules = () => {
+  cache = null;
+};
+
+/**
+ * Apply the rules to a shop query
+ *
+ * A search that exactly matches a redirect term is replaced by the rule's
+ * filters (filters the customer picked themselves still win). Otherwise
+ * synonyms of the whole search, or of single words in it, are added to the
+ * text search, which matches any of its words.
+ *
+ * @param {Object} query - Request query
+ * @returns {Promise<Object>} { query, rule } - rule describes what was applied, or null
+ */
+const applySearchRules = async (query) => {
+  if (!query.search || typeof query.search !== 'string') {
+    return { query, rule: null };
+  }
+
+  const normalized = normalizeQuery(query.search);
+  const { redirects, synonyms } = await loadRules();
+
+  const redirect = redirects.get(normalized);
+  if (redirect) {
+    const filters = {};
+    REDIRECT_FILTERS.forEach(key => {
+      const value = redirect.filters?.[key];
+      if (value !== undefined && value !== null && value !== '') {
+        filters[key] = String(value);
+      }
+    });
+
+    const { search, ...rest } = query;
+    return {
+      query: { ...filters, ...rest },
+      rule: { type: 'redirect', term: normalized, filters, description: redirect.description || null },
+    };
+  }
+
+  const words = normalized.split(' ');
+  const added = new Set(synonyms.get(normalized) || []);
+  if (words.length > 1) {
+    words.forEach(word => (synonyms.get(word) || []).forEach(synonym => added.add(synonym)));
+  }
+  if (added.size === 0) {
+    return { query, rule: null };
+  }
+
+  const term = synonyms.has(normalized) ? normalized : words.find(word => synonyms.has(word));
+  return {
+    query: { ...query, search: [query.search, ...added].join(' ') },
+    rule: { type: 'synonym', term, synonyms: [...added] },
+  };
+};
+
+/**
+ * Synonyms of active rules, for search suggestions
+ * @returns {Promise<Object>} term -> synonyms
+ */
+const getSynonymMap = async () => {
+  const { synonyms } = await loadRules();
+  return Object.fromEntries(synonyms);
+};
+
+module.exports = {
+  normalizeQuery,
+  applySearchRules,
+  getSynonymMap,
+  invalidateSearchRules,
+};
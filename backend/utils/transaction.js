@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+/**
+ * Transaction Utility
+ * Runs a unit of work inside a MongoDB transaction
+ *
+ * Note: Transactions require MongoDB to run as a replica set
+ * (a single-node replica set is enough for local development).
+ */
+
+/**
+ * Execute a function inside a transaction
+ * The function receives the session and must pass it to every read/write.
+ * Transient errors (e.g. write conflicts between concurrent checkouts) are
+ * retried automatically; any thrown error aborts and rolls back all writes.
+ *
+ * @param {Function} fn - async (session) => result
+ * @returns {Promise<*>} Result of fn
+ */
+const runInTransaction = async (fn) => {
+  let result;
+  await mongoose.connection.transaction(async (session) => {
+    result = await fn(session);
+  });
+  return result;
+};
+
+module.exports = { runInTransaction };
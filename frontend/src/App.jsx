@@ -36,6 +36,9 @@ const ProductDetail = lazy(() =>
   loadPage(import("@pages/ProductDetail"), "ProductDetail"),
 );
 const Wishlist = lazy(() => loadPage(import("@pages/Wishlist"), "Wishlist"));
+const SharedWishlist = lazy(() =>
+  loadPage(import("@pages/Wishlist"), "SharedWishlist"),
+);
 const Cart = lazy(() => loadPage(import("@pages/Cart"), "Cart"));
 const Checkout = lazy(() => loadPage(import("@pages/Checkout"), "Checkout"));
 const Success = lazy(() => loadPage(import("@pages/Success"), "Success"));
@@ -91,6 +94,9 @@ const AuditLogs = lazy(() =>
 const Unauthorized = lazy(() =>
   import("@pages/Unauthorized").then((m) => ({ default: m.Unauthorized })),
 );
+const EmailUnsubscribe = lazy(() =>
+  import("@pages/EmailUnsubscribe").then((m) => ({ default: m.EmailUnsubscribe })),
+);
 
 /**
  * React Query Client Configuration
@@ -232,6 +238,16 @@ function App() {
                       </>
                     }
                   />
+                  <Route
+                    path="/wishlist/shared/:token"
+                    element={
+                      <>
+                        <NavbarWrapper />
+                        <SharedWishlist />
+                        <Footer />
+                      </>
+                    }
+                  />
                   <Route
                     path="/cart"
                     element={
@@ -280,6 +296,16 @@ function App() {
                       </>
                     }
                   />
+                  <Route
+                    path="/email-preferences/unsubscribe"
+                    element={
+                      <>
+                        <NavbarWrapper />
+                        <EmailUnsubscribe />
+                        <Footer />
+                      </>
+                    }
+                  />
 
                   {/* Auth Routes - WITH Navbar */}
                   <Route
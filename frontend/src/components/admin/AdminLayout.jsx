@@ -7,6 +7,8 @@ import {
     ShoppingCart,
     Star,
     FileText,
+    Mail,
+    Search,
     LogOut,
     Menu,
     X,
@@ -21,6 +23,8 @@ import ProductCreate from '../../pages/admin/ProductCreate';
 import ProductEdit from '../../pages/admin/ProductEdit';
 import ReviewsManagement from '../../pages/admin/ReviewsManagement';
 import AuditLogs from '../../pages/admin/AuditLogs';
+import EmailOutbox from '../../pages/admin/EmailOutbox';
+import SearchInsights from '../../pages/admin/SearchInsights';
 import AdminNotFound from '../../pages/admin/AdminNotFound';
 
 /**
@@ -45,6 +49,8 @@ const AdminLayout = () => {
         { name: 'Products', path: '/admin/products', icon: Package },
         { name: 'Orders', path: '/admin/orders', icon: ShoppingCart },
         { name: 'Reviews', path: '/admin/reviews', icon: Star },
+        { name: 'Emails', path: '/admin/emails', icon: Mail },
+        { name: 'Search', path: '/admin/search', icon: Search },
         { name: 'Audit Logs', path: '/admin/audit-logs', icon: FileText },
     ];
 
@@ -141,6 +147,8 @@ const AdminLayout = () => {
                         <Route path="products/edit/:id" element={<ProductEdit />} />
                         <Route path="orders" element={<OrdersManagement />} />
                         <Route path="reviews" element={<ReviewsManagement />} />
+                        <Route path="emails" element={<EmailOutbox />} />
+                        <Route path="search" element={<SearchInsights />} />
                         <Route path="audit-logs" element={<AuditLogs />} />
                         <Route path="*" element={<AdminNotFound />} />
                     </Routes>
@@ -0,0 +1,125 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Tag, X } from 'lucide-react';
+import { useScheduleProductSale } from '../../hooks/useAdmin';
+import { AdminButton } from './common/AdminComponents';
+
+/**
+ * Bulk Sale Panel
+ * Schedules a percentage sale on the selected products, or clears theirs
+ *
+ * Each product's sale price is its own price less the discount. Without
+ * dates the sale starts at once and runs until it is cleared.
+ */
+const BulkSalePanel = ({ productIds, onDone }) => {
+    const [form, setForm] = useState({ discountPercent: '', startsAt: '', endsAt: '' });
+    const [result, setResult] = useState(null);
+    const saleMutation = useScheduleProductSale();
+
+    const setField = (name, value) => setForm(prev => ({ ...prev, [name]: value }));
+
+    const submit = async (saleData) => {
+        try {
+            const response = await saleMutation.mutateAsync({ productIds, ...saleData });
+            setResult({ message: response.message, skipped: response.data.skipped });
+            if (response.data.skipped.length === 0) {
+                onDone();
+            }
+        } catch (err) {
+            setResult({ error: err.response?.data?.message || 'Failed to update the sale' });
+        }
+    };
+
+    const handleSchedule = (e) => {
+        e.preventDefault();
+        submit({
+            discountPercent: Number(form.discountPercent),
+            startsAt: form.startsAt ? new Date(form.startsAt).toISOString() : undefined,
+            endsAt: form.endsAt ? new Date(form.endsAt).toISOString() : undefined,
+        });
+    };
+
+    const handleClear = () => {
+        if (window.confirm(`Remove the sale from ${productIds.length} product(s)?`)) {
+            submit({ clear: true });
+        }
+    };
+
+    return (
+        <form onSubmit={handleSchedule} className="p-6 mb-8 bg-[#FAF8F5] border border-[#C9A962]/20 rounded-xl">
+            <div className="flex items-center justify-between mb-4">
+                <h2 className="font-serif text-lg font-bold text-gray-900 flex items-center gap-2">
+                    <Tag size={18} className="text-[#C9A962]" />
+                    Sale for {productIds.length} selected product(s)
+                </h2>
+                <button type="button" onClick={onDone} className="p-2 text-gray-400 hover:text-gray-700" title="Clear selection">
+                    <X size={18} />
+                </button>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div className="admin-form-group">
+                    <label htmlFor="sale-discount">Discount (%) *</label>
+                    <input
+                        type="number"
+                        id="sale-discount"
+                        min="1"
+                        max="90"
+                        value={form.discountPercent}
+                        onChange={(e) => setField('discountPercent', e.target.value)}
+                        required
+                        placeholder="e.g., 20"
+                    />
+                </div>
+                <div className="admin-form-group">
+                    <label htmlFor="sale-starts">Starts</label>
+                    <input
+                        type="datetime-local"
+                        id="sale-starts"
+                        value={form.startsAt}
+                        onChange={(e) => setField('startsAt', e.target.value)}
+                    />
+                </div>
+                <div className="admin-form-group">
+                    <label htmlFor="sale-ends">Ends</label>
+                    <input
+                        type="datetime-local"
+                        id="sale-ends"
+                        value={form.endsAt}
+                        onChange={(e) => setField('endsAt', e.target.value)}
+                    />
+                </div>
+            </div>
+
+            {result && (
+                <div className={`mt-4 text-sm ${result.error ? 'text-red-600' : 'text-gray-700'}`}>
+                    <p>{result.error || result.message}</p>
+                    {result.skipped?.length > 0 && (
+                        <ul className="mt-2 list-disc list-inside text-red-600">
+                            {result.skipped.map(item => (
+                                <li key={item.productId}>{item.name || item.productId}: {item.reason}</li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            )}
+
+            <div className="flex gap-3 mt-4">
+                <AdminButton type="submit" disabled={saleMutation.isPending}>
+                    Schedule Sale
+                </AdminButton>
+                <AdminButton type="button" variant="secondary" onClick={handleClear} disabled={saleMutation.isPending}>
+                    Clear Sale
+                </AdminButton>
+            </div>
+        </form>
+    );
+};
+
+BulkSalePanel.propTypes = {
+    productIds: PropTypes.arrayOf(PropTypes.string).isRequired,
+    // Called once the sale is applied to every selected product (or on close)
+    onDone: PropTypes.func.isRequired,
+};
+
+export default BulkSalePanel;
@@ -7,7 +7,8 @@ import {
     Clock,
     Award,
     AlertTriangle,
-    ArrowRight
+    ArrowRight,
+    ShoppingBag
 } from 'lucide-react';
 import { formatCurrency } from '../../utils/formatters';
 import { Link } from 'react-router-dom';
@@ -40,7 +41,16 @@ const DashboardOverview = () => {
         );
     }
 
-    const { overview, recentOrders, lowStockProducts, topProducts } = data;
+    const { overview, recentOrders, lowStockProducts, topProducts, cartRecovery } = data;
+
+    const recoveryStats = cartRecovery && [
+        { label: 'Carts Reminded', value: cartRecovery.cycles.toLocaleString() },
+        { label: 'Reminders Sent', value: cartRecovery.remindersSent.toLocaleString() },
+        { label: 'Links Opened', value: cartRecovery.clicked.toLocaleString() },
+        { label: 'Recovered', value: `${cartRecovery.recovered.toLocaleString()} (${cartRecovery.recoveryRate}%)` },
+        { label: 'Recovered Revenue', value: formatCurrency(cartRecovery.recoveredRevenue) },
+        { label: 'Opted Out', value: cartRecovery.optedOut.toLocaleString() },
+    ];
 
     const stats = [
         {
@@ -111,6 +121,27 @@ const DashboardOverview = () => {
                 </Link>
             )}
 
+            {/* Abandoned Cart Recovery */}
+            {recoveryStats && (
+                <AdminCard className="mb-8">
+                    <div className="p-6 border-b border-[#C9A962]/10 flex justify-between items-center">
+                        <h2 className="text-lg font-bold font-serif text-gray-900 flex items-center gap-2">
+                            <ShoppingBag size={20} className="text-[#C9A962]" />
+                            Abandoned Cart Recovery
+                        </h2>
+                        <span className="text-xs text-gray-500">Last 30 days</span>
+                    </div>
+                    <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 divide-x divide-gray-100">
+                        {recoveryStats.map((stat) => (
+                            <div key={stat.label} className="p-4">
+                                <p className="text-xs uppercase text-gray-500 font-medium">{stat.label}</p>
+                                <p className="text-lg font-semibold text-gray-900">{stat.value}</p>
+                            </div>
+                        ))}
+                    </div>
+                </AdminCard>
+            )}
+
             <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
                 {/* Recent Orders - Spans 2 columns */}
                 <div className="lg:col-span-2">
@@ -187,7 +218,11 @@ const DashboardOverview = () => {
                                         )}
                                         <div className="flex-1 min-w-0">
                                             <p className="font-medium text-gray-900 truncate">{product.name}</p>
-                                            <p className="text-xs text-gray-500">{product.brand}</p>
+                                            <p className="text-xs text-gray-500">
+                                                {product.brand}
+                                                {product.sku && ` · ${product.sku}`}
+                                                {product.variant && ` · ${product.variant}`}
+                                            </p>
                                         </div>
                                         <div className="text-right">
                                             <span className="inline-block px-2 py-1 bg-red-100 text-red-700 text-xs font-bold rounded">
@@ -0,0 +1,153 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { useProductPriceHistory } from '../../hooks/useAdmin';
+import { formatCurrency, formatDateTime } from '../../utils/formatters';
+
+/**
+ * Price History Chart
+ * Price charged over time (sale prices included), the lowest price of the
+ * last 30 days and who made each change
+ */
+
+const PERIODS = [
+    { value: 30, label: '30 days' },
+    { value: 90, label: '90 days' },
+    { value: 365, label: '1 year' },
+];
+
+const REASON_LABELS = {
+    created: 'Product created',
+    updated: 'Price edited',
+    sale_started: 'Sale started',
+    sale_ended: 'Sale ended',
+};
+
+const WIDTH = 320;
+const HEIGHT = 140;
+const PADDING = 8;
+
+/**
+ * Points of the price line: the price at the start of the period, every
+ * change, and the current price now
+ */
+const buildPoints = ({ history, startingPrice, currentPrice }, days) => {
+    const now = Date.now();
+    const points = [];
+    if (startingPrice !== null) {
+        points.push({ time: now - days * 24 * 60 * 60 * 1000, price: startingPrice });
+    }
+    history.forEach(entry => points.push({ time: new Date(entry.createdAt).getTime(), price: entry.price }));
+    if (points.length > 0) {
+        points.push({ time: now, price: currentPrice });
+    }
+    return points;
+};
+
+// A price holds until the next change, so the line is drawn in steps
+const PriceLine = ({ points, lowestPrice }) => {
+    const times = points.map(point => point.time);
+    const prices = [...points.map(point => point.price), lowestPrice];
+    const minTime = Math.min(...times);
+    const timeSpan = Math.max(...times) - minTime || 1;
+    const minPrice = Math.min(...prices);
+    const priceSpan = Math.max(...prices) - minPrice || 1;
+
+    const x = time => PADDING + ((time - minTime) / timeSpan) * (WIDTH - 2 * PADDING);
+    const y = price => HEIGHT - PADDING - ((price - minPrice) / priceSpan) * (HEIGHT - 2 * PADDING);
+
+    const path = points.map((point, index) => (index === 0
+        ? `M ${x(point.time)} ${y(point.price)}`
+        : `H ${x(point.time)} V ${y(point.price)}`)).join(' ');
+
+    return (
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-36" role="img" aria-label="Price history chart">
+            <line
+                x1={PADDING}
+                x2={WIDTH - PADDING}
+                y1={y(lowestPrice)}
+                y2={y(lowestPrice)}
+                stroke="#9CA3AF"
+                strokeDasharray="4 4"
+            />
+            <path d={path} fill="none" stroke="#C9A962" strokeWidth="2" />
+            {points.slice(0, -1).map(point => (
+                <circle key={point.time} cx={x(point.time)} cy={y(point.price)} r="3" fill="#C9A962" />
+            ))}
+        </svg>
+    );
+};
+
+PriceLine.propTypes = {
+    points: PropTypes.arrayOf(PropTypes.shape({
+        time: PropTypes.number.isRequired,
+        price: PropTypes.number.isRequired,
+    })).isRequired,
+    lowestPrice: PropTypes.number.isRequired,
+};
+
+const describeChanger = (entry) => (entry.changedBy
+    ? `${entry.changedBy.firstName} ${entry.changedBy.lastName}`
+    : 'Sale schedule');
+
+const PriceHistoryChart = ({ productId }) => {
+    const [days, setDays] = useState(90);
+    const { data, isLoading } = useProductPriceHistory(productId, { days });
+
+    const points = data ? buildPoints(data, days) : [];
+    const changes = data ? [...data.history].reverse().slice(0, 5) : [];
+
+    return (
+        <div className="admin-card">
+            <div className="admin-card-header flex items-center justify-between">
+                <h2>Price History</h2>
+                <select
+                    value={days}
+                    onChange={(e) => setDays(Number(e.target.value))}
+                    className="text-sm border border-crown-gold/30 rounded px-2 py-1"
+                    aria-label="Period"
+                >
+                    {PERIODS.map(period => (
+                        <option key={period.value} value={period.value}>{period.label}</option>
+                    ))}
+                </select>
+            </div>
+            <div className="p-6 space-y-4">
+                {isLoading ? (
+                    <p className="text-sm text-gray-500">Loading price history...</p>
+                ) : points.length === 0 ? (
+                    <p className="text-sm text-gray-500">No price changes recorded in this period.</p>
+                ) : (
+                    <>
+                        <PriceLine points={points} lowestPrice={data.lowestPrice30Days} />
+                        <p className="text-xs text-gray-500">
+                            Lowest price of the 30 days before the current price: {formatCurrency(data.lowestPrice30Days)} (dashed line)
+                        </p>
+                        {changes.map(entry => (
+                            <div key={entry._id} className="text-sm border-b border-crown-gold/10 pb-3 last:border-0 last:pb-0">
+                                <p className="font-medium text-text-dark">{REASON_LABELS[entry.reason]}</p>
+                                <p className="text-gray-600">
+                                    {entry.previousPrice !== undefined && `${formatCurrency(entry.previousPrice)} → `}
+                                    {formatCurrency(entry.price)}
+                                </p>
+                                <p className="text-xs text-gray-400">
+                                    {describeChanger(entry)} · {formatDateTime(entry.createdAt)}
+                                </p>
+                            </div>
+                        ))}
+                        {data.history.length > changes.length && (
+                            <p className="text-xs text-gray-400">
+                                Showing the latest {changes.length} of {data.history.length} changes
+                            </p>
+                        )}
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+PriceHistoryChart.propTypes = {
+    productId: PropTypes.string.isRequired,
+};
+
+export default PriceHistoryChart;
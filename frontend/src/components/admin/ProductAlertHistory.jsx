@@ -0,0 +1,82 @@
+import PropTypes from 'prop-types';
+import { useProductAlerts } from '../../hooks/useAdmin';
+import { formatCurrency, formatDateTime } from '../../utils/formatters';
+import { AdminBadge } from './common/AdminComponents';
+
+/**
+ * Product Alert History
+ * Back-in-stock and price-drop emails sent to customers who wishlisted the product
+ */
+
+const TYPE_LABELS = {
+    back_in_stock: 'Back in stock',
+    price_drop: 'Price drop',
+};
+
+const STATUS_VARIANTS = {
+    processing: 'warning',
+    completed: 'success',
+    failed: 'danger',
+};
+
+// Why some wishlisting customers were not emailed
+const SKIPPED = [
+    { key: 'ineligible', label: 'opted out or unverified' },
+    { key: 'deduplicated', label: 'already alerted' },
+    { key: 'rateLimited', label: 'daily limit reached' },
+    { key: 'failed', label: 'failed' },
+];
+
+const describeChange = (alert) => (alert.type === 'price_drop'
+    ? `${formatCurrency(alert.previousValue)} → ${formatCurrency(alert.newValue)}`
+    : `Stock ${alert.previousValue} → ${alert.newValue}`);
+
+const ProductAlertHistory = ({ productId }) => {
+    const { data, isLoading } = useProductAlerts(productId, { limit: 5 });
+    const alerts = data?.alerts || [];
+
+    return (
+        <div className="admin-card">
+            <div className="admin-card-header">
+                <h2>Wishlist Alerts</h2>
+            </div>
+            <div className="p-6 space-y-4">
+                {isLoading ? (
+                    <p className="text-sm text-gray-500">Loading alerts...</p>
+                ) : alerts.length === 0 ? (
+                    <p className="text-sm text-gray-500">
+                        No alerts sent yet. Customers who wishlisted this watch are emailed when it is restocked or its price drops.
+                    </p>
+                ) : alerts.map(alert => (
+                    <div key={alert._id} className="text-sm border-b border-crown-gold/10 pb-3 last:border-0 last:pb-0">
+                        <div className="flex items-center justify-between gap-2">
+                            <span className="font-medium text-text-dark">{TYPE_LABELS[alert.type]}</span>
+                            <AdminBadge variant={STATUS_VARIANTS[alert.status]}>{alert.status}</AdminBadge>
+                        </div>
+                        <p className="text-gray-600">{describeChange(alert)}</p>
+                        <p className="text-gray-600">
+                            {alert.recipients.queued} of {alert.recipients.wishlisted} emailed
+                        </p>
+                        {SKIPPED.filter(({ key }) => alert.recipients[key] > 0).map(({ key, label }) => (
+                            <p key={key} className="text-xs text-gray-400">
+                                {alert.recipients[key]} {label}
+                            </p>
+                        ))}
+                        <p className="text-xs text-gray-400">{formatDateTime(alert.createdAt)}</p>
+                    </div>
+                ))}
+                {data?.pagination?.total > alerts.length && (
+                    <p className="text-xs text-gray-400">
+                        Showing the latest {alerts.length} of {data.pagination.total} alerts
+                    </p>
+                )}
+            </div>
+        </div>
+    );
+};
+
+ProductAlertHistory.propTypes = {
+    productId: PropTypes.string.isRequired,
+};
+
+export default ProductAlertHistory;
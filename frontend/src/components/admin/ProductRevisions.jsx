@@ -0,0 +1,178 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { RotateCcw } from 'lucide-react';
+import { useProductRevisions, useProductRevisionDiff, useRollbackProduct } from '../../hooks/useAdmin';
+import { formatDateTime } from '../../utils/formatters';
+
+/**
+ * Product Revisions
+ * Who changed what on a product, a field-level diff between any two
+ * revisions, and rollback to an earlier one
+ */
+
+const REASON_LABELS = {
+    created: 'Product created',
+    baseline: 'Before revisions were recorded',
+    updated: 'Edited',
+    sale_scheduled: 'Bulk sale',
+    rolled_back: 'Rolled back',
+};
+
+const describeReason = (revision) => (revision.reason === 'rolled_back'
+    ? `Rolled back to revision ${revision.rolledBackTo}`
+    : REASON_LABELS[revision.reason]);
+
+const describeChanger = (revision) => (revision.changedBy
+    ? `${revision.changedBy.firstName} ${revision.changedBy.lastName}`
+    : 'System');
+
+const formatValue = (value) => {
+    if (value === null || value === '') return '—';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+};
+
+const RevisionDiff = ({ productId, from, to }) => {
+    const { data, isLoading, error } = useProductRevisionDiff(productId, { from, to });
+
+    if (from === to) {
+        return <p className="text-sm text-gray-500">Pick two different revisions to compare.</p>;
+    }
+    if (isLoading) {
+        return <p className="text-sm text-gray-500">Comparing...</p>;
+    }
+    if (error) {
+        return <p className="text-sm text-red-600">{error.response?.data?.message || 'Failed to compare revisions'}</p>;
+    }
+    if (data.changes.length === 0) {
+        return <p className="text-sm text-gray-500">These revisions are identical.</p>;
+    }
+
+    return (
+        <div className="space-y-3">
+            {data.changes.map(change => (
+                <div key={change.field} className="text-sm">
+                    <p className="font-medium text-text-dark">{change.field}</p>
+                    <p className="text-red-700 bg-red-50 rounded px-2 py-1 break-words whitespace-pre-wrap">
+                        {formatValue(change.from)}
+                    </p>
+                    <p className="text-green-700 bg-green-50 rounded px-2 py-1 mt-1 break-words whitespace-pre-wrap">
+                        {formatValue(change.to)}
+                    </p>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+RevisionDiff.propTypes = {
+    productId: PropTypes.string.isRequired,
+    from: PropTypes.number.isRequired,
+    to: PropTypes.number.isRequired,
+};
+
+const ProductRevisions = ({ productId, onRollback }) => {
+    const { data, isLoading } = useProductRevisions(productId, { limit: 20 });
+    const rollbackMutation = useRollbackProduct();
+    // Revision numbers picked for the diff; default to the latest change
+    const [compare, setCompare] = useState({ from: null, to: null });
+
+    const revisions = data?.revisions || [];
+    const latest = revisions[0];
+    const from = compare.from ?? revisions[1]?.version;
+    const to = compare.to ?? latest?.version;
+
+    const handleRollback = async (version) => {
+        if (!window.confirm(`Roll this product back to revision ${version}? Unsaved changes in the form are lost; stock is not changed.`)) {
+            return;
+        }
+        try {
+            const result = await rollbackMutation.mutateAsync({ productId, version });
+            setCompare({ from: null, to: null });
+            onRollback(result.data.product);
+        } catch (error) {
+            alert(error.response?.data?.message || 'Failed to roll back product');
+        }
+    };
+
+    const versionSelect = (key, value, label) => (
+        <select
+            value={value}
+            onChange={(e) => setCompare({ from, to, [key]: Number(e.target.value) })}
+            className="text-sm border border-crown-gold/30 rounded px-2 py-1"
+            aria-label={label}
+        >
+            {revisions.map(revision => (
+                <option key={revision._id} value={revision.version}>Revision {revision.version}</option>
+            ))}
+        </select>
+    );
+
+    return (
+        <div className="admin-card">
+            <div className="admin-card-header">
+                <h2>Revisions</h2>
+            </div>
+            <div className="p-6 space-y-4">
+                {isLoading ? (
+                    <p className="text-sm text-gray-500">Loading revisions...</p>
+                ) : revisions.length === 0 ? (
+                    <p className="text-sm text-gray-500">No revisions yet. One is recorded every time the product is saved.</p>
+                ) : (
+                    <>
+                        {revisions.map(revision => (
+                            <div key={revision._id} className="text-sm border-b border-crown-gold/10 pb-3 last:border-0 last:pb-0">
+                                <div className="flex items-center justify-between gap-2">
+                                    <span className="font-medium text-text-dark">
+                                        #{revision.version} · {describeReason(revision)}
+                                    </span>
+                                    {revision.version !== latest.version && (
+                                        <button
+                                            type="button"
+                                            onClick={() => handleRollback(revision.version)}
+                                            disabled={rollbackMutation.isPending}
+                                            className="flex items-center gap-1 text-xs text-crown-gold hover:underline disabled:opacity-50"
+                                        >
+                                            <RotateCcw size={12} />
+                                            Roll back
+                                        </button>
+                                    )}
+                                </div>
+                                {revision.changedFields.length > 0 && (
+                                    <p className="text-gray-600 break-words">{revision.changedFields.join(', ')}</p>
+                                )}
+                                <p className="text-xs text-gray-400">
+                                    {describeChanger(revision)} · {formatDateTime(revision.createdAt)}
+                                </p>
+                            </div>
+                        ))}
+                        {data.pagination.total > revisions.length && (
+                            <p className="text-xs text-gray-400">
+                                Showing the latest {revisions.length} of {data.pagination.total} revisions
+                            </p>
+                        )}
+
+                        {revisions.length > 1 && (
+                            <div className="pt-4 border-t border-crown-gold/20 space-y-3">
+                                <div className="flex items-center gap-2 text-sm">
+                                    <span className="text-text-dark font-medium">Compare</span>
+                                    {versionSelect('from', from, 'Older revision')}
+                                    <span className="text-gray-500">with</span>
+                                    {versionSelect('to', to, 'Newer revision')}
+                                </div>
+                                <RevisionDiff productId={productId} from={from} to={to} />
+                            </div>
+                        )}
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+ProductRevisions.propTypes = {
+    productId: PropTypes.string.isRequired,
+    onRollback: PropTypes.func.isRequired,
+};
+
+export default ProductRevisions;
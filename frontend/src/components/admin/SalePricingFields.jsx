@@ -0,0 +1,78 @@
+import PropTypes from 'prop-types';
+
+/**
+ * Sale Pricing Fields
+ * Compare-at price and a scheduled sale for the product forms
+ *
+ * Uses the form's own change handler, so the fields live in its form data
+ * as comparePrice, salePrice, saleStartsAt and saleEndsAt. Without dates the
+ * sale starts on save and runs until the sale price is removed.
+ */
+const SalePricingFields = ({ formData, onChange }) => (
+    <>
+        <div className="admin-form-group">
+            <label htmlFor="comparePrice">Compare-at Price</label>
+            <input
+                type="number"
+                id="comparePrice"
+                name="comparePrice"
+                value={formData.comparePrice}
+                onChange={onChange}
+                min="0"
+                step="0.01"
+                placeholder="Shown struck through"
+            />
+        </div>
+
+        <div className="admin-form-group">
+            <label htmlFor="salePrice">Sale Price</label>
+            <input
+                type="number"
+                id="salePrice"
+                name="salePrice"
+                value={formData.salePrice}
+                onChange={onChange}
+                min="0"
+                step="0.01"
+                placeholder="No sale"
+            />
+        </div>
+
+        {formData.salePrice !== '' && (
+            <div className="grid grid-cols-2 gap-3">
+                <div className="admin-form-group">
+                    <label htmlFor="saleStartsAt">Sale Starts</label>
+                    <input
+                        type="datetime-local"
+                        id="saleStartsAt"
+                        name="saleStartsAt"
+                        value={formData.saleStartsAt}
+                        onChange={onChange}
+                    />
+                </div>
+                <div className="admin-form-group">
+                    <label htmlFor="saleEndsAt">Sale Ends</label>
+                    <input
+                        type="datetime-local"
+                        id="saleEndsAt"
+                        name="saleEndsAt"
+                        value={formData.saleEndsAt}
+                        onChange={onChange}
+                    />
+                </div>
+            </div>
+        )}
+    </>
+);
+
+SalePricingFields.propTypes = {
+    formData: PropTypes.shape({
+        comparePrice: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+        salePrice: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+        saleStartsAt: PropTypes.string.isRequired,
+        saleEndsAt: PropTypes.string.isRequired,
+    }).isRequired,
+    onChange: PropTypes.func.isRequired,
+};
+
+export default SalePricingFields;
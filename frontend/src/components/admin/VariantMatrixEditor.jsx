@@ -0,0 +1,249 @@
+import PropTypes from 'prop-types';
+import { Plus, Trash2, Wand2 } from 'lucide-react';
+
+/**
+ * Variant Matrix Editor
+ * Edits dial colors, strap options and the SKU for every color/strap
+ * combination (code, barcode, stock)
+ *
+ * SKUs are matched to combinations by color name and strap material;
+ * products without colors or straps use an empty value for that axis.
+ */
+
+const inputClass = 'w-full px-2 py-1.5 border border-crown-gold/30 rounded text-sm focus:outline-none focus:border-crown-gold';
+
+// Build a readable default SKU code, e.g. 26331ST-BLU-LEA
+const suggestSkuCode = (model, color, strap) => {
+    const part = (value) => value.replace(/[^a-zA-Z0-9]/g, '').slice(0, 3).toUpperCase();
+    return [model.replace(/[^a-zA-Z0-9-]/g, '').toUpperCase() || 'SKU', color && part(color), strap && part(strap)]
+        .filter(Boolean)
+        .join('-');
+};
+
+const VariantMatrixEditor = ({ model, variants, skus, onVariantsChange, onSkusChange }) => {
+    const colors = variants.colors || [];
+    const straps = variants.straps || [];
+
+    const colorAxis = colors.length > 0 ? colors.map(c => c.name) : [''];
+    const strapAxis = straps.length > 0 ? straps.map(s => s.material) : [''];
+    const combinations = colorAxis.flatMap(color => strapAxis.map(strap => ({ color, strap })));
+
+    const findSku = (color, strap) => skus.find(sku => sku.color === color && sku.strap === strap);
+
+    // Colors
+    const updateColor = (index, field, value) => {
+        const oldName = colors[index].name;
+        const nextColors = colors.map((c, i) => (i === index ? { ...c, [field]: value } : c));
+        onVariantsChange({ ...variants, colors: nextColors });
+
+        // Keep SKUs attached to a renamed color
+        if (field === 'name') {
+            onSkusChange(skus.map(sku => (sku.color === oldName ? { ...sku, color: value } : sku)));
+        }
+    };
+
+    const addColor = () => {
+        onVariantsChange({ ...variants, colors: [...colors, { name: '', hex: '#1A1A1A', inStock: true }] });
+    };
+
+    const removeColor = (index) => {
+        const removed = colors[index].name;
+        onVariantsChange({ ...variants, colors: colors.filter((_, i) => i !== index) });
+        onSkusChange(skus.filter(sku => sku.color !== removed));
+    };
+
+    // Straps
+    const updateStrap = (index, field, value) => {
+        const oldMaterial = straps[index].material;
+        const nextStraps = straps.map((s, i) => (i === index ? { ...s, [field]: value } : s));
+        onVariantsChange({ ...variants, straps: nextStraps });
+
+        if (field === 'material') {
+            onSkusChange(skus.map(sku => (sku.strap === oldMaterial ? { ...sku, strap: value } : sku)));
+        }
+    };
+
+    const addStrap = () => {
+        onVariantsChange({ ...variants, straps: [...straps, { material: '', priceModifier: 0, inStock: true }] });
+    };
+
+    const removeStrap = (index) => {
+        const removed = straps[index].material;
+        onVariantsChange({ ...variants, straps: straps.filter((_, i) => i !== index) });
+        onSkusChange(skus.filter(sku => sku.strap !== removed));
+    };
+
+    // SKU cells
+    const updateSku = (color, strap, field, value) => {
+        const existing = findSku(color, strap);
+        if (existing) {
+            onSkusChange(skus.map(sku => (sku === existing ? { ...sku, [field]: value } : sku)));
+        } else {
+            onSkusChange([...skus, { color, strap, sku: '', barcode: '', stock: 0, isActive: true, [field]: value }]);
+        }
+    };
+
+    const generateCodes = () => {
+        const generated = combinations.map(({ color, strap }) => {
+            const existing = findSku(color, strap);
+            if (existing?.sku) return existing;
+            return {
+                ...(existing || { color, strap, barcode: '', stock: 0, isActive: true }),
+                sku: suggestSkuCode(model, color, strap),
+            };
+        });
+        // Keep SKUs for combinations no longer shown so nothing is silently dropped
+        const others = skus.filter(sku => !combinations.some(c => c.color === sku.color && c.strap === sku.strap));
+        onSkusChange([...generated, ...others]);
+    };
+
+    return (
+        <div className="space-y-6">
+            {/* Colors */}
+            <div>
+                <div className="flex justify-between items-center mb-2">
+                    <h3 className="text-sm font-semibold text-gray-900">Dial Colors</h3>
+                    <button type="button" onClick={addColor} className="text-crown-gold text-sm flex items-center gap-1">
+                        <Plus size={14} /> Add color
+                    </button>
+                </div>
+                {colors.map((color, index) => (
+                    <div key={index} className="flex gap-2 mb-2 items-center">
+                        <input
+                            type="text"
+                            value={color.name}
+                            onChange={(e) => updateColor(index, 'name', e.target.value)}
+                            placeholder="e.g., Midnight Blue"
+                            className={inputClass}
+                        />
+                        <input
+                            type="color"
+                            value={color.hex || '#1A1A1A'}
+                            onChange={(e) => updateColor(index, 'hex', e.target.value)}
+                            className="w-10 h-8 border border-crown-gold/30 rounded"
+                        />
+                        <button type="button" onClick={() => removeColor(index)} className="text-gray-400 hover:text-red-500">
+                            <Trash2 size={16} />
+                        </button>
+                    </div>
+                ))}
+            </div>
+
+            {/* Straps */}
+            <div>
+                <div className="flex justify-between items-center mb-2">
+                    <h3 className="text-sm font-semibold text-gray-900">Strap Options</h3>
+                    <button type="button" onClick={addStrap} className="text-crown-gold text-sm flex items-center gap-1">
+                        <Plus size={14} /> Add strap
+                    </button>
+                </div>
+                {straps.map((strap, index) => (
+                    <div key={index} className="flex gap-2 mb-2 items-center">
+                        <input
+                            type="text"
+                            value={strap.material}
+                            onChange={(e) => updateStrap(index, 'material', e.target.value)}
+                            placeholder="e.g., Alligator Leather"
+                            className={inputClass}
+                        />
+                        <input
+                            type="number"
+                            value={strap.priceModifier}
+                            onChange={(e) => updateStrap(index, 'priceModifier', parseFloat(e.target.value) || 0)}
+                            step="0.01"
+                            title="Price modifier"
+                            className={`${inputClass} !w-28`}
+                        />
+                        <button type="button" onClick={() => removeStrap(index)} className="text-gray-400 hover:text-red-500">
+                            <Trash2 size={16} />
+                        </button>
+                    </div>
+                ))}
+            </div>
+
+            {/* SKU Matrix */}
+            <div>
+                <div className="flex justify-between items-center mb-2">
+                    <h3 className="text-sm font-semibold text-gray-900">SKU Inventory</h3>
+                    <button type="button" onClick={generateCodes} className="text-crown-gold text-sm flex items-center gap-1">
+                        <Wand2 size={14} /> Fill empty SKU codes
+                    </button>
+                </div>
+                <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                        <thead>
+                            <tr className="text-left text-gray-500 border-b border-crown-gold/20">
+                                <th className="py-2 pr-2 font-medium">Color</th>
+                                <th className="py-2 pr-2 font-medium">Strap</th>
+                                <th className="py-2 pr-2 font-medium">SKU</th>
+                                <th className="py-2 pr-2 font-medium">Barcode</th>
+                                <th className="py-2 pr-2 font-medium">Stock</th>
+                                <th className="py-2 font-medium">Active</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {combinations.map(({ color, strap }) => {
+                                const sku = findSku(color, strap) || {};
+                                return (
+                                    <tr key={`${color}|${strap}`} className="border-b border-gray-100">
+                                        <td className="py-2 pr-2 text-gray-700">{color || '—'}</td>
+                                        <td className="py-2 pr-2 text-gray-700">{strap || '—'}</td>
+                                        <td className="py-2 pr-2">
+                                            <input
+                                                type="text"
+                                                value={sku.sku || ''}
+                                                onChange={(e) => updateSku(color, strap, 'sku', e.target.value.toUpperCase())}
+                                                className={inputClass}
+                                            />
+                                        </td>
+                                        <td className="py-2 pr-2">
+                                            <input
+                                                type="text"
+                                                inputMode="numeric"
+                                                value={sku.barcode || ''}
+                                                onChange={(e) => updateSku(color, strap, 'barcode', e.target.value.replace(/\D/g, ''))}
+                                                className={inputClass}
+                                            />
+                                        </td>
+                                        <td className="py-2 pr-2">
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                value={sku.stock ?? 0}
+                                                onChange={(e) => updateSku(color, strap, 'stock', parseInt(e.target.value) || 0)}
+                                                className={`${inputClass} !w-20`}
+                                            />
+                                        </td>
+                                        <td className="py-2 text-center">
+                                            <input
+                                                type="checkbox"
+                                                checked={sku.isActive ?? true}
+                                                onChange={(e) => updateSku(color, strap, 'isActive', e.target.checked)}
+                                            />
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+                <p className="text-xs text-gray-500 mt-2">
+                    Combinations without a SKU code are not sold. Product stock is the total of active SKUs.
+                </p>
+            </div>
+        </div>
+    );
+};
+
+VariantMatrixEditor.propTypes = {
+    model: PropTypes.string,
+    variants: PropTypes.shape({
+        colors: PropTypes.array,
+        straps: PropTypes.array,
+    }).isRequired,
+    skus: PropTypes.array.isRequired,
+    onVariantsChange: PropTypes.func.isRequired,
+    onSkusChange: PropTypes.func.isRequired,
+};
+
+export default VariantMatrixEditor;
@@ -1,5 +1,6 @@
 import { Link } from 'react-router-dom';
 import { ChevronLeft, ChevronRight, Search, Filter } from 'lucide-react';
+import { useInfiniteScroll } from '../../../hooks/useInfiniteScroll';
 
 // Colors mapped to Tailwind classes where possible, or arbitrary values
 // Cream: bg-[#F5F2ED]
@@ -124,6 +125,29 @@ export const Pagination = ({ page, totalPages, totalItems, onNext, onPrev }) =>
     </div>
 );
 
+// Infinite scroll footer for cursor-paginated tables
+export const LoadMore = ({ hasMore, onLoadMore, isLoadingMore, loadedItems, totalItems }) => {
+    const sentinelRef = useInfiniteScroll(onLoadMore, hasMore && !isLoadingMore);
+
+    return (
+        <div ref={sentinelRef} className="flex flex-col sm:flex-row items-center justify-between p-6 border-t border-[#C9A962]/10 gap-4">
+            <p className="text-gray-500 text-sm">
+                Showing <span className="font-medium text-gray-900">{loadedItems}</span>
+                {totalItems !== undefined && <> of <span className="font-medium text-gray-900">{totalItems}</span></>}
+            </p>
+            {hasMore && (
+                <button
+                    onClick={onLoadMore}
+                    disabled={isLoadingMore}
+                    className="px-4 py-2 border border-[#C9A962]/30 rounded-lg text-gray-600 hover:border-[#C9A962] hover:text-[#C9A962] disabled:opacity-40 disabled:cursor-not-allowed transition-colors font-medium bg-white"
+                >
+                    {isLoadingMore ? 'Loading...' : 'Load more'}
+                </button>
+            )}
+        </div>
+    );
+};
+
 export const AdminStatCard = ({ title, value, icon: Icon, trend, subtitle, color = "blue", to }) => {
     const colors = {
         blue: "bg-blue-50 text-blue-600 border-blue-100",
@@ -4,7 +4,7 @@ import { useCartStore } from '@store/cartStore';
 import { useToast } from '../../context/ToastContext';
 import { Loader2, Lock } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
-import { orderService } from '@services';
+import { paymentService } from '@services';
 
 export const CheckoutForm = ({ clientSecret }) => {
     const stripe = useStripe();
@@ -38,49 +38,17 @@ export const CheckoutForm = ({ clientSecret }) => {
             addToast(error.message, 'error');
             setIsLoading(false);
         } else if (paymentIntent && paymentIntent.status === 'succeeded') {
+            // The order was created as pending with the PaymentIntent and is
+            // confirmed by the Stripe webhook; this call only speeds that up.
             try {
-                // Create Order in Database
-                const { items, subtotal: total } = useCartStore.getState();
-                // Mock address if not passed - in real app, pass this as prop
-                const shippingAddress = {
-                    firstName: 'Test',
-                    lastName: 'User',
-                    street: '123 Main St',
-                    city: 'New York',
-                    state: 'NY',
-                    postalCode: '10001',
-                    country: 'US',
-                    phone: '1234567890'
-                };
-
-                await orderService.createOrder({
-                    items: items.map(i => ({
-                        product: i.product._id,
-                        quantity: i.quantity,
-                        priceAtPurchase: i.price
-                    })),
-                    shippingAddress,
-                    billingAddress: shippingAddress,
-                    payment: {
-                        method: 'credit_card',
-                        status: 'completed',
-                        transactionId: paymentIntent.id,
-                        paidAt: new Date()
-                    },
-                    totalPrice: total
-                });
-
-                addToast('Payment successful!', 'success');
-                clearCart();
-                navigate('/success');
+                await paymentService.confirmPayment(paymentIntent.id);
             } catch (err) {
-                console.error('Order creation failed:', err);
-                // Payment succeeded but order creation failed
-                // In a real app, you would handle this gracefully (e.g. trigger backend check)
-                addToast('Payment succeeded but order creation failed. Please contact support.', 'warning');
-                navigate('/success'); // Still navigate out
+                console.error('Order confirmation request failed:', err);
             }
 
+            addToast('Payment successful!', 'success');
+            clearCart();
+            navigate('/success');
             setIsLoading(false);
         } else {
             setMessage('An unexpected error occurred.');
@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react';
 import apiClient from '../../api/axios';
 import SectionHeader from './SectionHeader';
 import ProductCard from '../common/ProductCard';
+import { getProductPricing } from '../../utils/helpers';
 
 const Collection = () => {
   const [products, setProducts] = useState([]);
@@ -12,21 +13,25 @@ const Collection = () => {
       try {
         const { data } = await apiClient.get('/products?limit=3&sort=-createdAt');
         if (data.success) {
-          const mappedProducts = data.data.products.map(p => ({
-            id: p._id,
-            slug: p.slug,  // Added slug for routing
-            name: p.name,
-            category: p.category.charAt(0).toUpperCase() + p.category.slice(1) + ' Collection',
-            badge: p.isFeatured ? 'Featured' : (p.stock < 5 ? 'Limited' : 'New Arrival'),
-            badgeType: p.stock < 5 ? 'limited' : 'new',
-            specs: [
-              p.specifications.movement,
-              p.specifications.caseDiameter,
-              p.specifications.waterResistance
-            ].filter(Boolean),
-            price: p.price,
-            image: p.images[0]?.url
-          }));
+          const mappedProducts = data.data.products.map(p => {
+            const pricing = getProductPricing(p);
+            return {
+              id: p._id,
+              slug: p.slug,  // Added slug for routing
+              name: p.name,
+              category: p.category.charAt(0).toUpperCase() + p.category.slice(1) + ' Collection',
+              badge: p.isFeatured ? 'Featured' : (p.stock < 5 ? 'Limited' : 'New Arrival'),
+              badgeType: p.stock < 5 ? 'limited' : 'new',
+              specs: [
+                p.specifications.movement,
+                p.specifications.caseDiameter,
+                p.specifications.waterResistance
+              ].filter(Boolean),
+              price: pricing.price,
+              originalPrice: pricing.compareAtPrice,
+              image: p.images[0]?.url
+            };
+          });
           setProducts(mappedProducts);
         }
       } catch (error) {
@@ -109,7 +109,7 @@ const Hero = () => {
             <div className="flex flex-col">
               <span className="text-xs tracking-widest uppercase text-gray-500 mb-1">Starting From</span>
               <span className="font-display text-4xl font-medium text-crown-black">
-                {new Intl.NumberFormat('en-US', { style: 'currency', currency: product.currency || 'USD' }).format(product.price)}
+                {new Intl.NumberFormat('en-US', { style: 'currency', currency: product.currency || 'USD' }).format(product.effectivePrice ?? product.price)}
               </span>
             </div>
             <div className="w-px h-12 bg-gray-200 hidden sm:block" />
@@ -2,6 +2,7 @@ import { Link } from 'react-router-dom';
 import PropTypes from 'prop-types';
 import { Heart } from 'lucide-react';
 import { sanitizeHTML } from '../../utils/sanitize';
+import { getProductPricing } from '../../utils/helpers';
 import { useWishlistStore } from '../../store/wishlistStore';
 
 /**
@@ -27,7 +28,21 @@ export const ProductInfo = ({
         }).format(price);
     };
 
-    const totalPrice = product.price + (selectedStrap?.priceModifier || 0);
+    // Sale price while a sale runs; the strap modifier applies on top
+    const pricing = getProductPricing(product);
+    const strapModifier = selectedStrap?.priceModifier || 0;
+    const totalPrice = pricing.price + strapModifier;
+    const saleEndsAt = pricing.onSale && product.sale?.endsAt ? new Date(product.sale.endsAt) : null;
+
+    // Products with SKU inventory are stocked per color/strap combination
+    const hasSkus = product.skus?.length > 0;
+    const selectedSku = hasSkus
+        ? product.skus.find(sku =>
+            sku.color === (selectedColor?.name || '') && sku.strap === (selectedStrap?.material || ''))
+        : null;
+    const isOutOfStock = hasSkus
+        ? !selectedSku || !selectedSku.isActive || selectedSku.stock === 0
+        : product.stock === 0 || (selectedColor && !selectedColor.inStock) || (selectedStrap && !selectedStrap.inStock);
 
     return (
         <div className="pt-4">
@@ -55,14 +70,35 @@ export const ProductInfo = ({
             </h1>
 
             {/* Price */}
-            <div className="flex items-center gap-4 mb-6">
+            <div className="flex flex-wrap items-center gap-4 mb-6">
                 <span className="font-display text-2xl lg:text-3xl text-[#1A1A1A]">
                     {formatPrice(totalPrice)}
                 </span>
+                {pricing.compareAtPrice && (
+                    <>
+                        <span className="text-lg text-[#6B6B6B] line-through">
+                            {formatPrice(pricing.compareAtPrice + strapModifier)}
+                        </span>
+                        <span className="bg-red-500 text-white px-2 py-0.5 text-xs font-bold tracking-widest uppercase">
+                            -{pricing.discountPercent}%
+                        </span>
+                    </>
+                )}
                 <span className="text-sm text-[#6B6B6B]">
                     Tax included. Free shipping worldwide.
                 </span>
             </div>
+            {/* EU: a reduction states the lowest price of the previous 30 days */}
+            {pricing.compareAtPrice && product.lowestPrice30Days != null && (
+                <p className="text-sm text-[#6B6B6B] -mt-4 mb-6">
+                    Lowest price in the 30 days before this reduction: {formatPrice(product.lowestPrice30Days + strapModifier)}
+                </p>
+            )}
+            {saleEndsAt && (
+                <p className="text-sm text-red-500 -mt-4 mb-6">
+                    Sale ends {saleEndsAt.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}
+                </p>
+            )}
 
             {/* Description */}
             <div
@@ -129,10 +165,10 @@ export const ProductInfo = ({
             <div className="flex gap-3 mb-8">
                 <button
                     onClick={onAddToCart}
-                    disabled={product.stock === 0 || (selectedColor && !selectedColor.inStock) || (selectedStrap && !selectedStrap.inStock)}
+                    disabled={isOutOfStock}
                     className="flex-1 py-4 bg-[#1A1A1A] text-white text-sm uppercase tracking-[0.2em] font-medium hover:bg-[#C9A962] transition-all disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:bg-[#1A1A1A]"
                 >
-                    {product.stock === 0 ? 'Out of Stock' : 'Add to Bag'}
+                    {isOutOfStock ? 'Out of Stock' : 'Add to Bag'}
                 </button>
                 <button
                     onClick={onAddToWishlist}
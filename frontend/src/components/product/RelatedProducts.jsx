@@ -1,5 +1,6 @@
 import { Link } from 'react-router-dom';
 import PropTypes from 'prop-types';
+import { getProductPricing } from '../../utils/helpers';
 
 /**
  * RelatedProducts Component
@@ -22,6 +23,7 @@ export const RelatedProducts = ({ products }) => {
             <div className="grid grid-cols-2 lg:grid-cols-4 gap-4 lg:gap-8">
                 {products.map((product) => {
                     const primaryImage = product.images?.find(img => img.isPrimary) || product.images?.[0];
+                    const pricing = getProductPricing(product);
 
                     return (
                         <Link
@@ -38,7 +40,12 @@ export const RelatedProducts = ({ products }) => {
                                 {product.name}
                             </h3>
                             <p className="text-[#6B6B6B]">
-                                {formatPrice(product.price)}
+                                {formatPrice(pricing.price)}
+                                {pricing.compareAtPrice && (
+                                    <span className="ml-2 text-sm line-through">
+                                        {formatPrice(pricing.compareAtPrice)}
+                                    </span>
+                                )}
                             </p>
                         </Link>
                     );
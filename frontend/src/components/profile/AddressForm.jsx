@@ -0,0 +1,171 @@
+import { useState } from 'react';
+import { Loader2 } from 'lucide-react';
+import { ADDRESS_COUNTRIES } from '@utils/constants';
+
+const EMPTY_ADDRESS = {
+    label: '',
+    type: 'shipping',
+    firstName: '',
+    lastName: '',
+    phone: '',
+    street: '',
+    street2: '',
+    city: '',
+    state: '',
+    postalCode: '',
+    country: 'US',
+    isDefault: false,
+};
+
+const inputClass = 'w-full p-3 bg-white border border-stone-200 focus:border-crown-gold outline-none transition-colors';
+const labelClass = 'text-xs uppercase tracking-widest text-stone-500';
+
+/**
+ * Address Form
+ * Adds or edits an address book entry; the backend validates it per country
+ */
+const AddressForm = ({ address, onSubmit, onCancel }) => {
+    const [formData, setFormData] = useState({ ...EMPTY_ADDRESS, ...address });
+    const [submitting, setSubmitting] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSubmitting(true);
+        setError(null);
+        try {
+            await onSubmit(formData);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to save address');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="bg-stone-50 border border-stone-100 p-6 space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div className="space-y-2">
+                    <label className={labelClass}>Label</label>
+                    <input
+                        type="text"
+                        name="label"
+                        value={formData.label}
+                        onChange={handleChange}
+                        maxLength={50}
+                        placeholder="e.g., Home, Office"
+                        className={inputClass}
+                    />
+                </div>
+                <div className="space-y-2">
+                    <label className={labelClass}>Used For</label>
+                    <select name="type" value={formData.type} onChange={handleChange} className={inputClass}>
+                        <option value="shipping">Shipping</option>
+                        <option value="billing">Billing</option>
+                    </select>
+                </div>
+                <div className="space-y-2">
+                    <label className={labelClass}>First Name *</label>
+                    <input required type="text" name="firstName" value={formData.firstName} onChange={handleChange} className={inputClass} />
+                </div>
+                <div className="space-y-2">
+                    <label className={labelClass}>Last Name *</label>
+                    <input required type="text" name="lastName" value={formData.lastName} onChange={handleChange} className={inputClass} />
+                </div>
+            </div>
+
+            <div className="space-y-2">
+                <label className={labelClass}>Street Address *</label>
+                <input required type="text" name="street" value={formData.street} onChange={handleChange} className={inputClass} />
+                <input
+                    type="text"
+                    name="street2"
+                    value={formData.street2}
+                    onChange={handleChange}
+                    placeholder="Apartment, suite, etc. (optional)"
+                    className={inputClass}
+                />
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div className="space-y-2">
+                    <label className={labelClass}>City *</label>
+                    <input required type="text" name="city" value={formData.city} onChange={handleChange} className={inputClass} />
+                </div>
+                <div className="space-y-2">
+                    <label className={labelClass}>State / Province</label>
+                    <input
+                        type="text"
+                        name="state"
+                        value={formData.state}
+                        onChange={handleChange}
+                        placeholder={['US', 'CA', 'AU'].includes(formData.country) ? 'e.g., NY' : ''}
+                        className={inputClass}
+                    />
+                </div>
+                <div className="space-y-2">
+                    <label className={labelClass}>Postal Code *</label>
+                    <input required type="text" name="postalCode" value={formData.postalCode} onChange={handleChange} className={inputClass} />
+                </div>
+                <div className="space-y-2">
+                    <label className={labelClass}>Country *</label>
+                    <select name="country" value={formData.country} onChange={handleChange} className={inputClass}>
+                        {ADDRESS_COUNTRIES.map(country => (
+                            <option key={country.code} value={country.code}>{country.name}</option>
+                        ))}
+                    </select>
+                </div>
+            </div>
+
+            <div className="space-y-2">
+                <label className={labelClass}>Phone {formData.type === 'shipping' && '*'}</label>
+                <input
+                    required={formData.type === 'shipping'}
+                    type="tel"
+                    name="phone"
+                    value={formData.phone}
+                    onChange={handleChange}
+                    className={inputClass}
+                />
+            </div>
+
+            <label className="flex items-center gap-3 text-sm text-stone-700 cursor-pointer">
+                <input
+                    type="checkbox"
+                    name="isDefault"
+                    checked={formData.isDefault}
+                    onChange={handleChange}
+                    className="accent-crown-gold"
+                />
+                Use as my default {formData.type} address
+            </label>
+
+            {error && <p className="text-xs text-red-500">{error}</p>}
+
+            <div className="flex gap-4">
+                <button
+                    type="submit"
+                    disabled={submitting}
+                    className="px-6 py-2 bg-stone-900 text-white text-xs uppercase tracking-widest hover:bg-crown-gold transition-colors disabled:opacity-50 flex items-center gap-2"
+                >
+                    {submitting && <Loader2 className="w-3 h-3 animate-spin" />}
+                    Save Address
+                </button>
+                <button
+                    type="button"
+                    onClick={onCancel}
+                    className="text-xs uppercase tracking-widest text-stone-500 hover:text-stone-900"
+                >
+                    Cancel
+                </button>
+            </div>
+        </form>
+    );
+};
+
+export default AddressForm;
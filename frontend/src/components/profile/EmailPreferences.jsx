@@ -0,0 +1,80 @@
+import { useState } from 'react';
+import { Loader2 } from 'lucide-react';
+import api from '../../api/axios';
+import { useAuthStore } from '../../store/authStore';
+import { useToast } from '../../context/ToastContext';
+
+// Optional emails; order and account emails are always sent
+const PREFERENCES = [
+    {
+        key: 'cartReminders',
+        label: 'Cart reminders',
+        description: 'A reminder when you leave items in your bag.',
+    },
+    {
+        key: 'backInStock',
+        label: 'Back-in-stock alerts',
+        description: 'An email when a sold-out watch on your wishlist is available again.',
+    },
+    {
+        key: 'priceDrop',
+        label: 'Price-drop alerts',
+        description: 'An email when a watch on your wishlist gets cheaper.',
+    },
+];
+
+/**
+ * Email Preferences
+ * Opt in or out of optional emails
+ */
+const EmailPreferences = () => {
+    const { user, refreshUser } = useAuthStore();
+    const { addToast } = useToast();
+    const [saving, setSaving] = useState(null);
+
+    const isEnabled = (key) => user.notificationPreferences?.[key] !== false;
+
+    const handleToggle = async (key) => {
+        setSaving(key);
+        try {
+            await api.put(`/users/${user.id}`, {
+                notificationPreferences: { [key]: !isEnabled(key) },
+            });
+            await refreshUser();
+            addToast('Email preferences updated', 'success');
+        } catch (error) {
+            addToast(error.response?.data?.message || 'Failed to update email preferences', 'error');
+        } finally {
+            setSaving(null);
+        }
+    };
+
+    return (
+        <section className="mt-16">
+            <h3 className="font-display text-xl mb-6">Email Preferences</h3>
+            <div className="space-y-4">
+                {PREFERENCES.map(preference => (
+                    <label
+                        key={preference.key}
+                        className="flex items-start gap-4 p-4 bg-white border border-stone-200 cursor-pointer"
+                    >
+                        <input
+                            type="checkbox"
+                            checked={isEnabled(preference.key)}
+                            onChange={() => handleToggle(preference.key)}
+                            disabled={saving !== null}
+                            className="mt-1 accent-crown-gold"
+                        />
+                        <span className="flex-1">
+                            <span className="block text-sm text-stone-900">{preference.label}</span>
+                            <span className="block text-xs text-stone-500">{preference.description}</span>
+                        </span>
+                        {saving === preference.key && <Loader2 className="w-4 h-4 text-crown-gold animate-spin" />}
+                    </label>
+                ))}
+            </div>
+        </section>
+    );
+};
+
+export default EmailPreferences;
@@ -1,33 +1,124 @@
-import React from 'react';
+import { useState } from 'react';
+import { Loader2, Plus } from 'lucide-react';
+import { useAddresses } from '@hooks';
+import { useToast } from '../../context/ToastContext';
+import { ADDRESS_COUNTRIES } from '@utils/constants';
+import AddressForm from './AddressForm';
 
-const ProfileAddresses = ({ user, profileData, onTabChange }) => {
-    // For now, only one address is supported on the backend (User model)
+const countryName = (code) => ADDRESS_COUNTRIES.find(c => c.code === code)?.name || code;
 
-    return (
-        <div className="animate-fade-in">
-            <h2 className="font-display text-3xl mb-8 pb-4 border-b border-stone-200">My Addresses</h2>
+const ProfileAddresses = ({ user }) => {
+    const { addresses, isLoading, error, saveAddress, setDefaultAddress, deleteAddress } = useAddresses(user._id);
+    const { addToast } = useToast();
+    // null: no form, 'new': adding, otherwise the address being edited
+    const [editing, setEditing] = useState(null);
+
+    const handleSave = async (data) => {
+        await saveAddress(data, editing === 'new' ? undefined : editing._id);
+        addToast('Address saved', 'success');
+        setEditing(null);
+    };
+
+    const handleAction = async (action, successMessage) => {
+        try {
+            await action();
+            addToast(successMessage, 'success');
+        } catch (err) {
+            addToast(err.response?.data?.message || 'Something went wrong', 'error');
+        }
+    };
 
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
-                {/* Default Address Card */}
-                <div className="bg-white p-8 border border-stone-200 relative group hover:border-crown-gold transition-colors shadow-sm">
-                    <span className="text-xs uppercase tracking-widest text-crown-gold block mb-4 font-medium">Primary Shipping Address</span>
-                    <h4 className="font-display text-2xl mb-3 text-stone-900">{user.firstName} {user.lastName}</h4>
-                    <p className="text-stone-500 text-sm mb-6">{user.phone}</p>
+    const renderGroup = (type, title) => {
+        const group = addresses.filter(address => address.type === type);
 
-                    <address className="text-stone-700 text-base not-italic leading-loose mb-8 border-t border-stone-100 pt-4">
-                        {profileData.address.street || 'No street provided'}<br />
-                        {profileData.address.city || 'No city'}, {profileData.address.state || 'No state'} {profileData.address.postalCode || ''}<br />
-                        {profileData.address.country || 'No country'}
-                    </address>
+        return (
+            <section className="mb-12">
+                <h3 className="font-display text-xl mb-6">{title}</h3>
+                {group.length === 0 ? (
+                    <p className="text-stone-500 text-sm">No saved {type} addresses yet.</p>
+                ) : (
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+                        {group.map(address => (
+                            <div key={address._id} className="bg-white p-8 border border-stone-200 relative hover:border-crown-gold transition-colors shadow-sm">
+                                <span className="text-xs uppercase tracking-widest text-crown-gold block mb-4 font-medium">
+                                    {address.label || `${type} address`}{address.isDefault && ' · Default'}
+                                </span>
+                                <h4 className="font-display text-2xl mb-3 text-stone-900">{address.firstName} {address.lastName}</h4>
+                                {address.phone && <p className="text-stone-500 text-sm mb-6">{address.phone}</p>}
 
+                                <address className="text-stone-700 text-base not-italic leading-loose mb-8 border-t border-stone-100 pt-4">
+                                    {address.street}{address.street2 && `, ${address.street2}`}<br />
+                                    {address.city}{address.state && `, ${address.state}`} {address.postalCode}<br />
+                                    {countryName(address.country)}
+                                </address>
+
+                                <div className="flex flex-wrap gap-6">
+                                    <button
+                                        onClick={() => setEditing(address)}
+                                        className="text-xs uppercase tracking-widest text-stone-900 border-b border-stone-900 pb-1 hover:text-crown-gold hover:border-crown-gold transition-colors"
+                                    >
+                                        Edit
+                                    </button>
+                                    {!address.isDefault && (
+                                        <button
+                                            onClick={() => handleAction(() => setDefaultAddress(address._id), `Default ${type} address updated`)}
+                                            className="text-xs uppercase tracking-widest text-stone-500 hover:text-crown-gold transition-colors"
+                                        >
+                                            Make Default
+                                        </button>
+                                    )}
+                                    <button
+                                        onClick={() => handleAction(() => deleteAddress(address._id), 'Address deleted')}
+                                        className="text-xs uppercase tracking-widest text-stone-500 hover:text-red-600 transition-colors"
+                                    >
+                                        Delete
+                                    </button>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </section>
+        );
+    };
+
+    return (
+        <div className="animate-fade-in">
+            <div className="flex justify-between items-center mb-8 pb-4 border-b border-stone-200">
+                <h2 className="font-display text-3xl">My Addresses</h2>
+                {!editing && (
                     <button
-                        onClick={() => onTabChange('details')}
-                        className="text-xs uppercase tracking-widest text-stone-900 border-b border-stone-900 pb-1 hover:text-crown-gold hover:border-crown-gold transition-colors"
+                        onClick={() => setEditing('new')}
+                        className="flex items-center gap-2 text-xs uppercase tracking-widest text-stone-900 hover:text-crown-gold transition-colors"
                     >
-                        Edit Address
+                        <Plus size={14} /> Add Address
                     </button>
-                </div>
+                )}
             </div>
+
+            {editing && (
+                <div className="mb-12">
+                    <AddressForm
+                        key={editing === 'new' ? 'new' : editing._id}
+                        address={editing === 'new' ? { firstName: user.firstName, lastName: user.lastName, phone: user.phone } : editing}
+                        onSubmit={handleSave}
+                        onCancel={() => setEditing(null)}
+                    />
+                </div>
+            )}
+
+            {isLoading ? (
+                <div className="flex justify-center py-12">
+                    <Loader2 className="w-6 h-6 text-crown-gold animate-spin" />
+                </div>
+            ) : error ? (
+                <p className="text-red-500 text-sm">{error}</p>
+            ) : (
+                <>
+                    {renderGroup('shipping', 'Shipping Addresses')}
+                    {renderGroup('billing', 'Billing Addresses')}
+                </>
+            )}
         </div>
     );
 };
@@ -1,6 +1,66 @@
+import { Fragment, useEffect, useState } from 'react';
 import { Loader2 } from 'lucide-react';
+import { useReturns } from '@hooks';
+import { useToast } from '../../context/ToastContext';
+import ReturnRequestForm from './ReturnRequestForm';
 
-const ProfileOrders = ({ orders, loading }) => {
+const RETURN_STATUS_STYLES = {
+    requested: 'bg-amber-50 text-amber-700',
+    approved: 'bg-blue-50 text-blue-700',
+    received: 'bg-blue-50 text-blue-700',
+    refunding: 'bg-blue-50 text-blue-700',
+    refunded: 'bg-green-50 text-green-700',
+    rejected: 'bg-red-50 text-red-700',
+    cancelled: 'bg-stone-100 text-stone-600',
+};
+
+const ProfileOrders = ({ orders, loading, highlightOrderId }) => {
+    const { returns, returnWindowDays, requestReturn, cancelReturn } = useReturns();
+    const { addToast } = useToast();
+    const [returningOrderId, setReturningOrderId] = useState(null);
+
+    // Order links in emails point at a specific order
+    useEffect(() => {
+        if (!highlightOrderId || loading) return;
+        document.getElementById(`order-${highlightOrderId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }, [highlightOrderId, loading]);
+
+    const getOrderReturns = (orderId) => returns.filter(r => (r.order?._id || r.order) === orderId);
+
+    // Quantities not already claimed by an open or completed return
+    const getReturnableQuantities = (order) => {
+        const quantities = Object.fromEntries(order.items.map(item => [item._id, item.quantity]));
+        getOrderReturns(order._id)
+            .filter(r => !['rejected', 'cancelled'].includes(r.status))
+            .forEach(r => r.items.forEach(item => {
+                quantities[item.orderItem] = Math.max(0, (quantities[item.orderItem] || 0) - item.quantity);
+            }));
+        return quantities;
+    };
+
+    const canRequestReturn = (order) => {
+        if (order.status !== 'delivered' || !order.deliveredAt) return false;
+        if (!['completed', 'partially_refunded'].includes(order.payment?.status)) return false;
+        const deadline = new Date(order.deliveredAt);
+        deadline.setDate(deadline.getDate() + returnWindowDays);
+        if (deadline < new Date()) return false;
+        return Object.values(getReturnableQuantities(order)).some(qty => qty > 0);
+    };
+
+    const handleRequestReturn = async (data) => {
+        await requestReturn(data);
+        setReturningOrderId(null);
+        addToast('Return request submitted', 'success');
+    };
+
+    const handleCancelReturn = async (id) => {
+        try {
+            await cancelReturn(id);
+            addToast('Return request withdrawn', 'success');
+        } catch (err) {
+            addToast(err.response?.data?.message || 'Failed to cancel return', 'error');
+        }
+    };
 
     if (loading) {
         return (
@@ -29,33 +89,85 @@ const ProfileOrders = ({ orders, loading }) => {
                         </thead>
                         <tbody>
                             {orders.map((order) => (
-                                <tr key={order._id} className="border-b border-stone-100 group hover:bg-stone-50 transition-colors">
-                                    <td className="py-6 font-display text-lg text-stone-900 group-hover:text-crown-gold transition-colors">
-                                        {order.orderNumber}
-                                    </td>
-                                    <td className="py-6 text-stone-600 text-sm">
-                                        {new Date(order.createdAt).toLocaleDateString()}
-                                    </td>
-                                    <td className="py-6">
-                                        <span className={`
-                                            inline-block px-3 py-1 text-[10px] uppercase tracking-widest font-medium rounded-full
-                                            ${order.status === 'delivered' ? 'bg-green-50 text-green-700' :
-                                                order.status === 'processing' ? 'bg-amber-50 text-amber-700' :
-                                                    order.status === 'cancelled' ? 'bg-red-50 text-red-700' :
-                                                        'bg-stone-100 text-stone-600'}
-                                        `}>
-                                            {order.status}
-                                        </span>
-                                    </td>
-                                    <td className="py-6 font-medium text-stone-900">
-                                        ${order.pricing?.total?.toFixed(2)}
-                                    </td>
-                                    <td className="py-6">
-                                        <a href={`/orders/${order._id}`} className="text-stone-400 hover:text-stone-900 text-sm underline decoration-stone-200 underline-offset-4 transition-colors">
-                                            View
-                                        </a>
-                                    </td>
-                                </tr>
+                                <Fragment key={order._id}>
+                                    <tr
+                                        id={`order-${order._id}`}
+                                        className={`border-b border-stone-100 group hover:bg-stone-50 transition-colors ${order._id === highlightOrderId ? 'bg-stone-50' : ''}`}
+                                    >
+                                        <td className="py-6">
+                                            <p className="font-display text-lg text-stone-900 group-hover:text-crown-gold transition-colors">
+                                                {order.orderNumber}
+                                            </p>
+                                            {order.items?.map(item => (
+                                                <p key={item._id} className="text-xs text-stone-500 mt-1">
+                                                    {item.quantity} × {item.productSnapshot?.name}
+                                                    {item.color?.name && ` · ${item.color.name}`}
+                                                    {item.strap?.material && ` · ${item.strap.material} strap`}
+                                                </p>
+                                            ))}
+                                        </td>
+                                        <td className="py-6 text-stone-600 text-sm">
+                                            {new Date(order.createdAt).toLocaleDateString()}
+                                        </td>
+                                        <td className="py-6">
+                                            <span className={`
+                                                inline-block px-3 py-1 text-[10px] uppercase tracking-widest font-medium rounded-full
+                                                ${order.status === 'delivered' ? 'bg-green-50 text-green-700' :
+                                                    order.status === 'processing' ? 'bg-amber-50 text-amber-700' :
+                                                        order.status === 'cancelled' ? 'bg-red-50 text-red-700' :
+                                                            'bg-stone-100 text-stone-600'}
+                                            `}>
+                                                {order.status}
+                                            </span>
+                                            {getOrderReturns(order._id).map(r => (
+                                                <div key={r._id} className="mt-2 flex items-center gap-2">
+                                                    <span className={`inline-block px-3 py-1 text-[10px] uppercase tracking-widest font-medium rounded-full ${RETURN_STATUS_STYLES[r.status]}`}>
+                                                        Return {r.status}
+                                                    </span>
+                                                    {r.status === 'refunded' && r.refund?.amount && (
+                                                        <span className="text-xs text-stone-500">${r.refund.amount.toFixed(2)}</span>
+                                                    )}
+                                                    {r.status === 'requested' && (
+                                                        <button
+                                                            onClick={() => handleCancelReturn(r._id)}
+                                                            className="text-xs text-stone-400 hover:text-red-600 underline underline-offset-4"
+                                                        >
+                                                            Withdraw
+                                                        </button>
+                                                    )}
+                                                </div>
+                                            ))}
+                                        </td>
+                                        <td className="py-6 font-medium text-stone-900">
+                                            ${order.pricing?.total?.toFixed(2)}
+                                        </td>
+                                        <td className="py-6">
+                                            <a href={`/orders/${order._id}`} className="text-stone-400 hover:text-stone-900 text-sm underline decoration-stone-200 underline-offset-4 transition-colors">
+                                                View
+                                            </a>
+                                            {canRequestReturn(order) && returningOrderId !== order._id && (
+                                                <button
+                                                    onClick={() => setReturningOrderId(order._id)}
+                                                    className="ml-4 text-stone-400 hover:text-stone-900 text-sm underline decoration-stone-200 underline-offset-4 transition-colors"
+                                                >
+                                                    Return
+                                                </button>
+                                            )}
+                                        </td>
+                                    </tr>
+                                    {returningOrderId === order._id && (
+                                        <tr>
+                                            <td colSpan={5} className="pb-6">
+                                                <ReturnRequestForm
+                                                    order={order}
+                                                    returnableQuantities={getReturnableQuantities(order)}
+                                                    onSubmit={handleRequestReturn}
+                                                    onCancel={() => setReturningOrderId(null)}
+                                                />
+                                            </td>
+                                        </tr>
+                                    )}
+                                </Fragment>
                             ))}
                         </tbody>
                     </table>
@@ -0,0 +1,136 @@
+import { useState } from 'react';
+import { Loader2 } from 'lucide-react';
+
+const RETURN_REASONS = [
+    { value: 'defective', label: 'Defective or not working' },
+    { value: 'not_as_described', label: 'Not as described' },
+    { value: 'wrong_item', label: 'Wrong item received' },
+    { value: 'damaged_in_transit', label: 'Damaged in transit' },
+    { value: 'changed_mind', label: 'Changed my mind' },
+    { value: 'other', label: 'Other' },
+];
+
+/**
+ * Return Request Form
+ * Lets the customer pick items, quantities and a reason for a return
+ */
+const ReturnRequestForm = ({ order, returnableQuantities, onSubmit, onCancel }) => {
+    const [selected, setSelected] = useState({});
+    const [reason, setReason] = useState('');
+    const [comments, setComments] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+    const [error, setError] = useState(null);
+
+    const toggleItem = (itemId) => {
+        setSelected(prev => {
+            const next = { ...prev };
+            if (next[itemId]) {
+                delete next[itemId];
+            } else {
+                next[itemId] = 1;
+            }
+            return next;
+        });
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const items = Object.entries(selected).map(([itemId, quantity]) => ({ itemId, quantity }));
+
+        if (items.length === 0 || !reason) {
+            setError('Select at least one item and a reason');
+            return;
+        }
+
+        setSubmitting(true);
+        setError(null);
+        try {
+            await onSubmit({ orderId: order._id, items, reason, comments });
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to submit return request');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="bg-stone-50 border border-stone-100 p-6 space-y-4">
+            <p className="text-xs uppercase tracking-widest text-stone-500">Select items to return</p>
+
+            {order.items.map((item) => {
+                const available = returnableQuantities[item._id] || 0;
+                return (
+                    <div key={item._id} className="flex items-center justify-between text-sm">
+                        <label className={`flex items-center gap-3 ${available === 0 ? 'opacity-50' : 'cursor-pointer'}`}>
+                            <input
+                                type="checkbox"
+                                disabled={available === 0}
+                                checked={Boolean(selected[item._id])}
+                                onChange={() => toggleItem(item._id)}
+                                className="accent-crown-gold"
+                            />
+                            <span className="text-stone-900">
+                                {item.productSnapshot?.name}
+                                {item.strap?.material && <span className="text-stone-500"> · {item.strap.material} strap</span>}
+                            </span>
+                            {available === 0 && <span className="text-xs text-stone-400">(already returned)</span>}
+                        </label>
+                        {selected[item._id] && available > 1 && (
+                            <select
+                                value={selected[item._id]}
+                                onChange={(e) => setSelected(prev => ({ ...prev, [item._id]: Number(e.target.value) }))}
+                                className="p-1 border border-stone-200 text-sm"
+                            >
+                                {Array.from({ length: available }, (_, i) => i + 1).map(qty => (
+                                    <option key={qty} value={qty}>{qty}</option>
+                                ))}
+                            </select>
+                        )}
+                    </div>
+                );
+            })}
+
+            <select
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                className="w-full p-3 border border-stone-200 text-sm bg-white"
+            >
+                <option value="">Reason for return</option>
+                {RETURN_REASONS.map(r => (
+                    <option key={r.value} value={r.value}>{r.label}</option>
+                ))}
+            </select>
+
+            <textarea
+                value={comments}
+                onChange={(e) => setComments(e.target.value)}
+                maxLength={1000}
+                rows={3}
+                placeholder="Anything we should know? (optional)"
+                className="w-full p-3 border border-stone-200 text-sm bg-white"
+            />
+
+            {error && <p className="text-xs text-red-500">{error}</p>}
+
+            <div className="flex gap-4">
+                <button
+                    type="submit"
+                    disabled={submitting}
+                    className="px-6 py-2 bg-stone-900 text-white text-xs uppercase tracking-widest hover:bg-crown-gold transition-colors disabled:opacity-50 flex items-center gap-2"
+                >
+                    {submitting && <Loader2 className="w-3 h-3 animate-spin" />}
+                    Submit Return
+                </button>
+                <button
+                    type="button"
+                    onClick={onCancel}
+                    className="text-xs uppercase tracking-widest text-stone-500 hover:text-stone-900"
+                >
+                    Cancel
+                </button>
+            </div>
+        </form>
+    );
+};
+
+export default ReturnRequestForm;
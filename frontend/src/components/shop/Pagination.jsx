@@ -1,10 +1,42 @@
 import PropTypes from 'prop-types';
-import { ChevronLeft, ChevronRight } from 'lucide-react';
+import { ChevronLeft, ChevronRight, Loader2 } from 'lucide-react';
+import { useInfiniteScroll } from '@hooks/useInfiniteScroll';
+
+/**
+ * Infinite scroll footer: loads the next page when it scrolls into view,
+ * with a button as a fallback
+ */
+const InfinitePagination = ({ hasMore, onLoadMore, isLoadingMore }) => {
+    const sentinelRef = useInfiniteScroll(onLoadMore, hasMore && !isLoadingMore);
+
+    if (!hasMore) return null;
+
+    return (
+        <div ref={sentinelRef} className="flex items-center justify-center mt-12">
+            {isLoadingMore ? (
+                <Loader2 className="w-8 h-8 text-[#C9A962] animate-spin" aria-label="Loading more" />
+            ) : (
+                <button
+                    onClick={onLoadMore}
+                    className="px-8 py-3 border border-[#1A1A1A] text-[#1A1A1A] text-xs font-bold tracking-[0.2em] uppercase hover:bg-[#1A1A1A] hover:text-white transition-colors"
+                >
+                    Load More
+                </button>
+            )}
+        </div>
+    );
+};
 
 /**
  * Pagination Component - Light Theme
+ * Numbered pages, or infinite scroll when `onLoadMore` is given
+ * (for cursor-paginated listings)
  */
-export const Pagination = ({ currentPage, totalPages, onPageChange }) => {
+export const Pagination = ({ currentPage, totalPages, onPageChange, hasMore, onLoadMore, isLoadingMore = false }) => {
+    if (onLoadMore) {
+        return <InfinitePagination hasMore={Boolean(hasMore)} onLoadMore={onLoadMore} isLoadingMore={isLoadingMore} />;
+    }
+
     if (totalPages <= 1) return null;
 
     const getPageNumbers = () => {
@@ -78,8 +110,19 @@ export const Pagination = ({ currentPage, totalPages, onPageChange }) => {
     );
 };
 
+InfinitePagination.propTypes = {
+    hasMore: PropTypes.bool.isRequired,
+    onLoadMore: PropTypes.func.isRequired,
+    isLoadingMore: PropTypes.bool.isRequired,
+};
+
 Pagination.propTypes = {
-    currentPage: PropTypes.number.isRequired,
-    totalPages: PropTypes.number.isRequired,
-    onPageChange: PropTypes.func.isRequired,
+    // Numbered pages
+    currentPage: PropTypes.number,
+    totalPages: PropTypes.number,
+    onPageChange: PropTypes.func,
+    // Infinite scroll
+    hasMore: PropTypes.bool,
+    onLoadMore: PropTypes.func,
+    isLoadingMore: PropTypes.bool,
 };
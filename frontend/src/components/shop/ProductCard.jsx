@@ -3,6 +3,7 @@ import { Link } from 'react-router-dom';
 import PropTypes from 'prop-types';
 import { Heart, Eye, ShoppingBag } from 'lucide-react';
 import { useWishlistStore } from '../../store/wishlistStore';
+import { getProductPricing } from '../../utils/helpers';
 
 /**
  * ProductCard Component - Light Theme
@@ -13,7 +14,7 @@ import { useWishlistStore } from '../../store/wishlistStore';
  * - React automatically escapes all content (XSS protection)
  * - No dangerouslySetInnerHTML usage
  */
-export const ProductCard = ({ product, onAddToCart }) => {
+export const ProductCard = ({ product, onAddToCart, onOpen }) => {
     const [imageLoaded, setImageLoaded] = useState(false);
     const { isInWishlist, toggleWishlist } = useWishlistStore();
 
@@ -29,9 +30,12 @@ export const ProductCard = ({ product, onAddToCart }) => {
         }).format(price);
     };
 
+    const pricing = getProductPricing(product);
+
     const getBadgeText = () => {
         if (product.isFeatured) return { text: 'Best Seller', color: 'bg-[#1A1A1A]' };
         if (product.stock === 0) return { text: 'Sold Out', color: 'bg-red-500' };
+        if (pricing.onSale) return { text: `-${pricing.discountPercent}%`, color: 'bg-red-500' };
         if (product.stock < 5) return { text: 'Limited', color: 'bg-[#C9A962]' };
         return null;
     };
@@ -67,6 +71,7 @@ export const ProductCard = ({ product, onAddToCart }) => {
                 </button>
                 <Link
                     to={`/product/${product.slug || product._id}`}
+                    onClick={onOpen}
                     className="w-9 h-9 bg-white hover:bg-[#C9A962] border border-black/10 flex items-center justify-center transition-colors shadow-sm"
                     aria-label="Quick view"
                 >
@@ -75,7 +80,7 @@ export const ProductCard = ({ product, onAddToCart }) => {
             </div>
 
             {/* Image */}
-            <Link to={`/product/${product.slug || product._id}`} className="block relative overflow-hidden bg-gradient-to-b from-[#FAF8F5] to-white p-8">
+            <Link to={`/product/${product.slug || product._id}`} onClick={onOpen} className="block relative overflow-hidden bg-gradient-to-b from-[#FAF8F5] to-white p-8">
                 <img
                     src={imageUrl}
                     alt={product.name}
@@ -97,16 +102,23 @@ export const ProductCard = ({ product, onAddToCart }) => {
                     {product.category}
                 </div>
 
-                <Link to={`/product/${product.slug || product._id}`}>
+                <Link to={`/product/${product.slug || product._id}`} onClick={onOpen}>
                     <h3 className="font-display text-2xl text-[#1A1A1A] mb-2 hover:text-[#C9A962] transition-colors">
                         {product.name}
                     </h3>
                 </Link>
 
                 <div className="flex items-center justify-between mb-4">
-                    <span className="font-display text-xl text-[#1A1A1A]">
-                        {formatPrice(product.price)}
-                    </span>
+                    <div className="flex items-baseline gap-2">
+                        <span className={`font-display text-xl ${pricing.onSale ? 'text-red-600' : 'text-[#1A1A1A]'}`}>
+                            {formatPrice(pricing.price)}
+                        </span>
+                        {pricing.compareAtPrice && (
+                            <span className="text-sm text-[#6B6B6B] line-through">
+                                {formatPrice(pricing.compareAtPrice)}
+                            </span>
+                        )}
+                    </div>
                     {product.rating?.average > 0 && (
                         <div className="flex items-center gap-1 text-xs text-[#6B6B6B]">
                             <span className="text-[#C9A962]">★</span>
@@ -133,6 +145,8 @@ ProductCard.propTypes = {
         _id: PropTypes.string.isRequired,
         name: PropTypes.string.isRequired,
         price: PropTypes.number.isRequired,
+        effectivePrice: PropTypes.number,
+        comparePrice: PropTypes.number,
         currency: PropTypes.string,
         category: PropTypes.string.isRequired,
         stock: PropTypes.number.isRequired,
@@ -149,4 +163,6 @@ ProductCard.propTypes = {
         }),
     }).isRequired,
     onAddToCart: PropTypes.func.isRequired,
+    // Called when the customer opens the product (search click tracking)
+    onOpen: PropTypes.func,
 };
@@ -1,22 +1,125 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { Search, X } from 'lucide-react';
 import PropTypes from 'prop-types';
+import { productService } from '@services';
+
+// Suggestions are fetched sooner than the auto-search runs
+const SUGGEST_DEBOUNCE_MS = 200;
+const MIN_SUGGEST_LENGTH = 2;
+
+const SECTION_TITLES = {
+    brand: 'Brands',
+    model: 'Models',
+    product: 'Watches',
+};
+
+const formatPrice = (price) => new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    maximumFractionDigits: 0,
+}).format(price);
+
+// Flatten the response into one list for keyboard navigation
+const toOptions = (suggestions) => [
+    ...(suggestions?.brands || []).map(item => ({ ...item, type: 'brand' })),
+    ...(suggestions?.models || []).map(item => ({ ...item, type: 'model' })),
+    ...(suggestions?.products || []).map(item => ({ ...item, type: 'product' })),
+];
+
+/**
+ * Label with the matched ranges ([start, end)) emphasised
+ */
+const Highlight = ({ text, ranges = [] }) => {
+    const parts = [];
+    let position = 0;
+
+    ranges.forEach(([start, end]) => {
+        if (start > position) parts.push({ text: text.slice(position, start), match: false });
+        parts.push({ text: text.slice(start, end), match: true });
+        position = end;
+    });
+    if (position < text.length) parts.push({ text: text.slice(position), match: false });
+
+    return (
+        <span>
+            {parts.map((part, index) => (part.match
+                ? <mark key={index} className="bg-transparent text-[#1A1A1A] font-semibold">{part.text}</mark>
+                : <span key={index}>{part.text}</span>))}
+        </span>
+    );
+};
+
+Highlight.propTypes = {
+    text: PropTypes.string.isRequired,
+    ranges: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number)),
+};
 
 /**
  * SearchBar Component
  * Separate, reusable search component with debouncing
- * 
+ *
  * Features:
  * - Auto-search with 500ms debounce
+ * - Typeahead suggestions (brands, models, watches) with typo tolerance
+ * - Keyboard navigation of suggestions (arrows, Enter, Escape)
  * - Clear button
  * - XSS protection (maxLength, trimming)
  */
 export const SearchBar = ({ initialValue = '', onSearch, placeholder = 'Search...' }) => {
+    const navigate = useNavigate();
     const [searchQuery, setSearchQuery] = useState(initialValue);
     const [debounceTimer, setDebounceTimer] = useState(null);
+    const [suggestions, setSuggestions] = useState(null);
+    const [isOpen, setIsOpen] = useState(false);
+    const [activeIndex, setActiveIndex] = useState(-1);
+
+    const suggestTimer = useRef(null);
+    // Only the latest suggestion request updates the dropdown
+    const latestRequestId = useRef(0);
+
+    const options = toOptions(suggestions);
+
+    useEffect(() => () => clearTimeout(suggestTimer.current), []);
+
+    const closeSuggestions = () => {
+        clearTimeout(suggestTimer.current);
+        latestRequestId.current += 1;
+        setIsOpen(false);
+        setActiveIndex(-1);
+    };
+
+    const fetchSuggestions = useCallback((value) => {
+        clearTimeout(suggestTimer.current);
+
+        if (value.trim().length < MIN_SUGGEST_LENGTH) {
+            latestRequestId.current += 1;
+            setSuggestions(null);
+            setIsOpen(false);
+            return;
+        }
+
+        suggestTimer.current = setTimeout(async () => {
+            const requestId = ++latestRequestId.current;
+            try {
+                const response = await productService.suggest(value.trim());
+                if (requestId === latestRequestId.current) {
+                    setSuggestions(response.data);
+                    setIsOpen(true);
+                    setActiveIndex(-1);
+                }
+            } catch {
+                // Suggestions are optional; searching still works
+                if (requestId === latestRequestId.current) {
+                    setSuggestions(null);
+                }
+            }
+        }, SUGGEST_DEBOUNCE_MS);
+    }, []);
 
     const handleSearchChange = useCallback((value) => {
         setSearchQuery(value);
+        fetchSuggestions(value);
 
         // Clear existing timer
         if (debounceTimer) {
@@ -29,29 +132,59 @@ export const SearchBar = ({ initialValue = '', onSearch, placeholder = 'Search..
         }, 500);
 
         setDebounceTimer(timer);
-    }, [debounceTimer, onSearch]);
-
-    const handleSearchSubmit = (e) => {
-        e.preventDefault();
+    }, [debounceTimer, onSearch, fetchSuggestions]);
 
+    const runSearch = (value) => {
         // Clear debounce timer
         if (debounceTimer) {
             clearTimeout(debounceTimer);
         }
 
+        closeSuggestions();
+        onSearch(value.trim());
+    };
+
+    const handleSelect = (option) => {
+        if (option.type === 'product') {
+            closeSuggestions();
+            navigate(`/product/${option.slug}`);
+            return;
+        }
+
+        setSearchQuery(option.value);
+        runSearch(option.value);
+    };
+
+    const handleSearchSubmit = (e) => {
+        e.preventDefault();
+
+        if (isOpen && activeIndex >= 0 && options[activeIndex]) {
+            handleSelect(options[activeIndex]);
+            return;
+        }
+
         // Immediate search on submit
-        onSearch(searchQuery.trim());
+        runSearch(searchQuery);
     };
 
-    const handleClear = () => {
-        setSearchQuery('');
+    const handleKeyDown = (e) => {
+        if (!isOpen || options.length === 0) return;
 
-        // Clear debounce timer
-        if (debounceTimer) {
-            clearTimeout(debounceTimer);
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            setActiveIndex(index => (index + 1) % options.length);
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            setActiveIndex(index => (index <= 0 ? options.length - 1 : index - 1));
+        } else if (e.key === 'Escape') {
+            closeSuggestions();
         }
+    };
 
-        onSearch('');
+    const handleClear = () => {
+        setSearchQuery('');
+        setSuggestions(null);
+        runSearch('');
     };
 
     return (
@@ -61,10 +194,19 @@ export const SearchBar = ({ initialValue = '', onSearch, placeholder = 'Search..
                     type="text"
                     value={searchQuery}
                     onChange={(e) => handleSearchChange(e.target.value)}
+                    onKeyDown={handleKeyDown}
+                    onFocus={() => options.length > 0 && setIsOpen(true)}
+                    onBlur={closeSuggestions}
                     placeholder={placeholder}
                     className="w-full px-6 py-4 pr-24 bg-white border border-black/10 text-[#1A1A1A] placeholder:text-[#6B6B6B] focus:outline-none focus:border-[#C9A962] transition-colors"
                     maxLength={100}
                     aria-label="Search products"
+                    role="combobox"
+                    aria-expanded={isOpen && options.length > 0}
+                    aria-controls="search-suggestions"
+                    aria-autocomplete="list"
+                    aria-activedescendant={activeIndex >= 0 ? `search-suggestion-${activeIndex}` : undefined}
+                    autoComplete="off"
                 />
                 <div className="absolute right-2 top-1/2 -translate-y-1/2 flex gap-2">
                     {searchQuery && (
@@ -85,6 +227,53 @@ export const SearchBar = ({ initialValue = '', onSearch, placeholder = 'Search..
                         <Search size={18} />
                     </button>
                 </div>
+
+                {/* Suggestions */}
+                {isOpen && options.length > 0 && (
+                    <ul
+                        id="search-suggestions"
+                        role="listbox"
+                        className="absolute z-40 left-0 right-0 top-full mt-1 bg-white border border-black/10 shadow-lg text-left max-h-96 overflow-y-auto"
+                    >
+                        {options.map((option, index) => (
+                            <li
+                                key={`${option.type}-${option._id || option.value}`}
+                                id={`search-suggestion-${index}`}
+                                role="option"
+                                aria-selected={index === activeIndex}
+                                // Keep focus in the input so blur doesn't close the list first
+                                onMouseDown={(e) => e.preventDefault()}
+                                onClick={() => handleSelect(option)}
+                                onMouseEnter={() => setActiveIndex(index)}
+                                className={`cursor-pointer ${index === activeIndex ? 'bg-[#F5F2ED]' : ''}`}
+                            >
+                                {(index === 0 || options[index - 1].type !== option.type) && (
+                                    <p className="px-4 pt-3 pb-1 text-[10px] uppercase tracking-widest text-[#C9A962] bg-white">
+                                        {SECTION_TITLES[option.type]}
+                                    </p>
+                                )}
+                                <div className="px-4 py-2 flex items-center gap-3 text-sm text-[#6B6B6B]">
+                                    {option.type === 'product' && (
+                                        <span className="w-10 h-10 shrink-0 bg-[#F9F9F9] flex items-center justify-center">
+                                            {option.image && (
+                                                <img src={option.image} alt="" className="max-w-[80%] max-h-[80%] object-contain mix-blend-multiply" />
+                                            )}
+                                        </span>
+                                    )}
+                                    <span className="flex-1">
+                                        <Highlight text={option.label} ranges={option.highlights} />
+                                        {option.type === 'model' && (
+                                            <span className="ml-2 text-xs">{option.brand}</span>
+                                        )}
+                                    </span>
+                                    {option.type === 'product' && (
+                                        <span className="text-xs">{formatPrice(option.price)}</span>
+                                    )}
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                )}
             </div>
         </form>
     );
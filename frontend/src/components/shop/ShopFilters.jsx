@@ -2,15 +2,109 @@ import { useState } from 'react';
 import PropTypes from 'prop-types';
 import { ChevronDown } from 'lucide-react';
 
+const formatPrice = (price) => new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    maximumFractionDigits: 0,
+}).format(price);
+
+// Price buckets include their lower bound and exclude their upper bound
+const bucketRange = (bucket) => ({
+    minPrice: String(bucket.min),
+    maxPrice: bucket.max === null ? '' : String(bucket.max - 0.01),
+});
+
+const bucketLabel = (bucket) => (bucket.max === null
+    ? `${formatPrice(bucket.min)}+`
+    : `${formatPrice(bucket.min)} – ${formatPrice(bucket.max)}`);
+
+/**
+ * Collapsible filter section
+ */
+const FilterSection = ({ title, isExpanded, onToggle, children }) => (
+    <div className="mb-8 pb-6 border-b border-black/5">
+        <button
+            onClick={onToggle}
+            className="w-full flex items-center justify-between mb-4 text-[#1A1A1A] font-display text-xl"
+        >
+            {title}
+            <ChevronDown
+                size={18}
+                className={`transition-transform duration-300 ${isExpanded ? 'rotate-180' : ''
+                    }`}
+            />
+        </button>
+        {isExpanded && <ul className="space-y-3">{children}</ul>}
+    </div>
+);
+
+FilterSection.propTypes = {
+    title: PropTypes.string.isRequired,
+    isExpanded: PropTypes.bool.isRequired,
+    onToggle: PropTypes.func.isRequired,
+    children: PropTypes.node,
+};
+
+/**
+ * Checkbox-style filter option with its product count
+ * Options with no matching products are disabled unless already selected
+ */
+const FilterOption = ({ label, count, isActive, onSelect }) => {
+    const isDisabled = count === 0 && !isActive;
+
+    return (
+        <li>
+            <button
+                type="button"
+                onClick={onSelect}
+                disabled={isDisabled}
+                aria-pressed={isActive}
+                className="w-full flex items-center gap-3 group text-left disabled:cursor-not-allowed disabled:opacity-40"
+            >
+                <span
+                    className={`w-4 h-4 border flex items-center justify-center transition-all ${isActive
+                            ? 'bg-[#C9A962] border-[#C9A962]'
+                            : 'border-[#6B6B6B]/30 group-enabled:group-hover:border-[#C9A962]'
+                        }`}
+                >
+                    {isActive && (
+                        <span className="text-white text-xs">✓</span>
+                    )}
+                </span>
+                <span className="flex-1 text-sm text-[#6B6B6B] group-enabled:group-hover:text-[#1A1A1A] transition-colors capitalize">
+                    {label}
+                </span>
+                <span className="text-xs text-[#6B6B6B]/70">{count}</span>
+            </button>
+        </li>
+    );
+};
+
+FilterOption.propTypes = {
+    label: PropTypes.string.isRequired,
+    count: PropTypes.number.isRequired,
+    isActive: PropTypes.bool.isRequired,
+    onSelect: PropTypes.func.isRequired,
+};
+
+const LIST_FILTERS = [
+    { key: 'category', title: 'Collection' },
+    { key: 'movement', title: 'Movement' },
+    { key: 'strapMaterial', title: 'Strap Material' },
+];
+
 /**
  * ShopFilters Component - Light Theme
  * Sidebar filters for product filtering
+ * Each option shows how many products match it together with the other
+ * selected filters
  */
-export const ShopFilters = ({ filters, onFilterChange, filterOptions }) => {
+export const ShopFilters = ({ filters, onFilterChange, onPriceChange, facets }) => {
     const [expandedSections, setExpandedSections] = useState({
         category: true,
         movement: true,
         strapMaterial: true,
+        price: true,
     });
 
     const toggleSection = (section) => {
@@ -33,137 +127,83 @@ export const ShopFilters = ({ filters, onFilterChange, filterOptions }) => {
         return filters[filterType]?.includes(value) || false;
     };
 
+    const isBucketActive = (bucket) => {
+        const { minPrice, maxPrice } = bucketRange(bucket);
+        return (filters.minPrice || '') === minPrice && (filters.maxPrice || '') === maxPrice;
+    };
+
+    const handleBucketToggle = (bucket) => {
+        if (isBucketActive(bucket)) {
+            onPriceChange('', '');
+        } else {
+            const { minPrice, maxPrice } = bucketRange(bucket);
+            onPriceChange(minPrice, maxPrice);
+        }
+    };
+
     return (
         <aside className="sticky top-32 h-fit">
-            {/* Category Filter */}
-            <div className="mb-8 pb-6 border-b border-black/5">
-                <button
-                    onClick={() => toggleSection('category')}
-                    className="w-full flex items-center justify-between mb-4 text-[#1A1A1A] font-display text-xl"
+            {LIST_FILTERS.map(({ key, title }) => (
+                <FilterSection
+                    key={key}
+                    title={title}
+                    isExpanded={expandedSections[key]}
+                    onToggle={() => toggleSection(key)}
                 >
-                    Collection
-                    <ChevronDown
-                        size={18}
-                        className={`transition-transform duration-300 ${expandedSections.category ? 'rotate-180' : ''
-                            }`}
-                    />
-                </button>
-                {expandedSections.category && (
-                    <ul className="space-y-3">
-                        {filterOptions?.categories?.map((category) => (
-                            <li
-                                key={category}
-                                onClick={() => handleFilterToggle('category', category)}
-                                className="flex items-center gap-3 cursor-pointer group"
-                            >
-                                <span
-                                    className={`w-4 h-4 border flex items-center justify-center transition-all ${isFilterActive('category', category)
-                                            ? 'bg-[#C9A962] border-[#C9A962]'
-                                            : 'border-[#6B6B6B]/30 group-hover:border-[#C9A962]'
-                                        }`}
-                                >
-                                    {isFilterActive('category', category) && (
-                                        <span className="text-white text-xs">✓</span>
-                                    )}
-                                </span>
-                                <span className="text-sm text-[#6B6B6B] group-hover:text-[#1A1A1A] transition-colors capitalize">
-                                    {category}
-                                </span>
-                            </li>
-                        ))}
-                    </ul>
-                )}
-            </div>
-
-            {/* Movement Filter */}
-            <div className="mb-8 pb-6 border-b border-black/5">
-                <button
-                    onClick={() => toggleSection('movement')}
-                    className="w-full flex items-center justify-between mb-4 text-[#1A1A1A] font-display text-xl"
-                >
-                    Movement
-                    <ChevronDown
-                        size={18}
-                        className={`transition-transform duration-300 ${expandedSections.movement ? 'rotate-180' : ''
-                            }`}
-                    />
-                </button>
-                {expandedSections.movement && (
-                    <ul className="space-y-3">
-                        {filterOptions?.movements?.map((movement) => (
-                            <li
-                                key={movement}
-                                onClick={() => handleFilterToggle('movement', movement)}
-                                className="flex items-center gap-3 cursor-pointer group"
-                            >
-                                <span
-                                    className={`w-4 h-4 border flex items-center justify-center transition-all ${isFilterActive('movement', movement)
-                                            ? 'bg-[#C9A962] border-[#C9A962]'
-                                            : 'border-[#6B6B6B]/30 group-hover:border-[#C9A962]'
-                                        }`}
-                                >
-                                    {isFilterActive('movement', movement) && (
-                                        <span className="text-white text-xs">✓</span>
-                                    )}
-                                </span>
-                                <span className="text-sm text-[#6B6B6B] group-hover:text-[#1A1A1A] transition-colors capitalize">
-                                    {movement}
-                                </span>
-                            </li>
-                        ))}
-                    </ul>
-                )}
-            </div>
-
-            {/* Strap Material Filter */}
-            <div className="mb-8 pb-6 border-b border-black/5">
-                <button
-                    onClick={() => toggleSection('strapMaterial')}
-                    className="w-full flex items-center justify-between mb-4 text-[#1A1A1A] font-display text-xl"
+                    {facets.facets?.[key]?.map(({ value, count }) => (
+                        <FilterOption
+                            key={value}
+                            label={value}
+                            count={count}
+                            isActive={isFilterActive(key, value)}
+                            onSelect={() => handleFilterToggle(key, value)}
+                        />
+                    ))}
+                </FilterSection>
+            ))}
+
+            {/* Price Filter */}
+            {facets.priceBuckets?.length > 0 && (
+                <FilterSection
+                    title="Price"
+                    isExpanded={expandedSections.price}
+                    onToggle={() => toggleSection('price')}
                 >
-                    Strap Material
-                    <ChevronDown
-                        size={18}
-                        className={`transition-transform duration-300 ${expandedSections.strapMaterial ? 'rotate-180' : ''
-                            }`}
-                    />
-                </button>
-                {expandedSections.strapMaterial && (
-                    <ul className="space-y-3">
-                        {filterOptions?.strapMaterials?.map((material) => (
-                            <li
-                                key={material}
-                                onClick={() => handleFilterToggle('strapMaterial', material)}
-                                className="flex items-center gap-3 cursor-pointer group"
-                            >
-                                <span
-                                    className={`w-4 h-4 border flex items-center justify-center transition-all ${isFilterActive('strapMaterial', material)
-                                            ? 'bg-[#C9A962] border-[#C9A962]'
-                                            : 'border-[#6B6B6B]/30 group-hover:border-[#C9A962]'
-                                        }`}
-                                >
-                                    {isFilterActive('strapMaterial', material) && (
-                                        <span className="text-white text-xs">✓</span>
-                                    )}
-                                </span>
-                                <span className="text-sm text-[#6B6B6B] group-hover:text-[#1A1A1A] transition-colors capitalize">
-                                    {material}
-                                </span>
-                            </li>
-                        ))}
-                    </ul>
-                )}
-            </div>
+                    {facets.priceBuckets.map((bucket) => (
+                        <FilterOption
+                            key={bucket.min}
+                            label={bucketLabel(bucket)}
+                            count={bucket.count}
+                            isActive={isBucketActive(bucket)}
+                            onSelect={() => handleBucketToggle(bucket)}
+                        />
+                    ))}
+                </FilterSection>
+            )}
         </aside>
     );
 };
 
+const facetValuesShape = PropTypes.arrayOf(PropTypes.shape({
+    value: PropTypes.string.isRequired,
+    count: PropTypes.number.isRequired,
+}));
+
 ShopFilters.propTypes = {
     filters: PropTypes.object.isRequired,
     onFilterChange: PropTypes.func.isRequired,
-    filterOptions: PropTypes.shape({
-        categories: PropTypes.arrayOf(PropTypes.string),
-        movements: PropTypes.arrayOf(PropTypes.string),
-        strapMaterials: PropTypes.arrayOf(PropTypes.string),
-    }),
+    onPriceChange: PropTypes.func.isRequired,
+    facets: PropTypes.shape({
+        total: PropTypes.number,
+        facets: PropTypes.shape({
+            category: facetValuesShape,
+            movement: facetValuesShape,
+            strapMaterial: facetValuesShape,
+        }),
+        priceBuckets: PropTypes.arrayOf(PropTypes.shape({
+            min: PropTypes.number.isRequired,
+            max: PropTypes.number,
+            count: PropTypes.number.isRequired,
+        })),
+    }).isRequired,
 };
@@ -1,4 +1,9 @@
 export { useProducts } from './useProducts';
-export { useGenderProducts } from './useGenderProducts';
+export { useFilterFacets } from './useFilterFacets';
+export { useInfiniteGenderProducts } from './useGenderProducts';
+export { useInfiniteScroll } from './useInfiniteScroll';
 export { useProductDetail } from './useProductDetail';
 export { useReviews } from './useReviews';
+export { usePricingQuote } from './usePricingQuote';
+export { useReturns } from './useReturns';
+export { useAddresses } from './useAddresses';
@@ -0,0 +1,72 @@
+import { useState, useEffect, useCallback } from 'react';
+import { addressService } from '@services';
+
+/**
+ * useAddresses Hook
+ * Loads a user's address book and exposes save/default/delete actions
+ *
+ * @param {string} userId - User ID (nothing is loaded without one)
+ * @returns {object} addresses, shippingAddresses, billingAddresses, isLoading, error,
+ *                   saveAddress, setDefaultAddress, deleteAddress
+ */
+export const useAddresses = (userId) => {
+    const [addresses, setAddresses] = useState([]);
+    const [isLoading, setIsLoading] = useState(Boolean(userId));
+    const [error, setError] = useState(null);
+
+    const fetchAddresses = useCallback(async () => {
+        if (!userId) {
+            setAddresses([]);
+            setIsLoading(false);
+            return;
+        }
+
+        setIsLoading(true);
+        setError(null);
+        try {
+            const response = await addressService.getAddresses(userId);
+            setAddresses(response.data.addresses);
+        } catch (err) {
+            console.error('Failed to fetch addresses:', err);
+            setError(err.response?.data?.message || 'Failed to load addresses');
+        } finally {
+            setIsLoading(false);
+        }
+    }, [userId]);
+
+    useEffect(() => {
+        fetchAddresses();
+    }, [fetchAddresses]);
+
+    // Create when there is no id, update otherwise
+    const saveAddress = async (data, addressId) => {
+        const response = addressId
+            ? await addressService.updateAddress(userId, addressId, data)
+            : await addressService.createAddress(userId, data);
+        setAddresses(response.data.addresses);
+        return response;
+    };
+
+    const setDefaultAddress = async (addressId) => {
+        const response = await addressService.setDefaultAddress(userId, addressId);
+        setAddresses(response.data.addresses);
+        return response;
+    };
+
+    const deleteAddress = async (addressId) => {
+        const response = await addressService.deleteAddress(userId, addressId);
+        setAddresses(response.data.addresses);
+        return response;
+    };
+
+    return {
+        addresses,
+        shippingAddresses: addresses.filter(address => address.type === 'shipping'),
+        billingAddresses: addresses.filter(address => address.type === 'billing'),
+        isLoading,
+        error,
+        saveAddress,
+        setDefaultAddress,
+        deleteAddress,
+    };
+};
@@ -1,4 +1,4 @@
-import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useQuery, useInfiniteQuery, useMutation, useQueryClient, keepPreviousData } from '@tanstack/react-query';
 import * as adminService from '../services/adminService';
 
 /**
@@ -12,6 +12,18 @@ import * as adminService from '../services/adminService';
  * - Loading states
  */
 
+// Cursor-paginated list for infinite scroll; the total is counted on the
+// first page only. Pages are in data.pages, each { [items], pagination }.
+const useInfiniteList = (queryKey, fetchPage, params) => {
+    return useInfiniteQuery({
+        queryKey,
+        queryFn: ({ pageParam }) => fetchPage({ ...params, cursor: pageParam, includeTotal: !pageParam }),
+        initialPageParam: '',
+        getNextPageParam: (lastPage) => lastPage.pagination.nextCursor || undefined,
+        placeholderData: keepPreviousData,
+    });
+};
+
 // Dashboard
 export const useDashboardStats = () => {
     return useQuery({
@@ -31,6 +43,10 @@ export const useUsers = (params) => {
     });
 };
 
+export const useInfiniteUsers = (params) => {
+    return useInfiniteList(['admin', 'users', 'infinite', params], adminService.getUsers, params);
+};
+
 export const useUser = (userId) => {
     return useQuery({
         queryKey: ['admin', 'users', userId],
@@ -78,6 +94,10 @@ export const useOrders = (params) => {
     });
 };
 
+export const useInfiniteOrders = (params) => {
+    return useInfiniteList(['admin', 'orders', 'infinite', params], adminService.getOrders, params);
+};
+
 export const useOrder = (orderId) => {
     return useQuery({
         queryKey: ['admin', 'orders', orderId],
@@ -126,6 +146,88 @@ export const useDeleteProduct = () => {
     });
 };
 
+export const useRestoreProduct = () => {
+    const queryClient = useQueryClient();
+
+    return useMutation({
+        mutationFn: adminService.restoreProduct,
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ['admin', 'products'] });
+        },
+    });
+};
+
+export const usePurgeProduct = () => {
+    const queryClient = useQueryClient();
+
+    return useMutation({
+        mutationFn: adminService.purgeProduct,
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ['admin', 'products'] });
+        },
+    });
+};
+
+export const useScheduleProductSale = () => {
+    const queryClient = useQueryClient();
+
+    return useMutation({
+        mutationFn: adminService.scheduleProductSale,
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ['admin', 'products'] });
+            // Shop listings show the new prices
+            queryClient.invalidateQueries({ queryKey: ['products'] });
+        },
+    });
+};
+
+export const useProductAlerts = (productId, params) => {
+    return useQuery({
+        queryKey: ['admin', 'products', productId, 'alerts', params],
+        queryFn: () => adminService.getProductAlerts(productId, params),
+        enabled: !!productId,
+        keepPreviousData: true,
+    });
+};
+
+export const useProductPriceHistory = (productId, params) => {
+    return useQuery({
+        queryKey: ['admin', 'products', productId, 'price-history', params],
+        queryFn: () => adminService.getProductPriceHistory(productId, params),
+        enabled: !!productId,
+        placeholderData: keepPreviousData,
+    });
+};
+
+export const useProductRevisions = (productId, params) => {
+    return useQuery({
+        queryKey: ['admin', 'products', productId, 'revisions', params],
+        queryFn: () => adminService.getProductRevisions(productId, params),
+        enabled: !!productId,
+        placeholderData: keepPreviousData,
+    });
+};
+
+export const useProductRevisionDiff = (productId, { from, to }) => {
+    return useQuery({
+        queryKey: ['admin', 'products', productId, 'revisions', 'compare', { from, to }],
+        queryFn: () => adminService.compareProductRevisions(productId, { from, to }),
+        enabled: !!productId && !!from && !!to && from !== to,
+    });
+};
+
+export const useRollbackProduct = () => {
+    const queryClient = useQueryClient();
+
+    return useMutation({
+        mutationFn: adminService.rollbackProduct,
+        onSuccess: () => {
+            // The products list and the product's revisions, price history and alerts
+            queryClient.invalidateQueries({ queryKey: ['admin', 'products'] });
+        },
+    });
+};
+
 // Reviews Management
 export const useReviews = (params) => {
     return useQuery({
@@ -168,3 +270,94 @@ export const useAuditLogs = (params) => {
         keepPreviousData: true,
     });
 };
+
+export const useInfiniteAuditLogs = (params) => {
+    return useInfiniteList(['admin', 'audit-logs', 'infinite', params], adminService.getAuditLogs, params);
+};
+
+// Email Templates & Outbox
+export const useEmailTemplates = () => {
+    return useQuery({
+        queryKey: ['admin', 'emails', 'templates'],
+        queryFn: adminService.getEmailTemplates,
+    });
+};
+
+export const useEmailTemplatePreview = (name, version) => {
+    return useQuery({
+        queryKey: ['admin', 'emails', 'templates', name, 'preview', version],
+        queryFn: () => adminService.previewEmailTemplate(name, version),
+        enabled: !!name,
+    });
+};
+
+export const useOutboxMessages = (params) => {
+    return useQuery({
+        queryKey: ['admin', 'emails', 'outbox', params],
+        queryFn: () => adminService.getOutboxMessages(params),
+        keepPreviousData: true,
+        // Delivery happens in the background; keep statuses fresh
+        refetchInterval: 15000,
+    });
+};
+
+export const useOutboxMessage = (messageId) => {
+    return useQuery({
+        queryKey: ['admin', 'emails', 'outbox', 'message', messageId],
+        queryFn: () => adminService.getOutboxMessage(messageId),
+        enabled: !!messageId,
+    });
+};
+
+export const useRetryOutboxMessage = () => {
+    const queryClient = useQueryClient();
+
+    return useMutation({
+        mutationFn: adminService.retryOutboxMessage,
+        onSuccess: () => {
+            // Invalidate outbox list and message details
+            queryClient.invalidateQueries({ queryKey: ['admin', 'emails', 'outbox'] });
+        },
+    });
+};
+
+// Search Insights
+export const useSearchAnalytics = (params) => {
+    return useQuery({
+        queryKey: ['admin', 'search', 'analytics', params],
+        queryFn: () => adminService.getSearchAnalytics(params),
+        keepPreviousData: true,
+    });
+};
+
+export const useSearchRules = () => {
+    return useQuery({
+        queryKey: ['admin', 'search', 'rules'],
+        queryFn: adminService.getSearchRules,
+    });
+};
+
+export const useSaveSearchRule = () => {
+    const queryClient = useQueryClient();
+
+    return useMutation({
+        mutationFn: ({ ruleId, ...ruleData }) =>
+            ruleId
+                ? adminService.updateSearchRule(ruleId, ruleData)
+                : adminService.createSearchRule(ruleData),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ['admin', 'search', 'rules'] });
+        },
+    });
+};
+
+export const useDeleteSearchRule = () => {
+    const queryClient = useQueryClient();
+
+    return useMutation({
+        mutationFn: adminService.deleteSearchRule,
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ['admin', 'search', 'rules'] });
+        },
+    });
+};
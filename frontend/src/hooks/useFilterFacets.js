@@ -0,0 +1,41 @@
+import { useState, useEffect, useRef } from 'react';
+import { productService } from '@services';
+import { buildFilterParams } from './useProducts';
+
+/**
+ * useFilterFacets Hook
+ * Filter values with product counts for the current shop filters
+ *
+ * Refetches only when a filter changes (not on sort or page changes).
+ * Only the latest request updates state, as in useProducts.
+ */
+export const useFilterFacets = (filters) => {
+  const [facets, setFacets] = useState(null);
+  const [error, setError] = useState(null);
+
+  const latestRequestId = useRef(0);
+  const paramsKey = JSON.stringify(buildFilterParams(filters));
+
+  useEffect(() => {
+    const fetchFacets = async () => {
+      const requestId = ++latestRequestId.current;
+
+      try {
+        const response = await productService.getFilterFacets(JSON.parse(paramsKey));
+        if (requestId === latestRequestId.current) {
+          setFacets(response.data);
+          setError(null);
+        }
+      } catch (err) {
+        if (requestId === latestRequestId.current) {
+          console.error('Failed to fetch filter facets:', err);
+          setError(err.response?.data?.message || 'Failed to load filters');
+        }
+      }
+    };
+
+    fetchFacets();
+  }, [paramsKey]);
+
+  return { facets, error };
+};
@@ -0,0 +1,35 @@
+import { useEffect, useRef } from 'react';
+
+/**
+ * useInfiniteScroll Hook
+ * Calls onLoadMore when a sentinel element scrolls into view
+ *
+ * @param {function} onLoadMore - Loads the next page
+ * @param {boolean} enabled - False while there is nothing more to load or a page is loading
+ * @param {string} rootMargin - How far ahead of the sentinel to start loading
+ * @returns {object} Ref to attach to the sentinel element
+ */
+export const useInfiniteScroll = (onLoadMore, enabled, rootMargin = '400px') => {
+    const sentinelRef = useRef(null);
+    const onLoadMoreRef = useRef(onLoadMore);
+
+    useEffect(() => {
+        onLoadMoreRef.current = onLoadMore;
+    }, [onLoadMore]);
+
+    useEffect(() => {
+        const sentinel = sentinelRef.current;
+        if (!enabled || !sentinel || typeof IntersectionObserver === 'undefined') return undefined;
+
+        const observer = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                onLoadMoreRef.current();
+            }
+        }, { rootMargin });
+
+        observer.observe(sentinel);
+        return () => observer.disconnect();
+    }, [enabled, rootMargin]);
+
+    return sentinelRef;
+};
@@ -0,0 +1,78 @@
+import { useState, useEffect, useRef } from 'react';
+import { pricingService } from '@services';
+
+/**
+ * usePricingQuote Hook
+ * Fetches a live tax and shipping quote whenever the cart, destination,
+ * shipping method or promotion changes
+ *
+ * @param {object} params
+ * @param {Array} params.items - Cart items (product may be populated)
+ * @param {string} [params.country] - Destination country code
+ * @param {string} [params.state] - Destination state
+ * @param {string} [params.shippingMethod] - Selected shipping method code
+ * @param {string} [params.promotionCode] - Applied promotion code
+ * @returns {object} quote, isLoading, error
+ */
+export const usePricingQuote = ({ items, country, state, shippingMethod, promotionCode }) => {
+    const [quote, setQuote] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const latestRequestId = useRef(0);
+
+    // Stable key so re-renders with the same cart don't refetch
+    const itemsKey = JSON.stringify(
+        (items || []).map(item => [
+            item.product?._id || item.product,
+            item.quantity,
+            item.color?.name || null,
+            item.strap?.material || null
+        ])
+    );
+
+    useEffect(() => {
+        // Variants are sent by name only; the backend looks up their prices
+        const quoteItems = JSON.parse(itemsKey).map(([product, quantity, color, strap]) => ({
+            product,
+            quantity,
+            color: color ? { name: color } : undefined,
+            strap: strap ? { material: strap } : undefined
+        }));
+        if (quoteItems.length === 0) {
+            setQuote(null);
+            return;
+        }
+
+        const requestId = ++latestRequestId.current;
+
+        // Debounce typing in the address form
+        const timer = setTimeout(async () => {
+            setIsLoading(true);
+            setError(null);
+            try {
+                const response = await pricingService.getQuote({
+                    items: quoteItems,
+                    shippingAddress: { country, state },
+                    shippingMethod,
+                    promotionCode
+                });
+                if (requestId === latestRequestId.current) {
+                    setQuote(response.data);
+                }
+            } catch (err) {
+                if (requestId === latestRequestId.current) {
+                    setError(err.response?.data?.message || 'Failed to calculate shipping and tax');
+                }
+            } finally {
+                if (requestId === latestRequestId.current) {
+                    setIsLoading(false);
+                }
+            }
+        }, 300);
+
+        return () => clearTimeout(timer);
+    }, [itemsKey, country, state, shippingMethod, promotionCode]);
+
+    return { quote, isLoading, error };
+};
@@ -1,6 +1,37 @@
 import { useState, useEffect, useRef } from 'react';
 import { productService } from '@services';
 
+/**
+ * Query parameters for the shop filters (shared with the facet counts)
+ * @param {Object} filters - Shop filters
+ * @returns {Object} Query parameters
+ */
+export const buildFilterParams = (filters) => {
+  const params = {};
+
+  // Add array filters
+  ['category', 'movement', 'strapMaterial'].forEach((key) => {
+    if (filters[key]?.length > 0) {
+      params[key] = filters[key].join(',');
+    }
+  });
+
+  // Add price range
+  if (filters.minPrice) {
+    params.minPrice = filters.minPrice;
+  }
+  if (filters.maxPrice) {
+    params.maxPrice = filters.maxPrice;
+  }
+
+  // Add search query
+  if (filters.search) {
+    params.search = filters.search;
+  }
+
+  return params;
+};
+
 /**
  * useProducts Hook
  * Handles product fetching with race condition prevention and request cancellation
@@ -10,12 +41,17 @@ import { productService } from '@services';
  * - Race condition prevention
  * - Loading state management
  * - Error handling
+ * - Search analytics ID and applied search rule for search queries
  */
 export const useProducts = (filters, limit = 12) => {
   const [products, setProducts] = useState([]);
   const [pagination, setPagination] = useState({ page: 1, limit, total: 0, pages: 1 });
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
+  // Search analytics ID (kept across pages of the same search) and the
+  // synonym/redirect rule the search applied
+  const [searchId, setSearchId] = useState(null);
+  const [searchRule, setSearchRule] = useState(null);
 
   // Track the latest request to prevent race conditions
   const latestRequestId = useRef(0);
@@ -33,30 +69,20 @@ export const useProducts = (filters, limit = 12) => {
           page: filters.page,
           limit,
           sort: filters.sort,
+          ...buildFilterParams(filters),
         };
 
-        // Add array filters
-        if (filters.category?.length > 0) {
-          params.category = filters.category.join(',');
-        }
-        if (filters.movement?.length > 0) {
-          params.movement = filters.movement.join(',');
-        }
-        if (filters.strapMaterial?.length > 0) {
-          params.strapMaterial = filters.strapMaterial.join(',');
-        }
-
-        // Add search query
-        if (filters.search) {
-          params.search = filters.search;
-        }
-
         const response = await productService.getProducts(params);
 
         // Only update state if this is still the latest request
         if (requestId === latestRequestId.current) {
           setProducts(response.data.products);
           setPagination(response.data.pagination);
+          setSearchRule(response.data.searchRule || null);
+          // Only the first page of a search is recorded; later pages keep its ID
+          if (!filters.search || Number(filters.page || 1) === 1) {
+            setSearchId(response.data.searchId || null);
+          }
         }
       } catch (err) {
         // Only set error if this is still the latest request
@@ -75,5 +101,5 @@ export const useProducts = (filters, limit = 12) => {
     fetchProducts();
   }, [filters, limit]);
 
-  return { products, pagination, isLoading, error };
+  return { products, pagination, isLoading, error, searchId, searchRule };
 };
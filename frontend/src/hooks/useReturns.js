@@ -0,0 +1,55 @@
+import { useState, useEffect, useCallback } from 'react';
+import { returnService } from '@services';
+
+/**
+ * useReturns Hook
+ * Loads the current user's return requests and exposes request/cancel actions
+ *
+ * @returns {object} returns, returnWindowDays, isLoading, error, requestReturn, cancelReturn
+ */
+export const useReturns = () => {
+    const [returns, setReturns] = useState([]);
+    const [returnWindowDays, setReturnWindowDays] = useState(30);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const fetchReturns = useCallback(async () => {
+        setIsLoading(true);
+        setError(null);
+        try {
+            const response = await returnService.getMyReturns();
+            setReturns(response.data.returnRequests);
+            setReturnWindowDays(response.data.returnWindowDays);
+        } catch (err) {
+            console.error('Failed to fetch returns:', err);
+            setError(err.response?.data?.message || 'Failed to load returns');
+        } finally {
+            setIsLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchReturns();
+    }, [fetchReturns]);
+
+    const requestReturn = async (data) => {
+        const response = await returnService.createReturn(data);
+        await fetchReturns();
+        return response;
+    };
+
+    const cancelReturn = async (id) => {
+        const response = await returnService.cancelReturn(id);
+        await fetchReturns();
+        return response;
+    };
+
+    return {
+        returns,
+        returnWindowDays,
+        isLoading,
+        error,
+        requestReturn,
+        cancelReturn,
+    };
+};
@@ -1,15 +1,146 @@
-import { useEffect } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Link, useNavigate, useLocation, useSearchParams } from 'react-router-dom';
 import { useCartStore } from '@store/cartStore';
-import { Minus, Plus, X, Trash2, ArrowRight } from 'lucide-react';
+import { useAuthStore } from '@store/authStore';
+import { usePricingQuote } from '@hooks';
+import { useToast } from '../context/ToastContext';
+import { Minus, Plus, X, Trash2, ArrowRight, Tag, AlertTriangle } from 'lucide-react';
+
+// What happened to a guest cart line that could not be merged in full
+const describeAdjustment = (adjustment) => {
+    const name = [adjustment.name || 'An item', adjustment.color, adjustment.strap].filter(Boolean).join(' · ');
+    if (adjustment.reason === 'unavailable') return `${name} is no longer available.`;
+    if (adjustment.reason === 'out_of_stock') return `${name} is out of stock.`;
+    if (adjustment.added === 0) return `${name}: your bag already holds all ${adjustment.available} in stock.`;
+    return `${name}: only ${adjustment.added} of ${adjustment.requested} added, as stock is limited.`;
+};
+
+// Shown after login when the guest bag could not be merged in full
+const MergeNotice = ({ adjustments, onDismiss }) => (
+    <div className="max-w-2xl mx-auto mb-12 p-6 border border-[#C9A962] bg-white relative">
+        <button
+            onClick={onDismiss}
+            className="absolute top-4 right-4 text-gray-400 hover:text-[#1A1A1A]"
+            aria-label="Dismiss"
+        >
+            <X size={16} />
+        </button>
+        <p className="text-[#1A1A1A] mb-2">We added the items from your bag to your account, with some changes:</p>
+        <ul className="text-sm text-[#6B6B6B] list-disc pl-5 space-y-1">
+            {adjustments.map((adjustment, index) => (
+                <li key={index}>{describeAdjustment(adjustment)}</li>
+            ))}
+        </ul>
+    </div>
+);
+
+MergeNotice.propTypes = {
+    adjustments: PropTypes.array.isRequired,
+    onDismiss: PropTypes.func.isRequired,
+};
+
+// What accepting a cart warning will do to the line
+const WARNING_OUTCOMES = {
+    unavailable: 'It will be removed from your bag.',
+    variant_unavailable: 'It will be removed from your bag.',
+    out_of_stock: 'It will be removed from your bag.',
+    insufficient_stock: 'The quantity will be reduced.',
+    price_changed: 'The new price will apply.',
+};
+
+// Lines that changed since they were added; checkout waits until they are accepted
+const CartWarnings = ({ warnings, onAccept, isLoading, formatPrice }) => (
+    <div className="max-w-2xl mx-auto mb-12 p-6 border border-amber-300 bg-amber-50">
+        <p className="flex items-center gap-2 text-[#1A1A1A] mb-3">
+            <AlertTriangle size={16} className="text-amber-600" />
+            Some items in your bag have changed since you added them
+        </p>
+        <ul className="text-sm text-[#6B6B6B] list-disc pl-5 space-y-1 mb-4">
+            {warnings.map((warning, index) => (
+                <li key={`${warning.itemId}-${warning.type}-${index}`}>
+                    {warning.message}
+                    {warning.type === 'price_changed' && (
+                        <> ({formatPrice(warning.previousPrice)} → {formatPrice(warning.currentPrice)})</>
+                    )}
+                    . {WARNING_OUTCOMES[warning.type]}
+                </li>
+            ))}
+        </ul>
+        <button
+            onClick={onAccept}
+            disabled={isLoading}
+            className="px-6 py-2 text-xs uppercase tracking-widest bg-[#1A1A1A] text-white hover:bg-[#C9A962] transition-colors disabled:opacity-50"
+        >
+            Accept Changes
+        </button>
+    </div>
+);
+
+CartWarnings.propTypes = {
+    warnings: PropTypes.array.isRequired,
+    onAccept: PropTypes.func.isRequired,
+    isLoading: PropTypes.bool,
+    formatPrice: PropTypes.func.isRequired,
+};
 
 export const Cart = () => {
-    const { items, subtotal, removeFromCart, updateQuantity, fetchCart, isLoading } = useCartStore();
+    const {
+        items, subtotal, removeFromCart, updateQuantity, fetchCart, isLoading,
+        promotionCode, discount, promotionError, applyPromotion, removePromotion, refreshPromotion,
+        recoverCart, mergeAdjustments, dismissMergeAdjustments, warnings, acknowledgeWarnings
+    } = useCartStore();
+    const { isLoggedIn } = useAuthStore();
+    const { addToast } = useToast();
+    const [codeInput, setCodeInput] = useState('');
     const navigate = useNavigate();
+    const location = useLocation();
+    // Abandoned cart reminder emails link here with ?recover=<token>
+    const [searchParams, setSearchParams] = useSearchParams();
+    const recoverToken = searchParams.get('recover');
+
+    // Estimate for the default destination; checkout re-quotes for the real address
+    const { quote } = usePricingQuote({
+        items,
+        promotionCode: isLoggedIn ? promotionCode : null
+    });
+    const pricing = quote?.pricing;
+
+    useEffect(() => {
+        if (!recoverToken) {
+            fetchCart();
+            return;
+        }
+        if (!isLoggedIn) {
+            navigate('/login', { state: { from: location }, replace: true });
+            return;
+        }
+        recoverCart(recoverToken).then((restoredCount) => {
+            if (restoredCount === null) {
+                addToast('This cart link is no longer valid', 'error');
+            } else if (restoredCount > 0) {
+                addToast('Your bag has been restored', 'success');
+            }
+            setSearchParams({}, { replace: true });
+        });
+    }, [recoverToken, isLoggedIn, fetchCart, recoverCart, navigate, location, addToast, setSearchParams]);
 
+    // Keep the discount in step with the cart contents
     useEffect(() => {
-        fetchCart();
-    }, [fetchCart]);
+        if (isLoggedIn) refreshPromotion();
+    }, [isLoggedIn, subtotal, promotionCode, refreshPromotion]);
+
+    const handleApplyCode = async (e) => {
+        e.preventDefault();
+        if (!codeInput.trim()) return;
+        const applied = await applyPromotion(codeInput.trim());
+        if (applied) setCodeInput('');
+    };
+
+    const handleAcceptChanges = async () => {
+        const accepted = await acknowledgeWarnings();
+        addToast(accepted ? 'Your bag has been updated' : 'Could not update your bag, please try again', accepted ? 'success' : 'error');
+    };
 
     const formatPrice = (price) => {
         return new Intl.NumberFormat('en-US', {
@@ -20,7 +151,10 @@ export const Cart = () => {
 
     if (items.length === 0 && !isLoading) {
         return (
-            <div className="min-h-screen bg-[#FAF8F5] flex flex-col items-center justify-center">
+            <div className="min-h-screen bg-[#FAF8F5] flex flex-col items-center justify-center px-4">
+                {mergeAdjustments.length > 0 && (
+                    <MergeNotice adjustments={mergeAdjustments} onDismiss={dismissMergeAdjustments} />
+                )}
                 <h1 className="font-display text-4xl mb-6">Your Bag is Empty</h1>
                 <p className="text-[#6B6B6B] mb-8">It seems you haven't found the perfect timepiece yet.</p>
                 <Link
@@ -38,6 +172,19 @@ export const Cart = () => {
             <div className="max-w-[1400px] mx-auto px-4">
                 <h1 className="font-display text-4xl lg:text-5xl mb-12 text-center text-[#1A1A1A]">Shopping Bag</h1>
 
+                {mergeAdjustments.length > 0 && (
+                    <MergeNotice adjustments={mergeAdjustments} onDismiss={dismissMergeAdjustments} />
+                )}
+
+                {warnings.length > 0 && (
+                    <CartWarnings
+                        warnings={warnings}
+                        onAccept={handleAcceptChanges}
+                        isLoading={isLoading}
+                        formatPrice={formatPrice}
+                    />
+                )}
+
                 <div className="grid grid-cols-1 lg:grid-cols-[2fr_1fr] gap-12">
 
                     {/* Cart Items */}
@@ -73,6 +220,12 @@ export const Cart = () => {
                                         {item.strap?.material && <span>Strap: {item.strap.material}</span>}
                                     </p>
 
+                                    {warnings.filter(warning => warning.itemId === item._id).map(warning => (
+                                        <p key={warning.type} className="flex items-center gap-1 text-xs text-amber-700 -mt-2 mb-4">
+                                            <AlertTriangle size={12} /> {warning.message}
+                                        </p>
+                                    ))}
+
                                     <div className="flex justify-between items-end">
                                         {/* Quantity Control */}
                                         <div className="flex items-center border border-black/10">
@@ -118,27 +271,82 @@ export const Cart = () => {
                                 <span>{formatPrice(subtotal)}</span>
                             </div>
 
+                            {discount > 0 && (
+                                <div className="flex justify-between mb-4 text-[#3a5a40]">
+                                    <span>Discount ({promotionCode})</span>
+                                    <span>-{formatPrice(discount)}</span>
+                                </div>
+                            )}
+
+                            <div className="flex justify-between mb-4 text-[#6B6B6B]">
+                                <span>Estimated Tax{pricing ? ` (${pricing.taxRate}%)` : ''}</span>
+                                <span>{pricing ? formatPrice(pricing.tax) : '—'}</span>
+                            </div>
+
                             <div className="flex justify-between mb-8 text-[#6B6B6B]">
-                                <span>Shipping</span>
-                                <span>Free</span>
+                                <span>Shipping{quote?.shippingMethod ? ` (${quote.shippingMethod.name})` : ''}</span>
+                                <span>{pricing ? (pricing.shipping === 0 ? 'Free' : formatPrice(pricing.shipping)) : '—'}</span>
+                            </div>
+
+                            {/* Promotion Code */}
+                            <div className="mb-8">
+                                {promotionCode ? (
+                                    <div className="flex justify-between items-center text-sm border border-black/10 px-3 py-2">
+                                        <span className="flex items-center gap-2 text-[#1A1A1A]">
+                                            <Tag size={14} /> {promotionCode}
+                                        </span>
+                                        <button
+                                            onClick={removePromotion}
+                                            className="text-xs uppercase tracking-widest text-[#6B6B6B] hover:text-red-500"
+                                        >
+                                            Remove
+                                        </button>
+                                    </div>
+                                ) : (
+                                    <form onSubmit={handleApplyCode} className="flex gap-2">
+                                        <input
+                                            type="text"
+                                            value={codeInput}
+                                            onChange={(e) => setCodeInput(e.target.value)}
+                                            placeholder="Promotion code"
+                                            maxLength={30}
+                                            className="flex-1 p-2 text-sm border border-black/10 focus:border-[#C9A962] outline-none uppercase"
+                                        />
+                                        <button
+                                            type="submit"
+                                            className="px-4 text-xs uppercase tracking-widest border border-[#1A1A1A] hover:bg-[#1A1A1A] hover:text-white transition-colors"
+                                        >
+                                            Apply
+                                        </button>
+                                    </form>
+                                )}
+                                {promotionError && (
+                                    <p className="text-xs text-red-500 mt-2">{promotionError}</p>
+                                )}
                             </div>
 
                             <div className="flex justify-between mb-8 pt-4 border-t border-black/5">
                                 <span className="font-medium text-[#1A1A1A]">Total</span>
-                                <span className="font-display text-3xl text-[#1A1A1A]">{formatPrice(subtotal)}</span>
+                                <span className="font-display text-3xl text-[#1A1A1A]">{formatPrice(pricing ? pricing.total : subtotal - discount)}</span>
                             </div>
 
                             <button
                                 onClick={() => navigate('/checkout')}
-                                className="w-full py-4 bg-[#1A1A1A] text-white uppercase tracking-widest hover:bg-[#C9A962] transition-colors flex items-center justify-center gap-2 group"
+                                disabled={warnings.length > 0}
+                                className="w-full py-4 bg-[#1A1A1A] text-white uppercase tracking-widest hover:bg-[#C9A962] transition-colors flex items-center justify-center gap-2 group disabled:opacity-50 disabled:hover:bg-[#1A1A1A]"
                             >
                                 Proceed to Checkout
                                 <ArrowRight size={18} className="group-hover:translate-x-1 transition-transform" />
                             </button>
+                            {warnings.length > 0 && (
+                                <p className="text-xs text-amber-700 text-center mt-3">
+                                    Please review the changes to your bag before checking out
+                                </p>
+                            )}
 
                             <div className="mt-6 text-xs text-[#6B6B6B] text-center">
                                 <p>Secure Checkout - encrypted connection</p>
-                                <p className="mt-2">Free shipping & returns worldwide</p>
+                                <p className="mt-2">Tax and shipping are finalized at checkout</p>
                             </div>
                         </div>
                     </div>
@@ -2,23 +2,36 @@ import { useEffect, useState } from 'react';
 import { loadStripe } from '@stripe/stripe-js';
 import { Elements } from '@stripe/react-stripe-js';
 import { paymentService } from '@services';
+import { usePricingQuote, useAddresses } from '@hooks';
 import { useCartStore } from '@store/cartStore';
 import { CheckoutForm } from '../components/checkout/CheckoutForm';
 import { useAuthStore } from '@store/authStore';
 import { useToast } from '../context/ToastContext';
 import { Loader2, ArrowRight, Check } from 'lucide-react';
 import { sanitizeObject } from '../utils/sanitize';
+import { ADDRESS_COUNTRIES } from '@utils/constants';
 
 const stripePromise = loadStripe(import.meta.env.VITE_STRIPE_PUBLIC_KEY);
 
+// Address book entries keep a second street line; orders have a single one
+const joinStreet = (address) => [address.street, address.street2].filter(Boolean).join(', ');
+
+const describeAddress = (address) =>
+    `${address.label ? `${address.label}: ` : ''}${joinStreet(address)}, ${address.city}`;
+
 export const Checkout = () => {
     const [step, setStep] = useState('ADDRESS'); // 'ADDRESS' | 'PAYMENT'
     const [clientSecret, setClientSecret] = useState('');
     const [isLoading, setIsLoading] = useState(false);
+    const [shippingMethod, setShippingMethod] = useState(null);
 
-    const { items, subtotal: total } = useCartStore();
+    const { items, subtotal: total, promotionCode, discount } = useCartStore();
     const { user } = useAuthStore();
     const { addToast } = useToast();
+    const { shippingAddresses, billingAddresses } = useAddresses(user?._id);
+    // null until the customer picks; '' means a manually entered address
+    const [savedShippingId, setSavedShippingId] = useState(null);
+    const [billingChoice, setBillingChoice] = useState('same');
 
     // Shipping Address Form State
     const [formData, setFormData] = useState({
@@ -52,6 +65,61 @@ export const Checkout = () => {
         }
     }, [user]);
 
+    const applySavedAddress = (address) => {
+        setSavedShippingId(address._id);
+        setFormData({
+            firstName: address.firstName,
+            lastName: address.lastName,
+            phone: address.phone || '',
+            address: {
+                line1: joinStreet(address),
+                city: address.city,
+                state: address.state || '',
+                postal_code: address.postalCode,
+                country: address.country,
+            },
+        });
+    };
+
+    // Start from the default saved shipping address, if there is one
+    useEffect(() => {
+        if (savedShippingId !== null) return;
+        const defaultAddress = shippingAddresses.find(address => address.isDefault);
+        if (defaultAddress) applySavedAddress(defaultAddress);
+    }, [shippingAddresses, savedShippingId]);
+
+    // Default billing address, if one is saved
+    useEffect(() => {
+        const defaultBilling = billingAddresses.find(address => address.isDefault);
+        if (defaultBilling) setBillingChoice(defaultBilling._id);
+    }, [billingAddresses]);
+
+    const handleSavedShippingChange = (e) => {
+        const address = shippingAddresses.find(entry => entry._id === e.target.value);
+        if (address) {
+            applySavedAddress(address);
+        } else {
+            setSavedShippingId('');
+        }
+    };
+
+    const selectedBilling = billingAddresses.find(address => address._id === billingChoice);
+
+    // Live quote for the entered destination and chosen shipping method
+    const { quote, isLoading: isQuoting, error: quoteError } = usePricingQuote({
+        items,
+        country: formData.address.country,
+        state: formData.address.state,
+        shippingMethod,
+        promotionCode
+    });
+    const pricing = quote?.pricing;
+
+    // Fall back to the default method if the chosen one stops being available
+    useEffect(() => {
+        if (quoteError && shippingMethod) setShippingMethod(null);
+    }, [quoteError, shippingMethod]);
+
     const handleAddressChange = (e) => {
         const { name, value } = e.target;
         if (name.startsWith('address.')) {
@@ -79,14 +147,43 @@ export const Checkout = () => {
             // Sanitize all text input fields
             const cleanFormData = sanitizeObject(formData);
 
-            // Construct the shipping address object expected by backend/Stripe
+            // Construct the shipping address in the Order model format
             const shippingAddress = {
-                name: `${cleanFormData.firstName} ${cleanFormData.lastName}`,
-                address: cleanFormData.address,
+                firstName: cleanFormData.firstName,
+                lastName: cleanFormData.lastName,
+                street: cleanFormData.address.line1,
+                city: cleanFormData.address.city,
+                state: cleanFormData.address.state,
+                postalCode: cleanFormData.address.postal_code,
+                country: cleanFormData.address.country,
                 phone: cleanFormData.phone
             };
+            const { phone: _phone, ...sameAsShipping } = shippingAddress;
+            const billingAddress = selectedBilling
+                ? sanitizeObject({
+                    firstName: selectedBilling.firstName,
+                    lastName: selectedBilling.lastName,
+                    street: joinStreet(selectedBilling),
+                    city: selectedBilling.city,
+                    state: selectedBilling.state,
+                    postalCode: selectedBilling.postalCode,
+                    country: selectedBilling.country
+                })
+                : sameAsShipping;
 
-            const data = await paymentService.createPaymentIntent(items, shippingAddress);
+            // Backend creates a pending order tied to the PaymentIntent
+            const data = await paymentService.createPaymentIntent(
+                items.map(item => ({
+                    product: item.product._id,
+                    quantity: item.quantity,
+                    color: item.color?.name ? { name: item.color.name } : undefined,
+                    strap: item.strap?.material ? { material: item.strap.material } : undefined
+                })),
+                shippingAddress,
+                billingAddress,
+                promotionCode,
+                quote?.shippingMethod?.code
+            );
             setClientSecret(data.clientSecret);
             setStep('PAYMENT');
         } catch (error) {
@@ -140,6 +237,22 @@ export const Checkout = () => {
 
                             {step === 'ADDRESS' ? (
                                 <form onSubmit={handleAddressSubmit} className="space-y-6">
+                                    {shippingAddresses.length > 0 && (
+                                        <div className="space-y-2">
+                                            <label className="text-xs uppercase tracking-widest text-[#6B6B6B]">Saved Address</label>
+                                            <select
+                                                value={savedShippingId || ''}
+                                                onChange={handleSavedShippingChange}
+                                                className="w-full p-3 border border-black/10 focus:border-[#C9A962] outline-none transition-colors bg-white"
+                                            >
+                                                <option value="">Enter a new address</option>
+                                                {shippingAddresses.map(address => (
+                                                    <option key={address._id} value={address._id}>{describeAddress(address)}</option>
+                                                ))}
+                                            </select>
+                                        </div>
+                                    )}
+
                                     <div className="grid grid-cols-2 gap-6">
                                         <div className="space-y-2">
                                             <label className="text-xs uppercase tracking-widest text-[#6B6B6B]">First Name *</label>
@@ -233,15 +346,65 @@ export const Checkout = () => {
                                                 readOnly
                                                 type="text"
                                                 name="address.country"
-                                                value="United States"
+                                                value={ADDRESS_COUNTRIES.find(c => c.code === formData.address.country)?.name || formData.address.country}
                                                 className="w-full p-3 border border-black/10 bg-[#FAF8F5] text-[#6B6B6B] cursor-not-allowed"
                                             />
                                         </div>
                                     </div>
 
+                                    {billingAddresses.length > 0 && (
+                                        <div className="space-y-2">
+                                            <label className="text-xs uppercase tracking-widest text-[#6B6B6B]">Billing Address</label>
+                                            <select
+                                                value={billingChoice}
+                                                onChange={(e) => setBillingChoice(e.target.value)}
+                                                className="w-full p-3 border border-black/10 focus:border-[#C9A962] outline-none transition-colors bg-white"
+                                            >
+                                                <option value="same">Same as shipping address</option>
+                                                {billingAddresses.map(address => (
+                                                    <option key={address._id} value={address._id}>{describeAddress(address)}</option>
+                                                ))}
+                                            </select>
+                                        </div>
+                                    )}
+
+                                    {/* Shipping Method */}
+                                    <div className="space-y-2">
+                                        <label className="text-xs uppercase tracking-widest text-[#6B6B6B]">Shipping Method</label>
+                                        {(quote?.shippingOptions || []).map((option) => (
+                                            <label
+                                                key={option.code}
+                                                className={`flex justify-between items-center p-3 border cursor-pointer transition-colors ${quote.shippingMethod?.code === option.code ? 'border-[#C9A962]' : 'border-black/10'}`}
+                                            >
+                                                <span className="flex items-center gap-3">
+                                                    <input
+                                                        type="radio"
+                                                        name="shippingMethod"
+                                                        value={option.code}
+                                                        checked={quote.shippingMethod?.code === option.code}
+                                                        onChange={() => setShippingMethod(option.code)}
+                                                        className="accent-[#C9A962]"
+                                                    />
+                                                    <span>
+                                                        <span className="block text-sm text-[#1A1A1A]">{option.name}</span>
+                                                        {option.estimatedDays?.max && (
+                                                            <span className="block text-xs text-[#6B6B6B]">
+                                                                {option.estimatedDays.min === option.estimatedDays.max
+                                                                    ? `${option.estimatedDays.max} business day${option.estimatedDays.max > 1 ? 's' : ''}`
+                                                                    : `${option.estimatedDays.min}-${option.estimatedDays.max} business days`}
+                                                            </span>
+                                                        )}
+                                                    </span>
+                                                </span>
+                                                <span className="text-sm">{option.cost === 0 ? 'Free' : `$${option.cost.toFixed(2)}`}</span>
+                                            </label>
+                                        ))}
+                                        {quoteError && <p className="text-xs text-red-500">{quoteError}</p>}
+                                    </div>
+
                                     <button
                                         type="submit"
-                                        disabled={isLoading}
+                                        disabled={isLoading || isQuoting || !quote}
                                         className="w-full bg-[#1A1A1A] text-white py-4 px-8 uppercase tracking-[2px] hover:bg-[#C9A962] transition-colors disabled:opacity-50 flex justify-center items-center gap-2"
                                     >
                                         {isLoading ? <Loader2 className="animate-spin" size={20} /> : <>Continue to Payment <ArrowRight size={18} /></>}
@@ -254,6 +417,9 @@ export const Checkout = () => {
                                     <p>{formData.address.line1}</p>
                                     <p>{formData.address.city}, {formData.address.state} {formData.address.postal_code}</p>
                                     <p className="mt-1">{formData.phone}</p>
+                                    {selectedBilling && (
+                                        <p className="mt-3">Billing: {describeAddress(selectedBilling)}</p>
+                                    )}
 
                                     <div className="flex items-center gap-2 text-green-600 mt-4 text-xs font-medium uppercase tracking-widest">
                                         <Check size={14} /> Address Confirmed
@@ -288,13 +454,18 @@ export const Checkout = () => {
                         <h2 className="font-display text-2xl mb-6 pb-4 border-b border-black/5 text-[#1A1A1A]">Order Summary</h2>
                         <div className="space-y-4 mb-6 max-h-[400px] overflow-y-auto pr-2 custom-scrollbar">
                             {items.map((item) => (
-                                <div key={item.product._id} className="flex justify-between items-center text-sm">
+                                <div key={item._id || item.product._id} className="flex justify-between items-center text-sm">
                                     <div className="flex items-center gap-4">
                                         {item.image && (
                                             <img src={item.image} alt={item.name} className="w-12 h-12 object-cover border border-black/5" />
                                         )}
                                         <div>
                                             <p className="font-medium text-[#1A1A1A]">{item.name}</p>
+                                            {(item.color?.name || item.strap?.material) && (
+                                                <p className="text-[#6B6B6B] text-xs">
+                                                    {[item.color?.name, item.strap?.material && `${item.strap.material} strap`].filter(Boolean).join(' · ')}
+                                                </p>
+                                            )}
                                             <p className="text-[#6B6B6B] text-xs">Qty: {item.quantity}</p>
                                         </div>
                                     </div>
@@ -308,19 +479,25 @@ export const Checkout = () => {
                                 <span>Subtotal</span>
                                 <span>${total.toLocaleString()}</span>
                             </div>
+                            {discount > 0 && (
+                                <div className="flex justify-between text-[#3a5a40]">
+                                    <span>Discount ({promotionCode})</span>
+                                    <span>-${discount.toLocaleString()}</span>
+                                </div>
+                            )}
                             <div className="flex justify-between">
-                                <span>Tax (10%)</span>
-                                <span>${(total * 0.1).toLocaleString()}</span>
+                                <span>Tax{pricing ? ` (${pricing.taxRate}%)` : ''}</span>
+                                <span>{pricing ? `$${pricing.tax.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}` : '—'}</span>
                             </div>
                             <div className="flex justify-between">
-                                <span>Shipping</span>
-                                <span>{total > 100 ? 'Free' : '$10.00'}</span>
+                                <span>Shipping{quote?.shippingMethod ? ` (${quote.shippingMethod.name})` : ''}</span>
+                                <span>{pricing ? (pricing.shipping === 0 ? 'Free' : `$${pricing.shipping.toFixed(2)}`) : '—'}</span>
                             </div>
                         </div>
 
                         <div className="border-t border-black/5 pt-4 flex justify-between items-center font-display text-xl text-[#1A1A1A]">
                             <span>Total</span>
-                            <span>${(total * 1.1 + (total > 100 ? 0 : 10)).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</span>
+                            <span>{pricing ? `$${pricing.total.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}` : '—'}</span>
                         </div>
                     </div>
 
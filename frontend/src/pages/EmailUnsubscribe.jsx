@@ -0,0 +1,87 @@
+import { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { CheckCircle, AlertCircle, Loader2 } from 'lucide-react';
+import { authService } from '@services';
+
+// Keyed by the topic slug in the token (`<userId>.<slug>.<signature>`)
+const TOPICS = {
+    'cart-reminders': {
+        title: 'Cart Reminders',
+        question: 'Stop receiving emails about items left in your bag?',
+    },
+    'back-in-stock': {
+        title: 'Back-in-Stock Alerts',
+        question: 'Stop receiving emails when watches on your wishlist are back in stock?',
+    },
+    'price-drop': {
+        title: 'Price-Drop Alerts',
+        question: 'Stop receiving emails when watches on your wishlist get cheaper?',
+    },
+};
+
+/**
+ * Email Unsubscribe Page
+ * Target of the unsubscribe link in cart reminder and wishlist alert emails.
+ * Works without signing in; the signed token in the link identifies the customer and the email type.
+ * Asks for a click so link scanners in mail clients can't unsubscribe by prefetching.
+ */
+export const EmailUnsubscribe = () => {
+    const [searchParams] = useSearchParams();
+    const token = searchParams.get('token');
+    // Older cart reminder links have no topic
+    const parts = token?.split('.') || [];
+    const topic = TOPICS[parts.length === 2 ? 'cart-reminders' : parts[1]] || TOPICS['cart-reminders'];
+
+    const [status, setStatus] = useState(token ? 'idle' : 'error'); // idle, submitting, success, error
+    const [message, setMessage] = useState(token ? '' : 'This unsubscribe link is incomplete.');
+
+    const handleUnsubscribe = async () => {
+        setStatus('submitting');
+        try {
+            await authService.getCsrfToken();
+            const response = await authService.unsubscribeEmails(token);
+            setStatus('success');
+            setMessage(response.message);
+        } catch (err) {
+            setStatus('error');
+            setMessage(err.response?.data?.message || 'Something went wrong. Please try again.');
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-[#FAF8F5] flex flex-col items-center justify-center px-4 text-center">
+            {status === 'success' && <CheckCircle className="w-12 h-12 text-green-600 mb-6" />}
+            {status === 'error' && <AlertCircle className="w-12 h-12 text-red-600 mb-6" />}
+
+            <h1 className="font-display text-4xl mb-6">{topic.title}</h1>
+
+            {status === 'idle' || status === 'submitting' ? (
+                <>
+                    <p className="text-[#6B6B6B] mb-8 max-w-md">
+                        {topic.question} Order and account emails are not affected.
+                    </p>
+                    <button
+                        onClick={handleUnsubscribe}
+                        disabled={status === 'submitting'}
+                        className="px-8 py-3 bg-[#1A1A1A] text-white uppercase tracking-widest hover:bg-[#C9A962] transition-colors disabled:opacity-50 flex items-center gap-2"
+                    >
+                        {status === 'submitting' && <Loader2 className="w-4 h-4 animate-spin" />}
+                        Unsubscribe
+                    </button>
+                </>
+            ) : (
+                <>
+                    <p className={`mb-8 max-w-md ${status === 'error' ? 'text-red-600' : 'text-[#6B6B6B]'}`}>
+                        {message}
+                    </p>
+                    <Link
+                        to="/shop"
+                        className="px-8 py-3 bg-[#1A1A1A] text-white uppercase tracking-widest hover:bg-[#C9A962] transition-colors"
+                    >
+                        Continue Shopping
+                    </Link>
+                </>
+            )}
+        </div>
+    );
+};
@@ -1,7 +1,7 @@
-import { useState, useCallback, useRef } from 'react';
+import { useState, useCallback } from 'react';
 import { useSearchParams } from 'react-router-dom';
 import { ShopFilters, ShopToolbar, ProductCard, Pagination, SearchBar } from '@components/shop';
-import { useGenderProducts } from '@hooks';
+import { useInfiniteGenderProducts } from '@hooks';
 import { useToast } from '../context/ToastContext';
 import { useCartStore } from '@store/cartStore';
 import { useWishlistStore } from '@store/wishlistStore';
@@ -11,7 +11,7 @@ import { Loader2, SlidersHorizontal, X } from 'lucide-react';
  * Men's Collection Page
  * 
  * Architecture:
- * - Uses useGenderProducts hook (race condition prevention)
+ * - Uses useInfiniteGenderProducts hook (cursor pagination, infinite scroll)
  * - Separate SearchBar component (debounced)
  * - Reuses Shop components (DRY principle)
  * - Non-destructive URL updates
@@ -26,7 +26,6 @@ export const Men = () => {
     const { addToast } = useToast();
     const { addToCart } = useCartStore();
     const { toggleWishlist } = useWishlistStore();
-    const productGridRef = useRef(null);
 
     const [isMobileFilterOpen, setIsMobileFilterOpen] = useState(false);
 
@@ -35,14 +34,21 @@ export const Men = () => {
         movement: searchParams.get('movement') || '',
         strapMaterial: searchParams.get('strapMaterial') || '',
         sort: searchParams.get('sort') || '-createdAt',
-        page: parseInt(searchParams.get('page')) || 1,
         search: searchParams.get('search') || '',
     });
 
     const [filters, setFilters] = useState(getFiltersFromURL());
 
     // Use custom hook for gender-specific products
-    const { products, pagination, isLoading, error } = useGenderProducts('men', filters);
+    const {
+        products,
+        total,
+        isLoading,
+        error,
+        hasMore,
+        fetchNextPage,
+        isFetchingNextPage,
+    } = useInfiniteGenderProducts('men', filters);
 
     // Non-destructive URL update
     const updateURL = useCallback((newFilters) => {
@@ -51,7 +57,6 @@ export const Men = () => {
         params.delete('movement');
         params.delete('strapMaterial');
         params.delete('sort');
-        params.delete('page');
         params.delete('search');
 
         Object.entries(newFilters).forEach(([key, value]) => {
@@ -67,7 +72,6 @@ export const Men = () => {
         const newFilters = {
             ...filters,
             [filterType]: value,
-            page: 1,
         };
         setFilters(newFilters);
         updateURL(newFilters);
@@ -78,30 +82,15 @@ export const Men = () => {
         const newFilters = {
             ...filters,
             sort: sortValue,
-            page: 1,
         };
         setFilters(newFilters);
         updateURL(newFilters);
     }, [filters, updateURL]);
 
-    const handlePageChange = useCallback((page) => {
-        const newFilters = {
-            ...filters,
-            page,
-        };
-        setFilters(newFilters);
-        updateURL(newFilters);
-
-        if (productGridRef.current) {
-            productGridRef.current.scrollIntoView({ behavior: 'smooth', block: 'start' });
-        }
-    }, [filters, updateURL]);
-
     const handleSearch = useCallback((searchValue) => {
         const newFilters = {
             ...filters,
             search: searchValue,
-            page: 1,
         };
         setFilters(newFilters);
         updateURL(newFilters);
@@ -132,7 +121,7 @@ export const Men = () => {
     }, [toggleWishlist, addToast]);
 
     const handleClearFilters = useCallback(() => {
-        const newFilters = { sort: '-createdAt', page: 1 };
+        const newFilters = { sort: '-createdAt' };
         setFilters(newFilters);
         updateURL(newFilters);
     }, [updateURL]);
@@ -269,12 +258,12 @@ export const Men = () => {
                     {/* Products Grid */}
                     <div>
                         <ShopToolbar
-                            totalResults={pagination.total}
+                            totalResults={total}
                             currentSort={filters.sort}
                             onSortChange={handleSortChange}
                         />
 
-                        <div ref={productGridRef} className="scroll-mt-32">
+                        <div className="scroll-mt-32">
                             {isLoading && products.length > 0 && (
                                 <div className="relative mb-6">
                                     <div className="absolute inset-0 bg-white/50 backdrop-blur-sm z-10 flex items-center justify-center rounded">
@@ -303,9 +292,9 @@ export const Men = () => {
                                     </div>
 
                                     <Pagination
-                                        currentPage={pagination.page}
-                                        totalPages={pagination.pages}
-                                        onPageChange={handlePageChange}
+                                        hasMore={hasMore}
+                                        onLoadMore={fetchNextPage}
+                                        isLoadingMore={isFetchingNextPage}
                                     />
                                 </>
                             ) : (
@@ -1,4 +1,5 @@
 import { useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { Loader2 } from 'lucide-react';
 import { useProfile } from '../hooks/useProfile';
 import ProfileHero from '../components/profile/ProfileHero';
@@ -8,6 +9,7 @@ import ProfileOrders from '../components/profile/ProfileOrders';
 import ProfileAddresses from '../components/profile/ProfileAddresses';
 import ProfileDetails from '../components/profile/ProfileDetails';
 import SecuritySettings from '../components/profile/SecuritySettings';
+import EmailPreferences from '../components/profile/EmailPreferences';
 
 /**
  * User Profile Page
@@ -32,7 +34,9 @@ const Profile = () => {
 
     // UI State for tabs
     // 'dashboard' | 'orders' | 'addresses' | 'details' | 'wishlist'
-    const [activeTab, setActiveTab] = useState('dashboard');
+    // Links (e.g. from order emails) can open a tab with ?tab=orders&order=<id>
+    const [searchParams] = useSearchParams();
+    const [activeTab, setActiveTab] = useState(searchParams.get('tab') || 'dashboard');
 
     if (!user) {
         return (
@@ -45,26 +49,29 @@ const Profile = () => {
     const renderContent = () => {
         switch (activeTab) {
             case 'orders':
-                return <ProfileOrders orders={orders} loading={ordersLoading} />;
-            case 'addresses':
                 return (
-                    <ProfileAddresses
-                        user={user}
-                        profileData={profileData}
-                        onTabChange={setActiveTab}
+                    <ProfileOrders
+                        orders={orders}
+                        loading={ordersLoading}
+                        highlightOrderId={searchParams.get('order')}
                     />
                 );
+            case 'addresses':
+                return <ProfileAddresses user={user} />;
             case 'details':
                 return (
-                    <ProfileDetails
-                        profileData={profileData}
-                        passwordData={passwordData}
-                        loading={loading}
-                        handleProfileChange={handleProfileChange}
-                        handlePasswordChange={handlePasswordChange}
-                        updateProfile={updateProfile}
-                        changePassword={changePassword}
-                    />
+                    <>
+                        <ProfileDetails
+                            profileData={profileData}
+                            passwordData={passwordData}
+                            loading={loading}
+                            handleProfileChange={handleProfileChange}
+                            handlePasswordChange={handlePasswordChange}
+                            updateProfile={updateProfile}
+                            changePassword={changePassword}
+                        />
+                        <EmailPreferences />
+                    </>
                 );
             case 'security':
                 return <SecuritySettings />;
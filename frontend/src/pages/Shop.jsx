@@ -1,8 +1,9 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { useSearchParams } from 'react-router-dom';
-import { productService } from '@services';
 import { ShopFilters, ShopToolbar, ProductCard, Pagination, SearchBar } from '@components/shop';
 import { useProducts } from '@hooks/useProducts';
+import { useFilterFacets } from '@hooks/useFilterFacets';
+import { productService } from '@services';
 import { useToast } from '../context/ToastContext';
 import { Loader2, SlidersHorizontal, X } from 'lucide-react';
 import { useCartStore } from '@store/cartStore';
@@ -29,7 +30,6 @@ export const Shop = () => {
   const { toggleWishlist } = useWishlistStore();
 
   // State
-  const [filterOptions, setFilterOptions] = useState(null);
   const [isMobileFilterOpen, setIsMobileFilterOpen] = useState(false);
 
   // Get filters from URL
@@ -37,6 +37,8 @@ export const Shop = () => {
     category: searchParams.getAll('category'),
     movement: searchParams.getAll('movement'),
     strapMaterial: searchParams.getAll('strapMaterial'),
+    minPrice: searchParams.get('minPrice') || '',
+    maxPrice: searchParams.get('maxPrice') || '',
     sort: searchParams.get('sort') || '-createdAt',
     page: parseInt(searchParams.get('page')) || 1,
     search: searchParams.get('search') || '',
@@ -45,7 +47,10 @@ export const Shop = () => {
   const [filters, setFilters] = useState(getFiltersFromURL());
 
   // Use custom hook for products (with race condition prevention)
-  const { products, pagination, isLoading, error } = useProducts(filters);
+  const { products, pagination, isLoading, error, searchId, searchRule } = useProducts(filters);
+
+  // Filter values with counts for the current filters
+  const { facets, error: facetsError } = useFilterFacets(filters);
 
   // Non-destructive URL update - merges with existing params
   const updateURL = useCallback((newFilters) => {
@@ -55,6 +60,8 @@ export const Shop = () => {
     params.delete('category');
     params.delete('movement');
     params.delete('strapMaterial');
+    params.delete('minPrice');
+    params.delete('maxPrice');
     params.delete('sort');
     params.delete('page');
     params.delete('search');
@@ -71,20 +78,9 @@ export const Shop = () => {
     setSearchParams(params, { replace: true }); // Use replace to avoid cluttering history
   }, [searchParams, setSearchParams]);
 
-  // Fetch filter options on mount
   useEffect(() => {
-    const fetchFilterOptions = async () => {
-      try {
-        const response = await productService.getFilterOptions();
-        setFilterOptions(response.data);
-      } catch (err) {
-        console.error('Failed to fetch filter options:', err);
-        addToast('Failed to load filters', 'error');
-      }
-    };
-
-    fetchFilterOptions();
-  }, [addToast]);
+    if (facetsError) addToast(facetsError, 'error');
+  }, [facetsError, addToast]);
 
   // Handle filter change
   const handleFilterChange = useCallback((filterType, values) => {
@@ -98,6 +94,19 @@ export const Shop = () => {
     setIsMobileFilterOpen(false); // Close mobile filter on selection
   }, [filters, updateURL]);
 
+  // Handle price range change (empty strings clear it)
+  const handlePriceChange = useCallback((minPrice, maxPrice) => {
+    const newFilters = {
+      ...filters,
+      minPrice,
+      maxPrice,
+      page: 1,
+    };
+    setFilters(newFilters);
+    updateURL(newFilters);
+    setIsMobileFilterOpen(false);
+  }, [filters, updateURL]);
+
   // Handle sort change
   const handleSortChange = useCallback((sortValue) => {
     const newFilters = {
@@ -161,6 +170,13 @@ export const Shop = () => {
     addToast(`${product.name} wishlist updated`, 'success');
   }, [addToast, toggleWishlist]);
 
+  // Search analytics: report which result was opened (best effort)
+  const handleProductOpen = useCallback((product, index) => {
+    if (!searchId) return;
+    const position = (pagination.page - 1) * pagination.limit + index + 1;
+    productService.trackSearchClick(searchId, product._id, position).catch(() => {});
+  }, [searchId, pagination.page, pagination.limit]);
+
   // Clear all filters
   const handleClearFilters = useCallback(() => {
     const newFilters = { sort: '-createdAt', page: 1 };
@@ -210,11 +226,12 @@ export const Shop = () => {
         <div className="grid grid-cols-1 lg:grid-cols-[280px_1fr] gap-12">
           {/* Desktop Filters Sidebar */}
           <div className="hidden lg:block">
-            {filterOptions && (
+            {facets && (
               <ShopFilters
                 filters={filters}
                 onFilterChange={handleFilterChange}
-                filterOptions={filterOptions}
+                onPriceChange={handlePriceChange}
+                facets={facets}
               />
             )}
           </div>
@@ -247,11 +264,12 @@ export const Shop = () => {
                   </button>
                 </div>
                 <div className="p-6">
-                  {filterOptions && (
+                  {facets && (
                     <ShopFilters
                       filters={filters}
                       onFilterChange={handleFilterChange}
-                      filterOptions={filterOptions}
+                      onPriceChange={handlePriceChange}
+                      facets={facets}
                     />
                   )}
                 </div>
@@ -261,6 +279,17 @@ export const Shop = () => {
 
           {/* Products Grid */}
           <div>
+            {/* Synonym / redirect applied to the search */}
+            {searchRule && filters.search && (
+              <p className="mb-6 px-4 py-3 bg-white border border-[#C9A962]/30 text-sm text-[#6B6B6B]">
+                {searchRule.type === 'redirect' ? (
+                  <>Showing {searchRule.description || 'our selection'} for &ldquo;{filters.search}&rdquo;</>
+                ) : (
+                  <>Also showing results for {searchRule.synonyms.join(', ')}</>
+                )}
+              </p>
+            )}
+
             <ShopToolbar
               totalResults={pagination.total}
               currentSort={filters.sort}
@@ -289,12 +318,13 @@ export const Shop = () => {
               {products.length > 0 ? (
                 <>
                   <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6">
-                    {products.map((product) => (
+                    {products.map((product, index) => (
                       <ProductCard
                         key={product._id}
                         product={product}
                         onAddToCart={handleAddToCart}
                         onAddToWishlist={handleAddToWishlist}
+                        onOpen={() => handleProductOpen(product, index)}
                       />
                     ))}
                   </div>
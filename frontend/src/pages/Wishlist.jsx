@@ -1,22 +1,318 @@
 import { useEffect, useState } from 'react';
-import { Link } from 'react-router-dom';
+import { Link, useParams } from 'react-router-dom';
+import PropTypes from 'prop-types';
 import { useWishlistStore } from '@store/wishlistStore';
 import { useCartStore } from '@store/cartStore';
 import { useAuthStore } from '@store/authStore';
+import { wishlistService } from '@services';
 import { useToast } from '../context/ToastContext';
-import { Loader2, Heart } from 'lucide-react';
+import { getProductPricing } from '@utils/helpers';
+import { Loader2, Heart, Plus, Link2, Lock, Copy, RefreshCw, Trash2, Star } from 'lucide-react';
+
+const formatPrice = (price) => {
+    return new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: 'USD',
+    }).format(price);
+};
+
+// Dynamic stock status based on actual product data
+const getStockStatus = (stock) => {
+    if (stock === 0) return {
+        label: 'Sold Out',
+        style: 'text-gray-400 line-through decoration-gray-400',
+        dot: 'bg-gray-400'
+    };
+    if (stock <= 5) return {
+        label: `Only ${stock} Left`,
+        style: 'text-[#d4a373]', // distinct low stock color
+        dot: 'bg-[#d4a373]'
+    };
+    return {
+        label: 'In Stock',
+        style: 'text-[#3a5a40]', // success color
+        dot: 'bg-[#3a5a40]'
+    };
+};
+
+const shareUrl = (token) => `${window.location.origin}/wishlist/shared/${token}`;
+
+const PageHeader = ({ eyebrow, title, subtitle }) => (
+    <header className="pt-32 pb-16 px-4 text-center border-b border-black/5 bg-gradient-to-b from-white to-[#FAF8F5]">
+        <span className="block text-xs uppercase tracking-[2px] text-[#C9A962] mb-4">{eyebrow}</span>
+        <h1 className="font-display text-4xl lg:text-5xl font-normal text-[#1A1A1A] mb-4">{title}</h1>
+        <div className="text-[#6B6B6B]">{subtitle}</div>
+    </header>
+);
+
+PageHeader.propTypes = {
+    eyebrow: PropTypes.string.isRequired,
+    title: PropTypes.string.isRequired,
+    subtitle: PropTypes.node,
+};
+
+const itemCount = (count) => `${count} ${count === 1 ? 'Item' : 'Items'}`;
+
+/**
+ * Wishlist product card
+ * Actions (remove, move, add to bag) are left out on shared, read-only lists
+ */
+const WishlistCard = ({ product, isRemoving, onRemove, onMoveToCart, moveTargets, onMove }) => {
+    const primaryImage = product.images?.find(img => img.isPrimary) || product.images?.[0] || { url: 'https://via.placeholder.com/300' };
+    const stockInfo = getStockStatus(product.stock || 0);
+    const pricing = getProductPricing(product);
+
+    // Tailwind classes for animation
+    const cardClasses = `
+        flex flex-col bg-white border border-black/5 relative transition-all duration-400 ease-[cubic-bezier(0.23,1,0.32,1)]
+        hover:-translate-y-1 hover:shadow-[0_15px_40px_rgba(0,0,0,0.05)] hover:border-[#C9A962]
+        ${isRemoving ? 'opacity-0 scale-90' : 'opacity-100 scale-100'}
+    `;
+
+    return (
+        <article className={cardClasses}>
+            {/* Remove Button */}
+            {onRemove && (
+                <button
+                    onClick={() => onRemove(product)}
+                    className="absolute top-4 right-4 w-[30px] h-[30px] flex items-center justify-center bg-white border border-black/10 text-gray-400 rounded-full hover:bg-[#9e2a2b] hover:border-[#9e2a2b] hover:text-white transition-all z-10"
+                    title="Remove from wishlist"
+                >
+                    ×
+                </button>
+            )}
+
+            {/* Image Area */}
+            <div className="bg-[#FAF8F5] h-[300px] p-8 relative overflow-hidden flex items-center justify-center group">
+                <Link to={`/product/${product.slug}`} className="block w-full h-full">
+                    <img
+                        src={primaryImage.url}
+                        alt={product.name}
+                        className={`w-full h-full object-contain transition-transform duration-500 ease-[cubic-bezier(0.23,1,0.32,1)] group-hover:scale-105 ${product.stock === 0 ? 'grayscale' : ''}`}
+                    />
+                </Link>
+            </div>
+
+            {/* Content */}
+            <div className="p-6 flex flex-col flex-grow">
+                <Link to={`/product/${product.slug}`} className="font-display text-2xl text-[#1A1A1A] mb-2 hover:text-[#C9A962] transition-colors decoration-0">
+                    {product.name}
+                </Link>
+
+                <div className="text-lg font-medium text-[#1A1A1A] mb-4">
+                    {formatPrice(pricing.price)}
+                    {pricing.compareAtPrice && (
+                        <span className="ml-2 text-sm font-normal text-[#6B6B6B] line-through">
+                            {formatPrice(pricing.compareAtPrice)}
+                        </span>
+                    )}
+                </div>
+
+                <div className={`text-xs uppercase tracking-widest mb-6 flex items-center gap-2 ${stockInfo.style}`}>
+                    <div className={`w-2 h-2 rounded-full ${stockInfo.dot}`}></div>
+                    {stockInfo.label}
+                </div>
+
+                {moveTargets?.length > 0 && (
+                    <select
+                        value=""
+                        onChange={(e) => onMove(product, e.target.value)}
+                        className="mb-4 w-full px-3 py-2 border border-black/10 bg-white text-xs uppercase tracking-widest text-[#6B6B6B] focus:outline-none focus:border-[#C9A962]"
+                        aria-label={`Move ${product.name} to another list`}
+                    >
+                        <option value="" disabled>Move to...</option>
+                        {moveTargets.map(list => (
+                            <option key={list._id} value={list._id}>{list.name}</option>
+                        ))}
+                    </select>
+                )}
+
+                <div className="mt-auto">
+                    {onMoveToCart ? (
+                        <button
+                            disabled={product.stock === 0}
+                            onClick={() => onMoveToCart(product)}
+                            className="w-full py-4 border border-[#1A1A1A] bg-[#1A1A1A] text-white text-xs uppercase tracking-[2px] transition-all hover:bg-[#C9A962] hover:border-[#C9A962] disabled:opacity-50 disabled:bg-gray-100 disabled:text-gray-400 disabled:border-transparent disabled:cursor-not-allowed"
+                        >
+                            {product.stock === 0 ? 'Notify Me' : 'Add to Bag'}
+                        </button>
+                    ) : (
+                        <Link
+                            to={`/product/${product.slug}`}
+                            className="block w-full py-4 border border-[#1A1A1A] text-center text-[#1A1A1A] text-xs uppercase tracking-[2px] transition-all hover:bg-[#C9A962] hover:border-[#C9A962] hover:text-white"
+                        >
+                            View Watch
+                        </Link>
+                    )}
+                </div>
+            </div>
+        </article>
+    );
+};
+
+WishlistCard.propTypes = {
+    product: PropTypes.object.isRequired,
+    isRemoving: PropTypes.bool,
+    onRemove: PropTypes.func,
+    onMoveToCart: PropTypes.func,
+    moveTargets: PropTypes.array,
+    onMove: PropTypes.func,
+};
+
+/**
+ * List settings: rename, privacy and share link, default, delete
+ */
+const ListSettings = ({ list }) => {
+    const { updateList, deleteList, regenerateShareToken } = useWishlistStore();
+    const { addToast } = useToast();
+    const [name, setName] = useState(list.name);
+    const [busy, setBusy] = useState(false);
+
+    useEffect(() => {
+        setName(list.name);
+    }, [list.name]);
+
+    const run = async (action, successMessage) => {
+        setBusy(true);
+        try {
+            await action();
+            if (successMessage) addToast(successMessage, 'success');
+        } catch (error) {
+            addToast(error.response?.data?.message || 'Failed to update wishlist', 'error');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleRename = (e) => {
+        e.preventDefault();
+        if (!name.trim() || name.trim() === list.name) return;
+        run(() => updateList(list._id, { name: name.trim() }), 'List renamed');
+    };
+
+    const copyLink = () => {
+        navigator.clipboard.writeText(shareUrl(list.shareToken));
+        addToast('Share link copied to clipboard', 'success');
+    };
+
+    const handleNewLink = () => {
+        if (window.confirm('Create a new share link? Anyone with the old link will no longer see this list.')) {
+            run(() => regenerateShareToken(list._id), 'New share link created');
+        }
+    };
+
+    const handleDelete = () => {
+        if (window.confirm(`Delete "${list.name}" and the watches saved in it?`)) {
+            run(() => deleteList(list._id), 'List deleted');
+        }
+    };
+
+    return (
+        <div className="max-w-3xl mx-auto mb-12 p-6 bg-white border border-black/5 space-y-4">
+            <form onSubmit={handleRename} className="flex gap-3">
+                <input
+                    type="text"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    maxLength={60}
+                    className="flex-1 px-4 py-2 border border-black/10 focus:outline-none focus:border-[#C9A962]"
+                    aria-label="List name"
+                />
+                <button
+                    type="submit"
+                    disabled={busy || !name.trim() || name.trim() === list.name}
+                    className="px-6 py-2 border border-[#1A1A1A] text-xs uppercase tracking-[2px] hover:bg-[#1A1A1A] hover:text-white transition-colors disabled:opacity-40"
+                >
+                    Rename
+                </button>
+            </form>
+
+            <div className="flex flex-wrap items-center gap-3 text-sm">
+                <button
+                    onClick={() => run(() => updateList(list._id, { privacy: list.privacy === 'shared' ? 'private' : 'shared' }))}
+                    disabled={busy}
+                    className="flex items-center gap-2 px-4 py-2 border border-black/10 hover:border-[#C9A962] transition-colors disabled:opacity-40"
+                >
+                    {list.privacy === 'shared' ? <Link2 size={14} /> : <Lock size={14} />}
+                    {list.privacy === 'shared' ? 'Shared via link' : 'Private'}
+                </button>
+                {!list.isDefault && (
+                    <button
+                        onClick={() => run(() => updateList(list._id, { isDefault: true }), `${list.name} is now your default list`)}
+                        disabled={busy}
+                        className="flex items-center gap-2 px-4 py-2 border border-black/10 hover:border-[#C9A962] transition-colors disabled:opacity-40"
+                    >
+                        <Star size={14} /> Make Default
+                    </button>
+                )}
+                {!list.isDefault && (
+                    <button
+                        onClick={handleDelete}
+                        disabled={busy}
+                        className="flex items-center gap-2 px-4 py-2 border border-black/10 text-[#9e2a2b] hover:border-[#9e2a2b] transition-colors disabled:opacity-40"
+                    >
+                        <Trash2 size={14} /> Delete List
+                    </button>
+                )}
+                {list.isDefault && (
+                    <span className="text-xs text-[#6B6B6B]">Your default list. Hearts across the shop save here.</span>
+                )}
+            </div>
+
+            {list.privacy === 'shared' && list.shareToken && (
+                <div className="flex flex-col md:flex-row gap-3">
+                    <input
+                        type="text"
+                        readOnly
+                        value={shareUrl(list.shareToken)}
+                        onFocus={(e) => e.target.select()}
+                        className="flex-1 px-4 py-2 bg-[#FAF8F5] border border-black/10 text-sm text-[#6B6B6B]"
+                        aria-label="Share link"
+                    />
+                    <button
+                        onClick={copyLink}
+                        className="flex items-center justify-center gap-2 px-4 py-2 bg-[#1A1A1A] text-white text-xs uppercase tracking-[2px] hover:bg-[#C9A962] transition-colors"
+                    >
+                        <Copy size={14} /> Copy
+                    </button>
+                    <button
+                        onClick={handleNewLink}
+                        disabled={busy}
+                        className="flex items-center justify-center gap-2 px-4 py-2 border border-black/10 text-xs uppercase tracking-[2px] hover:border-[#C9A962] transition-colors disabled:opacity-40"
+                    >
+                        <RefreshCw size={14} /> New Link
+                    </button>
+                </div>
+            )}
+            {list.privacy === 'shared' && (
+                <p className="text-xs text-[#6B6B6B]">Anyone with the link can view this list. They cannot change it.</p>
+            )}
+        </div>
+    );
+};
+
+ListSettings.propTypes = {
+    list: PropTypes.object.isRequired,
+};
 
 export const Wishlist = () => {
-    const { items, fetchWishlist, toggleWishlist, isLoading } = useWishlistStore();
+    const { lists, items, fetchWishlist, toggleWishlist, createList, moveItem, isLoading } = useWishlistStore();
     const { addToCart } = useCartStore();
     const { isLoggedIn } = useAuthStore();
     const { addToast } = useToast();
     const [removingId, setRemovingId] = useState(null);
+    const [activeListId, setActiveListId] = useState(null);
 
     useEffect(() => {
         fetchWishlist();
     }, [fetchWishlist]);
 
+    // Named lists are only kept for signed-in customers
+    const activeList = isLoggedIn
+        ? lists.find(list => list._id === activeListId) || lists[0]
+        : null;
+    const products = activeList ? activeList.products : items;
+
     const handleMoveToCart = async (product) => {
         const success = await addToCart(product);
         if (success) {
@@ -28,38 +324,33 @@ export const Wishlist = () => {
         setRemovingId(product._id);
         // Delay for animation
         setTimeout(async () => {
-            await toggleWishlist(product);
+            await toggleWishlist(product, activeList?._id);
             setRemovingId(null);
         }, 400);
     };
 
-    const formatPrice = (price) => {
-        return new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'USD',
-        }).format(price);
+    const handleMove = async (product, toListId) => {
+        try {
+            const message = await moveItem(activeList._id, product._id, toListId);
+            addToast(message, 'success');
+        } catch (error) {
+            addToast(error.response?.data?.message || 'Failed to move item', 'error');
+        }
     };
 
-    // Dynamic stock status based on actual product data
-    const getStockStatus = (stock) => {
-        if (stock === 0) return {
-            label: 'Sold Out',
-            style: 'text-gray-400 line-through decoration-gray-400',
-            dot: 'bg-gray-400'
-        };
-        if (stock <= 5) return {
-            label: `Only ${stock} Left`,
-            style: 'text-[#d4a373]', // distinct low stock color
-            dot: 'bg-[#d4a373]'
-        };
-        return {
-            label: 'In Stock',
-            style: 'text-[#3a5a40]', // success color
-            dot: 'bg-[#3a5a40]'
-        };
+    const handleCreateList = async () => {
+        const name = window.prompt('Name your new list, e.g. "Anniversary ideas"');
+        if (!name?.trim()) return;
+
+        try {
+            const list = await createList({ name: name.trim() });
+            setActiveListId(list._id);
+        } catch (error) {
+            addToast(error.response?.data?.message || 'Failed to create list', 'error');
+        }
     };
 
-    if (isLoading && items.length === 0) {
+    if (isLoading && items.length === 0 && lists.length === 0) {
         return (
             <div className="min-h-screen flex items-center justify-center bg-[#FAF8F5]">
                 <div className="text-center">
@@ -70,15 +361,11 @@ export const Wishlist = () => {
         );
     }
 
-    // Empty State
-    if (items.length === 0) {
+    // Empty State (nothing saved in any list)
+    if (items.length === 0 && lists.length <= 1) {
         return (
             <div className="min-h-screen bg-[#FAF8F5]">
-                <header className="pt-32 pb-16 px-4 text-center border-b border-black/5 bg-gradient-to-b from-white to-[#FAF8F5]">
-                    <span className="block text-xs uppercase tracking-[2px] text-[#C9A962] mb-4">Your Selection</span>
-                    <h1 className="font-display text-4xl lg:text-5xl font-normal text-[#1A1A1A] mb-4">Saved Timepieces</h1>
-                    <div className="text-[#6B6B6B]">0 Items</div>
-                </header>
+                <PageHeader eyebrow="Your Selection" title="Saved Timepieces" subtitle="0 Items" />
 
                 <div className="min-h-[60vh] flex flex-col items-center justify-center px-4 text-center">
                     <Heart className="w-16 h-16 text-[#C9A962] opacity-50 mb-8" />
@@ -95,14 +382,16 @@ export const Wishlist = () => {
         );
     }
 
+    const moveTargets = activeList ? lists.filter(list => list._id !== activeList._id) : [];
+
     return (
         <div className="min-h-screen bg-[#FAF8F5]">
             {/* Header */}
-            <header className="pt-32 pb-16 px-4 text-center border-b border-black/5 bg-gradient-to-b from-white to-[#FAF8F5]">
-                <span className="block text-xs uppercase tracking-[2px] text-[#C9A962] mb-4">Your Selection</span>
-                <h1 className="font-display text-4xl lg:text-5xl font-normal text-[#1A1A1A] mb-4">Saved Timepieces</h1>
-                <div className="text-[#6B6B6B]">{items.length} {items.length === 1 ? 'Item' : 'Items'}</div>
-            </header>
+            <PageHeader
+                eyebrow="Your Selection"
+                title={activeList && lists.length > 1 ? activeList.name : 'Saved Timepieces'}
+                subtitle={itemCount(products.length)}
+            />
 
             <section className="max-w-[1400px] mx-auto px-4 py-16">
                 {/* Login Banner for Guests */}
@@ -113,74 +402,124 @@ export const Wishlist = () => {
                     </div>
                 )}
 
-                {/* Grid */}
-                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-10">
-                    {items.map((product) => {
-                        const primaryImage = product.images?.find(img => img.isPrimary) || product.images?.[0] || { url: 'https://via.placeholder.com/300' };
-                        const stockInfo = getStockStatus(product.stock || 0);
-                        const isRemoving = removingId === product._id;
-
-                        // Tailwind classes for animation
-                        const cardClasses = `
-                            flex flex-col bg-white border border-black/5 relative transition-all duration-400 ease-[cubic-bezier(0.23,1,0.32,1)]
-                            hover:-translate-y-1 hover:shadow-[0_15px_40px_rgba(0,0,0,0.05)] hover:border-[#C9A962]
-                            ${isRemoving ? 'opacity-0 scale-90' : 'opacity-100 scale-100'}
-                        `;
-
-                        return (
-                            <article key={product._id} className={cardClasses}>
-                                {/* Remove Button */}
+                {/* Lists */}
+                {activeList && (
+                    <>
+                        <nav className="flex flex-wrap justify-center gap-3 mb-8">
+                            {lists.map(list => (
                                 <button
-                                    onClick={() => handleRemove(product)}
-                                    className="absolute top-4 right-4 w-[30px] h-[30px] flex items-center justify-center bg-white border border-black/10 text-gray-400 rounded-full hover:bg-[#9e2a2b] hover:border-[#9e2a2b] hover:text-white transition-all z-10"
-                                    title="Remove from wishlist"
+                                    key={list._id}
+                                    onClick={() => setActiveListId(list._id)}
+                                    className={`flex items-center gap-2 px-5 py-2 text-xs uppercase tracking-[2px] border transition-colors ${list._id === activeList._id
+                                        ? 'bg-[#1A1A1A] border-[#1A1A1A] text-white'
+                                        : 'bg-white border-black/10 text-[#1A1A1A] hover:border-[#C9A962]'
+                                        }`}
                                 >
-                                    ×
+                                    {list.privacy === 'shared' && <Link2 size={12} />}
+                                    {list.name} ({list.products.length})
                                 </button>
+                            ))}
+                            <button
+                                onClick={handleCreateList}
+                                className="flex items-center gap-2 px-5 py-2 text-xs uppercase tracking-[2px] border border-dashed border-[#C9A962] text-[#C9A962] hover:bg-white transition-colors"
+                            >
+                                <Plus size={12} /> New List
+                            </button>
+                        </nav>
 
-                                {/* Image Area */}
-                                <div className="bg-[#FAF8F5] h-[300px] p-8 relative overflow-hidden flex items-center justify-center group">
-                                    <Link to={`/product/${product.slug}`} className="block w-full h-full">
-                                        <img
-                                            src={primaryImage.url}
-                                            alt={product.name}
-                                            className={`w-full h-full object-contain transition-transform duration-500 ease-[cubic-bezier(0.23,1,0.32,1)] group-hover:scale-105 ${product.stock === 0 ? 'grayscale' : ''}`}
-                                        />
-                                    </Link>
-                                </div>
-
-                                {/* Content */}
-                                <div className="p-6 flex flex-col flex-grow">
-                                    <Link to={`/product/${product.slug}`} className="font-display text-2xl text-[#1A1A1A] mb-2 hover:text-[#C9A962] transition-colors decoration-0">
-                                        {product.name}
-                                    </Link>
-
-                                    <div className="text-lg font-medium text-[#1A1A1A] mb-4">
-                                        {formatPrice(product.price)}
-                                    </div>
-
-                                    <div className={`text-xs uppercase tracking-widest mb-6 flex items-center gap-2 ${stockInfo.style}`}>
-                                        <div className={`w-2 h-2 rounded-full ${stockInfo.dot}`}></div>
-                                        {stockInfo.label}
-                                    </div>
-
-                                    <div className="mt-auto">
-                                        <button
-                                            disabled={product.stock === 0}
-                                            onClick={() => handleMoveToCart(product)}
-                                            className="w-full py-4 border border-[#1A1A1A] bg-[#1A1A1A] text-white text-xs uppercase tracking-[2px] transition-all hover:bg-[#C9A962] hover:border-[#C9A962] disabled:opacity-50 disabled:bg-gray-100 disabled:text-gray-400 disabled:border-transparent disabled:cursor-not-allowed"
-                                        >
-                                            {product.stock === 0 ? 'Notify Me' : 'Add to Bag'}
-                                        </button>
-                                    </div>
-                                </div>
-                            </article>
-                        );
-                    })}
-                </div>
+                        <ListSettings key={activeList._id} list={activeList} />
+                    </>
+                )}
+
+                {/* Grid */}
+                {products.length > 0 ? (
+                    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-10">
+                        {products.map((product) => (
+                            <WishlistCard
+                                key={product._id}
+                                product={product}
+                                isRemoving={removingId === product._id}
+                                onRemove={handleRemove}
+                                onMoveToCart={handleMoveToCart}
+                                moveTargets={moveTargets}
+                                onMove={handleMove}
+                            />
+                        ))}
+                    </div>
+                ) : (
+                    <p className="text-center text-[#6B6B6B] py-16">
+                        This list is empty. Move watches here from your other lists.
+                    </p>
+                )}
             </section>
         </div>
     );
 };
 
+/**
+ * Shared Wishlist Page
+ * Read-only view of a list someone shared by link; no sign-in needed
+ */
+export const SharedWishlist = () => {
+    const { token } = useParams();
+    const [list, setList] = useState(null);
+    const [error, setError] = useState('');
 
+    useEffect(() => {
+        let cancelled = false;
+        wishlistService.getSharedList(token)
+            .then(response => !cancelled && setList(response.data))
+            .catch(err => !cancelled && setError(err.response?.data?.message || 'This wishlist could not be loaded.'));
+        return () => {
+            cancelled = true;
+        };
+    }, [token]);
+
+    if (error) {
+        return (
+            <div className="min-h-screen bg-[#FAF8F5]">
+                <PageHeader eyebrow="Shared Wishlist" title="Wishlist Unavailable" />
+                <div className="min-h-[40vh] flex flex-col items-center justify-center px-4 text-center">
+                    <Lock className="w-12 h-12 text-[#C9A962] opacity-50 mb-6" />
+                    <p className="text-[#6B6B6B] mb-10 max-w-md">{error}</p>
+                    <Link
+                        to="/shop"
+                        className="px-12 py-4 bg-[#1A1A1A] text-white text-xs uppercase tracking-[2px] hover:bg-[#C9A962] transition-colors"
+                    >
+                        Explore Collection
+                    </Link>
+                </div>
+            </div>
+        );
+    }
+
+    if (!list) {
+        return (
+            <div className="min-h-screen flex items-center justify-center bg-[#FAF8F5]">
+                <Loader2 className="w-12 h-12 text-[#C9A962] animate-spin" />
+            </div>
+        );
+    }
+
+    return (
+        <div className="min-h-screen bg-[#FAF8F5]">
+            <PageHeader
+                eyebrow={list.ownerName ? `Shared by ${list.ownerName}` : 'Shared Wishlist'}
+                title={list.name}
+                subtitle={itemCount(list.products.length)}
+            />
+
+            <section className="max-w-[1400px] mx-auto px-4 py-16">
+                {list.products.length > 0 ? (
+                    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-10">
+                        {list.products.map(product => (
+                            <WishlistCard key={product._id} product={product} />
+                        ))}
+                    </div>
+                ) : (
+                    <p className="text-center text-[#6B6B6B] py-16">There are no watches in this list yet.</p>
+                )}
+            </section>
+        </div>
+    );
+};
@@ -1,7 +1,7 @@
-import { useState, useCallback, useRef } from 'react';
+import { useState, useCallback } from 'react';
 import { useSearchParams } from 'react-router-dom';
 import { ShopToolbar, ProductCard, Pagination, SearchBar } from '@components/shop';
-import { useGenderProducts } from '@hooks';
+import { useInfiniteGenderProducts } from '@hooks';
 import { useToast } from '../context/ToastContext';
 import { useCartStore } from '@store/cartStore';
 import { useWishlistStore } from '@store/wishlistStore';
@@ -11,7 +11,7 @@ import { Loader2, SlidersHorizontal, X } from 'lucide-react';
  * Women's Collection Page
  * 
  * Architecture: Same as Men's page (DRY principle)
- * - useGenderProducts hook
+ * - useInfiniteGenderProducts hook (infinite scroll)
  * - Reusable components
  * - Race condition prevention
  * - Non-destructive URLs
@@ -21,7 +21,6 @@ export const Women = () => {
     const { addToast } = useToast();
     const { addToCart } = useCartStore();
     const { toggleWishlist } = useWishlistStore();
-    const productGridRef = useRef(null);
 
     const [isMobileFilterOpen, setIsMobileFilterOpen] = useState(false);
 
@@ -29,13 +28,20 @@ export const Women = () => {
         movement: searchParams.get('movement') || '',
         strapMaterial: searchParams.get('strapMaterial') || '',
         sort: searchParams.get('sort') || '-createdAt',
-        page: parseInt(searchParams.get('page')) || 1,
         search: searchParams.get('search') || '',
     });
 
     const [filters, setFilters] = useState(getFiltersFromURL());
 
-    const { products, pagination, isLoading, error } = useGenderProducts('women', filters);
+    const {
+        products,
+        total,
+        isLoading,
+        error,
+        hasMore,
+        fetchNextPage,
+        isFetchingNextPage,
+    } = useInfiniteGenderProducts('women', filters);
 
     const updateURL = useCallback((newFilters) => {
         const params = new URLSearchParams(searchParams);
@@ -43,7 +49,6 @@ export const Women = () => {
         params.delete('movement');
         params.delete('strapMaterial');
         params.delete('sort');
-        params.delete('page');
         params.delete('search');
 
         Object.entries(newFilters).forEach(([key, value]) => {
@@ -59,7 +64,6 @@ export const Women = () => {
         const newFilters = {
             ...filters,
             [filterType]: value,
-            page: 1,
         };
         setFilters(newFilters);
         updateURL(newFilters);
@@ -70,30 +74,15 @@ export const Women = () => {
         const newFilters = {
             ...filters,
             sort: sortValue,
-            page: 1,
         };
         setFilters(newFilters);
         updateURL(newFilters);
     }, [filters, updateURL]);
 
-    const handlePageChange = useCallback((page) => {
-        const newFilters = {
-            ...filters,
-            page,
-        };
-        setFilters(newFilters);
-        updateURL(newFilters);
-
-        if (productGridRef.current) {
-            productGridRef.current.scrollIntoView({ behavior: 'smooth', block: 'start' });
-        }
-    }, [filters, updateURL]);
-
     const handleSearch = useCallback((searchValue) => {
         const newFilters = {
             ...filters,
             search: searchValue,
-            page: 1,
         };
         setFilters(newFilters);
         updateURL(newFilters);
@@ -124,7 +113,7 @@ export const Women = () => {
     }, [toggleWishlist, addToast]);
 
     const handleClearFilters = useCallback(() => {
-        const newFilters = { sort: '-createdAt', page: 1 };
+        const newFilters = { sort: '-createdAt' };
         setFilters(newFilters);
         updateURL(newFilters);
     }, [updateURL]);
@@ -260,12 +249,12 @@ export const Women = () => {
                     {/* Products Grid */}
                     <div>
                         <ShopToolbar
-                            totalResults={pagination.total}
+                            totalResults={total}
                             currentSort={filters.sort}
                             onSortChange={handleSortChange}
                         />
 
-                        <div ref={productGridRef} className="scroll-mt-32">
+                        <div className="scroll-mt-32">
                             {isLoading && products.length > 0 && (
                                 <div className="relative mb-6">
                                     <div className="absolute inset-0 bg-white/50 backdrop-blur-sm z-10 flex items-center justify-center rounded">
@@ -294,9 +283,9 @@ export const Women = () => {
                                     </div>
 
                                     <Pagination
-                                        currentPage={pagination.page}
-                                        totalPages={pagination.pages}
-                                        onPageChange={handlePageChange}
+                                        hasMore={hasMore}
+                                        onLoadMore={fetchNextPage}
+                                        isLoadingMore={isFetchingNextPage}
                                     />
                                 </>
                             ) : (
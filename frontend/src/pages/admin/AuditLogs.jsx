@@ -1,5 +1,5 @@
 import { useState } from 'react';
-import { useAuditLogs } from '../../hooks/useAdmin';
+import { useInfiniteAuditLogs } from '../../hooks/useAdmin';
 import { Filter, AlertCircle } from 'lucide-react';
 import { formatDateTime } from '../../utils/formatters';
 import {
@@ -8,22 +8,29 @@ import {
     AdminSearch,
     AdminFilter,
     AdminBadge,
-    Pagination
+    LoadMore
 } from '../../components/admin/common/AdminComponents';
 
 /**
  * Audit Logs Page
  * Admin page for viewing system audit logs
  * Luxury Light Theme Implementation
+ * Logs load as you scroll (cursor pagination), which stays fast on a large log
  */
 
 const AuditLogs = () => {
-    const [page, setPage] = useState(1);
     const [eventType, setEventType] = useState('');
     const [search, setSearch] = useState('');
     const limit = 20;
 
-    const { data, isLoading, error } = useAuditLogs({ page, limit, eventType, search });
+    const {
+        data,
+        isLoading,
+        error,
+        hasNextPage,
+        fetchNextPage,
+        isFetchingNextPage,
+    } = useInfiniteAuditLogs({ limit, eventType, search });
 
     if (error) {
         return (
@@ -34,8 +41,9 @@ const AuditLogs = () => {
         );
     }
 
-    const logs = data?.logs || [];
-    const pagination = data?.pagination || {};
+    const pages = data?.pages || [];
+    const logs = pages.flatMap(page => page.logs);
+    const total = pages[0]?.pagination.total;
 
     const eventTypes = [
         { value: '', label: 'All Events' },
@@ -79,7 +87,6 @@ const AuditLogs = () => {
                     value={search}
                     onChange={(e) => {
                         setSearch(e.target.value);
-                        setPage(1);
                     }}
                     placeholder="Search logs..."
                 />
@@ -87,7 +94,6 @@ const AuditLogs = () => {
                     value={eventType}
                     onChange={(e) => {
                         setEventType(e.target.value);
-                        setPage(1);
                     }}
                     options={eventTypes}
                     icon={Filter}
@@ -190,14 +196,14 @@ const AuditLogs = () => {
                     </div>
                 )}
 
-                {/* Pagination */}
-                {pagination.pages > 1 && (
-                    <Pagination
-                        page={page}
-                        totalPages={pagination.pages}
-                        totalItems={pagination.total}
-                        onNext={() => setPage(page + 1)}
-                        onPrev={() => setPage(page - 1)}
+                {/* Infinite scroll */}
+                {logs.length > 0 && (
+                    <LoadMore
+                        hasMore={Boolean(hasNextPage)}
+                        onLoadMore={fetchNextPage}
+                        isLoadingMore={isFetchingNextPage}
+                        loadedItems={logs.length}
+                        totalItems={total}
                     />
                 )}
             </AdminCard>
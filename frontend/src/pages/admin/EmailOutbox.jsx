@@ -0,0 +1,343 @@
+import { Fragment, useState } from 'react';
+import { Filter, RotateCcw, Lock } from 'lucide-react';
+import {
+    useEmailTemplates,
+    useEmailTemplatePreview,
+    useOutboxMessages,
+    useOutboxMessage,
+    useRetryOutboxMessage,
+} from '../../hooks/useAdmin';
+import { formatDateTime } from '../../utils/formatters';
+import {
+    AdminPageHeader,
+    AdminCard,
+    AdminSearch,
+    AdminFilter,
+    AdminBadge,
+    Pagination
+} from '../../components/admin/common/AdminComponents';
+
+/**
+ * Email Outbox Page
+ * Delivery status of queued emails and previews of every email template
+ */
+
+const STATUS_OPTIONS = [
+    { value: '', label: 'All Statuses' },
+    { value: 'queued', label: 'Queued' },
+    { value: 'sending', label: 'Sending' },
+    { value: 'sent', label: 'Sent' },
+    { value: 'dead', label: 'Dead-lettered' },
+];
+
+const STATUS_VARIANTS = {
+    queued: 'warning',
+    sending: 'primary',
+    sent: 'success',
+    dead: 'danger',
+};
+
+// Renders an email body in a sandboxed frame so its styles stay isolated
+const EmailFrame = ({ html, title }) => (
+    <iframe
+        title={title}
+        srcDoc={html}
+        sandbox=""
+        className="w-full h-[480px] bg-white border border-[#C9A962]/20 rounded-xl"
+    />
+);
+
+const MessageDetails = ({ messageId }) => {
+    const { data, isLoading } = useOutboxMessage(messageId);
+    const message = data?.message;
+
+    if (isLoading || !message) {
+        return <p className="text-sm text-gray-500">Loading message...</p>;
+    }
+
+    return (
+        <div className="space-y-3">
+            {message.lastError && (
+                <p className="text-sm text-red-600">
+                    <span className="font-medium">Last error:</span> {message.lastError}
+                </p>
+            )}
+            {message.metadata && Object.keys(message.metadata).length > 0 && (
+                <pre className="text-xs text-gray-600 whitespace-pre-wrap">
+                    {JSON.stringify(message.metadata, null, 2)}
+                </pre>
+            )}
+            {message.html ? (
+                <EmailFrame html={message.html} title={message.subject} />
+            ) : (
+                <p className="flex items-center gap-2 text-sm text-gray-500">
+                    <Lock size={14} />
+                    {message.sensitive
+                        ? 'This email contains a one-time link or code; its content is not shown.'
+                        : 'The content of this email is no longer stored.'}
+                </p>
+            )}
+        </div>
+    );
+};
+
+const TemplatePreview = () => {
+    const { data: templatesData } = useEmailTemplates();
+    const templates = templatesData?.templates || [];
+    const [selected, setSelected] = useState('');
+    const [format, setFormat] = useState('html');
+
+    const name = selected || templates[0]?.name;
+    const template = templates.find(t => t.name === name);
+    const { data, isLoading, error } = useEmailTemplatePreview(name);
+    const preview = data?.preview;
+
+    return (
+        <AdminCard className="p-6">
+            <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 mb-6">
+                <div>
+                    <h2 className="text-lg font-semibold text-gray-900">Template Preview</h2>
+                    <p className="text-sm text-gray-500">Rendered with sample data</p>
+                </div>
+                <div className="flex gap-4">
+                    <AdminFilter
+                        value={name || ''}
+                        onChange={(e) => setSelected(e.target.value)}
+                        options={templates.map(t => ({ value: t.name, label: `${t.name} (v${t.version})` }))}
+                    />
+                    <AdminFilter
+                        value={format}
+                        onChange={(e) => setFormat(e.target.value)}
+                        options={[
+                            { value: 'html', label: 'HTML' },
+                            { value: 'text', label: 'Plain text' },
+                        ]}
+                    />
+                </div>
+            </div>
+
+            {template && (
+                <p className="text-sm text-gray-600 mb-4">
+                    {template.description}
+                    {template.sensitive && (
+                        <span className="ml-2"><AdminBadge variant="gold">sensitive</AdminBadge></span>
+                    )}
+                </p>
+            )}
+
+            {isLoading ? (
+                <p className="text-sm text-gray-500">Rendering preview...</p>
+            ) : error ? (
+                <p className="text-sm text-red-600">{error.response?.data?.message || error.message}</p>
+            ) : preview && (
+                <div className="space-y-3">
+                    <p className="text-sm">
+                        <span className="text-gray-500">Subject:</span>{' '}
+                        <span className="font-medium text-gray-900">{preview.subject}</span>
+                    </p>
+                    {format === 'html' ? (
+                        <EmailFrame html={preview.html} title={`${preview.name} preview`} />
+                    ) : (
+                        <pre className="text-sm text-gray-700 whitespace-pre-wrap bg-[#FAF8F5] p-4 rounded-xl">
+                            {preview.text}
+                        </pre>
+                    )}
+                </div>
+            )}
+        </AdminCard>
+    );
+};
+
+const EmailOutbox = () => {
+    const [page, setPage] = useState(1);
+    const [status, setStatus] = useState('');
+    const [to, setTo] = useState('');
+    const [expandedId, setExpandedId] = useState(null);
+    const limit = 20;
+
+    const { data, isLoading, error } = useOutboxMessages({ page, limit, status, to });
+    const retryMutation = useRetryOutboxMessage();
+
+    const messages = data?.messages || [];
+    const counts = data?.counts || {};
+    const pagination = data?.pagination || {};
+
+    const handleRetry = async (messageId) => {
+        try {
+            await retryMutation.mutateAsync(messageId);
+        } catch (err) {
+            alert(err.response?.data?.message || 'Failed to retry email');
+        }
+    };
+
+    if (error) {
+        return (
+            <div className="p-8 text-center text-red-600">
+                <h2 className="text-2xl font-bold mb-2">Error Loading Emails</h2>
+                <p>{error.message}</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="max-w-[1400px] mx-auto p-6 lg:p-10 space-y-8">
+            <AdminPageHeader
+                title="Emails"
+                description="Delivery status of outgoing emails and template previews"
+            />
+
+            {/* Status Counts */}
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                {STATUS_OPTIONS.slice(1).map(option => (
+                    <button
+                        key={option.value}
+                        onClick={() => {
+                            setStatus(status === option.value ? '' : option.value);
+                            setPage(1);
+                        }}
+                        className={`text-left p-4 rounded-xl border transition-colors bg-white ${status === option.value ? 'border-[#C9A962]' : 'border-[#C9A962]/10 hover:border-[#C9A962]/40'}`}
+                    >
+                        <p className="text-xs uppercase text-gray-500 font-medium">{option.label}</p>
+                        <p className="text-2xl font-semibold text-gray-900">{counts[option.value] ?? 0}</p>
+                    </button>
+                ))}
+            </div>
+
+            {/* Filters */}
+            <div className="flex flex-col md:flex-row gap-4">
+                <AdminSearch
+                    value={to}
+                    onChange={(e) => {
+                        setTo(e.target.value);
+                        setPage(1);
+                    }}
+                    placeholder="Recipient email..."
+                />
+                <AdminFilter
+                    value={status}
+                    onChange={(e) => {
+                        setStatus(e.target.value);
+                        setPage(1);
+                    }}
+                    options={STATUS_OPTIONS}
+                    icon={Filter}
+                />
+            </div>
+
+            {/* Outbox Table */}
+            <AdminCard>
+                {isLoading ? (
+                    <div className="flex flex-col items-center justify-center p-16 text-gray-500">
+                        <div className="w-12 h-12 border-4 border-[#C9A962]/30 border-t-[#C9A962] rounded-full animate-spin mb-4" />
+                        <p>Loading emails...</p>
+                    </div>
+                ) : messages.length > 0 ? (
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-left border-collapse">
+                            <thead>
+                                <tr className="bg-[#FAF8F5] text-xs uppercase text-gray-500 font-medium border-b border-[#C9A962]/10">
+                                    <th className="px-6 py-4">Email</th>
+                                    <th className="px-6 py-4">Recipient</th>
+                                    <th className="px-6 py-4">Status</th>
+                                    <th className="px-6 py-4">Attempts</th>
+                                    <th className="px-6 py-4">Queued</th>
+                                    <th className="px-6 py-4">Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-[#C9A962]/10">
+                                {messages.map((message) => (
+                                    <Fragment key={message._id}>
+                                        <tr className="hover:bg-[#FAF8F5]/50 transition-colors text-sm">
+                                            <td className="px-6 py-4">
+                                                <div className="flex flex-col">
+                                                    <span className="font-medium text-gray-900">{message.subject}</span>
+                                                    <span className="text-xs text-gray-400 font-mono">
+                                                        {message.template} v{message.templateVersion}
+                                                    </span>
+                                                </div>
+                                            </td>
+                                            <td className="px-6 py-4 text-gray-700">{message.to}</td>
+                                            <td className="px-6 py-4">
+                                                <div className="flex flex-col gap-1">
+                                                    <AdminBadge variant={STATUS_VARIANTS[message.status]}>
+                                                        {message.status}
+                                                    </AdminBadge>
+                                                    {message.lastError && message.status !== 'sent' && (
+                                                        <span className="text-xs text-red-500 truncate max-w-[200px]" title={message.lastError}>
+                                                            {message.lastError}
+                                                        </span>
+                                                    )}
+                                                </div>
+                                            </td>
+                                            <td className="px-6 py-4 text-gray-600">
+                                                {message.attempts}/{message.maxAttempts}
+                                                {message.status === 'queued' && message.attempts > 0 && (
+                                                    <span className="block text-xs text-gray-400">
+                                                        next {formatDateTime(message.nextAttemptAt)}
+                                                    </span>
+                                                )}
+                                            </td>
+                                            <td className="px-6 py-4 text-gray-500 whitespace-nowrap">
+                                                {formatDateTime(message.createdAt)}
+                                                {message.sentAt && (
+                                                    <span className="block text-xs text-gray-400">
+                                                        sent {formatDateTime(message.sentAt)}
+                                                    </span>
+                                                )}
+                                            </td>
+                                            <td className="px-6 py-4">
+                                                <div className="flex items-center gap-4">
+                                                    <button
+                                                        onClick={() => setExpandedId(expandedId === message._id ? null : message._id)}
+                                                        className="text-xs text-[#C9A962] hover:text-[#E8D5A3] font-medium"
+                                                    >
+                                                        {expandedId === message._id ? 'Hide' : 'View'}
+                                                    </button>
+                                                    {message.status === 'dead' && (
+                                                        <button
+                                                            onClick={() => handleRetry(message._id)}
+                                                            disabled={retryMutation.isPending}
+                                                            className="flex items-center gap-1 text-xs text-gray-600 hover:text-[#C9A962] font-medium disabled:opacity-50"
+                                                        >
+                                                            <RotateCcw size={12} /> Retry
+                                                        </button>
+                                                    )}
+                                                </div>
+                                            </td>
+                                        </tr>
+                                        {expandedId === message._id && (
+                                            <tr>
+                                                <td colSpan={6} className="px-6 py-4 bg-[#FAF8F5]/50">
+                                                    <MessageDetails messageId={message._id} />
+                                                </td>
+                                            </tr>
+                                        )}
+                                    </Fragment>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                ) : (
+                    <div className="p-16 text-center text-gray-500">
+                        No emails found matching your filters.
+                    </div>
+                )}
+
+                {/* Pagination */}
+                {pagination.pages > 1 && (
+                    <Pagination
+                        page={page}
+                        totalPages={pagination.pages}
+                        totalItems={pagination.total}
+                        onNext={() => setPage(page + 1)}
+                        onPrev={() => setPage(page - 1)}
+                    />
+                )}
+            </AdminCard>
+
+            <TemplatePreview />
+        </div>
+    );
+};
+
+export default EmailOutbox;
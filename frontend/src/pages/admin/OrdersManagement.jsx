@@ -153,7 +153,18 @@ const OrdersManagement = () => {
                                                 <p className="text-sm text-gray-500">{order.user?.email}</p>
                                             </div>
                                         </td>
-                                        <td className="py-4 px-6 text-gray-700">{order.items?.length || 0} items</td>
+                                        <td className="py-4 px-6 text-gray-700">
+                                            {order.items?.length ? order.items.map(item => (
+                                                <div key={item._id} className="text-sm">
+                                                    <span>{item.quantity} × {item.productSnapshot?.name || item.product?.name}</span>
+                                                    {(item.color?.name || item.strap?.material) && (
+                                                        <p className="text-xs text-gray-500">
+                                                            {[item.color?.name, item.strap?.material && `${item.strap.material} strap${item.strap.priceModifier ? ` (+${formatCurrency(item.strap.priceModifier)})` : ''}`].filter(Boolean).join(' · ')}
+                                                        </p>
+                                                    )}
+                                                </div>
+                                            )) : '0 items'}
+                                        </td>
                                         <td className="py-4 px-6 font-medium text-gray-900">{formatCurrency(order.pricing?.total)}</td>
                                         <td className="py-4 px-6">
                                             <AdminBadge variant={getStatusVariant(order.status)}>
@@ -3,6 +3,8 @@ import { useNavigate } from 'react-router-dom';
 import { ArrowLeft, Save } from 'lucide-react';
 import api from '../../api/axios';
 import ProductImageUploader from '../../components/admin/ProductImageUploader';
+import SalePricingFields from '../../components/admin/SalePricingFields';
+import { toSalePricing } from '../../utils/helpers';
 
 /**
  * Product Create Page
@@ -23,8 +25,13 @@ const ProductCreate = () => {
         brand: '',
         model: '',
         price: '',
+        comparePrice: '',
+        salePrice: '',
+        saleStartsAt: '',
+        saleEndsAt: '',
         stock: '',
         category: 'luxury',
+        audience: 'unisex',
         currency: 'USD',
         specifications: {
             movement: 'automatic',
@@ -74,8 +81,10 @@ const ProductCreate = () => {
         setError('');
 
         try {
+            const { comparePrice, salePrice, saleStartsAt, saleEndsAt, ...fields } = formData;
             const productData = {
-                ...formData,
+                ...fields,
+                ...toSalePricing({ comparePrice, salePrice, saleStartsAt, saleEndsAt }),
                 price: parseFloat(formData.price),
                 stock: parseInt(formData.stock),
                 images: images.filter(img => img.url),
@@ -338,6 +347,8 @@ const ProductCreate = () => {
                                     />
                                 </div>
 
+                                <SalePricingFields formData={formData} onChange={handleChange} />
+
                                 <div className="admin-form-group">
                                     <label htmlFor="currency">Currency</label>
                                     <select
@@ -373,7 +384,7 @@ const ProductCreate = () => {
                             <div className="admin-card-header">
                                 <h2>Category</h2>
                             </div>
-                            <div className="p-6">
+                            <div className="p-6 space-y-4">
                                 <div className="admin-form-group">
                                     <label htmlFor="category">Category *</label>
                                     <select
@@ -390,6 +401,21 @@ const ProductCreate = () => {
                                         <option value="vintage">Vintage</option>
                                     </select>
                                 </div>
+                                <div className="admin-form-group">
+                                    <label htmlFor="audience">Audience *</label>
+                                    <select
+                                        id="audience"
+                                        name="audience"
+                                        value={formData.audience}
+                                        onChange={handleChange}
+                                        required
+                                    >
+                                        <option value="men">Men</option>
+                                        <option value="women">Women</option>
+                                        <option value="unisex">Unisex</option>
+                                    </select>
+                                    <p className="text-xs text-gray-500 mt-1">Unisex pieces are listed on both the Men and Women pages</p>
+                                </div>
                             </div>
                         </div>
 
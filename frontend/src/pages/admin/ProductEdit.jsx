@@ -3,6 +3,12 @@ import { useNavigate, useParams } from 'react-router-dom';
 import { ArrowLeft, Save, Loader } from 'lucide-react';
 import api from '../../api/axios';
 import ProductImageUploader from '../../components/admin/ProductImageUploader';
+import VariantMatrixEditor from '../../components/admin/VariantMatrixEditor';
+import ProductAlertHistory from '../../components/admin/ProductAlertHistory';
+import PriceHistoryChart from '../../components/admin/PriceHistoryChart';
+import ProductRevisions from '../../components/admin/ProductRevisions';
+import SalePricingFields from '../../components/admin/SalePricingFields';
+import { toDateTimeLocal, toSalePricing } from '../../utils/helpers';
 
 /**
  * Product Edit Page
@@ -17,6 +23,8 @@ const ProductEdit = () => {
     const [saving, setSaving] = useState(false);
     const [error, setError] = useState('');
     const [images, setImages] = useState([{ url: '', alt: '', isPrimary: true }]);
+    const [variants, setVariants] = useState({ colors: [], straps: [] });
+    const [skus, setSkus] = useState([]);
 
     const [formData, setFormData] = useState({
         name: '',
@@ -25,8 +33,13 @@ const ProductEdit = () => {
         brand: '',
         model: '',
         price: '',
+        comparePrice: '',
+        salePrice: '',
+        saleStartsAt: '',
+        saleEndsAt: '',
         stock: '',
         category: 'luxury',
+        audience: 'unisex',
         currency: 'USD',
         specifications: {
             movement: 'automatic',
@@ -50,43 +63,55 @@ const ProductEdit = () => {
         fetchProduct();
     }, [id]);
 
+    // Fill the form from a product (loaded, or returned by a rollback)
+    const applyProduct = (product) => {
+        setFormData({
+            name: product.name || '',
+            description: product.description || '',
+            shortDescription: product.shortDescription || '',
+            brand: product.brand || '',
+            model: product.model || '',
+            price: product.price || '',
+            comparePrice: product.comparePrice ?? '',
+            salePrice: product.sale?.price ?? '',
+            saleStartsAt: toDateTimeLocal(product.sale?.startsAt),
+            saleEndsAt: toDateTimeLocal(product.sale?.endsAt),
+            stock: product.stock || '',
+            category: product.category || 'luxury',
+            audience: product.audience || 'unisex',
+            currency: product.currency || 'USD',
+            specifications: {
+                movement: product.specifications?.movement || 'automatic',
+                caseMaterial: product.specifications?.caseMaterial || '',
+                caseDiameter: product.specifications?.caseDiameter || '',
+                waterResistance: product.specifications?.waterResistance || '',
+                strapMaterial: product.specifications?.strapMaterial || '',
+                warranty: product.specifications?.warranty || '',
+                powerReserve: product.specifications?.powerReserve || '',
+                glass: product.specifications?.glass || '',
+            },
+            seo: {
+                metaTitle: product.seo?.metaTitle || '',
+                metaDescription: product.seo?.metaDescription || '',
+            },
+            isActive: product.isActive ?? true,
+            isFeatured: product.isFeatured ?? false,
+        });
+
+        setImages(product.images || []);
+
+        setVariants({
+            colors: product.variants?.colors || [],
+            straps: product.variants?.straps || [],
+        });
+        setSkus(product.skus || []);
+    };
+
     const fetchProduct = async () => {
         try {
             setLoading(true);
             const response = await api.get(`/products/${id}`);
-            const product = response.data.data.product;
-
-            setFormData({
-                name: product.name || '',
-                description: product.description || '',
-                shortDescription: product.shortDescription || '',
-                brand: product.brand || '',
-                model: product.model || '',
-                price: product.price || '',
-                stock: product.stock || '',
-                category: product.category || 'luxury',
-                currency: product.currency || 'USD',
-                specifications: {
-                    movement: product.specifications?.movement || 'automatic',
-                    caseMaterial: product.specifications?.caseMaterial || '',
-                    caseDiameter: product.specifications?.caseDiameter || '',
-                    waterResistance: product.specifications?.waterResistance || '',
-                    strapMaterial: product.specifications?.strapMaterial || '',
-                    warranty: product.specifications?.warranty || '',
-                    powerReserve: product.specifications?.powerReserve || '',
-                    glass: product.specifications?.glass || '',
-                },
-                seo: {
-                    metaTitle: product.seo?.metaTitle || '',
-                    metaDescription: product.seo?.metaDescription || '',
-                },
-                isActive: product.isActive ?? true,
-                isFeatured: product.isFeatured ?? false,
-            });
-
-            if (product.images && product.images.length > 0) {
-                setImages(product.images);
-            }
+            applyProduct(response.data.data.product);
         } catch (err) {
             setError('Failed to load product');
             console.error(err);
@@ -119,17 +144,33 @@ const ProductEdit = () => {
         setImages(newImages);
     };
 
+    // Combinations without a code are left unsold, so they are not sent
+    const definedSkus = skus.filter(sku => sku.sku);
+    const skuStockTotal = definedSkus
+        .filter(sku => sku.isActive !== false)
+        .reduce((sum, sku) => sum + (Number(sku.stock) || 0), 0);
+
     const handleSubmit = async (e) => {
         e.preventDefault();
+
+        if (variants.colors.some(c => !c.name.trim()) || variants.straps.some(s => !s.material.trim())) {
+            setError('Every color and strap needs a name');
+            return;
+        }
+
         setSaving(true);
         setError('');
 
         try {
+            const { comparePrice, salePrice, saleStartsAt, saleEndsAt, ...fields } = formData;
             const productData = {
-                ...formData,
+                ...fields,
+                ...toSalePricing({ comparePrice, salePrice, saleStartsAt, saleEndsAt }),
                 price: parseFloat(formData.price),
-                stock: parseInt(formData.stock),
+                stock: definedSkus.length > 0 ? skuStockTotal : parseInt(formData.stock),
                 images: images.filter(img => img.url),
+                variants,
+                skus: definedSkus,
             };
 
             await api.put(`/admin/products/${id}`, productData);
@@ -362,6 +403,22 @@ const ProductEdit = () => {
                             </div>
                         </div>
 
+                        {/* Variants & SKUs */}
+                        <div className="admin-card">
+                            <div className="admin-card-header">
+                                <h2>Variants & SKUs</h2>
+                            </div>
+                            <div className="p-6">
+                                <VariantMatrixEditor
+                                    model={formData.model}
+                                    variants={variants}
+                                    skus={skus}
+                                    onVariantsChange={setVariants}
+                                    onSkusChange={setSkus}
+                                />
+                            </div>
+                        </div>
+
                         {/* Images */}
                         <div className="admin-card">
                             <div className="admin-card-header">
@@ -400,6 +457,8 @@ const ProductEdit = () => {
                                     />
                                 </div>
 
+                                <SalePricingFields formData={formData} onChange={handleChange} />
+
                                 <div className="admin-form-group">
                                     <label htmlFor="currency">Currency</label>
                                     <select
@@ -420,12 +479,16 @@ const ProductEdit = () => {
                                         type="number"
                                         id="stock"
                                         name="stock"
-                                        value={formData.stock}
+                                        value={definedSkus.length > 0 ? skuStockTotal : formData.stock}
                                         onChange={handleChange}
+                                        readOnly={definedSkus.length > 0}
                                         required
                                         min="0"
                                         placeholder="0"
                                     />
+                                    {definedSkus.length > 0 && (
+                                        <p className="text-xs text-gray-500 mt-1">Total of active SKUs</p>
+                                    )}
                                 </div>
                             </div>
                         </div>
@@ -435,7 +498,7 @@ const ProductEdit = () => {
                             <div className="admin-card-header">
                                 <h2>Category</h2>
                             </div>
-                            <div className="p-6">
+                            <div className="p-6 space-y-4">
                                 <div className="admin-form-group">
                                     <label htmlFor="category">Category *</label>
                                     <select
@@ -452,6 +515,21 @@ const ProductEdit = () => {
                                         <option value="vintage">Vintage</option>
                                     </select>
                                 </div>
+                                <div className="admin-form-group">
+                                    <label htmlFor="audience">Audience *</label>
+                                    <select
+                                        id="audience"
+                                        name="audience"
+                                        value={formData.audience}
+                                        onChange={handleChange}
+                                        required
+                                    >
+                                        <option value="men">Men</option>
+                                        <option value="women">Women</option>
+                                        <option value="unisex">Unisex</option>
+                                    </select>
+                                    <p className="text-xs text-gray-500 mt-1">Unisex pieces are listed on both the Men and Women pages</p>
+                                </div>
                             </div>
                         </div>
 
@@ -484,6 +562,12 @@ const ProductEdit = () => {
                             </div>
                         </div>
 
+                        <PriceHistoryChart productId={id} />
+
+                        <ProductRevisions productId={id} onRollback={applyProduct} />
+
+                        <ProductAlertHistory productId={id} />
+
                         {/* Actions */}
                         <div className="flex gap-3">
                             <button
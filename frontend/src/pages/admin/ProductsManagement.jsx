@@ -1,8 +1,10 @@
 import { useState } from 'react';
-import { useProducts, useDeleteProduct } from '../../hooks/useAdmin';
-import { Eye, Edit, Trash2, Plus, Filter, Box } from 'lucide-react';
+import { useProducts, useDeleteProduct, useRestoreProduct, usePurgeProduct } from '../../hooks/useAdmin';
+import { Eye, Edit, Trash2, Plus, Filter, Box, RotateCcw } from 'lucide-react';
 import { Link } from 'react-router-dom';
-import { formatCurrency } from '../../utils/formatters';
+import { formatCurrency, formatDate } from '../../utils/formatters';
+import { getProductPricing } from '../../utils/helpers';
+import BulkSalePanel from '../../components/admin/BulkSalePanel';
 import {
     AdminPageHeader,
     AdminCard,
@@ -19,11 +21,53 @@ import {
  * Luxury Light Theme Implementation
  */
 
+// Current price, with the regular price during a sale and any upcoming sale
+const PriceCell = ({ product }) => {
+    const pricing = getProductPricing(product);
+    const upcoming = product.sale?.startsAt && new Date(product.sale.startsAt) > new Date();
+
+    return (
+        <>
+            {formatCurrency(pricing.price)}
+            {pricing.onSale && (
+                <p className="text-xs text-gray-400 line-through">{formatCurrency(product.price)}</p>
+            )}
+            {upcoming && (
+                <p className="text-xs text-[#C9A962]">
+                    {formatCurrency(product.sale.price)} from {new Date(product.sale.startsAt).toLocaleDateString()}
+                </p>
+            )}
+        </>
+    );
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// When a product in the trash was deleted, by whom, and when it will be purged
+const TrashCell = ({ product, retentionDays }) => {
+    const deletedAt = new Date(product.deletedAt);
+    const purgeAt = new Date(deletedAt.getTime() + retentionDays * DAY_MS);
+
+    return (
+        <>
+            <AdminBadge variant="danger">In Trash</AdminBadge>
+            <p className="text-xs text-gray-500 mt-1">
+                Deleted {formatDate(deletedAt)}
+                {product.deletedBy && ` by ${product.deletedBy.firstName} ${product.deletedBy.lastName}`}
+            </p>
+            <p className="text-xs text-gray-400">Deleted for good on {formatDate(purgeAt)}</p>
+        </>
+    );
+};
+
 const ProductsManagement = () => {
     const [page, setPage] = useState(1);
     const [search, setSearch] = useState('');
     const [category, setCategory] = useState('');
+    const [audience, setAudience] = useState('');
     const [status, setStatus] = useState('');
+    // Products picked for a bulk sale; kept while paging
+    const [selected, setSelected] = useState([]);
     const limit = 10;
 
     const { data, isLoading, error } = useProducts({
@@ -31,21 +75,44 @@ const ProductsManagement = () => {
         limit,
         search,
         category,
+        audience,
         status,
     });
 
     const deleteProductMutation = useDeleteProduct();
+    const restoreProductMutation = useRestoreProduct();
+    const purgeProductMutation = usePurgeProduct();
+    const inTrash = status === 'deleted';
 
     const handleDelete = async (productId) => {
-        if (window.confirm('Are you sure you want to delete this product?')) {
+        if (window.confirm('Move this product to the trash? It is hidden from the shop and can be restored until it is purged.')) {
             try {
                 await deleteProductMutation.mutateAsync(productId);
+                setSelected(prev => prev.filter(id => id !== productId));
             } catch (error) {
                 alert('Failed to delete product');
             }
         }
     };
 
+    const handleRestore = async (productId) => {
+        try {
+            await restoreProductMutation.mutateAsync(productId);
+        } catch (error) {
+            alert(error.response?.data?.message || 'Failed to restore product');
+        }
+    };
+
+    const handlePurge = async (product) => {
+        if (window.confirm(`Permanently delete ${product.name}? Its images, reviews, price history, wishlist alerts and revisions are removed and it is taken out of wishlists and carts. This cannot be undone.`)) {
+            try {
+                await purgeProductMutation.mutateAsync(product._id);
+            } catch (error) {
+                alert(error.response?.data?.message || 'Failed to delete product');
+            }
+        }
+    };
+
     if (error) {
         return (
             <div className="p-8 text-center text-red-600">
@@ -67,12 +134,35 @@ const ProductsManagement = () => {
         { value: 'vintage', label: 'Vintage' },
     ];
 
+    const audienceOptions = [
+        { value: '', label: 'All Audiences' },
+        { value: 'men', label: 'Men' },
+        { value: 'women', label: 'Women' },
+        { value: 'unisex', label: 'Unisex' },
+    ];
+
     const statusOptions = [
         { value: '', label: 'All Status' },
         { value: 'active', label: 'Active' },
         { value: 'inactive', label: 'Inactive' },
+        { value: 'deleted', label: 'Trash' },
     ];
 
+    const pageIds = products.map(product => product._id);
+    const allOnPageSelected = pageIds.length > 0 && pageIds.every(id => selected.includes(id));
+
+    const toggleSelected = (productId) => {
+        setSelected(prev => (prev.includes(productId)
+            ? prev.filter(id => id !== productId)
+            : [...prev, productId]));
+    };
+
+    const togglePage = () => {
+        setSelected(prev => (allOnPageSelected
+            ? prev.filter(id => !pageIds.includes(id))
+            : [...new Set([...prev, ...pageIds])]));
+    };
+
     const getStockBadgeVariant = (stock) => {
         if (stock < 10) return 'danger';
         if (stock < 20) return 'warning';
@@ -114,6 +204,15 @@ const ProductsManagement = () => {
                         icon={Filter}
                     />
 
+                    <AdminFilter
+                        value={audience}
+                        onChange={(e) => {
+                            setAudience(e.target.value);
+                            setPage(1);
+                        }}
+                        options={audienceOptions}
+                    />
+
                     <AdminFilter
                         value={status}
                         onChange={(e) => {
@@ -126,6 +225,10 @@ const ProductsManagement = () => {
                 </div>
             </div>
 
+            {!inTrash && selected.length > 0 && (
+                <BulkSalePanel productIds={selected} onDone={() => setSelected([])} />
+            )}
+
             {/* Products Table */}
             <AdminCard>
                 <div className="overflow-x-auto">
@@ -138,6 +241,16 @@ const ProductsManagement = () => {
                         <table className="w-full text-left border-collapse">
                             <thead>
                                 <tr className="bg-[#FAF8F5] border-b border-[#C9A962]/20">
+                                    <th className="py-4 pl-6">
+                                        {!inTrash && (
+                                            <input
+                                                type="checkbox"
+                                                checked={allOnPageSelected}
+                                                onChange={togglePage}
+                                                aria-label="Select all products on this page"
+                                            />
+                                        )}
+                                    </th>
                                     <th className="py-4 px-6 font-serif font-bold text-gray-900">Product</th>
                                     <th className="py-4 px-6 font-serif font-bold text-gray-900">Brand</th>
                                     <th className="py-4 px-6 font-serif font-bold text-gray-900">Category</th>
@@ -150,6 +263,16 @@ const ProductsManagement = () => {
                             <tbody className="divide-y divide-[#C9A962]/10">
                                 {products.map((product) => (
                                     <tr key={product._id} className="hover:bg-[#FAF8F5]/50 transition-colors">
+                                        <td className="py-4 pl-6">
+                                            {!inTrash && (
+                                                <input
+                                                    type="checkbox"
+                                                    checked={selected.includes(product._id)}
+                                                    onChange={() => toggleSelected(product._id)}
+                                                    aria-label={`Select ${product.name}`}
+                                                />
+                                            )}
+                                        </td>
                                         <td className="py-4 px-6">
                                             <div className="flex items-center gap-4">
                                                 {product.images?.[0] ? (
@@ -174,35 +297,63 @@ const ProductsManagement = () => {
                                             <span className="inline-flex items-center px-2.5 py-0.5 rounded-md text-sm font-medium bg-gray-100 text-gray-800 capitalize">
                                                 {product.category}
                                             </span>
+                                            <p className="text-xs text-gray-500 mt-1 capitalize">{product.audience}</p>
+                                        </td>
+                                        <td className="py-4 px-6 font-medium text-gray-900">
+                                            <PriceCell product={product} />
                                         </td>
-                                        <td className="py-4 px-6 font-medium text-gray-900">{formatCurrency(product.price)}</td>
                                         <td className="py-4 px-6">
                                             <AdminBadge variant={getStockBadgeVariant(product.stock)}>
                                                 {product.stock} units
                                             </AdminBadge>
                                         </td>
                                         <td className="py-4 px-6">
-                                            <AdminBadge variant={product.isActive ? 'success' : 'danger'}>
-                                                {product.isActive ? 'Active' : 'Inactive'}
-                                            </AdminBadge>
+                                            {inTrash ? (
+                                                <TrashCell product={product} retentionDays={data.trashRetentionDays} />
+                                            ) : (
+                                                <AdminBadge variant={product.isActive ? 'success' : 'danger'}>
+                                                    {product.isActive ? 'Active' : 'Inactive'}
+                                                </AdminBadge>
+                                            )}
                                         </td>
                                         <td className="py-4 px-6">
-                                            <div className="flex gap-2">
-                                                <AdminButton variant="text" to={`/product/${product.slug}`} target="_blank" className="!p-2">
-                                                    <Eye size={18} />
-                                                </AdminButton>
-                                                <AdminButton variant="text" to={`/admin/products/edit/${product._id}`} className="!p-2">
-                                                    <Edit size={18} />
-                                                </AdminButton>
-                                                <button
-                                                    onClick={() => handleDelete(product._id)}
-                                                    className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
-                                                    disabled={deleteProductMutation.isLoading}
-                                                    title="Delete Product"
-                                                >
-                                                    <Trash2 size={18} />
-                                                </button>
-                                            </div>
+                                            {inTrash ? (
+                                                <div className="flex gap-2">
+                                                    <button
+                                                        onClick={() => handleRestore(product._id)}
+                                                        className="p-2 text-gray-400 hover:text-[#C9A962] hover:bg-[#FAF8F5] rounded-lg transition-colors"
+                                                        disabled={restoreProductMutation.isPending}
+                                                        title="Restore Product"
+                                                    >
+                                                        <RotateCcw size={18} />
+                                                    </button>
+                                                    <button
+                                                        onClick={() => handlePurge(product)}
+                                                        className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                                                        disabled={purgeProductMutation.isPending}
+                                                        title="Delete Forever"
+                                                    >
+                                                        <Trash2 size={18} />
+                                                    </button>
+                                                </div>
+                                            ) : (
+                                                <div className="flex gap-2">
+                                                    <AdminButton variant="text" to={`/product/${product.slug}`} target="_blank" className="!p-2">
+                                                        <Eye size={18} />
+                                                    </AdminButton>
+                                                    <AdminButton variant="text" to={`/admin/products/edit/${product._id}`} className="!p-2">
+                                                        <Edit size={18} />
+                                                    </AdminButton>
+                                                    <button
+                                                        onClick={() => handleDelete(product._id)}
+                                                        className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                                                        disabled={deleteProductMutation.isLoading}
+                                                        title="Delete Product"
+                                                    >
+                                                        <Trash2 size={18} />
+                                                    </button>
+                                                </div>
+                                            )}
                                         </td>
                                     </tr>
                                 ))}
@@ -210,7 +361,7 @@ const ProductsManagement = () => {
                         </table>
                     ) : (
                         <div className="p-16 text-center text-gray-500">
-                            No products found matching your search.
+                            {inTrash ? 'The trash is empty.' : 'No products found matching your search.'}
                         </div>
                     )}
                 </div>
@@ -0,0 +1,480 @@
+import { useState } from 'react';
+import { Search, SearchX, MousePointerClick, Hash, Plus, Pencil, Trash2 } from 'lucide-react';
+import {
+    useSearchAnalytics,
+    useSearchRules,
+    useSaveSearchRule,
+    useDeleteSearchRule,
+} from '../../hooks/useAdmin';
+import { formatDateTime } from '../../utils/formatters';
+import {
+    AdminPageHeader,
+    AdminCard,
+    AdminFilter,
+    AdminBadge,
+    AdminButton,
+    AdminStatCard,
+} from '../../components/admin/common/AdminComponents';
+
+/**
+ * Search Insights Page
+ * What customers search for, which searches fail, and the synonym and
+ * redirect rules the shop search applies
+ */
+
+const PERIOD_OPTIONS = [
+    { value: '7', label: 'Last 7 days' },
+    { value: '30', label: 'Last 30 days' },
+    { value: '90', label: 'Last 90 days' },
+];
+
+const CATEGORY_OPTIONS = ['luxury', 'sport', 'casual', 'smart', 'vintage'];
+const AUDIENCE_OPTIONS = ['men', 'women', 'unisex'];
+const MOVEMENT_OPTIONS = ['automatic', 'quartz', 'mechanical', 'kinetic', 'solar'];
+
+const EMPTY_RULE = {
+    type: 'synonym',
+    terms: '',
+    synonyms: '',
+    filters: {
+        category: '',
+        audience: '',
+        movement: '',
+        strapMaterial: '',
+        minPrice: '',
+        maxPrice: '',
+        minWaterResistance: '',
+    },
+    description: '',
+    isActive: true,
+};
+
+const splitList = (value) => value.split(',').map(v => v.trim()).filter(Boolean);
+
+// Form state -> API payload (empty filters are left out)
+const toPayload = (form) => {
+    const payload = {
+        type: form.type,
+        terms: splitList(form.terms),
+        description: form.description,
+        isActive: form.isActive,
+    };
+
+    if (form.type === 'synonym') {
+        payload.synonyms = splitList(form.synonyms);
+    } else {
+        payload.filters = {};
+        Object.entries(form.filters).forEach(([key, value]) => {
+            if (value === '') return;
+            payload.filters[key] = ['minPrice', 'maxPrice', 'minWaterResistance'].includes(key)
+                ? Number(value)
+                : value;
+        });
+    }
+
+    return payload;
+};
+
+const toForm = (rule) => ({
+    type: rule.type,
+    terms: rule.terms.join(', '),
+    synonyms: (rule.synonyms || []).join(', '),
+    filters: Object.fromEntries(
+        Object.keys(EMPTY_RULE.filters).map(key => [key, rule.filters?.[key] ?? ''])
+    ),
+    description: rule.description || '',
+    isActive: rule.isActive,
+});
+
+const describeFilters = (filters = {}) => {
+    const parts = [];
+    if (filters.category) parts.push(`category ${filters.category}`);
+    if (filters.audience) parts.push(`for ${filters.audience}`);
+    if (filters.movement) parts.push(`${filters.movement} movement`);
+    if (filters.strapMaterial) parts.push(`${filters.strapMaterial} strap`);
+    if (filters.minPrice != null) parts.push(`from $${filters.minPrice}`);
+    if (filters.maxPrice != null) parts.push(`up to $${filters.maxPrice}`);
+    if (filters.minWaterResistance != null) parts.push(`water resistance ≥ ${filters.minWaterResistance}m`);
+    return parts.join(', ');
+};
+
+const QueryTable = ({ title, description, rows, emptyMessage, onCreateRule }) => (
+    <AdminCard>
+        <div className="p-6 border-b border-[#C9A962]/10">
+            <h2 className="text-lg font-semibold text-gray-900">{title}</h2>
+            <p className="text-sm text-gray-500">{description}</p>
+        </div>
+        {rows.length > 0 ? (
+            <div className="overflow-x-auto">
+                <table className="w-full text-left border-collapse">
+                    <thead>
+                        <tr className="bg-[#FAF8F5] text-xs uppercase text-gray-500 font-medium border-b border-[#C9A962]/10">
+                            <th className="px-6 py-4">Query</th>
+                            <th className="px-6 py-4">Searches</th>
+                            <th className="px-6 py-4">Avg. Results</th>
+                            <th className="px-6 py-4">Click-through</th>
+                            <th className="px-6 py-4">Last Searched</th>
+                            <th className="px-6 py-4">Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-[#C9A962]/10">
+                        {rows.map((row) => (
+                            <tr key={row.normalizedQuery} className="hover:bg-[#FAF8F5]/50 transition-colors text-sm">
+                                <td className="px-6 py-4">
+                                    <span className="font-medium text-gray-900">{row.query}</span>
+                                    {row.rule && (
+                                        <span className="ml-2"><AdminBadge variant="gold">{row.rule}</AdminBadge></span>
+                                    )}
+                                </td>
+                                <td className="px-6 py-4 text-gray-700">{row.searches}</td>
+                                <td className="px-6 py-4 text-gray-700">{row.avgResults}</td>
+                                <td className="px-6 py-4 text-gray-700">{row.clickThroughRate}%</td>
+                                <td className="px-6 py-4 text-gray-500 whitespace-nowrap">{formatDateTime(row.lastSearchedAt)}</td>
+                                <td className="px-6 py-4">
+                                    {!row.rule && (
+                                        <button
+                                            onClick={() => onCreateRule(row.normalizedQuery)}
+                                            className="flex items-center gap-1 text-xs text-[#C9A962] hover:text-[#E8D5A3] font-medium"
+                                        >
+                                            <Plus size={12} /> Add rule
+                                        </button>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        ) : (
+            <div className="p-12 text-center text-gray-500">{emptyMessage}</div>
+        )}
+    </AdminCard>
+);
+
+const RuleForm = ({ initial, ruleId, onDone }) => {
+    const [form, setForm] = useState(initial);
+    const saveMutation = useSaveSearchRule();
+
+    const setField = (name, value) => setForm(prev => ({ ...prev, [name]: value }));
+    const setFilter = (name, value) => setForm(prev => ({ ...prev, filters: { ...prev.filters, [name]: value } }));
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        try {
+            await saveMutation.mutateAsync({ ruleId, ...toPayload(form) });
+            onDone();
+        } catch (err) {
+            alert(err.response?.data?.message || 'Failed to save search rule');
+        }
+    };
+
+    const selectFilter = (name, label, options) => (
+        <div className="admin-form-group">
+            <label htmlFor={`rule-${name}`}>{label}</label>
+            <select id={`rule-${name}`} value={form.filters[name]} onChange={(e) => setFilter(name, e.target.value)}>
+                <option value="">Any</option>
+                {options.map(option => (
+                    <option key={option} value={option}>{option}</option>
+                ))}
+            </select>
+        </div>
+    );
+
+    const numberFilter = (name, label) => (
+        <div className="admin-form-group">
+            <label htmlFor={`rule-${name}`}>{label}</label>
+            <input
+                type="number"
+                id={`rule-${name}`}
+                min="0"
+                value={form.filters[name]}
+                onChange={(e) => setFilter(name, e.target.value)}
+            />
+        </div>
+    );
+
+    return (
+        <form onSubmit={handleSubmit} className="p-6 space-y-4 bg-[#FAF8F5]/50 border-b border-[#C9A962]/10">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div className="admin-form-group">
+                    <label htmlFor="rule-type">Rule Type</label>
+                    <select id="rule-type" value={form.type} onChange={(e) => setField('type', e.target.value)}>
+                        <option value="synonym">Synonym — also search for other words</option>
+                        <option value="redirect">Redirect — show a filtered listing</option>
+                    </select>
+                </div>
+                <div className="admin-form-group">
+                    <label htmlFor="rule-terms">Search Terms *</label>
+                    <input
+                        type="text"
+                        id="rule-terms"
+                        value={form.terms}
+                        onChange={(e) => setField('terms', e.target.value)}
+                        required
+                        placeholder="e.g., diver, dive watch"
+                    />
+                </div>
+            </div>
+
+            {form.type === 'synonym' ? (
+                <div className="admin-form-group">
+                    <label htmlFor="rule-synonyms">Synonyms *</label>
+                    <input
+                        type="text"
+                        id="rule-synonyms"
+                        value={form.synonyms}
+                        onChange={(e) => setField('synonyms', e.target.value)}
+                        required
+                        placeholder="e.g., speedmaster, moonphase"
+                    />
+                </div>
+            ) : (
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                    {selectFilter('category', 'Category', CATEGORY_OPTIONS)}
+                    {selectFilter('audience', 'Audience', AUDIENCE_OPTIONS)}
+                    {selectFilter('movement', 'Movement', MOVEMENT_OPTIONS)}
+                    <div className="admin-form-group">
+                        <label htmlFor="rule-strapMaterial">Strap Material</label>
+                        <input
+                            type="text"
+                            id="rule-strapMaterial"
+                            value={form.filters.strapMaterial}
+                            onChange={(e) => setFilter('strapMaterial', e.target.value)}
+                        />
+                    </div>
+                    {numberFilter('minPrice', 'Min Price ($)')}
+                    {numberFilter('maxPrice', 'Max Price ($)')}
+                    {numberFilter('minWaterResistance', 'Min Water Resistance (m)')}
+                </div>
+            )}
+
+            <div className="admin-form-group">
+                <label htmlFor="rule-description">Description</label>
+                <input
+                    type="text"
+                    id="rule-description"
+                    value={form.description}
+                    onChange={(e) => setField('description', e.target.value)}
+                    maxLength={200}
+                    placeholder="Shown to customers on redirects, e.g., Dive watches"
+                />
+            </div>
+
+            <div className="flex items-center justify-between">
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                        type="checkbox"
+                        checked={form.isActive}
+                        onChange={(e) => setField('isActive', e.target.checked)}
+                    />
+                    Active
+                </label>
+                <div className="flex gap-3">
+                    <AdminButton type="button" variant="secondary" onClick={onDone}>
+                        Cancel
+                    </AdminButton>
+                    <AdminButton type="submit" disabled={saveMutation.isPending}>
+                        {saveMutation.isPending ? 'Saving...' : ruleId ? 'Save Rule' : 'Create Rule'}
+                    </AdminButton>
+                </div>
+            </div>
+        </form>
+    );
+};
+
+const SearchRules = ({ editing, onEdit }) => {
+    const { data, isLoading } = useSearchRules();
+    const deleteMutation = useDeleteSearchRule();
+    const rules = data?.rules || [];
+
+    const handleDelete = async (rule) => {
+        if (!window.confirm(`Delete the rule for "${rule.terms.join(', ')}"?`)) return;
+        try {
+            await deleteMutation.mutateAsync(rule._id);
+        } catch (err) {
+            alert(err.response?.data?.message || 'Failed to delete search rule');
+        }
+    };
+
+    return (
+        <AdminCard>
+            <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 p-6 border-b border-[#C9A962]/10">
+                <div>
+                    <h2 className="text-lg font-semibold text-gray-900">Synonyms & Redirects</h2>
+                    <p className="text-sm text-gray-500">Applied to shop searches and search suggestions</p>
+                </div>
+                {!editing && (
+                    <AdminButton onClick={() => onEdit({ form: EMPTY_RULE })}>
+                        <Plus size={18} /> New Rule
+                    </AdminButton>
+                )}
+            </div>
+
+            {editing && (
+                <RuleForm
+                    key={editing.ruleId || editing.form.terms || 'new'}
+                    initial={editing.form}
+                    ruleId={editing.ruleId}
+                    onDone={() => onEdit(null)}
+                />
+            )}
+
+            {isLoading ? (
+                <div className="p-12 text-center text-gray-500">Loading rules...</div>
+            ) : rules.length > 0 ? (
+                <div className="overflow-x-auto">
+                    <table className="w-full text-left border-collapse">
+                        <thead>
+                            <tr className="bg-[#FAF8F5] text-xs uppercase text-gray-500 font-medium border-b border-[#C9A962]/10">
+                                <th className="px-6 py-4">Terms</th>
+                                <th className="px-6 py-4">Type</th>
+                                <th className="px-6 py-4">Applies</th>
+                                <th className="px-6 py-4">Status</th>
+                                <th className="px-6 py-4">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-[#C9A962]/10">
+                            {rules.map((rule) => (
+                                <tr key={rule._id} className="hover:bg-[#FAF8F5]/50 transition-colors text-sm">
+                                    <td className="px-6 py-4 font-medium text-gray-900">{rule.terms.join(', ')}</td>
+                                    <td className="px-6 py-4">
+                                        <AdminBadge variant={rule.type === 'redirect' ? 'primary' : 'gold'}>{rule.type}</AdminBadge>
+                                    </td>
+                                    <td className="px-6 py-4 text-gray-600">
+                                        {rule.type === 'synonym' ? rule.synonyms.join(', ') : describeFilters(rule.filters)}
+                                        {rule.description && (
+                                            <span className="block text-xs text-gray-400">{rule.description}</span>
+                                        )}
+                                    </td>
+                                    <td className="px-6 py-4">
+                                        <AdminBadge variant={rule.isActive ? 'success' : 'default'}>
+                                            {rule.isActive ? 'Active' : 'Inactive'}
+                                        </AdminBadge>
+                                    </td>
+                                    <td className="px-6 py-4">
+                                        <div className="flex items-center gap-4">
+                                            <button
+                                                onClick={() => onEdit({ ruleId: rule._id, form: toForm(rule) })}
+                                                className="flex items-center gap-1 text-xs text-[#C9A962] hover:text-[#E8D5A3] font-medium"
+                                            >
+                                                <Pencil size={12} /> Edit
+                                            </button>
+                                            <button
+                                                onClick={() => handleDelete(rule)}
+                                                disabled={deleteMutation.isPending}
+                                                className="flex items-center gap-1 text-xs text-red-500 hover:text-red-700 font-medium disabled:opacity-50"
+                                            >
+                                                <Trash2 size={12} /> Delete
+                                            </button>
+                                        </div>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            ) : (
+                <div className="p-12 text-center text-gray-500">
+                    No rules yet. Add one from a failing query above or with New Rule.
+                </div>
+            )}
+        </AdminCard>
+    );
+};
+
+const SearchInsights = () => {
+    const [days, setDays] = useState('30');
+    // { ruleId?, form } while the rule form is open
+    const [editing, setEditing] = useState(null);
+
+    const { data, isLoading, error } = useSearchAnalytics({ days: Number(days) });
+    const summary = data?.summary || {};
+
+    const createRuleFor = (term) => {
+        setEditing({ form: { ...EMPTY_RULE, terms: term } });
+        document.getElementById('search-rules')?.scrollIntoView({ behavior: 'smooth' });
+    };
+
+    if (error) {
+        return (
+            <div className="p-8 text-center text-red-600">
+                <h2 className="text-2xl font-bold mb-2">Error Loading Search Insights</h2>
+                <p>{error.message}</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="max-w-[1400px] mx-auto p-6 lg:p-10 space-y-8">
+            <AdminPageHeader
+                title="Search Insights"
+                description="What customers search for and where the search lets them down"
+                action={
+                    <AdminFilter
+                        value={days}
+                        onChange={(e) => setDays(e.target.value)}
+                        options={PERIOD_OPTIONS}
+                    />
+                }
+            />
+
+            {isLoading ? (
+                <div className="flex flex-col items-center justify-center p-16 text-gray-500">
+                    <div className="w-12 h-12 border-4 border-[#C9A962]/30 border-t-[#C9A962] rounded-full animate-spin mb-4" />
+                    <p>Loading search report...</p>
+                </div>
+            ) : (
+                <>
+                    <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
+                        <AdminStatCard title="Searches" value={summary.totalSearches ?? 0} icon={Search} color="gold" />
+                        <AdminStatCard title="Unique Queries" value={summary.uniqueQueries ?? 0} icon={Hash} color="blue" />
+                        <AdminStatCard
+                            title="Zero-Result Rate"
+                            value={`${summary.zeroResultRate ?? 0}%`}
+                            icon={SearchX}
+                            color="purple"
+                            subtitle="Searches that found nothing"
+                        />
+                        <AdminStatCard
+                            title="Click-Through Rate"
+                            value={`${summary.clickThroughRate ?? 0}%`}
+                            icon={MousePointerClick}
+                            color="green"
+                            subtitle="Searches with results where a product was opened"
+                        />
+                    </div>
+
+                    <QueryTable
+                        title="Zero-Result Queries"
+                        description="Searches that found no products — candidates for a synonym or redirect"
+                        rows={data?.zeroResults || []}
+                        emptyMessage="Every search found something."
+                        onCreateRule={createRuleFor}
+                    />
+
+                    <QueryTable
+                        title="Queries Without Clicks"
+                        description="Customers saw results but opened none of them"
+                        rows={data?.noClicks || []}
+                        emptyMessage="No searches without clicks."
+                        onCreateRule={createRuleFor}
+                    />
+
+                    <QueryTable
+                        title="Top Queries"
+                        description="Most frequent searches"
+                        rows={data?.topQueries || []}
+                        emptyMessage="No searches in this period."
+                        onCreateRule={createRuleFor}
+                    />
+                </>
+            )}
+
+            <div id="search-rules">
+                <SearchRules editing={editing} onEdit={setEditing} />
+            </div>
+        </div>
+    );
+};
+
+export default SearchInsights;
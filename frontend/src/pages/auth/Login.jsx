@@ -20,7 +20,10 @@ export const Login = () => {
 
   const [isLoading, setIsLoading] = useState(false);
 
-  const from = location.state?.from?.pathname || '/';
+  // Keep the query string so links like /cart?recover=<token> survive the login
+  const from = location.state?.from
+    ? `${location.state.from.pathname}${location.state.from.search || ''}`
+    : '/';
 
   // Check if user was logged out due to idle timeout & Refresh CSRF
   useEffect(() => {
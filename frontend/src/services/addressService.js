@@ -0,0 +1,63 @@
+import apiClient from '@api/axios';
+
+/**
+ * Address Service
+ * Handles address book API calls
+ */
+
+export const addressService = {
+  /**
+   * Get saved addresses
+   * @param {string} userId - User ID
+   * @returns {Promise} Response with addresses array
+   */
+  getAddresses: async (userId) => {
+    const response = await apiClient.get(`/users/${userId}/addresses`);
+    return response.data;
+  },
+
+  /**
+   * Save a new address
+   * @param {string} userId - User ID
+   * @param {Object} data - Address fields, type ('shipping' | 'billing') and optional isDefault
+   * @returns {Promise} Response with the address and the updated list
+   */
+  createAddress: async (userId, data) => {
+    const response = await apiClient.post(`/users/${userId}/addresses`, data);
+    return response.data;
+  },
+
+  /**
+   * Update an address
+   * @param {string} userId - User ID
+   * @param {string} addressId - Address ID
+   * @param {Object} data - Fields to change
+   * @returns {Promise} Response with the address and the updated list
+   */
+  updateAddress: async (userId, addressId, data) => {
+    const response = await apiClient.put(`/users/${userId}/addresses/${addressId}`, data);
+    return response.data;
+  },
+
+  /**
+   * Make an address the default of its type
+   * @param {string} userId - User ID
+   * @param {string} addressId - Address ID
+   * @returns {Promise} Response with the updated list
+   */
+  setDefaultAddress: async (userId, addressId) => {
+    const response = await apiClient.put(`/users/${userId}/addresses/${addressId}/default`);
+    return response.data;
+  },
+
+  /**
+   * Delete an address
+   * @param {string} userId - User ID
+   * @param {string} addressId - Address ID
+   * @returns {Promise} Response with the updated list
+   */
+  deleteAddress: async (userId, addressId) => {
+    const response = await apiClient.delete(`/users/${userId}/addresses/${addressId}`);
+    return response.data;
+  },
+};
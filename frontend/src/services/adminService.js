@@ -10,6 +10,12 @@ import api from '../api/axios';
  * - Error handling for unauthorized access
  */
 
+// Listings take a page number, or a cursor for infinite scroll (empty for
+// the first page; the total is only counted when includeTotal is set)
+const pageParams = ({ page = 1, cursor, includeTotal }) => (
+    cursor === undefined ? { page } : { cursor, includeTotal }
+);
+
 // Dashboard
 export const getDashboardStats = async () => {
     const response = await api.get('/admin/dashboard/stats');
@@ -18,9 +24,9 @@ export const getDashboardStats = async () => {
 
 // Users Management
 export const getUsers = async (params = {}) => {
-    const { page = 1, limit = 10, search = '', role = '', status = '' } = params;
+    const { limit = 10, search = '', role = '', status = '' } = params;
     const response = await api.get('/admin/users', {
-        params: { page, limit, search, role, status },
+        params: { ...pageParams(params), limit, search, role, status },
     });
     return response.data.data;
 };
@@ -44,9 +50,9 @@ export const deleteUser = async (userId) => {
 
 // Orders Management
 export const getOrders = async (params = {}) => {
-    const { page = 1, limit = 10, status = '', search = '' } = params;
+    const { limit = 10, status = '', search = '' } = params;
     const response = await api.get('/admin/orders', {
-        params: { page, limit, status, search },
+        params: { ...pageParams(params), limit, status, search },
     });
     return response.data.data;
 };
@@ -63,9 +69,9 @@ export const updateOrderStatus = async (orderId, data) => {
 
 // Products Management
 export const getProducts = async (params = {}) => {
-    const { page = 1, limit = 10, search = '', category = '', status = '' } = params;
+    const { page = 1, limit = 10, search = '', category = '', audience = '', status = '' } = params;
     const response = await api.get('/admin/products', {
-        params: { page, limit, search, category, status },
+        params: { page, limit, search, category, audience, status },
     });
     return response.data.data;
 };
@@ -75,6 +81,61 @@ export const deleteProduct = async (productId) => {
     return response.data;
 };
 
+// Bring a product back from the trash (it stays inactive)
+export const restoreProduct = async (productId) => {
+    const response = await api.post(`/admin/products/${productId}/restore`);
+    return response.data;
+};
+
+// Permanently delete a product that is in the trash
+export const purgeProduct = async (productId) => {
+    const response = await api.delete(`/admin/products/${productId}/purge`);
+    return response.data;
+};
+
+// Schedule a percentage sale on several products, or clear it ({ productIds, clear: true })
+export const scheduleProductSale = async (saleData) => {
+    const response = await api.post('/admin/products/sale', saleData);
+    return response.data;
+};
+
+export const getProductAlerts = async (productId, params = {}) => {
+    const { page = 1, limit = 10 } = params;
+    const response = await api.get(`/admin/products/${productId}/alerts`, {
+        params: { page, limit },
+    });
+    return response.data.data;
+};
+
+export const getProductPriceHistory = async (productId, params = {}) => {
+    const { days = 90 } = params;
+    const response = await api.get(`/admin/products/${productId}/price-history`, {
+        params: { days },
+    });
+    return response.data.data;
+};
+
+export const getProductRevisions = async (productId, params = {}) => {
+    const { page = 1, limit = 10 } = params;
+    const response = await api.get(`/admin/products/${productId}/revisions`, {
+        params: { page, limit },
+    });
+    return response.data.data;
+};
+
+// Field-level diff between two revisions ({ from, to } are revision numbers)
+export const compareProductRevisions = async (productId, { from, to }) => {
+    const response = await api.get(`/admin/products/${productId}/revisions/compare`, {
+        params: { from, to },
+    });
+    return response.data.data;
+};
+
+export const rollbackProduct = async ({ productId, version }) => {
+    const response = await api.post(`/admin/products/${productId}/revisions/${version}/rollback`);
+    return response.data;
+};
+
 // Reviews Management
 export const getReviews = async (params = {}) => {
     const { page = 1, limit = 10, status = '' } = params;
@@ -98,9 +159,69 @@ export const deleteReview = async (reviewId) => {
 
 // Audit Logs
 export const getAuditLogs = async (params = {}) => {
-    const { page = 1, limit = 20, eventType = '' } = params;
+    const { limit = 20, eventType = '', search = '' } = params;
     const response = await api.get('/admin/audit-logs', {
-        params: { page, limit, eventType },
+        params: { ...pageParams(params), limit, eventType, search },
+    });
+    return response.data.data;
+};
+
+// Email Templates & Outbox
+export const getEmailTemplates = async () => {
+    const response = await api.get('/admin/emails/templates');
+    return response.data.data;
+};
+
+export const previewEmailTemplate = async (name, version) => {
+    const response = await api.get(`/admin/emails/templates/${name}/preview`, {
+        params: { version },
+    });
+    return response.data.data;
+};
+
+export const getOutboxMessages = async (params = {}) => {
+    const { page = 1, limit = 20, status = '', template = '', to = '' } = params;
+    const response = await api.get('/admin/emails/outbox', {
+        params: { page, limit, status, template, to },
     });
     return response.data.data;
 };
+
+export const getOutboxMessage = async (messageId) => {
+    const response = await api.get(`/admin/emails/outbox/${messageId}`);
+    return response.data.data;
+};
+
+export const retryOutboxMessage = async (messageId) => {
+    const response = await api.post(`/admin/emails/outbox/${messageId}/retry`);
+    return response.data.data;
+};
+
+// Search Insights
+export const getSearchAnalytics = async (params = {}) => {
+    const { days = 30, limit = 20 } = params;
+    const response = await api.get('/admin/search/analytics', {
+        params: { days, limit },
+    });
+    return response.data.data;
+};
+
+export const getSearchRules = async () => {
+    const response = await api.get('/admin/search/rules');
+    return response.data.data;
+};
+
+export const createSearchRule = async (ruleData) => {
+    const response = await api.post('/admin/search/rules', ruleData);
+    return response.data.data;
+};
+
+export const updateSearchRule = async (ruleId, ruleData) => {
+    const response = await api.put(`/admin/search/rules/${ruleId}`, ruleData);
+    return response.data.data;
+};
+
+export const deleteSearchRule = async (ruleId) => {
+    const response = await api.delete(`/admin/search/rules/${ruleId}`);
+    return response.data;
+};
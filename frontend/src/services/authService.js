@@ -72,6 +72,16 @@ export const authService = {
     return response.data;
   },
 
+  /**
+   * Turn off one type of optional email from an unsubscribe link
+   * @param {string} token - Signed token from the link
+   * @returns {Promise} Response
+   */
+  unsubscribeEmails: async (token) => {
+    const response = await apiClient.post('/users/email-preferences/unsubscribe', { token });
+    return response.data;
+  },
+
   /**
    * Verify OTP for registration
    * @param {string} email
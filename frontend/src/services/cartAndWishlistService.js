@@ -5,11 +5,23 @@ import apiClient from '@api/axios';
  * Handles backend cart operations
  */
 export const cartService = {
+    // The response includes `warnings` for lines whose product has changed
     getCart: async () => {
         const response = await apiClient.get('/cart');
         return response.data;
     },
 
+    validateCart: async () => {
+        const response = await apiClient.get('/cart/validate');
+        return response.data;
+    },
+
+    // Apply current prices and stock to the lines flagged by the warnings
+    acknowledgeChanges: async () => {
+        const response = await apiClient.post('/cart/acknowledge');
+        return response.data;
+    },
+
     addItem: async (itemData) => {
         // itemData: { productId, quantity, color, strap }
         const response = await apiClient.post('/cart/add', itemData);
@@ -29,6 +41,35 @@ export const cartService = {
     clearCart: async () => {
         const response = await apiClient.delete('/cart');
         return response.data;
+    },
+
+    applyPromotion: async (code) => {
+        const response = await apiClient.post('/cart/promotion', { code });
+        return response.data;
+    },
+
+    removePromotion: async () => {
+        const response = await apiClient.delete('/cart/promotion');
+        return response.data;
+    },
+
+    // Restore the cart from an abandoned cart reminder link
+    recoverCart: async (token) => {
+        const response = await apiClient.post('/cart/recover', { token });
+        return response.data;
+    },
+
+    // Combine a guest cart with the account's cart after login
+    // items: [{ productId, quantity, color, strap }]
+    mergeCart: async (items) => {
+        const response = await apiClient.post('/cart/merge', { items });
+        return response.data;
+    },
+
+    validatePromotion: async (code, items) => {
+        // items: [{ product, quantity }]
+        const response = await apiClient.post('/promotions/validate', { code, items });
+        return response.data;
     }
 };
 
@@ -42,13 +83,46 @@ export const wishlistService = {
         return response.data;
     },
 
-    toggleItem: async (productId) => {
-        const response = await apiClient.post('/wishlist/toggle', { productId });
+    // Without a listId: remove from every list, or add to the default list
+    toggleItem: async (productId, listId) => {
+        const response = await apiClient.post('/wishlist/toggle', { productId, listId });
         return response.data;
     },
 
     checkStatus: async (productId) => {
         const response = await apiClient.get(`/wishlist/check/${productId}`);
         return response.data;
+    },
+
+    createList: async (listData) => {
+        const response = await apiClient.post('/wishlist/lists', listData);
+        return response.data;
+    },
+
+    // listData: { name, privacy: 'private' | 'shared', isDefault }
+    updateList: async (listId, listData) => {
+        const response = await apiClient.put(`/wishlist/lists/${listId}`, listData);
+        return response.data;
+    },
+
+    deleteList: async (listId) => {
+        const response = await apiClient.delete(`/wishlist/lists/${listId}`);
+        return response.data;
+    },
+
+    moveItem: async (listId, productId, toListId) => {
+        const response = await apiClient.post(`/wishlist/lists/${listId}/move`, { productId, toListId });
+        return response.data;
+    },
+
+    regenerateShareToken: async (listId) => {
+        const response = await apiClient.post(`/wishlist/lists/${listId}/share-token`);
+        return response.data;
+    },
+
+    // Read-only view of someone's shared list (no login needed)
+    getSharedList: async (token) => {
+        const response = await apiClient.get(`/wishlist/shared/${token}`);
+        return response.data;
     }
 };
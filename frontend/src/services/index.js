@@ -10,3 +10,6 @@ export { reviewService } from './reviewService';
 export { orderService } from './orderService';
 export { cartService, wishlistService } from './cartAndWishlistService';
 export { paymentService } from './paymentService';
+export { pricingService } from './pricingService';
+export { returnService } from './returnService';
+export { addressService } from './addressService';
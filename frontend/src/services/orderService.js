@@ -1,4 +1,5 @@
 import apiClient from '@api/axios';
+import { withIdempotencyKey } from '@utils/idempotency';
 
 /**
  * Order Service
@@ -28,11 +29,14 @@ export const orderService = {
 
   /**
    * Create new order
+   * Retries of the same order reuse its Idempotency-Key
    * @param {Object} data - Order data
    * @returns {Promise} Response with created order
    */
   createOrder: async (data) => {
-    const response = await apiClient.post('/orders', data);
+    const response = await withIdempotencyKey('orders:create', data, (headers) =>
+      apiClient.post('/orders', data, { headers })
+    );
     return response.data;
   },
 
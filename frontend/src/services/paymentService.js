@@ -1,13 +1,43 @@
 import apiClient from '@api/axios';
+import { withIdempotencyKey } from '@utils/idempotency';
 
-const createPaymentIntent = async (items, shippingAddress) => {
-    const response = await apiClient.post('/payment/create-intent', {
+/**
+ * Create a PaymentIntent and its pending order
+ * Retries of the same checkout reuse its Idempotency-Key, so they never
+ * create a second order or PaymentIntent
+ * @param {Array} items - Cart items ({ product, quantity })
+ * @param {Object} shippingAddress - Shipping address in order format
+ * @param {Object} billingAddress - Billing address (defaults to shipping on the backend)
+ * @param {string} [promotionCode] - Promotion code to apply
+ * @param {string} [shippingMethod] - Selected shipping method code
+ * @returns {Promise} Response with clientSecret, orderId and pricing
+ */
+const createPaymentIntent = async (items, shippingAddress, billingAddress, promotionCode, shippingMethod) => {
+    const payload = {
         items,
-        shippingAddress
-    });
+        shippingAddress,
+        billingAddress,
+        promotionCode: promotionCode || undefined,
+        shippingMethod: shippingMethod || undefined
+    };
+    const response = await withIdempotencyKey('payment:create-intent', payload, (headers) =>
+        apiClient.post('/payment/create-intent', payload, { headers })
+    );
+    return response.data;
+};
+
+/**
+ * Ask the backend to confirm the order once Stripe reports success
+ * The Stripe webhook does the same; this only speeds up the confirmation.
+ * @param {string} paymentIntentId - Stripe PaymentIntent ID
+ * @returns {Promise} Response with the order
+ */
+const confirmPayment = async (paymentIntentId) => {
+    const response = await apiClient.post('/payment/confirm', { paymentIntentId });
     return response.data;
 };
 
 export const paymentService = {
-    createPaymentIntent
+    createPaymentIntent,
+    confirmPayment
 };
@@ -0,0 +1,25 @@
+import apiClient from '@api/axios';
+
+/**
+ * Get a live quote (tax, shipping options and total) for cart items
+ * Uses the same pricing rules the backend charges at checkout.
+ * @param {Object} params
+ * @param {Array} params.items - Cart items ({ product, quantity })
+ * @param {Object} [params.shippingAddress] - Destination ({ country, state })
+ * @param {string} [params.shippingMethod] - Selected shipping method code
+ * @param {string} [params.promotionCode] - Promotion code to apply (signed-in customers)
+ * @returns {Promise} Response with pricing, shippingMethod and shippingOptions
+ */
+const getQuote = async ({ items, shippingAddress, shippingMethod, promotionCode }) => {
+    const response = await apiClient.post('/pricing/quote', {
+        items,
+        shippingAddress,
+        shippingMethod: shippingMethod || undefined,
+        promotionCode: promotionCode || undefined
+    });
+    return response.data;
+};
+
+export const pricingService = {
+    getQuote
+};
@@ -40,6 +40,38 @@ export const productService = {
     return response.data;
   },
 
+  /**
+   * Get filter values with product counts for the current filters
+   * @param {Object} params - Same filter parameters as getProducts
+   * @returns {Promise} Response with facets, price buckets and total
+   */
+  getFilterFacets: async (params = {}) => {
+    const response = await apiClient.get('/products/filters/facets', { params });
+    return response.data;
+  },
+
+  /**
+   * Get typeahead suggestions for a partial search query
+   * @param {string} q - What the user has typed
+   * @returns {Promise} Response with brand, model and product suggestions
+   */
+  suggest: async (q) => {
+    const response = await apiClient.get('/products/suggest', { params: { q } });
+    return response.data;
+  },
+
+  /**
+   * Report that a search result was opened (search analytics)
+   * @param {string} searchId - ID returned with the search results
+   * @param {string} productId - Product opened
+   * @param {number} position - 1-based position in the results
+   * @returns {Promise} Response
+   */
+  trackSearchClick: async (searchId, productId, position) => {
+    const response = await apiClient.post(`/products/search/${searchId}/click`, { productId, position });
+    return response.data;
+  },
+
   /**
    * Create new product (Admin only)
    * @param {Object} productData - Product data
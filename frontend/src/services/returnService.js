@@ -0,0 +1,38 @@
+import apiClient from '@api/axios';
+
+/**
+ * Return Service
+ * Handles return request (RMA) API calls for customers
+ */
+
+export const returnService = {
+  /**
+   * Get the current user's return requests
+   * @param {Object} [params] - Query parameters (orderId)
+   * @returns {Promise} Response with returnRequests and returnWindowDays
+   */
+  getMyReturns: async (params = {}) => {
+    const response = await apiClient.get('/returns', { params });
+    return response.data;
+  },
+
+  /**
+   * Request a return for items from a delivered order
+   * @param {Object} data - { orderId, items: [{ itemId, quantity }], reason, comments }
+   * @returns {Promise} Response with the created return request
+   */
+  createReturn: async (data) => {
+    const response = await apiClient.post('/returns', data);
+    return response.data;
+  },
+
+  /**
+   * Withdraw a return request that has not been reviewed yet
+   * @param {string} id - Return request ID
+   * @returns {Promise}
+   */
+  cancelReturn: async (id) => {
+    const response = await apiClient.put(`/returns/${id}/cancel`);
+    return response.data;
+  },
+};
@@ -44,6 +44,7 @@ export const useAuthStore = create(
               phone: user.phone,
               address: user.address,
               profilePicture: user.profilePicture, // Cloudinary image
+              notificationPreferences: user.notificationPreferences,
               mfaEnabled: user.mfaEnabled,
             },
             role: user.role?.name || user.role,
@@ -81,6 +82,7 @@ export const useAuthStore = create(
               phone: user.phone,
               address: user.address,
               profilePicture: user.profilePicture,
+              notificationPreferences: user.notificationPreferences,
               mfaEnabled: user.mfaEnabled,
             },
             role: user.role?.name || user.role,
@@ -94,7 +96,8 @@ export const useAuthStore = create(
 
       /**
        * Login action
-       * Updates state after successful login
+       * Updates state after successful login (password, MFA and OAuth
+       * exchange) and merges the guest cart into the account's cart
        * Does NOT store tokens (handled by HTTP-Only cookies)
        */
       setAuth: (user) => {
@@ -108,11 +111,18 @@ export const useAuthStore = create(
             phone: user.phone,
             address: user.address,
             profilePicture: user.profilePicture,
+            notificationPreferences: user.notificationPreferences,
             mfaEnabled: user.mfaEnabled,
           },
           role: user.role?.name || user.role,
           error: null,
         });
+
+        // Bring along anything added to the bag before signing in
+        // (imported lazily: the cart store depends on this store)
+        if ((user.role?.name || user.role) !== 'admin') {
+          import('./cartStore').then(({ useCartStore }) => useCartStore.getState().mergeGuestCart());
+        }
       },
 
       /**
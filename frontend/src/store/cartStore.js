@@ -2,6 +2,10 @@ import { create } from 'zustand';
 import { persist } from 'zustand/middleware';
 import { cartService } from '@services';
 import { useAuthStore } from './authStore';
+import { getProductPricing } from '@utils/helpers';
+
+// Items added while signed out only exist locally and carry a temporary ID
+const isGuestItem = (item) => String(item._id).startsWith('temp_');
 
 /**
  * Cart Store
@@ -14,6 +18,13 @@ export const useCartStore = create(
             items: [], // Flattened items for easier UI consumption
             count: 0,
             subtotal: 0,
+            promotionCode: null,
+            discount: 0,
+            promotionError: null,
+            // Items from the guest cart that could not be merged in full after login
+            mergeAdjustments: [],
+            // Lines whose price, stock or availability changed since they were added
+            warnings: [],
             isLoading: false,
             error: null,
 
@@ -27,6 +38,12 @@ export const useCartStore = create(
                 // Prevent concurrent fetches during other cart operations
                 if (get().isLoading) return;
 
+                // Signed in with a guest cart still in storage: merge it first
+                if (get().items.some(isGuestItem)) {
+                    await get().mergeGuestCart();
+                    return;
+                }
+
                 set({ isLoading: true, error: null });
                 try {
                     const response = await cartService.getCart();
@@ -44,6 +61,8 @@ export const useCartStore = create(
                         items: cart.items,
                         count: cart.items.reduce((acc, item) => acc + item.quantity, 0),
                         subtotal: cart.subtotal || 0,
+                        promotionCode: cart.promotionCode || null,
+                        warnings: response.warnings || [],
                         isLoading: false
                     });
                 } catch (error) {
@@ -103,7 +122,8 @@ export const useCartStore = create(
                     item.strap?.material === variants.strap?.material
                 );
 
-                let effectivePrice = product.price;
+                // Sale price while a sale runs; the server re-prices guest items on sign-in
+                let effectivePrice = getProductPricing(product).price;
                 if (variants.strap?.priceModifier) effectivePrice += variants.strap.priceModifier;
 
                 if (existingIndex > -1) {
@@ -144,7 +164,8 @@ export const useCartStore = create(
                             cart,
                             items: cart.items,
                             count: cart.items.reduce((acc, item) => acc + item.quantity, 0),
-                            subtotal: cart.subtotal
+                            subtotal: cart.subtotal,
+                            warnings: get().warnings.filter(warning => warning.itemId !== itemId)
                         });
                         return true;
                     } catch (error) {
@@ -167,11 +188,14 @@ export const useCartStore = create(
                     try {
                         const response = await cartService.updateItem(itemId, quantity);
                         const cart = response.data;
+                        // Updating a line re-checks its stock; a stale price stays flagged
                         set({
                             cart,
                             items: cart.items,
                             count: cart.items.reduce((acc, item) => acc + item.quantity, 0),
-                            subtotal: cart.subtotal
+                            subtotal: cart.subtotal,
+                            warnings: get().warnings.filter(warning =>
+                                warning.itemId !== itemId || warning.type === 'price_changed')
                         });
                     } catch (error) {
                         console.error('Update quantity error:', error);
@@ -190,17 +214,160 @@ export const useCartStore = create(
                 }
             },
 
+            // Follow a reminder email link; refills the cart if it was emptied
+            recoverCart: async (token) => {
+                set({ isLoading: true, error: null });
+                try {
+                    const response = await cartService.recoverCart(token);
+                    const cart = response.data;
+
+                    set({
+                        cart,
+                        items: cart.items,
+                        count: cart.items.reduce((acc, item) => acc + item.quantity, 0),
+                        subtotal: cart.subtotal || 0,
+                        promotionCode: cart.promotionCode || null,
+                        isLoading: false
+                    });
+                    return response.restoredCount;
+                } catch (error) {
+                    const errorMessage = error.response?.data?.message || 'Failed to restore cart';
+                    set({ error: errorMessage, isLoading: false });
+                    return null;
+                }
+            },
+
+            // Move the guest cart into the account's cart (called after login)
+            // Returns the adjustments, or null if there was nothing to merge
+            mergeGuestCart: async () => {
+                const guestItems = get().items.filter(isGuestItem);
+                if (guestItems.length === 0 || get().isLoading) return null;
+
+                set({ isLoading: true, error: null });
+                try {
+                    const response = await cartService.mergeCart(guestItems.map(item => ({
+                        productId: item.product._id,
+                        quantity: item.quantity,
+                        color: item.color,
+                        strap: item.strap
+                    })));
+                    const cart = response.data;
+
+                    set({
+                        cart,
+                        items: cart.items,
+                        count: cart.items.reduce((acc, item) => acc + item.quantity, 0),
+                        subtotal: cart.subtotal || 0,
+                        promotionCode: cart.promotionCode || null,
+                        mergeAdjustments: response.adjustments || [],
+                        isLoading: false
+                    });
+                    return response.adjustments || [];
+                } catch (error) {
+                    // Guest items stay local so the next fetch tries again
+                    const errorMessage = error.response?.data?.message || 'Failed to merge cart';
+                    console.error('Merge cart error:', errorMessage);
+                    set({ error: errorMessage, isLoading: false });
+                    return null;
+                }
+            },
+
+            dismissMergeAdjustments: () => set({ mergeAdjustments: [] }),
+
+            // Accept the changes flagged in `warnings`: prices are updated and
+            // lines that can't be bought (in full) are removed or shortened
+            acknowledgeWarnings: async () => {
+                set({ isLoading: true, error: null });
+                try {
+                    const response = await cartService.acknowledgeChanges();
+                    const cart = response.data;
+
+                    set({
+                        cart,
+                        items: cart.items,
+                        count: cart.items.reduce((acc, item) => acc + item.quantity, 0),
+                        subtotal: cart.subtotal || 0,
+                        warnings: response.warnings || [],
+                        isLoading: false
+                    });
+                    return true;
+                } catch (error) {
+                    const errorMessage = error.response?.data?.message || 'Failed to update cart';
+                    set({ error: errorMessage, isLoading: false });
+                    return false;
+                }
+            },
+
             clearCart: async () => {
                 const isLoggedIn = useAuthStore.getState().isLoggedIn;
                 if (isLoggedIn) await cartService.clearCart();
-                set({ items: [], count: 0, subtotal: 0, cart: null });
+                set({ items: [], count: 0, subtotal: 0, cart: null, promotionCode: null, discount: 0, promotionError: null, warnings: [] });
+            },
+
+            // Promotion codes are validated server-side and need an account
+            // (per-customer usage limits), so they are only available when logged in
+            applyPromotion: async (code) => {
+                const isLoggedIn = useAuthStore.getState().isLoggedIn;
+                if (!isLoggedIn) {
+                    set({ promotionError: 'Please sign in to use a promotion code' });
+                    return false;
+                }
+
+                try {
+                    const response = await cartService.applyPromotion(code);
+                    const cart = response.data;
+                    set({
+                        cart,
+                        items: cart.items,
+                        promotionCode: cart.promotionCode,
+                        discount: response.pricing?.discount || 0,
+                        promotionError: null
+                    });
+                    return true;
+                } catch (error) {
+                    const errorMessage = error.response?.data?.message || 'Invalid promotion code';
+                    set({ promotionError: errorMessage });
+                    return false;
+                }
+            },
+
+            removePromotion: async () => {
+                const isLoggedIn = useAuthStore.getState().isLoggedIn;
+                try {
+                    if (isLoggedIn) await cartService.removePromotion();
+                } catch (error) {
+                    console.error('Remove promotion error:', error);
+                }
+                set({ promotionCode: null, discount: 0, promotionError: null });
+            },
+
+            // Recompute the discount after the cart changes (e.g. quantity updates)
+            refreshPromotion: async () => {
+                const { promotionCode, items } = get();
+                if (!promotionCode || items.length === 0) {
+                    set({ discount: 0 });
+                    return;
+                }
+
+                try {
+                    const response = await cartService.validatePromotion(
+                        promotionCode,
+                        items.map(item => ({ product: item.product._id, quantity: item.quantity }))
+                    );
+                    set({ discount: response.data.discount, promotionError: null });
+                } catch (error) {
+                    const errorMessage = error.response?.data?.message || 'Promotion code is no longer valid';
+                    set({ promotionCode: null, discount: 0, promotionError: errorMessage });
+                    // Drop it from the server cart too so it isn't restored on next fetch
+                    cartService.removePromotion().catch(() => { });
+                }
             }
         }),
         {
             name: 'crown-cart-storage',
             // Only persist items if not logged in? 
             // Actually, we can always persist locally for speed, but rely on fetch for truth
-            partialize: (state) => ({ items: state.items, count: state.count, subtotal: state.subtotal }),
+            partialize: (state) => ({ items: state.items, count: state.count, subtotal: state.subtotal, promotionCode: state.promotionCode }),
         }
     )
 );
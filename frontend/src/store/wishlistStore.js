@@ -3,16 +3,31 @@ import { persist } from 'zustand/middleware';
 import { wishlistService } from '@services';
 import { useAuthStore } from './authStore';
 
+// Every saved product once, whichever lists it is in
+const uniqueProducts = (lists) => {
+    const seen = new Set();
+    return lists.flatMap(list => list.products).filter(product => {
+        if (!product || seen.has(product._id)) return false;
+        seen.add(product._id);
+        return true;
+    });
+};
+
 /**
  * Wishlist Store
+ * Signed-in customers can keep several named lists (default list first);
+ * `items` is every saved product across them. Guests have one local list.
  */
 export const useWishlistStore = create(
     persist(
         (set, get) => ({
+            lists: [],
             items: [], // Array of products
             isLoading: false,
             error: null,
 
+            setLists: (lists) => set({ lists, items: uniqueProducts(lists) }),
+
             fetchWishlist: async () => {
                 const isLoggedIn = useAuthStore.getState().isLoggedIn;
                 if (!isLoggedIn) return;
@@ -20,19 +35,20 @@ export const useWishlistStore = create(
                 set({ isLoading: true });
                 try {
                     const response = await wishlistService.getWishlist();
-                    set({ items: response.data.products, isLoading: false });
+                    get().setLists(response.data.lists);
+                    set({ isLoading: false });
                 } catch (error) {
                     set({ error: error.message, isLoading: false });
                 }
             },
 
-            toggleWishlist: async (product) => {
+            toggleWishlist: async (product, listId) => {
                 const isLoggedIn = useAuthStore.getState().isLoggedIn;
 
                 if (isLoggedIn) {
                     try {
-                        const response = await wishlistService.toggleItem(product._id);
-                        set({ items: response.data.products });
+                        const response = await wishlistService.toggleItem(product._id, listId);
+                        get().setLists(response.data.lists);
                         return true;
                     } catch (error) {
                         return false;
@@ -53,6 +69,45 @@ export const useWishlistStore = create(
                 return true;
             },
 
+            // Named list actions (signed-in only); errors are thrown for the page to show
+            createList: async (listData) => {
+                const response = await wishlistService.createList(listData);
+                set({ lists: [...get().lists, response.data.list] });
+                return response.data.list;
+            },
+
+            updateList: async (listId, listData) => {
+                const response = await wishlistService.updateList(listId, listData);
+                if (listData.isDefault) {
+                    // The default moved; reload for the new order
+                    await get().fetchWishlist();
+                } else {
+                    get().setLists(get().lists.map(list => (list._id === listId ? response.data.list : list)));
+                }
+                return response.data.list;
+            },
+
+            deleteList: async (listId) => {
+                await wishlistService.deleteList(listId);
+                get().setLists(get().lists.filter(list => list._id !== listId));
+            },
+
+            moveItem: async (listId, productId, toListId) => {
+                const response = await wishlistService.moveItem(listId, productId, toListId);
+                get().setLists(response.data.lists);
+                return response.message;
+            },
+
+            regenerateShareToken: async (listId) => {
+                const response = await wishlistService.regenerateShareToken(listId);
+                set({
+                    lists: get().lists.map(list => (list._id === listId
+                        ? { ...list, shareToken: response.data.shareToken }
+                        : list)),
+                });
+                return response.data.shareToken;
+            },
+
             isInWishlist: (productId) => {
                 return get().items.some(item => item._id === productId);
             }
@@ -38,3 +38,20 @@ export const MFA_CODE_LENGTH = 6;
 // UI Constants
 export const ITEMS_PER_PAGE = 12;
 export const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
+
+// Countries offered in address forms (ISO 3166-1 alpha-2)
+export const ADDRESS_COUNTRIES = [
+  { code: 'US', name: 'United States' },
+  { code: 'CA', name: 'Canada' },
+  { code: 'GB', name: 'United Kingdom' },
+  { code: 'IE', name: 'Ireland' },
+  { code: 'DE', name: 'Germany' },
+  { code: 'FR', name: 'France' },
+  { code: 'IT', name: 'Italy' },
+  { code: 'ES', name: 'Spain' },
+  { code: 'NL', name: 'Netherlands' },
+  { code: 'CH', name: 'Switzerland' },
+  { code: 'AU', name: 'Australia' },
+  { code: 'JP', name: 'Japan' },
+  { code: 'SG', name: 'Singapore' },
+];
@@ -111,3 +111,50 @@ export const calculateDiscountPercentage = (originalPrice, salePrice) => {
   if (!originalPrice || !salePrice) return 0;
   return Math.round(((originalPrice - salePrice) / originalPrice) * 100);
 };
+
+/**
+ * Price to charge and price to show struck through for a product
+ * During a sale the regular price (or a higher compare-at price) is struck through.
+ * @param {object} product - Product with price, effectivePrice and comparePrice
+ * @returns {object} { price, compareAtPrice, discountPercent, onSale }
+ */
+export const getProductPricing = (product) => {
+  const price = product.effectivePrice ?? product.price;
+  const onSale = price < product.price;
+  const listed = product.comparePrice > product.price ? product.comparePrice : null;
+  const compareAtPrice = onSale ? Math.max(listed || 0, product.price) : listed;
+
+  return {
+    price,
+    compareAtPrice,
+    discountPercent: compareAtPrice ? calculateDiscountPercentage(compareAtPrice, price) : 0,
+    onSale,
+  };
+};
+
+/**
+ * Value for a datetime-local input (local time, minutes precision)
+ * @param {string|Date} date - Date to show; empty when missing
+ * @returns {string} e.g. "2026-11-27T09:00"
+ */
+export const toDateTimeLocal = (date) => {
+  if (!date) return '';
+  const value = new Date(date);
+  return new Date(value.getTime() - value.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+/**
+ * Request fields for the admin sale pricing form values
+ * @param {object} formData - { comparePrice, salePrice, saleStartsAt, saleEndsAt } as input strings
+ * @returns {object} { comparePrice, sale } - null clears them
+ */
+export const toSalePricing = ({ comparePrice, salePrice, saleStartsAt, saleEndsAt }) => ({
+  comparePrice: comparePrice === '' ? null : parseFloat(comparePrice),
+  sale: salePrice === ''
+    ? null
+    : {
+      price: parseFloat(salePrice),
+      startsAt: saleStartsAt ? new Date(saleStartsAt).toISOString() : undefined,
+      endsAt: saleEndsAt ? new Date(saleEndsAt).toISOString() : undefined,
+    },
+});
@@ -0,0 +1,42 @@
+/**
+ * Idempotency Keys
+ * Generates the Idempotency-Key header for checkout requests
+ *
+ * A key is reused while the same payload is retried (double-click, network
+ * retry) so the backend replays the first response instead of creating a
+ * second order. Once a request succeeds the key is cleared, so the next
+ * deliberate checkout gets a fresh one.
+ */
+
+const pendingKeys = new Map();
+
+const generateKey = () => {
+  if (window.crypto?.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+};
+
+/**
+ * Run a request with an Idempotency-Key header
+ * @param {string} scope - Endpoint the key belongs to (e.g. 'orders:create')
+ * @param {Object} payload - Request body; a different payload gets a new key
+ * @param {Function} request - Called with the headers object, returns a Promise
+ * @returns {Promise} Result of the request
+ */
+export const withIdempotencyKey = async (scope, payload, request) => {
+  const fingerprint = JSON.stringify(payload);
+  let pending = pendingKeys.get(scope);
+
+  if (!pending || pending.fingerprint !== fingerprint) {
+    pending = { fingerprint, key: generateKey() };
+    pendingKeys.set(scope, pending);
+  }
+
+  const result = await request({ 'Idempotency-Key': pending.key });
+
+  if (pendingKeys.get(scope) === pending) {
+    pendingKeys.delete(scope);
+  }
+  return result;
+};